@@ -1,30 +1,5 @@
 const { Corellium } = require("@corellium/corellium-api");
 
-function versionParse(version) {
-    let parts = version.split(".");
-    return {
-        major: parts[0] || 0,
-        minor: parts[1] || 0,
-        patch: parts[2] || 0,
-    };
-}
-
-function versionCompare(a, b) {
-    if (a.major < b.major) return -1;
-
-    if (a.major > b.major) return 1;
-
-    if (a.minor < b.minor) return -1;
-
-    if (a.minor > b.minor) return 1;
-
-    if (a.patch < b.patch) return -1;
-
-    if (a.patch > b.patch) return 1;
-
-    return 0;
-}
-
 async function launch(instance, bundleID) {
     let agent = await instance.agent();
     let retries = 10;
@@ -88,11 +63,7 @@ async function main() {
     let toDeploy = [];
     let sortedVersions = new Map();
     for (let flavorId of Object.keys(supported)) {
-        let flavor = supported[flavorId];
-        let versions = flavor["firmwares"].slice().sort((a, b) => {
-            return -versionCompare(versionParse(a.version), versionParse(b.version));
-        });
-        sortedVersions.set(flavorId, versions);
+        sortedVersions.set(flavorId, await corellium.catalog.find({ flavor: flavorId }));
     }
 
     // Generate a list of virtual devices to start by looping through each model and taking the latest version we haven't started yet, until we run out of cpus.
@@ -67,6 +67,7 @@ const XMLHttpRequest = require('xhr2').XMLHttpRequest;
       clearInput: true,
       chunkFormat: 'blob',
       setChunkTypeFromFile: false,
+      nodejs: null,
       maxFilesErrorCallback: function (files, errorCount) {
         const maxFiles = $.getOpt('maxFiles')
         // eslint-disable-next-line no-undef
@@ -760,6 +761,7 @@ const XMLHttpRequest = require('xhr2').XMLHttpRequest;
       $.test = function () {
         // Set up request and listen for event
         $.xhr = new XMLHttpRequest()
+        if ($.getOpt('nodejs')) $.xhr.nodejsSet($.getOpt('nodejs'))
 
         const testHandler = function (e) {
           $.tested = true
@@ -856,6 +858,7 @@ const XMLHttpRequest = require('xhr2').XMLHttpRequest;
 
         // Set up request and listen for event
         $.xhr = new XMLHttpRequest()
+        if ($.getOpt('nodejs')) $.xhr.nodejsSet($.getOpt('nodejs'))
 
         // Progress
         $.xhr.upload.addEventListener(
@@ -1013,7 +1016,8 @@ const XMLHttpRequest = require('xhr2').XMLHttpRequest;
               chunks.push(chunk)
             })
             data.on('end', () => {
-              $.xhr.send(Buffer.concat(chunks))
+              // The chunk may have been aborted while it was read
+              if ($.xhr) $.xhr.send(Buffer.concat(chunks))
             })
             // eslint-disable-next-line node/handle-callback-err
             data.on('error', (error) => {
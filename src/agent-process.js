@@ -0,0 +1,154 @@
+'use strict'
+
+const stream = require('stream')
+
+const { unsupportedAgentCommand } = require('./errors')
+
+// Binary frames of a spawned process carry the command ID in the first four
+// bytes of the header, like uploads and downloads, and the stream in the next
+// four: 0 for stdin, 1 for stdout and 2 for stderr. An empty frame closes its
+// stream.
+const STDOUT = 1
+const STDERR = 2
+
+/**
+ * @typedef {object} ProcessExit
+ * @property {integer?} code - The exit status, or null if the process was ended by a signal
+ * @property {string?} signal - The signal that ended the process, e.g. `SIGTERM`, or null
+ */
+
+/**
+ * A process running on the VM, returned by {@link Agent#spawn}. Like a Node
+ * `ChildProcess`, it has `stdin`, `stdout` and `stderr` streams.
+ * Experimental, like {@link Agent#spawn}.
+ * @hideconstructor
+ * @example
+ * const logcat = await agent.spawn('logcat -v brief');
+ * logcat.stdout.pipe(process.stdout);
+ * await sleep(10000);
+ * await logcat.kill();
+ * const { code, signal } = await logcat.exited;
+ */
+class AgentProcess {
+  constructor (agent, cmd) {
+    this.agent = agent
+    /** @type {string} */
+    this.cmd = cmd
+    /** @type {integer} The process ID on the VM */
+    this.pid = null
+    /** @type {integer?} The exit status, once the process exited */
+    this.exitCode = null
+    /** @type {string?} The signal that ended the process, if any */
+    this.signalCode = null
+    this.id = null
+    this._open = new Set([STDOUT, STDERR])
+
+    const child = this
+    /**
+     * The standard input of the process. Ending it closes the input of the
+     * process; data written after the process exited is discarded.
+     * @type {Writable}
+     */
+    this.stdin = new stream.Writable({
+      write (chunk, encoding, callback) {
+        child._send(chunk, callback)
+      },
+      final (callback) {
+        child._send(null, callback)
+      }
+    })
+    /**
+     * The standard output of the process. With a PTY, it also carries
+     * what the process writes to its standard error.
+     * @type {Readable}
+     */
+    this.stdout = new stream.Readable({ read () {} })
+    /** @type {Readable} The standard error of the process. */
+    this.stderr = new stream.Readable({ read () {} })
+
+    /**
+     * Resolves when the process exited, or rejects when the agent connection
+     * closed before it did.
+     * @type {Promise<ProcessExit>}
+     */
+    this.exited = new Promise((resolve, reject) => {
+      this._resolveExit = resolve
+      this._rejectExit = reject
+    })
+    // Waiting for the exit is optional.
+    this.exited.catch(() => {})
+  }
+
+  /**
+   * Resize the terminal of a process spawned with a PTY.
+   * @param {integer} cols
+   * @param {integer} rows
+   * @throws {UnsupportedOperationError} if the agent does not support it
+   * @example
+   * process.stdout.on('resize', () => shell.resize(process.stdout.columns, process.stdout.rows));
+   */
+  async resize (cols, rows) {
+    await this.agent.command('app', 'spawnResize', { spawnId: this.id, cols, rows }).catch(err => {
+      throw unsupportedAgentCommand(err, 'agentProcess.resize')
+    })
+  }
+
+  /**
+   * Send a signal to the process.
+   * @param {string} [signal=SIGTERM] - e.g. `SIGINT` or `SIGKILL`
+   * @throws {UnsupportedOperationError} if the agent does not support it
+   * @example
+   * await child.kill('SIGINT');
+   */
+  async kill (signal = 'SIGTERM') {
+    await this.agent.command('app', 'spawnKill', { spawnId: this.id, signal }).catch(err => {
+      throw unsupportedAgentCommand(err, 'agentProcess.kill')
+    })
+  }
+
+  _send (data, callback) {
+    // An empty frame would close the input.
+    if ((data && !data.length) || this.exitCode !== null || this.signalCode !== null || !this.agent.ws) {
+      callback()
+      return
+    }
+    try {
+      this.agent.sendBinaryData(this.id, data)
+      callback()
+    } catch (err) {
+      callback(err)
+    }
+  }
+
+  _receive (channel, data) {
+    if (!this._open.has(channel)) return
+    const output = channel === STDOUT ? this.stdout : this.stderr
+    if (data.length) {
+      output.push(data)
+    } else {
+      this._open.delete(channel)
+      output.push(null)
+    }
+  }
+
+  _exit (code, signal) {
+    this.exitCode = code === undefined ? null : code
+    this.signalCode = signal || null
+    this._closeOutput()
+    this._resolveExit({ code: this.exitCode, signal: this.signalCode })
+  }
+
+  _fail (err) {
+    this._closeOutput()
+    this._rejectExit(err)
+  }
+
+  _closeOutput () {
+    this._receive(STDOUT, Buffer.alloc(0))
+    this._receive(STDERR, Buffer.alloc(0))
+  }
+}
+
+module.exports = {
+  AgentProcess
+}
@@ -1,9 +1,25 @@
 'use strict'
 
+const EventEmitter = require('events')
 const WebSocket = require('ws')
 const stream = require('stream')
+const fs = require('fs')
+const nodePath = require('path')
 
 const { sleep } = require('./util/sleep')
+const { boundedWait, abortableSleep } = require('./util/wait')
+const { AgentProcess } = require('./agent-process')
+const { CrashReportStream } = require('./crash-report')
+const { pathMatcher } = require('./util/filters')
+const {
+  AgentCommandError,
+  ConnectionClosedError,
+  NotFoundError,
+  InstanceStateError,
+  TimeoutError,
+  UnsupportedOperationError,
+  unsupportedAgentCommand
+} = require('./errors')
 
 /**
  * @typedef {object} CommandResult
@@ -11,6 +27,17 @@ const { sleep } = require('./util/sleep')
  * @property {boolean} success - command result
  */
 
+/**
+ * @typedef {object} CommandOptions
+ * @property {integer} [timeout] - Milliseconds to wait for the command to finish before rejecting with a
+ * `TimeoutError`; no limit by default
+ * @property {AbortSignal} [signal] - Abort the command, rejecting with the abort reason
+ *
+ * A command that times out or is aborted is only given up on this side: the
+ * agent has no way to cancel it, so it keeps running, and its answer is
+ * ignored.
+ */
+
 /**
  * @typedef {object} ShellExecResult
  * @property {integer} id - ID
@@ -59,6 +86,58 @@ const { sleep } = require('./util/sleep')
  * @property {integer} uid
  */
 
+const S_IFMT = 0o170000
+const S_IFDIR = 0o040000
+const S_IFREG = 0o100000
+
+// How long Agent#spawn waits for the agent to start the process.
+const SPAWN_START_TIMEOUT = 10000
+
+const isDirectory = stat => (stat.mode & S_IFMT) === S_IFDIR
+const isFile = stat => (stat.mode & S_IFMT) === S_IFREG
+
+function isNotFound (err) {
+  return err instanceof AgentCommandError && (err.details.name === 'FileNotFound' || /^Stat of file/.test(err.message))
+}
+
+// Quote a path for the shell of the agent.
+function shellQuote (value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`
+}
+
+/**
+ * The directories and regular files under a local directory, parents first,
+ * with the same `match` and `exclude` filters as {@link Agent#walk}.
+ * @private
+ */
+async function * walkLocal (root, matches, excluded, relative = '') {
+  const entries = await fs.promises.readdir(nodePath.join(root, relative), { withFileTypes: true })
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relativePath = relative ? `${relative}/${entry.name}` : entry.name
+    if (excluded(relativePath)) continue
+    if (!entry.isDirectory() && !entry.isFile()) continue
+    const stat = await fs.promises.stat(nodePath.join(root, relativePath))
+    if (matches(relativePath)) yield { path: nodePath.join(root, relativePath), relativePath, stat }
+    if (entry.isDirectory()) yield * walkLocal(root, matches, excluded, relativePath)
+  }
+}
+
+/**
+ * @typedef {object} WalkEntry
+ * @property {string} path - The path of the entry on the VM's filesystem
+ * @property {string} relativePath - The path relative to the walked directory, `/`-separated
+ * @property {StatEntry} stat - The stat of the entry, without `entries` for directories
+ */
+
+/**
+ * @typedef {object} TransferOptions
+ * @property {string|string[]|RegExp} [match] - Only transfer the files and directories whose relative path matches
+ * these glob patterns, such as `*.plist` or `Documents/**`. Patterns without `/` match the name at any depth.
+ * @property {string|string[]|RegExp} [exclude] - Skip the files and directories matching these glob patterns, and
+ * everything in such directories
+ * @property {function(string, integer)} [progress] - Called with the relative path and size of each file transferred
+ */
+
 /**
  * @typedef {object} ProvisioningProfileInfo
  * @property {string} name
@@ -67,6 +146,19 @@ const { sleep } = require('./util/sleep')
  * @property {string[]} certs
  */
 
+/**
+ * @typedef {object} ReconnectOptions
+ * @property {integer} [retries=Infinity] - how many times to try to reconnect before giving up
+ * @property {integer} [minTimeout=1000] - delay before the first attempt, in milliseconds; doubles with every attempt
+ * @property {integer} [maxTimeout=30000] - upper bound of the delay between attempts, in milliseconds
+ */
+
+/**
+ * @typedef {object} AgentOptions
+ * @property {boolean|ReconnectOptions} [autoReconnect=false] - Reconnect when the connection drops, and
+ * subscribe again to the crash subscriptions that were active, see {@link Agent#event:disconnected}
+ */
+
 /**
  * A connection to the agent running on an instance.
  *
@@ -75,17 +167,24 @@ const { sleep } = require('./util/sleep')
  * should not be created using the constructor.
  * @hideconstructor
  */
-class Agent {
-  constructor (instance) {
+class Agent extends EventEmitter {
+  constructor (instance, options = {}) {
+    super()
     this.instance = instance
+    /** @type {boolean|ReconnectOptions} */
+    this.autoReconnect = options.autoReconnect || false
     this.connected = false
     this.uploading = false
     this.connectPromise = null
     this.id = 0
+    this.pending = new Map()
     this._keepAliveTimeout = null
     this._startKeepAliveTimeout = null
     this._lastPong = null
     this._lastPing = null
+    // Subscriptions to send again once reconnected.
+    this._subscriptions = []
+    this._reconnectController = null
   }
 
   /**
@@ -108,13 +207,13 @@ class Agent {
 
     if (this.connectPromise) return this.connectPromise
 
-    this.connectPromise = await (async () => {
+    this.connectPromise = (async () => {
       while (this.pendingConnect) {
         try {
           await this._connect()
           break
         } catch (err) {
-          if (err.stack.includes('Instance likely does not exist')) {
+          if (err instanceof NotFoundError || err instanceof InstanceStateError) {
             throw err
           }
           if (err.stack.includes('self-signed certificate')) {
@@ -131,32 +230,31 @@ class Agent {
           }
         }
       }
-
+    })().finally(() => {
       this.connectPromise = null
-    })()
+    })
 
-    return this.connectPromise
+    return await this.connectPromise
   }
 
-  async _connect () {
+  async _connect (options) {
     this.pending = new Map()
 
-    const endpoint = await this.instance.agentEndpoint()
+    const endpoint = await this.instance.agentEndpoint(options)
     if (!endpoint) {
       this.pendingConnect = false
-      throw new Error('Instance likely does not exist')
+      throw new NotFoundError('Instance likely does not exist')
     }
 
     // Detect if a disconnection happened before we were able to get the agent endpoint.
-    if (!this.pendingConnect) throw new Error('connection cancelled')
-
-    const ws = new WebSocket(
-      /^https/.test(endpoint)
-        ? endpoint.replace(/^https/, 'wss')
-        : /^http/.test(endpoint)
-          ? endpoint.replace(/^http/, 'ws')
-          : endpoint
-    )
+    if (!this.pendingConnect) throw new ConnectionClosedError('connection cancelled')
+
+    const url = /^https/.test(endpoint)
+      ? endpoint.replace(/^https/, 'wss')
+      : /^http/.test(endpoint)
+        ? endpoint.replace(/^http/, 'ws')
+        : endpoint
+    const ws = new WebSocket(url, this.instance.project.transport.webSocketOptions(url))
 
     this.ws = ws
 
@@ -164,6 +262,7 @@ class Agent {
       try {
         let message
         let id = -1
+        let channel = 0
         if (typeof data === 'string') {
           message = JSON.parse(data)
           id = message.id
@@ -174,6 +273,7 @@ class Agent {
           } catch (e) {
             if (data.length >= 8) {
               id = data.readUInt32LE(0)
+              channel = data.readUInt32LE(4)
               message = data.slice(8)
             }
           }
@@ -183,24 +283,22 @@ class Agent {
           throw new Error(`handler not found for id: ${id}`)
         }
 
-        const handler = this.pending.get(id)
-        if (handler) {
+        const command = this.pending.get(id)
+        if (command) {
           // will work regardless of whether handler returns a promise
-          Promise.resolve(handler(null, message)).then(shouldDelete => {
+          Promise.resolve(command.callback(null, message, channel)).then(shouldDelete => {
             if (shouldDelete) this.pending.delete(id)
           })
         }
       } catch (err) {
-        console.error('error in agent message handler', err)
+        this.instance.project.logger.error('error in agent message handler', err)
       }
     })
 
     ws.on('close', (code, _reason) => {
-      this.pending.forEach(handler => {
-        handler(new Error(`disconnected with code ${code}`))
-      })
-      this.pending = new Map()
-      this._disconnect()
+      // A later connection replaced this one.
+      if (this.ws && this.ws !== ws) return
+      this._connectionLost(`disconnected with code ${code}`, { closeCode: code }, this.ws === ws)
     })
 
     return await new Promise((resolve, reject) => {
@@ -212,18 +310,13 @@ class Agent {
             // Swallow ws.close() errors.
           }
 
-          reject(new Error('connection cancelled'))
+          reject(new ConnectionClosedError('connection cancelled'))
           return
         }
 
         ws.on('error', err => {
-          this.pending.forEach(handler => {
-            handler(err)
-          })
-          this.pending = new Map()
-
           if (this.ws === ws) {
-            this._disconnect()
+            this._connectionLost(err.message, { cause: err }, true)
           } else {
             try {
               ws.close()
@@ -232,7 +325,7 @@ class Agent {
             }
           }
 
-          console.error('error in agent socket', err)
+          this.instance.project.logger.error('error in agent socket', err)
         })
 
         resolve()
@@ -286,15 +379,8 @@ class Agent {
         return
       }
 
-      const err = new Error('Agent did not get a response to ping in 10 seconds, disconnecting.')
-      console.error('Agent did not get a response to ping in 10 seconds, disconnecting.')
-
-      this.pending.forEach(handler => {
-        handler(err)
-      })
-      this.pending = new Map()
-
-      this._disconnect()
+      this.instance.project.logger.error('Agent did not get a response to ping in 10 seconds, disconnecting.')
+      this._connectionLost('no response to ping in 10 seconds', {}, true)
     }, 10 * 1000)
 
     ws.once('pong', async () => {
@@ -333,7 +419,87 @@ class Agent {
    */
   disconnect () {
     this.pendingConnect = false
+    if (this._reconnectController) this._reconnectController.abort()
+    const subscriptions = this._subscriptions
+    this._subscriptions = []
+    for (const command of subscriptions) this._failCommand(command, 'disconnected')
+    this._disconnect()
+  }
+
+  /**
+   * The connection dropped: fail the commands in flight and, when it was not
+   * closed on purpose and `autoReconnect` is set, reconnect in the
+   * background, keeping the subscriptions to send them again.
+   * @private
+   */
+  _connectionLost (reason, details, unexpected) {
+    const resume = unexpected && !!this.autoReconnect
+    this._failPending(reason, details, resume)
     this._disconnect()
+    if (!resume) return
+
+    /**
+     * Emitted with `autoReconnect` when the connection dropped, before
+     * reconnecting. Commands in flight were rejected with a
+     * `ConnectionClosedError`; crash subscriptions are kept.
+     * @event Agent#disconnected
+     * @type {object}
+     * @property {string} reason - why the connection dropped
+     * @property {integer} [closeCode] - the WebSocket close code, when known
+     */
+    this.emit('disconnected', { reason, closeCode: details.closeCode })
+
+    const controller = new AbortController()
+    this._reconnectController = controller
+    this.pendingConnect = true
+    this.connectPromise = this._autoReconnect(controller.signal).finally(() => {
+      if (this._reconnectController === controller) this._reconnectController = null
+      this.connectPromise = null
+    })
+    // The subscriptions are rejected when reconnecting fails.
+    this.connectPromise.catch(() => {})
+  }
+
+  async _autoReconnect (signal) {
+    const { retries = Infinity, minTimeout = 1000, maxTimeout = 30000 } = typeof this.autoReconnect === 'object' ? this.autoReconnect : {}
+    let attempts = 0
+    for (;;) {
+      await abortableSleep(Math.min(minTimeout * Math.pow(2, attempts), maxTimeout), signal)
+      attempts++
+      try {
+        await this._connect({ signal })
+        break
+      } catch (err) {
+        if (signal.aborted) throw err
+        this.instance.project.logger.debug(`Agent reconnect attempt ${attempts} failed: ${err.message}`)
+        if (attempts > retries || err instanceof NotFoundError || err instanceof InstanceStateError) {
+          this.pendingConnect = false
+          const subscriptions = this._subscriptions
+          this._subscriptions = []
+          for (const command of subscriptions) this._failCommand(command, `reconnecting failed: ${err.message}`, { cause: err })
+          throw err
+        }
+      }
+    }
+
+    const subscriptions = this._subscriptions
+    this._subscriptions = []
+    for (const command of subscriptions) {
+      // Responses to the new subscription go to the same callback.
+      command.id = this.id++
+      command.sentAt = Date.now()
+      this.pending.set(command.id, command)
+      this.ws.send(JSON.stringify(Object.assign({}, command.message, { id: command.id })))
+    }
+    /**
+     * Emitted with `autoReconnect` once the connection is back and the crash
+     * subscriptions were sent again.
+     * @event Agent#reconnected
+     * @type {object}
+     * @property {integer} attempts - how many attempts it took
+     * @property {integer} resubscribed - how many subscriptions were sent again
+     */
+    this.emit('reconnected', { attempts, resubscribed: subscriptions.length })
   }
 
   _disconnect () {
@@ -349,6 +515,50 @@ class Agent {
     }
   }
 
+  /**
+   * Reject the commands waiting for a response with an error naming each
+   * of them, except the subscriptions when they are to be sent again.
+   * @private
+   */
+  _failPending (reason, details = {}, keepSubscriptions = false) {
+    const pending = this.pending
+    this.pending = new Map()
+    for (const command of pending.values()) {
+      if (keepSubscriptions && command.resubscribe) this._subscriptions.push(command)
+      else this._failCommand(command, reason, details)
+    }
+  }
+
+  _failCommand ({ id, type, op, callback }, reason, details = {}) {
+    callback(new ConnectionClosedError(`Agent command ${type}/${op} (id ${id}) failed: ${reason}`, { ...details, type, op }))
+  }
+
+  /**
+   * @typedef {object} PendingCommand
+   * @property {integer} id - The ID of the command
+   * @property {string} type - The type of the command, e.g. `app`
+   * @property {string} op - The operation of the command, e.g. `install`
+   * @property {number} age - Milliseconds since the command was sent
+   */
+
+  /**
+   * The commands sent to the agent that it did not answer yet, oldest
+   * first, to find out what a caller is waiting for. Streams such as
+   * downloads, spawned processes and crash subscriptions remain pending
+   * until they end.
+   * @return {PendingCommand[]}
+   * @example
+   * const timer = setInterval(() => {
+   *     for (const { type, op, age } of agent.pendingCommands()) {
+   *         if (age > 60 * 1000) console.warn(`${type}/${op} running for ${age / 1000}s`);
+   *     }
+   * }, 10 * 1000);
+   */
+  pendingCommands () {
+    const now = Date.now()
+    return [...this.pending].map(([id, { type, op, sentAt }]) => ({ id, type, op, age: now - sentAt }))
+  }
+
   /**
    * Send a command to the agent.
    *
@@ -362,42 +572,42 @@ class Agent {
    * thrown from `command`.
    *
    * If no callback is specified, it is equivalent to specifying the callback
-   * `(response) => response`.
+   * `(response) => response`. Binary responses are passed as a Buffer, with
+   * the stream number from their header as the second argument.
    *
    * @param {string} type - passed in the `type` field of the agent command
    * @param {string} op - passed in the `op` field of the agent command
    * @param {Object} params - any other parameters to include in the command
    * @param {function} [handler=(response) => response] - the handler callback
    * @param {function} [uploadHandler] - a kludge for file uploads to work
+   * @param {CommandOptions} [options] - also `resubscribe`, for subscriptions that are safe to send again after
+   * reconnecting with `autoReconnect`
    * @private
    */
-  async command (type, op, params, handler, uploadHandler) {
+  async command (type, op, params, handler, uploadHandler, { timeout, signal, resubscribe = false } = {}) {
     if (handler === undefined) handler = response => response
 
     const id = this.id
     this.id++
     const message = Object.assign({ type, op, id }, params)
+    let cancelled = false
+    let command = null
 
-    while (!this.ws) {
-      await this.connect()
-    }
-    this.ws.send(JSON.stringify(message))
-    if (uploadHandler) uploadHandler(id)
-
-    return await new Promise((resolve, reject) => {
-      this.pending.set(id, async (err, response) => {
+    const timeoutError = () => new TimeoutError(`Agent command ${type}/${op} (id ${id}) did not finish within ${timeout} ms`, { timeout, type, op })
+    return await boundedWait({ timeout, signal, timeoutError }, (resolve, reject) => {
+      const callback = async (err, response, channel) => {
         if (err) {
           reject(err)
           return
         }
 
         if (response.error) {
-          reject(Object.assign(new Error(), response.error))
-          return
+          reject(new AgentCommandError(response.error, { type, op }))
+          return true
         }
 
         try {
-          const result = await handler(response)
+          const result = await handler(response, channel)
           if (result !== undefined) {
             resolve(result)
             return true // stop calling us
@@ -407,7 +617,27 @@ class Agent {
           reject(e)
           return true
         }
-      })
+      }
+
+      ;(async () => {
+        while (!this.ws) {
+          await this.connect()
+        }
+        if (cancelled) return
+        command = { id, type, op, message, resubscribe, sentAt: Date.now(), callback }
+        this.pending.set(id, command)
+        this.ws.send(JSON.stringify(message))
+        if (uploadHandler) uploadHandler(id)
+      })().catch(reject)
+
+      return () => {
+        cancelled = true
+        if (!command) return
+        // A subscription gets a new ID when it is sent again after reconnecting.
+        this._subscriptions = this._subscriptions.filter(subscription => subscription !== command)
+        // The agent keeps running the command, its answer is dropped.
+        if (this.pending.get(command.id) === command) this.pending.delete(command.id)
+      }
     })
   }
 
@@ -420,28 +650,33 @@ class Agent {
 
   /**
    * Wait for the instance to be ready to use. On iOS, this will wait until Springboard has launched.
+   * @param {CommandOptions} [options]
    * @example
    * let agent = await instance.agent();
    * await agent.ready();
+   * @example
+   * // fail a CI job instead of hanging when the VM never gets ready
+   * await agent.ready({ timeout: 5 * 60 * 1000 });
    */
-  async ready () {
-    await this.command('app', 'ready')
+  async ready (options) {
+    await this.command('app', 'ready', {}, undefined, undefined, options)
   }
 
   /**
    * Uninstalls the app with the given bundle ID.
    * @param {string} bundleID - The bundle ID of the app to uninstall.
    * @param {Agent~progressCallback} progress - The progress callback.
+   * @param {CommandOptions} [options]
    * @example
    * await agent.uninstall('com.corellium.demoapp', (progress, status) => {
    *     console.log(progress, status);
    * });
    */
-  async uninstall (bundleID, progress) {
+  async uninstall (bundleID, progress, options) {
     await this.command('app', 'uninstall', { bundleID }, message => {
       if (message.success) return message
       if (progress && message.progress) progress(message.progress, message.status)
-    })
+    }, undefined, options)
   }
 
   /**
@@ -457,12 +692,82 @@ class Agent {
   /**
    * Executes a given command
    * @param {string} cmd - The cmd to execute
+   * @param {CommandOptions} [options]
    * @return {Promise<ShellExecResult>}
    * @example
    * await agent.shellExec("uname");
    */
-  async shellExec (cmd) {
-    return await this.command('app', 'shellExec', { cmd })
+  async shellExec (cmd, options) {
+    return await this.command('app', 'shellExec', { cmd }, undefined, undefined, options)
+  }
+
+  /**
+   * Starts a command on the VM and streams its input and output, for
+   * long-running or interactive commands that {@link Agent#shellExec} cannot
+   * run, such as `logcat` or a shell.
+   *
+   * Experimental: this uses the `app/spawn`, `app/spawnResize` and
+   * `app/spawnKill` agent commands, which are not documented and which the
+   * agent may not support. If the agent rejects `app/spawn` as unknown, or
+   * does not answer it within `startTimeout`, this rejects with an
+   * {@link UnsupportedOperationError}.
+   *
+   * Resolves once the process started, or exited if that came first, or
+   * rejects if it could not be started. The output streams of the process
+   * are not paused, so read them or data is buffered in memory until the
+   * process exits.
+   * @param {string} cmd - The command line, run by the shell of the agent.
+   * @param {Object} [options]
+   * @param {boolean} [options.pty=false] - Run the process in a pseudo-terminal, e.g. for an interactive shell.
+   * @param {integer} [options.cols=80] - The width of the pseudo-terminal.
+   * @param {integer} [options.rows=24] - The height of the pseudo-terminal.
+   * @param {Object<string, string>} [options.env] - Environment variables to set for the process.
+   * @param {string} [options.cwd] - The working directory of the process.
+   * @param {integer} [options.startTimeout=10000] - Milliseconds to wait for the agent to start the process.
+   * @return {Promise<AgentProcess>}
+   * @throws {UnsupportedOperationError} if the agent does not support spawning processes
+   * @example
+   * const shell = await agent.spawn('sh', { pty: true, cols: process.stdout.columns, rows: process.stdout.rows });
+   * process.stdin.pipe(shell.stdin);
+   * shell.stdout.pipe(process.stdout);
+   * await shell.exited;
+   */
+  async spawn (cmd, { pty = false, cols = 80, rows = 24, env, cwd, startTimeout = SPAWN_START_TIMEOUT } = {}) {
+    const child = new AgentProcess(this, cmd)
+    // An agent without `app/spawn` may never answer it.
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(new UnsupportedOperationError(
+      `The agent did not start ${cmd} within ${startTimeout} ms, it may not support the experimental agent.spawn`,
+      { operation: 'agent.spawn' }
+    )), startTimeout)
+    return await new Promise((resolve, reject) => {
+      const started = () => {
+        clearTimeout(timer)
+        resolve(child)
+      }
+      this.command('app', 'spawn', { cmd, pty, cols, rows, env, cwd }, (message, channel) => {
+        if (Buffer.isBuffer(message)) {
+          child._receive(channel, message)
+        } else if (message.started) {
+          child.pid = message.pid
+          started()
+        } else if (message.exited) {
+          return message
+        }
+      }, id => { child.id = id }, { signal: controller.signal })
+        .then(message => {
+          if (child.pid === null && message.pid !== undefined) child.pid = message.pid
+          child._exit(message['exit-status'], message.signal)
+          // The process may exit before the agent reported that it started.
+          started()
+        })
+        .catch(err => {
+          clearTimeout(timer)
+          err = unsupportedAgentCommand(err, 'agent.spawn')
+          reject(err)
+          child._fail(err)
+        })
+    })
   }
 
   /**
@@ -534,18 +839,19 @@ class Agent {
    * @param {string} path - The path of the IPA on the VM's filesystem.
    * @param {Agent~progressCallback} [progress] - An optional callback that
    * will be called with information on the progress of the installation.
+   * @param {CommandOptions} [options]
    * @async
    *
    * @example
    * await agent.install('/var/tmp/temp.ipa', (progress, status) => {
    *     console.log(progress, status);
-   * });
+   * }, { timeout: 10 * 60 * 1000 });
    */
-  async install (path, progress) {
+  async install (path, progress, options) {
     await this.command('app', 'install', { path }, message => {
       if (message.success) return message
       if (progress && message.progress) progress(message.progress, message.status)
-    })
+    }, undefined, options)
   }
 
   /**
@@ -741,12 +1047,13 @@ class Agent {
    * @param {ReadableStream} stream - The app to install, the stream will be closed after it is uploaded.
    * @param {Agent~progressCallback} installProgress - The callback for install progress information.
    * @param {Agent~uploadProgressCallback} uploadProgress - The callback for file upload progress information.
+   * @param {CommandOptions} [options] - Options of the install command.
    * @example
    * await agent.installFile(fs.createReadStream('test.ipa'), (installProgress, installStatus) => {
    *     console.log(installProgress, installStatus);
    * });
    */
-  async installFile (stream, installProgress, uploadProgress) {
+  async installFile (stream, installProgress, uploadProgress, options) {
     const path = await this.tempFile()
 
     await this.upload(path, stream, uploadProgress)
@@ -754,7 +1061,7 @@ class Agent {
       stream.destroy()
     })
 
-    await this.install(path, installProgress)
+    await this.install(path, installProgress, options)
 
     try {
       await this.stat(path)
@@ -790,6 +1097,205 @@ class Agent {
     return response
   }
 
+  /**
+   * Lists the entries of a directory on the VM's filesystem.
+   * @param {string} path - The path of the directory.
+   * @return {Promise<StatEntry[]>}
+   * @example
+   * const entries = await agent.readdir('/data/local/tmp');
+   * console.log(entries.map(entry => entry.name));
+   */
+  async readdir (path) {
+    const stat = await this.stat(path)
+    if (!isDirectory(stat)) {
+      throw new AgentCommandError({ name: 'NotADirectory', message: `${path} is not a directory` }, { type: 'file', op: 'stat' })
+    }
+    return stat.entries || []
+  }
+
+  /**
+   * Walks a directory tree on the VM's filesystem, parents before their
+   * contents. Only directories and regular files are returned; symbolic
+   * links are not followed.
+   * @param {string} path - The path of the directory.
+   * @param {Object} [options]
+   * @param {string|string[]|RegExp} [options.match] - Only return the entries whose relative path matches these glob
+   * patterns. Directories that do not match are still walked.
+   * @param {string|string[]|RegExp} [options.exclude] - Skip the entries matching these glob patterns, and the contents
+   * of such directories.
+   * @return {AsyncIterable<WalkEntry>}
+   * @example
+   * for await (const { path, stat } of agent.walk('/data/data/com.example.app', { match: '*.xml' })) {
+   *     console.log(path, stat.size);
+   * }
+   */
+  async * walk (path, { match, exclude } = {}) {
+    const matches = pathMatcher(match)
+    const excluded = exclude === undefined ? () => false : pathMatcher(exclude)
+    const root = path.replace(/\/+$/, '') || '/'
+
+    const visit = async function * (dir, relative) {
+      for (const { entries, ...stat } of await this.readdir(dir)) {
+        const relativePath = relative ? `${relative}/${stat.name}` : stat.name
+        const entryPath = `${dir === '/' ? '' : dir}/${stat.name}`
+        if (excluded(relativePath) || (!isDirectory(stat) && !isFile(stat))) continue
+        if (matches(relativePath)) yield { path: entryPath, relativePath, stat }
+        if (isDirectory(stat)) yield * visit.call(this, entryPath, relativePath)
+      }
+    }
+    yield * visit.call(this, root, '')
+  }
+
+  /**
+   * Tells whether a file or directory exists on the VM's filesystem.
+   * @param {string} path
+   * @return {Promise<boolean>}
+   * @example
+   * if (!(await agent.exists('/data/local/tmp/fixtures'))) await agent.push('fixtures', '/data/local/tmp/fixtures');
+   */
+  async exists (path) {
+    try {
+      await this.stat(path)
+      return true
+    } catch (err) {
+      if (isNotFound(err)) return false
+      throw err
+    }
+  }
+
+  /**
+   * Creates a directory on the VM's filesystem, with its missing parents
+   * like `mkdir -p`, using the shell of the agent. The path is quoted and
+   * follows `--`, so the shell and `mkdir` take it literally.
+   * @param {string} path - The path of the directory.
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=true] - Create the missing parents, and succeed when the directory exists.
+   * @example
+   * await agent.mkdir('/data/local/tmp/fixtures/images');
+   */
+  async mkdir (path, { recursive = true } = {}) {
+    const result = await this.shellExec(`mkdir ${recursive ? '-p ' : ''}-- ${shellQuote(path)}`)
+    if (result['exit-status']) {
+      throw new AgentCommandError({ name: 'MkdirFailed', message: `Creating directory ${path} failed: ${(result.output || '').trim()}` }, { type: 'app', op: 'shellExec' })
+    }
+  }
+
+  /**
+   * Renames or moves a file or directory on the VM's filesystem.
+   * @param {string} path - The current path.
+   * @param {string} newPath - The new path.
+   * @example
+   * await agent.rename('/var/tmp/test.log', '/var/tmp/test.log.1');
+   */
+  async rename (path, newPath) {
+    await this.changeFileAttributes(path, { path: newPath })
+  }
+
+  /**
+   * Reads the whole file at the given path on the VM's filesystem.
+   * @param {string} path - The path of the file.
+   * @param {string} [encoding] - Return a string in this encoding instead of a Buffer.
+   * @return {Promise<Buffer|string>}
+   * @example
+   * const prefs = await agent.readFile('/var/mobile/Library/Preferences/com.example.app.plist');
+   */
+  async readFile (path, encoding) {
+    const chunks = []
+    for await (const chunk of this.download(path)) chunks.push(chunk)
+    const data = Buffer.concat(chunks)
+    return encoding ? data.toString(encoding) : data
+  }
+
+  /**
+   * Writes data to a file on the VM's filesystem, replacing it if it exists.
+   * @param {string} path - The path of the file.
+   * @param {Buffer|string} data
+   * @param {Object} [options]
+   * @param {integer} [options.mode] - The permissions of the file, e.g. `0o644`.
+   * @example
+   * await agent.writeFile('/data/local/tmp/config.json', JSON.stringify(config));
+   */
+  async writeFile (path, data, { mode } = {}) {
+    await this.upload(path, stream.Readable.from([Buffer.from(data)]))
+    if (mode !== undefined) await this.changeFileAttributes(path, { mode })
+  }
+
+  /**
+   * Downloads a directory tree from the VM's filesystem, keeping the
+   * permissions and modification times of files and directories.
+   * @param {string} remoteDir - The path of the directory on the VM.
+   * @param {string} localDir - The local directory to download it into, created if needed.
+   * @param {TransferOptions} [options]
+   * @return {Promise<string[]>} the relative paths of the files downloaded
+   * @example
+   * // the sandbox of an app, without its caches
+   * await agent.pull(sandboxPath, './sandbox', { exclude: 'Library/Caches' });
+   */
+  async pull (remoteDir, localDir, { match, exclude, progress } = {}) {
+    const pulled = []
+    const directories = []
+    await fs.promises.mkdir(localDir, { recursive: true })
+    for await (const { path, relativePath, stat } of this.walk(remoteDir, { match, exclude })) {
+      const target = nodePath.join(localDir, ...relativePath.split('/'))
+      if (isDirectory(stat)) {
+        await fs.promises.mkdir(target, { recursive: true })
+        directories.push({ target, stat })
+        continue
+      }
+      await fs.promises.mkdir(nodePath.dirname(target), { recursive: true })
+      await stream.promises.pipeline(this.download(path), fs.createWriteStream(target))
+      await fs.promises.chmod(target, stat.mode & 0o7777)
+      await fs.promises.utimes(target, stat.atime, stat.mtime)
+      pulled.push(relativePath)
+      if (progress) progress(relativePath, stat.size)
+    }
+    // Writing into a directory changes its time and may need its permissions,
+    // so directories are done last, the deepest first.
+    for (const { target, stat } of directories.reverse()) {
+      await fs.promises.chmod(target, stat.mode & 0o7777)
+      await fs.promises.utimes(target, stat.atime, stat.mtime)
+    }
+    return pulled
+  }
+
+  /**
+   * Uploads a local directory tree to the VM's filesystem, creating the
+   * directories, and keeping the permissions of files. Their modification
+   * times are the time of the upload, as the agent cannot change them.
+   * @param {string} localDir - The local directory.
+   * @param {string} remoteDir - The path of the directory on the VM, created if needed.
+   * @param {TransferOptions} [options]
+   * @return {Promise<string[]>} the relative paths of the files uploaded
+   * @example
+   * await agent.push('./test/fixtures', '/data/local/tmp/fixtures', { exclude: ['*.tmp', '.git'] });
+   */
+  async push (localDir, remoteDir, { match, exclude, progress } = {}) {
+    const pushed = []
+    const root = remoteDir.replace(/\/+$/, '') || '/'
+    const created = new Set([root])
+    await this.mkdir(root)
+    const matches = pathMatcher(match)
+    const excluded = exclude === undefined ? () => false : pathMatcher(exclude)
+    for await (const { path, relativePath, stat } of walkLocal(localDir, matches, excluded)) {
+      const target = `${root === '/' ? '' : root}/${relativePath}`
+      const parent = target.slice(0, target.lastIndexOf('/')) || '/'
+      if (stat.isDirectory()) {
+        await this.mkdir(target)
+        created.add(target)
+        continue
+      }
+      if (!created.has(parent)) {
+        await this.mkdir(parent)
+        created.add(parent)
+      }
+      await this.upload(target, fs.createReadStream(path))
+      await this.changeFileAttributes(target, { mode: stat.mode & 0o7777 })
+      pushed.push(relativePath)
+      if (progress) progress(relativePath, stat.size)
+    }
+    return pushed
+  }
+
   /**
    * Subscribe to crash events for the app with the given bundle ID. The callback will be called as soon as the agent finds a new crash log.
    *
@@ -799,7 +1305,9 @@ class Agent {
    *
    * **Note:** Since this method blocks the communication channel of the
    * agent to wait for crash reports, a new {@link Agent} connection should
-   * be created with {@link Instance#newAgent}.
+   * be created with {@link Instance#newAgent}. Create it with the
+   * `autoReconnect` option to keep the subscription when the connection
+   * drops. {@link Agent#crashReports} gives parsed reports instead.
    *
    * @see Agent#disconnect
    *
@@ -829,7 +1337,34 @@ class Agent {
 
       await this.deleteFile(path)
       callback(null, crashReport.toString('utf8'))
-    })
+    }, undefined, { resubscribe: true })
+  }
+
+  /**
+   * Subscribe to the crash reports of the app with the given bundle ID, parsed
+   * into {@link CrashReport} objects: iOS `.ips` reports, Android tombstones
+   * and Java exceptions. Each report is downloaded and, unless
+   * `keepOnDevice` is set, deleted from the VM once emitted. The stream
+   * subscribes when its first `crash` listener is added.
+   *
+   * Like {@link Agent#crashes}, the subscription holds the agent connection,
+   * so use a connection from {@link Instance#newAgent}.
+   * @param {string} bundleID - The bundle ID of the app, or Android package.
+   * @param {Object} [options]
+   * @param {string} [options.archiveDir] - Save each raw report in this local directory, under its name on the VM.
+   * @param {boolean} [options.keepOnDevice=false] - Leave the reports on the VM.
+   * @return {CrashReportStream}
+   * @example
+   * const crashListener = await instance.newAgent({ autoReconnect: true });
+   * const crashes = crashListener.crashReports('com.corellium.demoapp', { archiveDir: './crashes' });
+   * crashes.on('crash', crash => {
+   *     console.log(`${crash.exception.type} in ${crash.process} ${crash.appVersion}`);
+   *     for (const frame of crash.crashingThread.frames) console.log(frame.index, frame.image, frame.symbol);
+   * });
+   * crashes.on('error', err => console.error(err));
+   */
+  crashReports (bundleID, options) {
+    return new CrashReportStream(this, bundleID, options)
   }
 
   /** Locks the device software-wise.
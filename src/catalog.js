@@ -0,0 +1,166 @@
+'use strict'
+
+const { fetchApi } = require('./util/fetch')
+const { NotFoundError } = require('./errors')
+const { compareVersions, compareBuildIds, satisfies } = require('./util/version')
+
+/**
+ * @typedef {object} CatalogEntry
+ * @property {string} type - `ios` or `android`
+ * @property {string} flavor - The device flavor, such as `iphone6`
+ * @property {string} version - The firmware version, such as `12.4.1`
+ * @property {string} buildid - The firmware build ID, such as `16G102`
+ * @property {SupportedDevice} device - The device record from {@link Corellium#supported}
+ * @property {Object} firmware - The firmware record of the device
+ */
+
+/**
+ * Match a device against a `flavor` filter: a flavor or name, an array of
+ * them, or a RegExp.
+ * @private
+ */
+function flavorMatcher (flavor) {
+  if (flavor === undefined || flavor === null) return () => true
+  if (flavor instanceof RegExp) return device => flavor.test(device.flavor) || flavor.test(device.name)
+  const flavors = [].concat(flavor)
+  return device => flavors.includes(device.flavor) || flavors.includes(device.name)
+}
+
+// Newest first: by version, then by build ID.
+function newestFirst (a, b) {
+  return compareVersions(b.version, a.version) || compareBuildIds(b.buildid, a.buildid)
+}
+
+/**
+ * Queries over the devices and firmwares the server supports, from
+ * {@link Corellium#supported}. Available as {@link Corellium#catalog}.
+ *
+ * The device list is fetched once and cached, for `catalogMaxAge`
+ * milliseconds when the client has that option, or until
+ * {@link FirmwareCatalog#invalidate} is called.
+ * @hideconstructor
+ * @example
+ * const entries = await corellium.catalog.find({ type: 'ios', minVersion: '15.0', flavor: /iphone1[34]/ });
+ * for (const { flavor, version, buildid } of entries) console.log(flavor, version, buildid);
+ */
+class FirmwareCatalog {
+  constructor (client) {
+    this.client = client
+    this.maxAge = client.options.catalogMaxAge
+    this._devices = null
+    this._fetchedAt = 0
+    /**
+     * The device list last fetched, null until it is or after it is invalidated.
+     * @type {SupportedDevice[]?}
+     */
+    this.devices = null
+  }
+
+  /**
+   * The supported devices, from the cache while it is fresh.
+   * @returns {Promise<SupportedDevice[]>}
+   */
+  async supported () {
+    const stale = this.maxAge && Date.now() - this._fetchedAt > this.maxAge
+    if (!this._devices || stale) {
+      // Concurrent callers share the same request.
+      const devices = fetchApi(this.client, '/supported')
+      this._devices = devices
+      this._fetchedAt = Date.now()
+      devices.then(list => {
+        if (this._devices === devices) this.devices = list
+      }, () => {
+        if (this._devices === devices) this._devices = null
+      })
+    }
+    return await this._devices
+  }
+
+  /**
+   * Drop the cached device list, so the next query fetches it again, for
+   * instance after firmwares were added to the server.
+   */
+  invalidate () {
+    this._devices = null
+    this.devices = null
+  }
+
+  /**
+   * Use `devices` as the device list until the cache expires.
+   * @param {SupportedDevice[]} devices
+   */
+  cache (devices) {
+    this._devices = Promise.resolve(devices)
+    this.devices = devices
+    this._fetchedAt = Date.now()
+  }
+
+  /**
+   * Fetch the device list again.
+   * @returns {Promise<SupportedDevice[]>}
+   */
+  async refresh () {
+    this.invalidate()
+    return await this.supported()
+  }
+
+  /**
+   * Find the firmwares matching `filters`, newest first.
+   * @param {Object} [filters]
+   * @param {string|string[]} [filters.type] - `ios` or `android`
+   * @param {string|string[]|RegExp} [filters.flavor] - device flavors or names
+   * @param {string} [filters.version] - a version or a range of versions, such as `>=15.0 <16` or `14.x`, see
+   * {@link satisfies}
+   * @param {string} [filters.minVersion] - the oldest version
+   * @param {string} [filters.maxVersion] - the newest version
+   * @param {string} [filters.buildid] - a build ID
+   * @returns {Promise<CatalogEntry[]>}
+   * @example
+   * const android = await corellium.catalog.find({ type: 'android', version: '^11' });
+   */
+  async find ({ type, flavor, version, minVersion, maxVersion, buildid } = {}) {
+    const types = type === undefined ? null : [].concat(type)
+    const matchFlavor = flavorMatcher(flavor)
+    const entries = []
+    for (const device of await this.supported()) {
+      if ((types && !types.includes(device.type)) || !matchFlavor(device)) continue
+      for (const firmware of device.firmwares || []) {
+        if (version !== undefined && !satisfies(firmware.version, version)) continue
+        if (minVersion !== undefined && compareVersions(firmware.version, minVersion) < 0) continue
+        if (maxVersion !== undefined && compareVersions(firmware.version, maxVersion) > 0) continue
+        if (buildid !== undefined && firmware.buildid !== buildid) continue
+        entries.push({ type: device.type, flavor: device.flavor, version: firmware.version, buildid: firmware.buildid, device, firmware })
+      }
+    }
+    return entries.sort(newestFirst)
+  }
+
+  /**
+   * The newest firmware of a flavor, optionally within a version range.
+   * @param {string} flavor
+   * @param {string} [version] - a version range
+   * @returns {Promise<CatalogEntry|null>}
+   * @example
+   * const { version } = await corellium.catalog.latestFirmware('iphone6');
+   */
+  async latestFirmware (flavor, version) {
+    const [entry] = await this.find({ flavor, version })
+    return entry || null
+  }
+
+  /**
+   * Resolve the `os` option of {@link Project#createInstance}, `latest` or a
+   * version range, to the newest matching firmware of `flavor`.
+   * @param {string} flavor
+   * @param {string} os
+   * @returns {Promise<CatalogEntry>}
+   * @throws {NotFoundError} if no firmware matches
+   */
+  async resolve (flavor, os) {
+    const entry = await this.latestFirmware(flavor, os === 'latest' ? undefined : os)
+    if (!entry) throw new NotFoundError(`No ${flavor} firmware matches ${os}`)
+    return entry
+  }
+}
+
+module.exports = FirmwareCatalog
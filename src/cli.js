@@ -0,0 +1,456 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { loadConfig } = require('./config')
+const { ConfigurationError } = require('./errors')
+
+const USAGE = `Usage: corellium-api <command> [arguments] [options]
+
+Commands:
+  projects list
+  instances list [--project <name|id>] [--state <state,...>] [--flavor <flavor,...>] [--name <glob>]
+  instances create --project <name|id> --flavor <flavor> --os <version> [--name <name>] [--osbuild <build>] [--patches <patches>] [--wait]
+  instances start <instanceId> [--wait]
+  instances stop <instanceId> [--wait]
+  instances destroy <instanceId> [--wait]
+  snapshot list <instanceId>
+  snapshot take <instanceId> <name>
+  snapshot restore <instanceId> <snapshotId|name>
+  agent install <instanceId> <file>
+  agent shell <instanceId> <command...>
+  agent upload <instanceId> <localFile> <remotePath>
+  agent download <instanceId> <remotePath> [localFile]
+  netmon start <instanceId>
+  netmon stream <instanceId>
+  pcap download <instanceId> [--type netdump|networkMonitor] [--output <file>]
+
+Options:
+  --endpoint <url>     Corellium endpoint (env: CORELLIUM_ENDPOINT)
+  --api-token <token>  API token (env: CORELLIUM_API_TOKEN)
+  --username <user>    Username (env: CORELLIUM_USERNAME)
+  --password <pass>    Password (env: CORELLIUM_PASSWORD)
+  --totp <code>        TOTP code (env: CORELLIUM_TOTP)
+  --profile <name>     Profile of ~/.corellium/config to use (env: CORELLIUM_PROFILE)
+  --config <file>      JSON file with endpoint, apiToken or username/password and project
+  --proxy <url>        HTTP(S) proxy to connect through (env: CORELLIUM_PROXY)
+  --ca <file>          PEM file of a certificate authority to trust (env: CORELLIUM_CA)
+  --timeout <ms>       Timeout of an API request in milliseconds (env: CORELLIUM_TIMEOUT)
+  --token-store <kind> Persist the session token: file, env (env: CORELLIUM_TOKEN_STORE)
+  --json               Print machine readable JSON output
+  --help               Show this message
+`
+
+class UsageError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
+/**
+ * Split command line arguments into positional arguments and `--options`.
+ * `--key value`, `--key=value` and boolean `--flag` forms are accepted.
+ * @private
+ */
+function parseArgs (argv) {
+  const BOOLEAN_FLAGS = new Set(['json', 'help', 'wait'])
+  const positional = []
+  const flags = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1))
+      break
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+
+    const eq = arg.indexOf('=')
+    const key = (eq === -1 ? arg.slice(2) : arg.slice(2, eq)).replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+    if (eq !== -1) {
+      flags[key] = arg.slice(eq + 1)
+    } else if (BOOLEAN_FLAGS.has(key)) {
+      flags[key] = true
+    } else if (i + 1 < argv.length) {
+      flags[key] = argv[++i]
+    } else {
+      throw new UsageError(`option --${arg.slice(2)} requires a value`)
+    }
+  }
+
+  return { positional, flags }
+}
+
+// Command line options and the client options they set.
+const FLAG_OPTIONS = {
+  endpoint: 'endpoint',
+  apiToken: 'apiToken',
+  username: 'username',
+  password: 'password',
+  totp: 'totpToken',
+  project: 'project',
+  proxy: 'proxy',
+  ca: 'ca',
+  timeout: 'timeout',
+  tokenStore: 'tokenStore'
+}
+
+/**
+ * Load the Corellium client options from a `--config` file or a profile of
+ * the config file, the environment and command line flags, in increasing
+ * order of precedence. Configuration mistakes are usage errors.
+ * @private
+ */
+function loadOptions (flags, env) {
+  const overrides = {}
+  for (const [flag, option] of Object.entries(FLAG_OPTIONS)) overrides[option] = flags[flag]
+
+  try {
+    if (flags.config) {
+      const settings = JSON.parse(fs.readFileSync(flags.config, 'utf8'))
+      return loadConfig(undefined, { file: flags.config, env, settings, overrides })
+    }
+    return loadConfig(flags.profile, { env, overrides })
+  } catch (err) {
+    if (err instanceof ConfigurationError) throw new UsageError(err.message)
+    throw err
+  }
+}
+
+function requireArgs (args, names) {
+  names.forEach((name, i) => {
+    if (args[i] === undefined) throw new UsageError(`missing argument <${name}>`)
+  })
+  return args
+}
+
+async function findProject (corellium, nameOrId) {
+  if (!nameOrId) throw new UsageError('missing option --project')
+  const projects = await corellium.projects()
+  const project = projects.find(project => project.id === nameOrId || project.name === nameOrId)
+  if (!project) throw new Error(`project ${nameOrId} not found`)
+  return project
+}
+
+function getInstance (corellium, id) {
+  return corellium.getInstance({ id, throwIfNotOn: false })
+}
+
+function instanceSummary (instance) {
+  return {
+    id: instance.id,
+    name: instance.name,
+    flavor: instance.flavor,
+    os: instance.info.os,
+    state: instance.state,
+    project: instance.info.project
+  }
+}
+
+function formatTable (rows, columns) {
+  const widths = columns.map(column =>
+    Math.max(column.length, ...rows.map(row => String(row[column] === undefined ? '' : row[column]).length))
+  )
+  const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd()
+  return [
+    line(columns.map(column => column.toUpperCase())),
+    ...rows.map(row => line(columns.map(column => (row[column] === undefined ? '' : row[column]))))
+  ].join('\n')
+}
+
+const COMMANDS = {
+  'projects list': async ({ corellium }) => {
+    const projects = await corellium.projects()
+    const rows = projects.map(project => ({
+      id: project.id,
+      name: project.name,
+      cores: project.quotas && project.quotas.cores,
+      used: project.quotasUsed && project.quotasUsed.cores
+    }))
+    return { data: rows, text: () => formatTable(rows, ['id', 'name', 'cores', 'used']) }
+  },
+
+  'instances list': async ({ corellium, flags, defaultProject }) => {
+    const filters = {
+      project: flags.project || defaultProject,
+      state: flags.state ? flags.state.split(',') : undefined,
+      flavor: flags.flavor ? flags.flavor.split(',') : undefined,
+      nameMatch: flags.name
+    }
+    const rows = []
+    for await (const instance of corellium.iterateInstances(filters)) rows.push(instanceSummary(instance))
+    return { data: rows, text: () => formatTable(rows, ['id', 'name', 'flavor', 'os', 'state']) }
+  },
+
+  'instances create': async ({ corellium, flags, defaultProject }) => {
+    if (!flags.flavor) throw new UsageError('missing option --flavor')
+    if (!flags.os) throw new UsageError('missing option --os')
+    const project = await findProject(corellium, flags.project || defaultProject)
+    const options = { flavor: flags.flavor, os: flags.os }
+    for (const key of ['name', 'osbuild', 'patches']) {
+      if (flags[key] !== undefined) options[key] = flags[key]
+    }
+    const instance = await project.createInstance(options)
+    if (flags.wait) await instance.waitForState('on')
+    const summary = instanceSummary(instance)
+    return { data: summary, text: () => summary.id }
+  },
+
+  'instances start': async ({ corellium, args, flags }) => {
+    const [id] = requireArgs(args, ['instanceId'])
+    const instance = await getInstance(corellium, id)
+    await instance.start({ wait: flags.wait })
+    return { data: { id, state: flags.wait ? 'on' : 'starting' } }
+  },
+
+  'instances stop': async ({ corellium, args, flags }) => {
+    const [id] = requireArgs(args, ['instanceId'])
+    const instance = await getInstance(corellium, id)
+    await instance.stop({ wait: flags.wait })
+    return { data: { id, state: flags.wait ? 'off' : 'stopping' } }
+  },
+
+  'instances destroy': async ({ corellium, args, flags }) => {
+    const [id] = requireArgs(args, ['instanceId'])
+    const instance = await getInstance(corellium, id)
+    await instance.destroy({ wait: flags.wait })
+    return { data: { id, state: flags.wait ? 'deleted' : 'deleting' } }
+  },
+
+  'snapshot list': async ({ corellium, args }) => {
+    const [id] = requireArgs(args, ['instanceId'])
+    const instance = await getInstance(corellium, id)
+    const rows = (await instance.snapshots()).map(snapshot => ({
+      id: snapshot.id,
+      name: snapshot.name,
+      status: snapshot.status && snapshot.status.task,
+      created: snapshot.created.toISOString()
+    }))
+    return { data: rows, text: () => formatTable(rows, ['id', 'name', 'status', 'created']) }
+  },
+
+  'snapshot take': async ({ corellium, args }) => {
+    const [id, name] = requireArgs(args, ['instanceId', 'name'])
+    const instance = await getInstance(corellium, id)
+    const snapshot = await instance.takeSnapshot(name)
+    return { data: { id: snapshot.id, name: snapshot.name }, text: () => snapshot.id }
+  },
+
+  'snapshot restore': async ({ corellium, args }) => {
+    const [id, snapshotIdOrName] = requireArgs(args, ['instanceId', 'snapshotId|name'])
+    const instance = await getInstance(corellium, id)
+    const snapshot = (await instance.snapshots()).find(
+      snapshot => snapshot.id === snapshotIdOrName || snapshot.name === snapshotIdOrName
+    )
+    if (!snapshot) throw new Error(`snapshot ${snapshotIdOrName} not found`)
+    await snapshot.restore()
+    return { data: { id: snapshot.id, name: snapshot.name, restored: true } }
+  },
+
+  'agent install': async ({ corellium, args, stderr }) => {
+    const [id, file] = requireArgs(args, ['instanceId', 'file'])
+    const instance = await getInstance(corellium, id)
+    const agent = await instance.agent()
+    try {
+      await agent.ready()
+      await agent.installFile(fs.createReadStream(file), (progress, status) => {
+        stderr.write(`${Math.round(progress * 100)}% ${status}\n`)
+      })
+    } finally {
+      agent.disconnect()
+    }
+    return { data: { id, installed: path.basename(file) } }
+  },
+
+  'agent shell': async ({ corellium, args }) => {
+    const [id] = requireArgs(args, ['instanceId', 'command'])
+    const instance = await getInstance(corellium, id)
+    const agent = await instance.agent()
+    let result
+    try {
+      result = await agent.shellExec(args.slice(1).join(' '))
+    } finally {
+      agent.disconnect()
+    }
+    return {
+      data: result,
+      text: () => result.output.replace(/\n$/, ''),
+      exitCode: result['exit-status'] || 0
+    }
+  },
+
+  'agent upload': async ({ corellium, args }) => {
+    const [id, localFile, remotePath] = requireArgs(args, ['instanceId', 'localFile', 'remotePath'])
+    const instance = await getInstance(corellium, id)
+    const agent = await instance.agent()
+    try {
+      await agent.upload(remotePath, fs.createReadStream(localFile))
+    } finally {
+      agent.disconnect()
+    }
+    return { data: { id, path: remotePath } }
+  },
+
+  'agent download': async ({ corellium, args, stdout }) => {
+    const [id, remotePath] = requireArgs(args, ['instanceId', 'remotePath'])
+    const localFile = args[2]
+    const instance = await getInstance(corellium, id)
+    const agent = await instance.agent()
+    try {
+      const target = localFile ? fs.createWriteStream(localFile) : stdout
+      await new Promise((resolve, reject) => {
+        const download = agent.download(remotePath)
+        download.on('error', reject)
+        download.on('end', resolve)
+        download.pipe(target, { end: !!localFile })
+      })
+    } finally {
+      agent.disconnect()
+    }
+    return localFile ? { data: { id, path: localFile } } : { data: null, quiet: true }
+  },
+
+  'netmon start': async ({ corellium, args }) => {
+    const [id] = requireArgs(args, ['instanceId'])
+    const instance = await getInstance(corellium, id)
+    const netmon = await instance.newNetworkMonitor()
+    try {
+      await netmon.start()
+    } finally {
+      netmon.disconnect()
+    }
+    return { data: { id, enabled: true } }
+  },
+
+  'netmon stream': async ({ corellium, args, flags, stdout, signals }) => {
+    const [id] = requireArgs(args, ['instanceId'])
+    const instance = await getInstance(corellium, id)
+    const netmon = await instance.newNetworkMonitor()
+    await netmon.connect()
+    await netmon.handleMessage(entry => {
+      if (flags.json) {
+        stdout.write(JSON.stringify(entry) + '\n')
+        return
+      }
+      const host = (entry.request.headers || []).find(header => header.key === 'Host')
+      stdout.write(
+        `${entry.response.status} ${entry.request.method} ${host ? host.value : ''}${entry.request.url || ''}\n`
+      )
+    })
+    await signals.interrupted
+    netmon.disconnect()
+    return { data: null, quiet: true }
+  },
+
+  'pcap download': async ({ corellium, args, flags, stdout }) => {
+    const [id] = requireArgs(args, ['instanceId'])
+    const instance = await getInstance(corellium, id)
+    const pcap = await instance.downloadPcap(flags.type || 'netdump')
+    if (!flags.output) {
+      stdout.write(pcap)
+      return { data: null, quiet: true }
+    }
+    fs.writeFileSync(flags.output, pcap)
+    return { data: { id, path: flags.output, size: pcap.length } }
+  }
+}
+
+// Commands that run until interrupted.
+const INTERRUPTIBLE = new Set(['netmon stream'])
+
+/**
+ * Run the `corellium-api` command line tool.
+ *
+ * @param {string[]} argv - arguments, without the node binary and script name
+ * @param {Object} [io] - streams, environment and `exit` function, for embedding and tests
+ * @returns {Promise<number>} the process exit code
+ * @private
+ */
+async function main (argv, io = {}) {
+  const { Corellium } = require('./corellium')
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env
+  } = io
+
+  let parsed
+  try {
+    parsed = parseArgs(argv)
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`)
+    return 2
+  }
+  const { positional, flags } = parsed
+
+  if (flags.help || positional.length === 0) {
+    stdout.write(USAGE)
+    return flags.help ? 0 : 2
+  }
+
+  const name = positional.slice(0, 2).join(' ')
+  const command = COMMANDS[name]
+  if (!command) {
+    stderr.write(`unknown command: ${name}\n\n${USAGE}`)
+    return 2
+  }
+
+  // Only streaming commands end on Ctrl-C, by waiting for `signals.interrupted`.
+  // Any other command exits right away with the status a shell reports for
+  // SIGINT.
+  const { exit = code => process.exit(code) } = io
+  let onInterrupt = () => exit(130)
+  const signals = {}
+  if (INTERRUPTIBLE.has(name)) {
+    signals.interrupted = new Promise(resolve => {
+      onInterrupt = resolve
+    })
+  }
+  process.once('SIGINT', onInterrupt)
+
+  try {
+    const options = loadOptions(flags, env)
+    const corellium = new Corellium(options)
+    const result = await command({
+      corellium,
+      args: positional.slice(2),
+      flags,
+      defaultProject: options.project,
+      stdout,
+      stderr,
+      signals
+    })
+
+    if (!result.quiet) {
+      if (flags.json || !result.text) {
+        stdout.write(JSON.stringify(result.data, null, 2) + '\n')
+      } else {
+        stdout.write(result.text() + '\n')
+      }
+    }
+    return result.exitCode || 0
+  } catch (err) {
+    if (err instanceof UsageError) {
+      stderr.write(`${err.message}\n\n${USAGE}`)
+      return 2
+    }
+    if (flags.json) {
+      stderr.write(JSON.stringify({ error: err.message, name: err.name, code: err.code }) + '\n')
+    } else {
+      stderr.write(`error: ${err.message}\n`)
+    }
+    return 1
+  } finally {
+    process.removeListener('SIGINT', onInterrupt)
+  }
+}
+
+module.exports = {
+  main,
+  parseArgs
+}
@@ -0,0 +1,239 @@
+'use strict'
+
+// Loads client options from named profiles in ~/.corellium/config and from
+// CORELLIUM_* environment variables. The file is INI-style:
+//
+//   [default]
+//   endpoint = https://app.corellium.com
+//   api_token = ...
+//   project = Default Project
+//
+//   [onprem]
+//   endpoint = https://corellium.example.com
+//   username = ci
+//   password = ...
+//   ca = /etc/ssl/corellium-ca.pem
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { ConfigurationError } = require('./errors')
+
+const DEFAULT_PROFILE = 'default'
+
+// Profile settings and the client options they set.
+const SETTINGS = {
+  endpoint: 'endpoint',
+  api_token: 'apiToken',
+  username: 'username',
+  password: 'password',
+  totp_token: 'totpToken',
+  project: 'project',
+  proxy: 'proxy',
+  ca: 'ca',
+  timeout: 'timeout',
+  token_store: 'tokenStore'
+}
+
+// Environment variables and the client options they override.
+const ENVIRONMENT = {
+  CORELLIUM_ENDPOINT: 'endpoint',
+  CORELLIUM_API_TOKEN: 'apiToken',
+  CORELLIUM_USERNAME: 'username',
+  CORELLIUM_PASSWORD: 'password',
+  CORELLIUM_TOTP: 'totpToken',
+  CORELLIUM_PROJECT: 'project',
+  CORELLIUM_PROXY: 'proxy',
+  CORELLIUM_CA: 'ca',
+  CORELLIUM_TIMEOUT: 'timeout',
+  CORELLIUM_TOKEN_STORE: 'tokenStore'
+}
+
+const TOKEN_STORES = ['file', 'env', 'memory']
+
+function defaultConfigFile (env) {
+  return env.CORELLIUM_CONFIG_FILE || path.join(os.homedir(), '.corellium', 'config')
+}
+
+function expandHome (file) {
+  return file.replace(/^~(?=$|[/\\])/, os.homedir())
+}
+
+/**
+ * Parse an INI-style file into an object of sections. Lines starting with
+ * `#` or `;` are comments, and values may be quoted.
+ * @private
+ */
+function parseIni (text, file) {
+  const sections = {}
+  let section = null
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    line = line.trim()
+    if (line === '' || line.startsWith('#') || line.startsWith(';')) return
+
+    const header = /^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/.exec(line)
+    if (header) {
+      section = sections[header[1]] = sections[header[1]] || {}
+      return
+    }
+
+    const eq = line.indexOf('=')
+    if (eq === -1 || section === null) {
+      throw new ConfigurationError(`Invalid line ${index + 1} in ${file}: ${line}`, { file })
+    }
+    let value = line.slice(eq + 1).trim()
+    if (/^(["']).*\1$/.test(value)) value = value.slice(1, -1)
+    section[line.slice(0, eq).trim()] = value
+  })
+
+  return sections
+}
+
+/**
+ * Read the names of the profiles in the config file.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - config file, `~/.corellium/config` or `$CORELLIUM_CONFIG_FILE` by default
+ * @param {Object} [options.env=process.env] - the environment
+ * @returns {string[]}
+ */
+function listProfiles ({ file, env = process.env } = {}) {
+  file = expandHome(file || defaultConfigFile(env))
+  if (!fs.existsSync(file)) return []
+  return Object.keys(parseIni(fs.readFileSync(file, 'utf8'), file))
+}
+
+/**
+ * Read the settings of a profile from the config file, as client options.
+ * `undefined` is returned when the default profile is requested and the
+ * file does not exist, so that the environment alone can configure the
+ * client.
+ * @private
+ */
+function readProfile (profile, file, explicit) {
+  if (!fs.existsSync(file)) {
+    if (!explicit) return undefined
+    throw new ConfigurationError(`Profile "${profile}" requested but config file ${file} does not exist`, { profile, file })
+  }
+
+  const sections = parseIni(fs.readFileSync(file, 'utf8'), file)
+  const section = sections[profile]
+  if (!section) {
+    if (!explicit) return undefined
+    const available = Object.keys(sections)
+    throw new ConfigurationError(
+      `Profile "${profile}" not found in ${file}` + (available.length ? `, available profiles: ${available.join(', ')}` : ''),
+      { profile, file }
+    )
+  }
+
+  const options = {}
+  for (const [key, value] of Object.entries(section)) {
+    if (!SETTINGS[key]) {
+      throw new ConfigurationError(
+        `Unknown setting "${key}" in profile "${profile}" of ${file}, expected one of ${Object.keys(SETTINGS).join(', ')}`,
+        { profile, file, setting: key }
+      )
+    }
+    options[SETTINGS[key]] = value
+  }
+  return options
+}
+
+/**
+ * Check client options for mistakes and normalize them: the endpoint must
+ * be an http(s) URL, credentials must be present, `timeout` must be a
+ * number of milliseconds and `ca` is read from the file it names.
+ *
+ * @param {Object} options - client options
+ * @param {Object} [details] - `profile` and `file` the options came from, for error messages
+ * @returns {Object} the normalized options
+ * @throws {ConfigurationError}
+ */
+function validateConfig (options, details = {}) {
+  const where = details.profile ? ` in profile "${details.profile}"` : ''
+  const fail = (message, setting) => {
+    throw new ConfigurationError(message + where, Object.assign({ setting }, details))
+  }
+  options = Object.assign({}, options)
+
+  if (!options.endpoint) fail('No endpoint configured, set endpoint or CORELLIUM_ENDPOINT', 'endpoint')
+  let url
+  try {
+    url = new URL(options.endpoint)
+  } catch (e) {
+    fail(`Invalid endpoint "${options.endpoint}"`, 'endpoint')
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') fail(`Endpoint "${options.endpoint}" is not an http(s) URL`, 'endpoint')
+  options.endpoint = options.endpoint.replace(/\/+$/, '')
+
+  if (options.username && !options.password) fail(`No password configured for user ${options.username}`, 'password')
+  if (!options.apiToken && !options.username && !options.token && !options.tokenStore) {
+    fail('No credentials configured, set api_token or username and password', 'api_token')
+  }
+
+  if (options.timeout !== undefined) {
+    const timeout = Number(options.timeout)
+    if (!Number.isInteger(timeout) || timeout < 0) fail(`Invalid timeout "${options.timeout}", expected milliseconds`, 'timeout')
+    options.timeout = timeout
+  }
+
+  if (typeof options.tokenStore === 'string' && !TOKEN_STORES.includes(options.tokenStore)) {
+    fail(`Unknown token store "${options.tokenStore}", expected one of ${TOKEN_STORES.join(', ')}`, 'token_store')
+  }
+
+  if (typeof options.ca === 'string' && !options.ca.includes('-----BEGIN')) {
+    try {
+      options.ca = fs.readFileSync(expandHome(options.ca))
+    } catch (err) {
+      fail(`Cannot read CA file ${options.ca}: ${err.message}`, 'ca')
+    }
+  }
+
+  return options
+}
+
+/**
+ * Load the client options of a profile. Settings from the config file are
+ * overridden by `CORELLIUM_*` environment variables, then by `overrides`,
+ * and the result is validated with {@link validateConfig}.
+ *
+ * The profile is `profile`, else `$CORELLIUM_PROFILE`, else `default`.
+ *
+ * @param {string} [profile] - profile name
+ * @param {Object} [options]
+ * @param {string} [options.file] - config file, `~/.corellium/config` or `$CORELLIUM_CONFIG_FILE` by default
+ * @param {Object} [options.env=process.env] - the environment
+ * @param {Object} [options.settings] - client options to use instead of a profile of the config file
+ * @param {Object} [options.overrides] - client options that override the environment, such as command line options
+ * @returns {Object} options for the {@link Corellium} constructor
+ * @throws {ConfigurationError}
+ */
+function loadConfig (profile, { file, env = process.env, settings, overrides = {} } = {}) {
+  const explicit = !!(profile || env.CORELLIUM_PROFILE)
+  profile = profile || env.CORELLIUM_PROFILE || DEFAULT_PROFILE
+  file = expandHome(file || defaultConfigFile(env))
+
+  const options = Object.assign({}, settings || readProfile(profile, file, explicit))
+  for (const [variable, option] of Object.entries(ENVIRONMENT)) {
+    if (env[variable]) options[option] = env[variable]
+  }
+  for (const [option, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[option] = value
+  }
+
+  return validateConfig(options, settings ? { file } : { profile, file })
+}
+
+module.exports = {
+  loadConfig,
+  listProfiles,
+  validateConfig,
+  readProfile,
+  parseIni,
+  defaultConfigFile,
+  SETTINGS,
+  ENVIRONMENT
+}
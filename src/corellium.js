@@ -1,7 +1,22 @@
+#!/usr/bin/env node
 'use strict'
 
-const { fetch, fetchApi, CorelliumError } = require('./util/fetch')
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const { fetch, fetchApi } = require('./util/fetch')
+const { Transport } = require('./util/transport')
+const errors = require('./errors')
+const { MemoryTokenStore, EnvTokenStore, FileTokenStore, createTokenStore } = require('./token-store')
+const { loadConfig, listProfiles } = require('./config')
+const { DEFAULT_CONCURRENCY, mapLimit } = require('./util/concurrency')
+const { paginate } = require('./util/paginate')
+const { instanceFilter, nameMatcher } = require('./util/filters')
 const Project = require('./project')
+const FirmwareCatalog = require('./catalog')
+const { Image, ImageStore } = require('./image-store')
+const { AgentProcess } = require('./agent-process')
+const { parseCrashReport, CrashReportStream } = require('./crash-report')
+const { compareVersions, compareBuildIds, satisfies } = require('./util/version')
 const Instance = require('./instance')
 const Team = require('./team')
 const User = require('./user')
@@ -42,10 +57,18 @@ const { listImagesMetaData } = require('./images')
  * @property {string} expiration
  */
 
+// Tokens are refreshed once they are less than this far from expiring.
+const TOKEN_REFRESH_MARGIN = 15 * 60 * 1000
+
+function tokenIsFresh (token) {
+  const expiration = typeof token.expiration === 'string' ? Date.parse(token.expiration) : token.expiration
+  return expiration > new Date(Date.now() + TOKEN_REFRESH_MARGIN)
+}
+
 /**
  * The Corellium API client.
  */
-class Corellium {
+class Corellium extends EventEmitter {
   /**
    * Create a new Corellium client.
    * @constructor
@@ -56,6 +79,25 @@ class Corellium {
    * @param {string?} options.password - Login password
    * @param {Token?} options.token - Login token
    * @param {string?} options.totpToken - Login TOTP (Timebased One Time Password)
+   * @param {RetryOptions?} options.retry - Retry policy of API requests
+   * @param {integer?} options.timeout - Timeout of an API request attempt in milliseconds, default 60000, `0` to disable
+   * @param {http.Agent?} options.httpAgent - Agent used for all HTTP and WebSocket connections
+   * @param {string?} options.proxy - URL of an HTTP(S) proxy to connect through
+   * @param {string|Buffer|Array?} options.ca - PEM-encoded certificate authorities to trust, e.g. for an on-premise server
+   * @param {Object|boolean?} options.logger - Logger with `debug`, `info`, `warn` and `error` methods for the library's diagnostics, `false` to silence them
+   * @param {Transport~requestHook?} options.onRequest - Called before every API request attempt
+   * @param {Transport~responseHook?} options.onResponse - Called after every API request attempt with its status and duration
+   * @param {Object?} options.tracer - OpenTelemetry `Tracer` that API requests are recorded with as client spans
+   * @param {string?} options.project - Name or ID of the project returned by {@link Corellium#getDefaultProject}
+   * @param {integer?} options.concurrency - How many requests listing methods such as {@link Corellium#projects} run at the same time, default 8
+   * @param {TokenStore|string?} options.tokenStore - Where to persist authentication tokens between clients and processes: a {@link TokenStore}, or `'file'`, `'env'` or `'memory'` for the built-in stores
+   * @param {integer?} options.updateInterval - Polling interval in milliseconds, default 5000
+   * @param {integer?} options.activeUpdateInterval - Polling interval in milliseconds while a watched instance runs a task or is booting, default 1000
+   * @param {integer?} options.catalogMaxAge - How long the supported device list of {@link Corellium#catalog} is cached in milliseconds, forever by default
+   * @param {boolean|Object?} options.firmwareAssets - Fetch the firmware assets an instance needs when creating it, with these {@link Project#ensureFirmwareAssets} options if an object
+   * @param {string?} options.firmwareAssetCacheDir - Where firmware assets are downloaded, `~/.corellium/firmware-assets` by default
+   * @param {string|function?} options.firmwareAssetMirror - A directory or URL to get firmware assets from instead of their own URL, see {@link Project#ensureFirmwareAssets}
+   * @param {string?} options.uploadCheckpointDir - Where image uploads save checkpoints to resume from after an interruption, see {@link Project#uploadImage}
    * @example
    * const corellium = new Corellium({
    *     endpoint: 'https://app.corellium.com',
@@ -63,48 +105,207 @@ class Corellium {
    *     password: 'password',
    *     totpToken: '123456',
    * });
+   * @example
+   * // on-premise server behind a proxy, with a certificate from a private CA
+   * const corellium = new Corellium({
+   *     endpoint: 'https://corellium.example.com',
+   *     apiToken: process.env.CORELLIUM_API_TOKEN,
+   *     proxy: 'http://proxy.example.com:3128',
+   *     ca: fs.readFileSync('/etc/ssl/example-ca.pem'),
+   *     timeout: 30 * 1000,
+   *     retry: { retries: 5, maxRetryAfter: 2 * 60 * 1000 },
+   * });
+   * @example
+   * // structured logs and request metrics
+   * const corellium = new Corellium({
+   *     endpoint: 'https://app.corellium.com',
+   *     apiToken: process.env.CORELLIUM_API_TOKEN,
+   *     logger: pino(),
+   *     onResponse: ({ method, url, status, duration, retries }) => metrics.observe(duration, { method, status }),
+   *     tracer: opentelemetry.trace.getTracer('corellium'),
+   * });
+   * @example
+   * // log in once and reuse the token in later runs
+   * const corellium = new Corellium({
+   *     endpoint: 'https://app.corellium.com',
+   *     username: 'username',
+   *     password: 'password',
+   *     totpToken: '123456',
+   *     tokenStore: 'file',
+   * });
    */
   constructor (options) {
+    super()
     this.options = options
     this.api = options.endpoint + '/api/v1'
+    this.transport = new Transport(options)
+    this.logger = this.transport.logger
     this.token = null
-    this.supportedDevices = null
+    this.tokenStore = createTokenStore(options.tokenStore)
+    this._refreshingToken = null
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY
+    /**
+     * The devices and firmwares the server supports.
+     * @type {FirmwareCatalog}
+     */
+    this.catalog = new FirmwareCatalog(this)
+    /**
+     * The images of the domain.
+     * @type {ImageStore}
+     */
+    this.images = new ImageStore(this)
     this._teams = null
   }
 
   /**
-   * Returns refreshed authentication token
+   * Create a client from a profile of the config file, `~/.corellium/config`
+   * (or `$CORELLIUM_CONFIG_FILE`), and `CORELLIUM_*` environment variables,
+   * which take precedence. The profile defaults to `$CORELLIUM_PROFILE`,
+   * else `default`. Without a config file, the environment alone is used.
+   *
+   * A profile holds `endpoint`, `api_token` or `username` and `password`,
+   * and optionally `totp_token`, `project`, `proxy`, `ca` (a PEM file),
+   * `timeout` and `token_store`.
+   *
+   * @param {string} [profile] - profile name
+   * @param {Object} [options] - client options that override the profile, such as `logger`
+   * @returns {Corellium}
+   * @throws {ConfigurationError} if the profile does not exist or is invalid
+   * @example
+   * // ~/.corellium/config
+   * // [cloud]
+   * // endpoint = https://app.corellium.com
+   * // api_token = ...
+   * // project = Default Project
+   * //
+   * // [onprem]
+   * // endpoint = https://corellium.example.com
+   * // username = ci
+   * // password = ...
+   * // ca = /etc/ssl/corellium-ca.pem
+   * const corellium = Corellium.fromConfig(process.env.TARGET === 'onprem' ? 'onprem' : 'cloud');
+   * const project = await corellium.getDefaultProject();
+   */
+  static fromConfig (profile, options = {}) {
+    return new Corellium(Object.assign(loadConfig(profile), options))
+  }
+
+  /**
+   * Returns the names of the profiles in the config file.
+   * @returns {string[]}
+   * @example
+   * console.log(Corellium.profiles());
+   */
+  static profiles () {
+    return listProfiles()
+  }
+
+  /**
+   * The key that the token of this client is stored under in the token
+   * store. It identifies the endpoint and the account.
+   * @type {string}
+   */
+  get tokenKey () {
+    let account = 'token'
+    if (this.options.apiToken) {
+      account = 'apiToken:' + crypto.createHash('sha256').update(this.options.apiToken).digest('hex').slice(0, 16)
+    } else if (this.options.username) {
+      account = this.options.username
+    }
+    return `${this.options.endpoint} ${account}`
+  }
+
+  /**
+   * Returns refreshed authentication token.
+   *
+   * Concurrent calls share a single refresh. With a `tokenStore`, a token
+   * stored by another client or process is used if it is still valid, and
+   * new tokens are saved to the store.
    * @return {string} token
+   * @fires Corellium#tokenRotated
    * @example
    * let token = await corellium.getToken()
    */
   async getToken () {
-    const token = this.token || this.options.token
+    const token = await (this.token || this.options.token)
 
     // If the token is more than 15 minutes from expiring, we don't need to refresh it.
-    if (token) {
-      const maxExpiration = new Date(new Date().getTime() + 15 * 60 * 1000)
-
-      if (Promise.resolve(token) === token) {
-        const tokenObj = await token
-        if (tokenObj.expiration > maxExpiration) {
-          return tokenObj.token
-        }
+    if (token && tokenIsFresh(token)) return token.token
+
+    if (!this._refreshingToken) {
+      this._refreshingToken = this._refreshToken(token).finally(() => {
+        this._refreshingToken = null
+      })
+    }
+    return (await this._refreshingToken).token
+  }
+
+  /**
+   * Forget an authentication token the API rejected, in this client and in
+   * the token store, so that the next call logs in again. API calls do
+   * this by themselves when they are answered with HTTP 401.
+   * @param {string} token
+   * @returns {Promise<boolean>} whether the client has credentials to log in again
+   * @example
+   * await corellium.invalidateToken(await corellium.getToken());
+   */
+  async invalidateToken (token) {
+    if (this.token && this.token.token === token) this.token = null
+    const option = await this.options.token
+    if (option && option.token === token) this.options.token = null
+
+    const store = this.tokenStore
+    if (store) {
+      const key = this.tokenKey
+      const forget = async () => {
+        const stored = await store.get(key)
+        if (stored && stored.token === token) await store.delete(key)
       }
+      await (store.lock ? store.lock(key, forget) : forget())
+    }
+    return !!(this.options.apiToken || (this.options.username && this.options.password))
+  }
+
+  async _refreshToken (current) {
+    const store = this.tokenStore
+    if (!store) return this._rotateToken(await this._requestToken(current))
 
-      const expiration = typeof token.expiration === 'string' ? Date.parse(token.expiration) : token.expiration
-      if (expiration > maxExpiration) {
-        return token.token
+    const key = this.tokenKey
+    const refresh = async () => {
+      const stored = await store.get(key)
+      if (stored && tokenIsFresh(stored)) {
+        this.token = stored
+        return stored
       }
+
+      const token = await this._requestToken(stored || current)
+      await store.set(key, token)
+      return this._rotateToken(token)
     }
+    return store.lock ? await store.lock(key, refresh) : await refresh()
+  }
+
+  _rotateToken (token) {
+    this.token = token
+    /**
+     * Emitted when the client obtains a new authentication token, by
+     * logging in or by renewing the previous token.
+     * @event Corellium#tokenRotated
+     * @type {Token}
+     */
+    this.emit('tokenRotated', token)
+    return token
+  }
 
+  async _requestToken (current) {
     const postData = {}
     const fetchOptions = {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      json: postData
+      json: postData,
+      transport: this.transport
     }
     if (this.options.apiToken) {
       postData.apiToken = this.options.apiToken
@@ -114,19 +315,16 @@ class Corellium {
       if (this.options.totpToken) {
         postData.totpToken = this.options.totpToken
       }
-    } else if (token) {
+    } else if (current) {
       // renew using current token
-      fetchOptions.headers.Authorization = token.token
+      fetchOptions.headers.Authorization = current.token
     }
 
-    this.token = (async () => {
-      const res = await fetch(`${this.api}/tokens`, fetchOptions)
-      return {
-        token: res.token,
-        expiration: new Date(res.expiration)
-      }
-    })()
-    return (await this.token).token
+    const res = await fetch(`${this.api}/tokens`, fetchOptions)
+    return {
+      token: res.token,
+      expiration: new Date(res.expiration)
+    }
   }
 
   /**
@@ -177,7 +375,80 @@ class Corellium {
    */
   async projects () {
     const projects = await fetchApi(this, '/projects?ids_only=1')
-    return await Promise.all(projects.map(project => this.getProject(project.id)))
+    return await mapLimit(projects, this.concurrency, project => this.getProject(project.id))
+  }
+
+  /**
+   * Iterates over the {@link Project}s that this client is allowed to
+   * access, fetching them a page at a time.
+   * @param {Object} [filters]
+   * @param {string|RegExp} [filters.nameMatch] - only projects whose name matches this glob pattern (`*` and `?` wildcards) or regular expression
+   * @param {integer} [filters.pageSize=100] - number of projects requested at a time
+   * @returns {AsyncIterable<Project>}
+   * @example
+   * for await (const project of corellium.iterateProjects({ nameMatch: 'CI *' })) {
+   *     console.log(project.name, project.quotasUsed.cores);
+   * }
+   */
+  async * iterateProjects ({ nameMatch, pageSize } = {}) {
+    const matches = nameMatcher(nameMatch)
+    for await (const page of paginate(this, '/projects', { query: { ids_only: 1 }, pageSize })) {
+      const projects = await mapLimit(page, this.concurrency, project => this.getProject(project.id))
+      for (const project of projects) {
+        if (matches(project.name)) yield project
+      }
+    }
+  }
+
+  /**
+   * Iterates over the {@link Instance}s that this client is allowed to
+   * access, fetching them a page at a time. Filters are sent to the server
+   * and also applied to the results.
+   * @param {Object} [filters]
+   * @param {Project|string} [filters.project] - only instances of this project, given as {@link Project}, ID or name
+   * @param {string|string[]} [filters.state] - only instances in one of these states, e.g. `'on'`
+   * @param {string|string[]} [filters.flavor] - only instances of one of these flavors, e.g. `'iphone6'`
+   * @param {string|RegExp} [filters.nameMatch] - only instances whose name matches this glob pattern (`*` and `?` wildcards) or regular expression
+   * @param {integer} [filters.pageSize=100] - number of instances requested at a time
+   * @returns {AsyncIterable<Instance>}
+   * @throws {NotFoundError} if the project does not exist
+   * @example
+   * for await (const instance of corellium.iterateInstances({ state: 'on', nameMatch: 'ci-*' })) {
+   *     await instance.stop();
+   * }
+   */
+  async * iterateInstances ({ project, state, flavor, nameMatch, pageSize } = {}) {
+    const projects = new Map()
+    let projectId
+    if (project instanceof Project) {
+      projectId = project.id
+      projects.set(project.id, project)
+    } else if (project) {
+      projectId = await this._findProjectId(project)
+    }
+
+    const matches = instanceFilter({ projectId, state, flavor, nameMatch })
+    const endpoint = projectId ? `/projects/${projectId}/instances` : '/instances'
+    for await (const page of paginate(this, endpoint, { query: { state, flavor }, pageSize })) {
+      const infos = page.filter(matches)
+
+      const missing = [...new Set(infos.map(info => info.project))].filter(id => !projects.has(id))
+      await mapLimit(missing, this.concurrency, async id => {
+        projects.set(id, await this.getProject(id))
+      })
+
+      for (const info of infos) yield new Instance(projects.get(info.project), info)
+    }
+  }
+
+  async _findProjectId (nameOrId) {
+    for await (const page of paginate(this, '/projects', { query: { ids_only: 1 } })) {
+      if (page.find(project => project.id === nameOrId)) return nameOrId
+    }
+    for await (const project of this.iterateProjects()) {
+      if (project.name === nameOrId) return project.id
+    }
+    throw new errors.NotFoundError(`Project ${nameOrId} not found`)
   }
 
   /**
@@ -336,8 +607,7 @@ class Corellium {
       usersOrTeams = grantee instanceof Team && 'teams'
     }
     if (!usersOrTeams) {
-      // eslint-disable-next-line no-throw-literal
-      throw 'Grantee not User or Team'
+      throw new TypeError('Grantee not User or Team')
     }
 
     await fetchApi(this, `/roles/projects/${project}/${usersOrTeams}/${grantee.id}/roles/${type}`, {
@@ -411,16 +681,50 @@ class Corellium {
     return projects.find(project => project.name === name)
   }
 
-  /** Returns supported device list
+  /**
+   * Returns the project named by the `project` option, by name or ID. If
+   * the option is not set and the user has access to a single project,
+   * that project is returned.
+   * @returns {Promise<Project>}
+   * @throws {NotFoundError} if the configured project does not exist
+   * @throws {ConfigurationError} if no project is configured and there is more than one to choose from
+   * @example
+   * const project = await Corellium.fromConfig('ci').getDefaultProject();
+   */
+  async getDefaultProject () {
+    const projects = await this.projects()
+    const nameOrId = this.options.project
+    if (!nameOrId) {
+      if (projects.length === 1) return projects[0]
+      throw new errors.ConfigurationError(`No default project configured and ${projects.length} projects are available`, { setting: 'project' })
+    }
+    const project = projects.find(project => project.id === nameOrId || project.name === nameOrId)
+    if (!project) throw new errors.NotFoundError(`Project ${nameOrId} not found`)
+    return project
+  }
+
+  /**
+   * The supported device list, as last fetched by {@link Corellium#supported},
+   * or null before it is. Setting it to null drops the cache.
+   * @type {SupportedDevice[]?}
+   */
+  get supportedDevices () {
+    return this.catalog.devices
+  }
+
+  set supportedDevices (devices) {
+    if (devices) this.catalog.cache(devices)
+    else this.catalog.invalidate()
+  }
+
+  /** Returns supported device list. It is cached, see {@link Corellium#catalog}
+   * to query it and to fetch it again.
    * @return {SupportedDevice[]}
    * @example
    * let supported = await corellium.supported();
    */
   async supported () {
-    if (!this.supportedDevices) {
-      this.supportedDevices = await fetchApi(this, '/supported')
-    }
-    return this.supportedDevices
+    return await this.catalog.supported()
   }
 
   /** Returns all keys for the project
@@ -514,7 +818,43 @@ class Corellium {
 
 module.exports = {
   Corellium,
-  CorelliumError,
+  CorelliumError: errors.CorelliumError,
+  AuthenticationError: errors.AuthenticationError,
+  NotFoundError: errors.NotFoundError,
+  QuotaExceededError: errors.QuotaExceededError,
+  RateLimitedError: errors.RateLimitedError,
+  ServerError: errors.ServerError,
+  AgentCommandError: errors.AgentCommandError,
+  ConnectionClosedError: errors.ConnectionClosedError,
+  TimeoutError: errors.TimeoutError,
+  WaitTimeoutError: errors.WaitTimeoutError,
+  InstanceStateError: errors.InstanceStateError,
+  InvalidStateError: errors.InvalidStateError,
+  ConfigurationError: errors.ConfigurationError,
+  TemplateError: errors.TemplateError,
+  ChecksumMismatchError: errors.ChecksumMismatchError,
+  MissingFirmwareAssetsError: errors.MissingFirmwareAssetsError,
+  UnsupportedOperationError: errors.UnsupportedOperationError,
+  MemoryTokenStore,
+  EnvTokenStore,
+  FileTokenStore,
   I,
-  WebPlayer
+  WebPlayer,
+  FirmwareCatalog,
+  Image,
+  ImageStore,
+  AgentProcess,
+  CrashReportStream,
+  parseCrashReport,
+  compareVersions,
+  compareBuildIds,
+  satisfies
+}
+
+if (require.main === module) {
+  require('./cli')
+    .main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code
+    })
 }
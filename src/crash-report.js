@@ -0,0 +1,417 @@
+'use strict'
+
+// Parsing of the crash reports the agent finds: iOS `.ips` files, Android
+// native tombstones and Android Java exceptions, into one shape. Parsing
+// never throws; what cannot be read is left null and `raw` keeps the text.
+
+const EventEmitter = require('events')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * @typedef {object} CrashFrame
+ * @property {integer} index - Position in the backtrace, 0 being the innermost frame
+ * @property {string?} image - Name of the binary image of the frame, e.g. `UIKitCore` or `libc.so`
+ * @property {string?} address - Address of the instruction, hex with a `0x` prefix
+ * @property {string?} symbol - Function or method name, when symbolicated
+ * @property {integer?} offset - Offset of the address from the start of the symbol
+ * @property {string?} file - Source file, when known
+ * @property {integer?} line - Source line, when known
+ */
+
+/**
+ * @typedef {object} CrashImage
+ * @property {string} name - e.g. `Demo` or `libnative.so`
+ * @property {string?} path
+ * @property {string?} uuid - Mach-O UUID on iOS, ELF build ID on Android
+ * @property {string?} base - Load address, hex with a `0x` prefix
+ * @property {integer?} size
+ * @property {string?} arch
+ */
+
+/**
+ * @typedef {object} CrashReport
+ * @property {string} format - `ips`, `tombstone`, `java`, or `unknown` when the report could not be parsed
+ * @property {string?} platform - `ios` or `android`
+ * @property {string?} process - Name of the process that crashed
+ * @property {integer?} pid
+ * @property {string?} bundleID - Bundle ID or Android package of the app
+ * @property {string?} appVersion - Version of the app, e.g. `1.2.0`, when the report has it
+ * @property {string?} timestamp - The time of the crash as written in the report
+ * @property {Object} exception
+ * @property {string?} exception.type - e.g. `EXC_BAD_ACCESS`, `SIGSEGV` or `java.lang.NullPointerException`
+ * @property {string?} exception.signal - e.g. `SIGSEGV`, for native crashes
+ * @property {string?} exception.codes - Exception or signal codes
+ * @property {string?} exception.message - Subtype, abort message or exception message
+ * @property {Object[]} exception.causes - For Java exceptions, the `type` and `message` of each `Caused by`
+ * @property {Object} crashingThread
+ * @property {integer?} crashingThread.id
+ * @property {string?} crashingThread.name
+ * @property {CrashFrame[]} crashingThread.frames - The backtrace of the thread that crashed
+ * @property {CrashImage[]} binaryImages
+ * @property {string} raw - The text of the report
+ * @property {string} [path] - Where the report was on the VM, for reports from {@link Agent#crashReports}
+ * @property {string} [archivePath] - Where the report was archived, with the `archiveDir` option of {@link Agent#crashReports}
+ */
+
+const hex = value => typeof value === 'number' ? `0x${value.toString(16)}` : value ? `0x${value.replace(/^0x/, '').replace(/'/g, '')}` : null
+const integer = value => value === undefined || value === null || value === '' ? null : Number(value)
+
+function emptyReport (raw) {
+  return {
+    format: 'unknown',
+    platform: null,
+    process: null,
+    pid: null,
+    bundleID: null,
+    appVersion: null,
+    timestamp: null,
+    exception: { type: null, signal: null, codes: null, message: null, causes: [] },
+    crashingThread: { id: null, name: null, frames: [] },
+    binaryImages: [],
+    raw
+  }
+}
+
+// iOS 15 and later: a JSON header line followed by a JSON body.
+function parseIps (raw) {
+  const newline = raw.indexOf('\n')
+  if (!raw.trimStart().startsWith('{') || newline === -1) return null
+  let header, body
+  try {
+    header = JSON.parse(raw.slice(0, newline))
+    body = JSON.parse(raw.slice(newline + 1))
+  } catch (err) {
+    return null
+  }
+  if (!body || typeof body !== 'object' || (!body.threads && !body.exception)) return null
+
+  const report = emptyReport(raw)
+  const bundleInfo = body.bundleInfo || {}
+  const exception = body.exception || {}
+  const images = (body.usedImages || []).map(image => ({
+    name: image.name || (image.path ? path.posix.basename(image.path) : null),
+    path: image.path || null,
+    uuid: image.uuid || null,
+    base: hex(image.base),
+    size: integer(image.size),
+    arch: image.arch || null
+  }))
+  const threads = body.threads || []
+  const index = Number.isInteger(body.faultingThread) ? body.faultingThread : threads.findIndex(thread => thread.triggered)
+  const thread = threads[index] || {}
+  // An uncaught Objective-C exception is thrown from the last exception backtrace.
+  const frames = body.lastExceptionBacktrace || thread.frames || []
+
+  Object.assign(report, {
+    format: 'ips',
+    platform: 'ios',
+    process: body.procName || header.app_name || header.name || null,
+    pid: integer(body.pid),
+    bundleID: bundleInfo.CFBundleIdentifier || header.bundleID || null,
+    appVersion: bundleInfo.CFBundleShortVersionString || header.app_version || null,
+    timestamp: header.timestamp || body.captureTime || null,
+    exception: {
+      type: exception.type || null,
+      signal: exception.signal || null,
+      codes: exception.codes || null,
+      message: exception.subtype || (body.asi ? Object.values(body.asi).flat().join('\n') : null),
+      causes: []
+    },
+    crashingThread: {
+      id: integer(thread.id),
+      name: thread.name || thread.queue || null,
+      frames: frames.map((frame, index) => {
+        const image = images[frame.imageIndex]
+        return {
+          index,
+          image: image ? image.name : null,
+          address: image && image.base ? `0x${(BigInt(image.base) + BigInt(frame.imageOffset || 0)).toString(16)}` : null,
+          symbol: frame.symbol || null,
+          offset: integer(frame.symbolLocation),
+          file: frame.sourceFile || null,
+          line: integer(frame.sourceLine)
+        }
+      })
+    },
+    binaryImages: images
+  })
+  return report
+}
+
+const TOMBSTONE_FRAME = /^\s*#(\d+) pc ([0-9a-f]+)\s+(\S+)(?: \(offset 0x[0-9a-f]+\))?(?: \((.+)\+(\d+)\))?(?: \(BuildId: ([0-9a-f]+)\))?\s*$/
+const MEMORY_MAP = /^\s*(?:--->)?\s*([0-9a-f']+)-([0-9a-f']+) [r-][w-]x\s+[0-9a-f]+\s+[0-9a-f]+\s+(\/\S+)(?: \(BuildId: ([0-9a-f]+)\))?/
+
+function parseTombstone (raw) {
+  const process = /^pid: (\d+), tid: (\d+), name: (.*?)\s+>>> (.+?) <<<$/m.exec(raw)
+  if (!process) return null
+
+  const report = emptyReport(raw)
+  const signal = /^signal (\d+) \((\w+)\), code (-?\d+) \((\w+)\)(?:, fault addr (\S+))?/m.exec(raw)
+  const abort = /^Abort message: '(.*)'$/m.exec(raw)
+  const cause = /^Cause: (.*)$/m.exec(raw)
+  const abi = /^ABI: '(.+)'$/m.exec(raw)
+  const timestamp = /^Timestamp: (.+)$/m.exec(raw)
+
+  // The first backtrace is the one of the crashing thread.
+  const lines = raw.split('\n')
+  const frames = []
+  const start = lines.findIndex(line => /^backtrace:/.test(line))
+  for (let i = start === -1 ? lines.length : start + 1; i < lines.length; i++) {
+    const frame = TOMBSTONE_FRAME.exec(lines[i])
+    if (!frame) {
+      if (frames.length) break
+      continue
+    }
+    frames.push({
+      index: Number(frame[1]),
+      image: path.posix.basename(frame[3]),
+      address: hex(frame[2]),
+      symbol: frame[4] || null,
+      offset: integer(frame[5]),
+      file: null,
+      line: null,
+      path: frame[3],
+      buildId: frame[6] || null
+    })
+  }
+
+  const images = new Map()
+  for (const line of lines) {
+    const mapping = MEMORY_MAP.exec(line)
+    if (!mapping || images.has(mapping[3])) continue
+    const [from, to] = [mapping[1], mapping[2]].map(address => BigInt(hex(address)))
+    images.set(mapping[3], { name: path.posix.basename(mapping[3]), path: mapping[3], uuid: mapping[4] || null, base: hex(mapping[1]), size: Number(to - from + 1n), arch: abi ? abi[1] : null })
+  }
+  // Tombstones from logcat have no memory map: take the images of the backtrace.
+  if (!images.size) {
+    for (const frame of frames) {
+      if (!images.has(frame.path)) images.set(frame.path, { name: frame.image, path: frame.path, uuid: frame.buildId, base: null, size: null, arch: abi ? abi[1] : null })
+    }
+  }
+
+  Object.assign(report, {
+    format: 'tombstone',
+    platform: 'android',
+    process: process[4],
+    pid: Number(process[1]),
+    bundleID: process[4].split(':')[0],
+    timestamp: timestamp ? timestamp[1] : null,
+    exception: {
+      type: signal ? signal[2] : null,
+      signal: signal ? signal[2] : null,
+      codes: signal ? `${signal[3]} (${signal[4]})` : null,
+      message: abort ? abort[1] : cause ? cause[1] : signal && signal[5] ? `fault addr ${signal[5]}` : null,
+      causes: []
+    },
+    crashingThread: {
+      id: Number(process[2]),
+      name: process[3] || null,
+      frames: frames.map(({ path, buildId, ...frame }) => frame)
+    },
+    binaryImages: [...images.values()]
+  })
+  return report
+}
+
+const LOGCAT_PREFIX = /^.*?AndroidRuntime(?:\(\s*\d+\))?: ?/
+const JAVA_EXCEPTION = /^([a-zA-Z_$][\w$]*(?:\.[\w$]+)+)(?:: (.*))?$/
+const JAVA_FRAME = /^\s+at ([\w$.<>-]+)\((.*)\)$/
+
+function parseJavaException (raw) {
+  const lines = raw.split('\n').map(line => line.replace(/\r$/, '').replace(LOGCAT_PREFIX, ''))
+  if (!lines.some(line => JAVA_FRAME.test(line))) return null
+
+  const report = emptyReport(raw)
+  const header = name => {
+    const line = lines.find(line => line.startsWith(`${name}: `))
+    return line ? line.slice(name.length + 2) : null
+  }
+  // `Process: com.example.app, PID: 1234` in logcat, separate lines in dropbox entries.
+  const process = header('Process')
+  const [processName, pid] = process ? process.split(/, PID: /) : []
+  const pkg = /^(\S+) v\d+ \((.+)\)$/.exec(header('Package') || '')
+
+  // The exception is the line before the first frame.
+  const start = lines.findIndex((line, i) => JAVA_EXCEPTION.test(line) && JAVA_FRAME.test(lines[i + 1] || ''))
+  if (start === -1) return null
+  const [, type, message = null] = JAVA_EXCEPTION.exec(lines[start])
+
+  const frames = []
+  const causes = []
+  for (let i = start + 1; i < lines.length; i++) {
+    const frame = JAVA_FRAME.exec(lines[i])
+    if (frame && !causes.length) {
+      const location = /^(.+?):(\d+)$/.exec(frame[2])
+      frames.push({
+        index: frames.length,
+        image: null,
+        address: null,
+        symbol: frame[1],
+        offset: null,
+        file: location ? location[1] : frame[2] === 'Native Method' || frame[2] === 'Unknown Source' ? null : frame[2],
+        line: location ? Number(location[2]) : null
+      })
+    }
+    const cause = /^Caused by: ([\w$.]+)(?:: (.*))?$/.exec(lines[i])
+    if (cause) causes.push({ type: cause[1], message: cause[2] || null })
+  }
+
+  const thread = header('FATAL EXCEPTION')
+  Object.assign(report, {
+    format: 'java',
+    platform: 'android',
+    process: processName || (pkg && pkg[1]) || null,
+    pid: integer(pid || header('PID')),
+    bundleID: (pkg && pkg[1]) || (processName ? processName.split(':')[0] : null),
+    appVersion: pkg ? pkg[2] : null,
+    exception: { type, signal: null, codes: null, message, causes },
+    crashingThread: { id: null, name: thread, frames },
+    binaryImages: []
+  })
+  return report
+}
+
+/**
+ * Parse a crash report: an iOS `.ips` report, an Android tombstone or an
+ * Android Java exception, as found in a dropbox entry or logcat.
+ * @param {string|Buffer} text - The report
+ * @returns {CrashReport} the report, with `format` `unknown` if it could not be parsed
+ * @example
+ * const report = parseCrashReport(fs.readFileSync('Demo-2021-10-01-120000.ips', 'utf8'));
+ * console.log(report.exception.type, report.crashingThread.frames[0].symbol);
+ */
+function parseCrashReport (text) {
+  const raw = Buffer.isBuffer(text) ? text.toString('utf8') : String(text)
+  return parseIps(raw) || parseTombstone(raw) || parseJavaException(raw) || emptyReport(raw)
+}
+
+/**
+ * The crash reports of an app as they happen, returned by
+ * {@link Agent#crashReports}. It emits `crash` with each parsed
+ * {@link CrashReport}, `error` when a report could not be fetched or the
+ * subscription failed, and `close` once closed. It is also an async
+ * iterator of the reports; ending the loop closes it.
+ *
+ * The stream subscribes to the reports when the first `crash` listener is
+ * added, or the iteration starts. Reports that arrive while nothing listens
+ * are left on the device.
+ * @hideconstructor
+ * @example
+ * for await (const crash of agent.crashReports('com.corellium.demoapp')) {
+ *     console.log(crash.exception.type, crash.crashingThread.frames.map(frame => frame.symbol));
+ * }
+ */
+class CrashReportStream extends EventEmitter {
+  constructor (agent, bundleID, { archiveDir, keepOnDevice = false } = {}) {
+    super()
+    this.agent = agent
+    /** @type {string} */
+    this.bundleID = bundleID
+    this.archiveDir = archiveDir
+    this.keepOnDevice = keepOnDevice
+    /** @type {boolean} */
+    this.closed = false
+    this._controller = new AbortController()
+    this._started = false
+
+    this.on('newListener', event => {
+      if (event === 'crash') this.start()
+    })
+  }
+
+  /**
+   * Subscribe to the crash reports, unless it is done already. Adding a
+   * `crash` listener calls it.
+   */
+  start () {
+    if (this._started || this.closed) return
+    this._started = true
+    this.agent.command('crash', 'subscribe', { bundleID: this.bundleID }, async message => {
+      try {
+        await this._receive(message.file)
+      } catch (err) {
+        this._fail(err)
+      }
+    }, undefined, { signal: this._controller.signal, resubscribe: true })
+      .catch(err => this._fail(err))
+      .finally(() => this.close())
+  }
+
+  _fail (err) {
+    if (this.closed) return
+    // Without a listener, an `error` event would throw from the subscription.
+    if (this.listenerCount('error')) this.emit('error', err)
+    else this.agent.instance.project.logger.error(`crash reports of ${this.bundleID} failed`, err)
+  }
+
+  _listening () {
+    return !this.closed && this.listenerCount('crash') > 0
+  }
+
+  async _receive (file) {
+    if (!this._listening()) return
+    const data = await this.agent.readFile(file)
+    const report = parseCrashReport(data)
+    report.path = file
+    if (this.archiveDir) {
+      await fs.promises.mkdir(this.archiveDir, { recursive: true })
+      report.archivePath = path.join(this.archiveDir, path.posix.basename(file))
+      await fs.promises.writeFile(report.archivePath, data)
+    }
+    // Only delete the reports that were delivered.
+    if (!this._listening()) return
+    this.emit('crash', report)
+    if (!this.keepOnDevice) await this.agent.deleteFile(file)
+  }
+
+  /**
+   * Stop receiving crash reports. The agent keeps the subscription until
+   * the connection closes, and the reports it still sends are ignored.
+   */
+  close () {
+    if (this.closed) return
+    this.closed = true
+    this._controller.abort()
+    this.emit('close')
+  }
+
+  async * [Symbol.asyncIterator] () {
+    const reports = []
+    let failure = null
+    let wake = () => {}
+    const onCrash = report => {
+      reports.push(report)
+      wake()
+    }
+    const onError = err => {
+      failure = err
+      wake()
+    }
+    const onClose = () => wake()
+    this.on('crash', onCrash)
+    this.on('error', onError)
+    this.on('close', onClose)
+    try {
+      for (;;) {
+        if (reports.length) {
+          yield reports.shift()
+          continue
+        }
+        if (failure) throw failure
+        if (this.closed) return
+        await new Promise(resolve => { wake = resolve })
+      }
+    } finally {
+      this.off('crash', onCrash)
+      this.off('error', onError)
+      this.off('close', onClose)
+      this.close()
+    }
+  }
+}
+
+module.exports = {
+  parseCrashReport,
+  CrashReportStream
+}
@@ -0,0 +1,323 @@
+'use strict'
+
+/**
+ * Base class of the errors thrown by this library.
+ *
+ * Errors caused by an HTTP response carry the response `status` (also
+ * available as `code`), the request `method` and `url`, and the `requestId`
+ * the server assigned to the request, if any. `retryable` tells whether
+ * repeating the same call may succeed.
+ *
+ * @example
+ * try {
+ *     await project.createInstance({ flavor: 'iphone6', os: '12.4.1' });
+ * } catch (err) {
+ *     if (err instanceof QuotaExceededError) {
+ *         console.log('No cores left in', project.name);
+ *     } else if (err.retryable) {
+ *         // try again later
+ *     } else {
+ *         throw err;
+ *     }
+ * }
+ */
+class CorelliumError extends Error {
+  /**
+   * @param {Object|string} error - the error body returned by the API (`{ error, field }`) or a message
+   * @param {number} [code] - the HTTP status code
+   * @param {Object} [details]
+   * @param {string} [details.method] - HTTP method of the failed request
+   * @param {string} [details.url] - URL of the failed request
+   * @param {string} [details.requestId] - request ID assigned by the server
+   * @param {boolean} [details.retryable] - override the class default
+   * @param {Error} [details.cause] - the underlying error
+   */
+  constructor (error, code, details = {}) {
+    const body = typeof error === 'string' ? { error } : error || {}
+    super(body.error || body.message || (code ? `request failed with status ${code}` : 'unknown error'))
+    this.name = this.constructor.name
+    this.field = body.field
+    this.code = code
+    this.status = code
+    this.method = details.method
+    this.url = details.url
+    this.requestId = details.requestId
+    this.retryable = details.retryable === undefined ? this.constructor.retryable : details.retryable
+    this.originalError = body
+    if (details.cause) this.cause = details.cause
+  }
+}
+CorelliumError.retryable = false
+
+/**
+ * The credentials or token were rejected (HTTP 401), or the user lacks
+ * permission for the request (HTTP 403).
+ */
+class AuthenticationError extends CorelliumError {}
+AuthenticationError.retryable = false
+
+/**
+ * The requested resource (project, instance, image, ...) does not exist
+ * (HTTP 404).
+ */
+class NotFoundError extends CorelliumError {}
+NotFoundError.retryable = false
+
+/**
+ * The project does not have enough of a quota, such as CPU cores, to
+ * complete the request (HTTP 402, or HTTP 403 naming a quota in `field`).
+ */
+class QuotaExceededError extends CorelliumError {}
+QuotaExceededError.retryable = false
+
+/**
+ * The API rate limit was hit (HTTP 429) and retrying was given up.
+ * `retryAfter` holds the delay, in milliseconds, that the server asked for.
+ */
+class RateLimitedError extends CorelliumError {
+  constructor (error, code, details = {}) {
+    super(error, code, details)
+    this.retryAfter = details.retryAfter
+  }
+}
+RateLimitedError.retryable = true
+
+/**
+ * The server failed to handle the request (HTTP 5xx).
+ */
+class ServerError extends CorelliumError {
+  constructor (error, code, details = {}) {
+    super(error, code, Object.assign({ retryable: code !== 501 }, details))
+  }
+}
+ServerError.retryable = true
+
+/**
+ * An agent command was answered with an error. `type` and `op` name the
+ * command. `details` holds the error object of the agent response, with the
+ * error name reported by the agent, such as `DeviceLocked`, in
+ * `details.name` when the agent provides one.
+ */
+class AgentCommandError extends CorelliumError {
+  /**
+   * @param {Object|string} error - the `error` object of the agent response
+   * @param {Object} [details]
+   * @param {string} [details.type] - the command type
+   * @param {string} [details.op] - the command op
+   */
+  constructor (error, details = {}) {
+    const body = typeof error === 'string' ? { message: error } : error || {}
+    super(body, undefined, details)
+    // Kept apart, so that the agent's `name` or `stack` do not replace those of the error.
+    this.details = body
+    this.type = details.type
+    this.op = details.op
+  }
+}
+AgentCommandError.retryable = false
+
+/**
+ * A WebSocket connection (agent, network monitor, netdump) closed or stopped
+ * responding while a request was in flight. `closeCode` holds the WebSocket
+ * close code, when known, and `type` and `op` the agent command that failed.
+ */
+class ConnectionClosedError extends CorelliumError {
+  constructor (message, details = {}) {
+    super(message, undefined, details)
+    this.closeCode = details.closeCode
+    this.type = details.type
+    this.op = details.op
+  }
+}
+ConnectionClosedError.retryable = true
+
+/**
+ * A request did not complete within the configured timeout. `timeout` holds
+ * the limit, in milliseconds. For an agent command, `type` and `op` name the
+ * command.
+ */
+class TimeoutError extends CorelliumError {
+  constructor (message, details = {}) {
+    super(message, undefined, details)
+    this.timeout = details.timeout
+    this.type = details.type
+    this.op = details.op
+  }
+}
+TimeoutError.retryable = true
+
+/**
+ * A wait, such as {@link Instance#waitForState}, did not finish within its
+ * `timeout`. `info` holds the last instance info observed.
+ */
+class WaitTimeoutError extends TimeoutError {
+  constructor (message, details = {}) {
+    super(message, details)
+    this.info = details.info
+  }
+}
+WaitTimeoutError.retryable = true
+
+/**
+ * The instance entered a state that a wait cannot end from, such as
+ * `deleted` or `error` while waiting for `on`. `state` is that state and
+ * `info` the instance info.
+ */
+class InstanceStateError extends CorelliumError {
+  constructor (message, details = {}) {
+    super(message, undefined, details)
+    this.state = details.state
+    this.info = details.info
+  }
+}
+InstanceStateError.retryable = false
+
+/**
+ * An operation was requested that the instance cannot perform in its
+ * current state, such as `pause()` on an instance that is off or
+ * `takeSnapshot()` while another task runs. `operation`, `state` and `task`
+ * describe the refusal.
+ */
+class InvalidStateError extends CorelliumError {
+  constructor (message, details = {}) {
+    super(message, undefined, details)
+    this.operation = details.operation
+    this.state = details.state
+    this.task = details.task
+  }
+}
+InvalidStateError.retryable = false
+
+/**
+ * The client configuration is invalid or incomplete, for example a profile
+ * of the config file is missing or has no credentials. `profile`, `file`
+ * and `setting` point at the problem, when known.
+ */
+class ConfigurationError extends CorelliumError {
+  constructor (message, details = {}) {
+    super(message, undefined, details)
+    this.profile = details.profile
+    this.file = details.file
+    this.setting = details.setting
+  }
+}
+ConfigurationError.retryable = false
+
+/**
+ * An instance template is invalid, see {@link Project#createInstanceFromTemplate}.
+ * `file` is the template file, when it was loaded from one, and `field` the
+ * path of the invalid field, such as `bootOptions.screen`.
+ */
+class TemplateError extends CorelliumError {
+  constructor (message, details = {}) {
+    super({ error: message, field: details.field }, undefined, details)
+    this.file = details.file
+  }
+}
+TemplateError.retryable = false
+
+/**
+ * The checksum the server recorded for an uploaded image is not the one of
+ * the local file, the upload was corrupted. `expected` is the SHA-256 of the
+ * file, `actual` the one of the server and `imageId` the uploaded image,
+ * which is deleted. Uploading the file again may succeed.
+ */
+class ChecksumMismatchError extends CorelliumError {
+  constructor (message, details = {}) {
+    super(message, undefined, details)
+    this.imageId = details.imageId
+    this.expected = details.expected
+    this.actual = details.actual
+  }
+}
+ChecksumMismatchError.retryable = true
+
+/**
+ * An instance cannot be created before firmware assets, listed by URL in
+ * `assets`, are uploaded to the project. See
+ * {@link Project#ensureFirmwareAssets}.
+ */
+class MissingFirmwareAssetsError extends CorelliumError {
+  constructor (message, details = {}) {
+    super({ error: message, field: 'firmware_asset' }, details.cause && details.cause.code, details)
+    this.assets = details.assets || []
+  }
+}
+MissingFirmwareAssetsError.retryable = false
+
+/**
+ * The server, or the agent, does not support an operation this library
+ * offers as experimental. `operation` names it, such as `images.download`.
+ */
+class UnsupportedOperationError extends CorelliumError {
+  constructor (message, details = {}) {
+    super(message, undefined, details)
+    this.operation = details.operation
+  }
+}
+UnsupportedOperationError.retryable = false
+
+// What agents answer commands they do not know with.
+const UNKNOWN_COMMAND = /unknown|unsupported|not (implemented|supported)/i
+
+// The fields the API names when a request does not fit in the project quota.
+const QUOTA_FIELDS = ['cores', 'cpus']
+
+/**
+ * Create the error matching an HTTP error response.
+ *
+ * @param {number} status - HTTP status code
+ * @param {Object} body - the parsed response body
+ * @param {Object} [details] - passed on to the error constructor
+ * @returns {CorelliumError}
+ * @private
+ */
+function errorFromResponse (status, body, details = {}) {
+  if (status === 402 || (status === 403 && QUOTA_FIELDS.includes(body.field))) {
+    return new QuotaExceededError(body, status, details)
+  }
+  if (status === 401 || status === 403) return new AuthenticationError(body, status, details)
+  if (status === 404) return new NotFoundError(body, status, details)
+  if (status === 429) return new RateLimitedError(body, status, details)
+  if (status >= 500) return new ServerError(body, status, details)
+  return new CorelliumError(body, status, details)
+}
+
+/**
+ * Turn the error an agent answers a command it does not know with into an
+ * {@link UnsupportedOperationError}. Other errors are returned as they are.
+ *
+ * @param {Error} err - the error the command failed with
+ * @param {string} operation - the experimental method that sent it, e.g. `agent.spawn`
+ * @returns {Error}
+ * @private
+ */
+function unsupportedAgentCommand (err, operation) {
+  if (!(err instanceof AgentCommandError) || !UNKNOWN_COMMAND.test(`${err.details.name || ''} ${err.message}`)) return err
+  return new UnsupportedOperationError(`The agent does not support ${err.type}/${err.op}, which the experimental ${operation} uses: ${err.message}`, {
+    operation,
+    cause: err
+  })
+}
+
+module.exports = {
+  CorelliumError,
+  AuthenticationError,
+  NotFoundError,
+  QuotaExceededError,
+  RateLimitedError,
+  ServerError,
+  AgentCommandError,
+  ConnectionClosedError,
+  TimeoutError,
+  WaitTimeoutError,
+  InstanceStateError,
+  InvalidStateError,
+  ConfigurationError,
+  TemplateError,
+  ChecksumMismatchError,
+  MissingFirmwareAssetsError,
+  UnsupportedOperationError,
+  errorFromResponse,
+  unsupportedAgentCommand
+}
@@ -0,0 +1,200 @@
+'use strict'
+
+// Firmware assets: files some firmwares need besides the firmware itself,
+// which the server lists by URL when an instance cannot be created without
+// them. They are downloaded into a local cache, or taken from a mirror, and
+// uploaded to the project as `fwasset` images named after their URL.
+
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { pipeline } = require('stream').promises
+const { fetch } = require('./util/fetch')
+const { mapLimit } = require('./util/concurrency')
+const { throwIfAborted, abortableSleep } = require('./util/wait')
+const { NotFoundError } = require('./errors')
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.corellium', 'firmware-assets')
+// How often a download waiting for another one of the same asset checks on it.
+const LOCK_POLL_INTERVAL = 100
+// How often the owner of a lock refreshes its modification time, and how long
+// after the last refresh others may take it over.
+const LOCK_HEARTBEAT_INTERVAL = 10 * 1000
+const LOCK_STALE_TIMEOUT = 60 * 1000
+
+/**
+ * Where to get an asset from a mirror: a local path or a URL, or null to
+ * download it from its own URL.
+ * @private
+ */
+function mirrorOf (url, mirror) {
+  if (!mirror) return null
+  if (typeof mirror === 'function') return mirror(url) || null
+  const name = decodeURIComponent(path.posix.basename(new URL(url).pathname))
+  return /^https?:\/\//i.test(mirror) ? `${mirror.replace(/\/+$/, '')}/${encodeURIComponent(name)}` : path.join(mirror, name)
+}
+
+/**
+ * Whether the process `pid` is running.
+ * @private
+ */
+function isRunning (pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (err) {
+    return err.code === 'EPERM'
+  }
+}
+
+/**
+ * Whether a lock file, read as `content`, was left by an owner that is gone:
+ * a process of this host that is not running anymore, or any owner that
+ * stopped refreshing it. The cache directory may be shared with other hosts
+ * or containers, whose processes cannot be checked from here.
+ * @private
+ */
+async function isStale (lockFile, content) {
+  let owner = null
+  try {
+    owner = JSON.parse(content)
+  } catch (e) {
+    // Not a lock of this version, only its age tells.
+  }
+  if (owner && owner.hostname === os.hostname() && owner.pid && !isRunning(owner.pid)) return true
+  const stat = await fs.promises.stat(lockFile).catch(() => null)
+  return !!stat && Date.now() - stat.mtimeMs > LOCK_STALE_TIMEOUT
+}
+
+/**
+ * Run `fn` while holding the lock file `lockFile`, which holds the hostname
+ * and PID of its owner and whose modification time the owner refreshes.
+ * Other callers, in this process or another one, on this host or another
+ * one sharing the directory, wait for it to be released. A lock whose owner
+ * is gone, see `isStale`, is taken over.
+ * @private
+ */
+async function withLockFile (lockFile, signal, fn) {
+  for (;;) {
+    try {
+      await fs.promises.writeFile(lockFile, JSON.stringify({ hostname: os.hostname(), pid: process.pid }), { flag: 'wx' })
+      break
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err
+      const content = await fs.promises.readFile(lockFile, 'utf8').catch(() => null)
+      if (content !== null && await isStale(lockFile, content)) {
+        await fs.promises.unlink(lockFile).catch(() => {})
+        continue
+      }
+      await abortableSleep(LOCK_POLL_INTERVAL, signal)
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    const now = new Date()
+    fs.promises.utimes(lockFile, now, now).catch(() => {})
+  }, LOCK_HEARTBEAT_INTERVAL)
+  heartbeat.unref()
+  try {
+    return await fn()
+  } finally {
+    clearInterval(heartbeat)
+    await fs.promises.unlink(lockFile).catch(() => {})
+  }
+}
+
+/**
+ * Download an asset into the cache, continuing a previous partial download,
+ * unless it is there already. Concurrent downloads of the same asset take
+ * turns on the partial file, the later ones finding the asset in the cache.
+ * @returns {Promise<string>} the path of the asset
+ * @private
+ */
+async function downloadAsset (project, url, source, { cacheDir, signal, progress }) {
+  const file = path.join(cacheDir, `${crypto.createHash('sha256').update(url).digest('hex').slice(0, 32)}.fwasset`)
+  const partial = `${file}.partial`
+  return await withLockFile(`${partial}.lock`, signal, async () => {
+    if (fs.existsSync(file)) {
+      if (progress) progress(1)
+      return file
+    }
+
+    let offset = fs.existsSync(partial) ? (await fs.promises.stat(partial)).size : 0
+    let response = null
+    try {
+      response = await fetch(source, {
+        response: 'raw',
+        transport: project.transport,
+        signal,
+        headers: offset ? { Range: `bytes=${offset}-` } : {}
+      })
+    } catch (err) {
+      // The range starts at the end: the previous download was complete.
+      if (!(offset && err.status === 416)) throw err
+    }
+
+    if (response) {
+      if (response.status !== 206) offset = 0
+      const length = Number(response.headers.get('content-length'))
+      let received = offset
+      if (progress && length) {
+        response.body.on('data', chunk => {
+          received += chunk.length
+          progress(received / (offset + length))
+        })
+      }
+      // An interrupted download leaves the partial file for the next call to continue.
+      await pipeline(response.body, fs.createWriteStream(partial, { flags: offset ? 'a' : 'w' }), { signal })
+    }
+    // Only complete assets ever have the name of the cache file.
+    await fs.promises.rename(partial, file)
+    return file
+  })
+}
+
+/**
+ * Make sure the project has the given firmware assets, see
+ * {@link Project#ensureFirmwareAssets}.
+ * @private
+ */
+async function ensureFirmwareAssets (project, options = {}) {
+  const clientOptions = project.client.options
+  const {
+    assets = [],
+    cacheDir = clientOptions.firmwareAssetCacheDir || DEFAULT_CACHE_DIR,
+    mirror = clientOptions.firmwareAssetMirror,
+    concurrency = project.client.concurrency,
+    progress,
+    signal
+  } = options
+  await fs.promises.mkdir(cacheDir, { recursive: true })
+  const uploaded = (await project.images.list({ type: 'fwasset' })).filter(image => image.status === 'active')
+
+  const missing = []
+  for (const url of new Set(assets)) {
+    const existing = uploaded.find(image => image.name === url || image.name === encodeURIComponent(url))
+    const source = mirrorOf(url, mirror) || url
+    // Fail before fetching anything when the mirror lacks an asset.
+    if (!existing && !/^https?:\/\//i.test(source) && !fs.existsSync(source)) {
+      throw new NotFoundError(`Firmware asset ${url} is not in the mirror: ${source} does not exist`)
+    }
+    missing.push({ url, existing, source })
+  }
+
+  return await mapLimit(missing, concurrency, async ({ url, existing, source }) => {
+    if (existing) return { url, id: existing.id, name: existing.name }
+    throwIfAborted(signal)
+    const report = phase => progress && (value => progress(url, value, phase))
+    const file = /^https?:\/\//i.test(source)
+      ? await downloadAsset(project, url, source, { cacheDir, signal, progress: report('download') })
+      : source
+    throwIfAborted(signal)
+    const image = await project.uploadFirmwareAsset(file, encodeURIComponent(url), report('upload'))
+    return { url, id: image.id, name: image.name, file }
+  })
+}
+
+module.exports = {
+  ensureFirmwareAssets
+}
@@ -0,0 +1,249 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+const { QuotaExceededError, NotFoundError, InvalidStateError, InstanceStateError } = require('./errors')
+const { mapLimit } = require('./util/concurrency')
+const { deadlineOf } = require('./util/wait')
+
+const INTERRUPT_SIGNALS = ['SIGINT', 'SIGTERM']
+
+/**
+ * @typedef {object} FleetOptions
+ * @property {Object} template - The {@link Project#createInstance} options every instance is created with, such as
+ * `flavor`, `os`, `bootOptions` and `snapshot`. A `name` is suffixed with the number of the instance.
+ * @property {integer} count - How many instances to create
+ * @property {integer} [concurrency] - How many instances are created, and callbacks run, at the same time. The
+ * client's `concurrency` by default.
+ * @property {boolean} [waitForAgent=true] - Wait until the agent of each instance is ready
+ * @property {integer} [timeout] - How long each instance may take to be ready, in milliseconds
+ * @property {boolean} [teardownOnInterrupt=true] - Destroy the instances when the process receives `SIGINT` or
+ * `SIGTERM` before {@link Fleet#destroy} or {@link Fleet#detach} is called
+ */
+
+/**
+ * @typedef {object} FleetResult
+ * @property {integer} index - The number of the instance in the fleet, from 0
+ * @property {Instance} [instance] - The instance, missing when it could not be created
+ * @property {*} [value] - What the callback of {@link Fleet#run} returned
+ * @property {Error} [error] - Why the instance could not be created or the callback failed
+ */
+
+/**
+ * A pool of instances created from the same template, which are created,
+ * used and destroyed together. Errors are reported per instance in
+ * {@link FleetResult}s instead of failing the whole fleet.
+ *
+ * Instances of this class are returned from {@link Project#createFleet}.
+ * They should not be created using the constructor.
+ * @hideconstructor
+ * @example
+ * const fleet = await project.createFleet({
+ *     template: { flavor: 'iphone6', os: '12.4.1', name: 'ci' },
+ *     count: 4,
+ *     timeout: 15 * 60 * 1000,
+ * });
+ * try {
+ *     const results = await fleet.run(async instance => {
+ *         const agent = await instance.agent();
+ *         await agent.run('com.corellium.demoapp');
+ *     }, { concurrency: 2 });
+ *     for (const { instance, error } of results) {
+ *         if (error) console.log(instance.name, 'failed:', error.message);
+ *     }
+ * } finally {
+ *     await fleet.destroy();
+ * }
+ */
+class Fleet extends EventEmitter {
+  /**
+   * @param {Project} project
+   * @param {FleetOptions} options
+   */
+  constructor (project, options) {
+    super()
+    if (!options || !options.template || !options.template.flavor) throw new TypeError('A fleet needs a template with a flavor')
+    if (!Number.isInteger(options.count) || options.count < 1) throw new TypeError('A fleet needs a positive count of instances')
+
+    this.project = project
+    this.template = options.template
+    this.count = options.count
+    this.concurrency = options.concurrency || project.client.concurrency
+    this.waitForAgent = options.waitForAgent !== false
+    this.timeout = options.timeout
+    this.teardownOnInterrupt = options.teardownOnInterrupt !== false
+
+    /**
+     * The outcome of creating each instance, set by {@link Fleet#create}.
+     * @type {FleetResult[]}
+     */
+    this.results = null
+    this._created = new Set()
+    // Creations whose instance is not known yet, which destroy() waits for.
+    this._pending = new Set()
+    this._controller = new AbortController()
+    this._onInterrupt = null
+  }
+
+  /**
+   * The instances that were created and are ready.
+   * @type {Instance[]}
+   */
+  get instances () {
+    return (this.results || []).filter(result => !result.error).map(result => result.instance)
+  }
+
+  /**
+   * Create the instances and wait until they are booted and, unless
+   * `waitForAgent` is off, their agent is ready.
+   *
+   * Fails with a {@link QuotaExceededError}, before creating anything, when
+   * the project quota cannot fit the whole fleet. Each instance is then only
+   * created once the quota has room for it, as the quota may be used up in
+   * the meantime. Instances that fail to be created or to boot are reported
+   * in the results; the others are still created.
+   *
+   * @fires Fleet#ready
+   * @fires Fleet#failed
+   * @returns {Promise<FleetResult[]>}
+   */
+  async create () {
+    if (this.results) throw new Error('The fleet was already created')
+    await this._checkQuota()
+    this._watchInterrupts()
+
+    const indexes = [...Array(this.count).keys()]
+    this.results = await mapLimit(indexes, this.concurrency, index => this._createInstance(index))
+    return this.results
+  }
+
+  /**
+   * Run `fn` on each ready instance, at most `concurrency` at a time.
+   * @param {function(Instance, integer): Promise<*>} fn - called with the instance and its index
+   * @param {Object} [options]
+   * @param {integer} [options.concurrency] - the fleet's concurrency by default
+   * @returns {Promise<FleetResult[]>} the value or error of each call
+   */
+  async run (fn, { concurrency = this.concurrency } = {}) {
+    if (!this.results) throw new Error('Create the fleet before running on it')
+    const ready = this.results.filter(result => !result.error)
+    return await mapLimit(ready, concurrency, async ({ index, instance }) => {
+      try {
+        return { index, instance, value: await fn(instance, index) }
+      } catch (error) {
+        return { index, instance, error }
+      }
+    })
+  }
+
+  /**
+   * Destroy every instance the fleet created, including the ones that
+   * failed to boot and the ones still being created, and create no more.
+   * @param {LifecycleOptions} [options] - `wait` waits until they are deleted
+   * @throws {AggregateError} when some instances could not be destroyed
+   */
+  async destroy (options = {}) {
+    this.detach()
+    this._controller.abort()
+    const pending = await Promise.all([...this._pending].map(creating => creating.catch(() => null)))
+    const instances = [...new Set([...this._created, ...pending.filter(instance => instance)])]
+    const errors = await mapLimit(instances, this.concurrency, async instance => {
+      try {
+        await instance.destroy(options)
+        this._created.delete(instance)
+      } catch (err) {
+        if (err instanceof NotFoundError || (err instanceof InvalidStateError && /^delet/.test(err.state))) {
+          this._created.delete(instance)
+          return null
+        }
+        return err
+      }
+      return null
+    })
+    const failures = errors.filter(err => err)
+    if (failures.length) throw new AggregateError(failures, `Failed to destroy ${failures.length} fleet instances`)
+  }
+
+  /**
+   * Stop destroying the instances when the process is interrupted, to keep
+   * them after the process exits.
+   */
+  detach () {
+    if (!this._onInterrupt) return
+    for (const signal of INTERRUPT_SIGNALS) process.removeListener(signal, this._onInterrupt)
+    this._onInterrupt = null
+  }
+
+  async _checkQuota () {
+    const check = await this.project.canCreate(this.template, { count: this.count })
+    if (!check.allowed) {
+      throw new QuotaExceededError(
+        `A fleet of ${this.count} ${this.template.flavor} needs ${check.required.cores} cores, ${check.available.cores} of ${check.quotas.cores} are available in project ${this.project.name}`
+      )
+    }
+  }
+
+  async _createInstance (index) {
+    const result = { index }
+    try {
+      const options = Object.assign({}, this.template)
+      if (options.name) options.name = `${options.name}-${index + 1}`
+      const remaining = deadlineOf(this.timeout)
+
+      const creating = this.project.createInstance(options, {
+        waitForCapacity: true,
+        timeout: remaining(),
+        signal: this._controller.signal
+      })
+      this._pending.add(creating)
+      try {
+        result.instance = await creating
+      } finally {
+        this._pending.delete(creating)
+      }
+      this._created.add(result.instance)
+      await result.instance.finishRestore({ timeout: remaining() })
+      // A new instance in the error state failed to restore; waiting for it to boot would never end.
+      if (result.instance.state === 'error') {
+        throw new InstanceStateError(`Instance ${result.instance.id} failed to restore`, { state: 'error', info: result.instance.info })
+      }
+      await result.instance.waitForState('on', { timeout: remaining() })
+      if (this.waitForAgent) await result.instance.waitForAgentReady({ timeout: remaining() })
+
+      /**
+       * An instance of the fleet is ready.
+       * @event Fleet#ready
+       * @param {Instance} instance
+       * @param {integer} index
+       */
+      this.emit('ready', result.instance, index)
+    } catch (err) {
+      result.error = err
+      /**
+       * An instance of the fleet could not be created or did not become ready.
+       * @event Fleet#failed
+       * @param {Error} error
+       * @param {integer} index
+       */
+      this.emit('failed', err, index)
+    }
+    return result
+  }
+
+  _watchInterrupts () {
+    if (!this.teardownOnInterrupt || this._onInterrupt) return
+    this._onInterrupt = async signal => {
+      this.project.logger.warn(`${signal} received, destroying ${this._created.size} fleet instances`)
+      try {
+        await this.destroy()
+      } catch (err) {
+        this.project.logger.error('failed to destroy fleet instances', err)
+      }
+      // Let the signal terminate the process as it would have without us.
+      process.kill(process.pid, signal)
+    }
+    for (const signal of INTERRUPT_SIGNALS) process.on(signal, this._onInterrupt)
+  }
+}
+
+module.exports = Fleet
@@ -0,0 +1,231 @@
+'use strict'
+
+const fs = require('fs')
+const stream = require('stream')
+const util = require('util')
+const { fetchApi } = require('./util/fetch')
+const { mapLimit } = require('./util/concurrency')
+const { NotFoundError, UnsupportedOperationError } = require('./errors')
+
+const pipeline = util.promisify(stream.pipeline)
+
+// The image types prune() leaves alone unless asked for.
+const SHARED_TYPES = ['fw', 'fwasset']
+
+/**
+ * An image uploaded to the server: a kernel, firmware, firmware asset,
+ * ramdisk, device tree or partition of a project or an instance. Returned by
+ * {@link ImageStore}; the properties are the ones of the API.
+ * @hideconstructor
+ * @example
+ * const [kernel] = await project.images.list({ type: 'kernel' });
+ * await kernel.delete();
+ */
+class Image {
+  constructor (store, info) {
+    this.store = store
+    this.receiveUpdate(info)
+  }
+
+  receiveUpdate (info) {
+    this.info = info
+    /** @type {string} */
+    this.id = info.id
+    /** @type {string} */
+    this.name = info.name
+    /** @type {string} e.g. `kernel`, `fw`, `fwasset` */
+    this.type = info.type
+    /** @type {string} `uploading` until the upload is done, then `active` */
+    this.status = info.status
+    /** @type {number} */
+    this.size = info.size
+    /** @type {string} SHA-256 of the image data, hex */
+    this.checksum = info.checksum
+    /** @type {string} */
+    this.encoding = info.encoding
+    /** @type {string} ID of the project of the image */
+    this.project = info.project
+    /** @type {string?} ID of the instance the image is attached to, if any */
+    this.instance = info.instance || null
+    /** @type {string} ISO datetime string */
+    this.createdAt = info.createdAt
+    /** @type {string} ISO datetime string */
+    this.updatedAt = info.updatedAt
+  }
+
+  /**
+   * Reload the image info.
+   */
+  async update () {
+    this.receiveUpdate(await fetchApi(this.store.client, `/images/${this.id}`))
+  }
+
+  /**
+   * Download the image data, see {@link ImageStore#download}. Experimental.
+   * @param {string} [destination] - the path of the file to save it to
+   * @returns {Promise<Buffer|string>}
+   * @throws {UnsupportedOperationError} if the server does not offer image downloads
+   */
+  async download (destination) {
+    return await this.store.download(this, destination)
+  }
+
+  /**
+   * Delete the image.
+   */
+  async delete () {
+    await this.store.delete(this)
+  }
+}
+
+/**
+ * The images of a domain, available as {@link Corellium#images}, or of a
+ * project, available as {@link Project#images}.
+ * @hideconstructor
+ * @example
+ * // skip the upload of a kernel that is already on the server
+ * const existing = await project.images.findByChecksum(sha256, { type: 'kernel' });
+ * @example
+ * // delete the images of the project that no instance uses and are older than a week
+ * const deleted = await project.images.prune({ olderThan: 7 * 24 * 60 * 60 * 1000 });
+ */
+class ImageStore {
+  constructor (client, { project } = {}) {
+    this.client = client
+    this.projectId = project ? project.id : undefined
+  }
+
+  /**
+   * List images, in the project of the store if it has one.
+   * @param {Object} [filters]
+   * @param {string} [filters.type] - only images of this type, e.g. `kernel`
+   * @param {Project|string} [filters.project] - only images of this project, given as {@link Project} or ID
+   * @param {Instance|string} [filters.instance] - only images attached to this instance, given as {@link Instance} or ID
+   * @returns {Promise<Image[]>}
+   * @example
+   * const ramdisks = await corellium.images.list({ instance, type: 'ramdisk' });
+   */
+  async list ({ type, project = this.projectId, instance } = {}) {
+    const projectId = project && typeof project === 'object' ? project.id : project
+    const instanceId = instance && typeof instance === 'object' ? instance.id : instance
+    const infos = await fetchApi(this.client, '/images')
+    return infos
+      .filter(info =>
+        (!type || info.type === type) &&
+        (!projectId || info.project === projectId) &&
+        (!instanceId || info.instance === instanceId)
+      )
+      .map(info => new Image(this, info))
+  }
+
+  /**
+   * Get an image by ID.
+   * @param {string} id
+   * @returns {Promise<Image>}
+   * @throws {NotFoundError} if the image does not exist
+   */
+  async get (id) {
+    return new Image(this, await fetchApi(this.client, `/images/${id}`))
+  }
+
+  /**
+   * Find an uploaded image by the SHA-256 of its data, to reuse it instead
+   * of uploading the same file again.
+   * @param {string} checksum - SHA-256, hex
+   * @param {Object} [filters] - see {@link ImageStore#list}
+   * @returns {Promise<Image?>} the image, or null
+   */
+  async findByChecksum (checksum, filters) {
+    const images = await this.list(filters)
+    return images.find(image => image.status === 'active' && image.checksum && image.checksum.toLowerCase() === checksum.toLowerCase()) || null
+  }
+
+  /**
+   * Download the data of an image, into a file or a Buffer.
+   *
+   * Experimental: this uses `GET /images/<id>/file`, which the Corellium API
+   * does not document, so servers may not offer it.
+   * @param {Image|string} image - an {@link Image} or image ID
+   * @param {string} [destination] - the path of the file to save it to
+   * @returns {Promise<Buffer|string>} the data, or `destination` once written
+   * @throws {NotFoundError} if the image does not exist
+   * @throws {UnsupportedOperationError} if the server does not offer image downloads
+   */
+  async download (image, destination) {
+    const id = typeof image === 'string' ? image : image.id
+    let response
+    try {
+      response = await fetchApi(this.client, `/images/${id}/file`, { response: 'raw' })
+    } catch (err) {
+      if (!(err instanceof NotFoundError) && err.status !== 405 && err.status !== 501) throw err
+      // Only the image itself being found tells a server without downloads apart from a missing image.
+      await fetchApi(this.client, `/images/${id}`)
+      throw new UnsupportedOperationError(`Downloading images is not supported by the server at ${this.client.options.endpoint}`, {
+        operation: 'images.download',
+        cause: err
+      })
+    }
+    if (!destination) return await response.buffer()
+    await pipeline(response.body, fs.createWriteStream(destination))
+    return destination
+  }
+
+  /**
+   * Delete an image.
+   * @param {Image|KernelImage|FirmwareImage|string} image - an image or image ID
+   */
+  async delete (image) {
+    const id = typeof image === 'string' ? image : image.id
+    await fetchApi(this.client, `/images/${id}`, { method: 'DELETE' })
+  }
+
+  /**
+   * Delete images that are no longer needed: by default, the images that
+   * no instance references, neither as an image attached to it, in its
+   * boot options nor in one of its snapshots.
+   *
+   * Firmwares and firmware assets are used by the instances created from
+   * them without being referenced by ID, so they are only deleted when
+   * `type` asks for them.
+   *
+   * Images still being uploaded are only deleted when they are older than
+   * `olderThan`, so uploads in progress are left alone.
+   * @param {Object} [options]
+   * @param {number|Date} [options.olderThan] - only images last updated before this date, or this many milliseconds ago
+   * @param {boolean} [options.unused=true] - only images no instance references
+   * @param {string} [options.type] - only images of this type, any type but `fw` and `fwasset` by default
+   * @param {boolean} [options.dryRun=false] - return the images without deleting them
+   * @returns {Promise<Image[]>} the images deleted
+   * @example
+   * const deleted = await project.images.prune({ olderThan: 24 * 60 * 60 * 1000, type: 'fwasset' });
+   * console.log(`deleted ${deleted.length} firmware assets`);
+   */
+  async prune ({ olderThan, unused = true, type, dryRun = false } = {}) {
+    let images = await this.list({ type })
+    if (type === undefined) images = images.filter(image => !SHARED_TYPES.includes(image.type))
+    if (olderThan !== undefined) {
+      const before = olderThan instanceof Date ? olderThan.getTime() : Date.now() - olderThan
+      images = images.filter(image => Date.parse(image.updatedAt || image.createdAt) < before)
+    } else {
+      images = images.filter(image => image.status !== 'uploading')
+    }
+
+    if (unused && images.length) {
+      const references = []
+      for await (const instance of this.client.iterateInstances({ project: this.projectId })) {
+        if (instance.state === 'deleting') continue
+        const snapshots = await fetchApi(this.client, `/instances/${instance.id}/snapshots`)
+        references.push({ id: instance.id, info: JSON.stringify([instance.info, snapshots]) })
+      }
+      images = images.filter(image => !references.some(({ id, info }) => image.instance === id || info.includes(image.id)))
+    }
+
+    if (!dryRun) await mapLimit(images, this.client.concurrency, image => image.delete())
+    return images
+  }
+}
+
+module.exports = {
+  Image,
+  ImageStore
+}
@@ -1,13 +1,23 @@
 'use strict'
 
+const crypto = require('crypto')
 const fs = require('fs')
 const os = require('os')
 const path = require('path')
 const util = require('util')
+const { v4: uuidv4 } = require('uuid')
 const { fetchApi } = require('./util/fetch')
+const { ChecksumMismatchError, CorelliumError } = require('./errors')
 const Resumable = require('../resumable')
 const yazl = require('yazl')
 
+const CHECKPOINT_VERSION = 1
+// How long to wait for the server to record the checksum of an upload.
+const VERIFY_TIMEOUT = 30 * 1000
+// The date of the entries of the zip files made here, so that zipping the
+// same data twice gives the same file, and the same checksum.
+const ZIP_ENTRY_MTIME = new Date(2000, 0, 1)
+
 /**
  * @typedef {object} KernelImage
  * @property {string} id
@@ -65,21 +75,97 @@ function isCompressed (data) {
   return Buffer.compare(data.slice(0, 4), Buffer.from([0x50, 0x4b, 0x03, 0x04])) === 0
 }
 
+/**
+ * Create a directory of its own for a temporary file, so that files of the
+ * same name do not collide, and return the path of the file in it.
+ * @private
+ */
+async function tempPath (name) {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'corellium-image-'))
+  return path.join(directory, path.basename(name))
+}
+
+/**
+ * Remove a temporary file made by {@link compress} or {@link compressFile},
+ * with its directory.
+ * @param {string} tmpFile
+ */
+async function removeTempFile (tmpFile) {
+  await fs.promises.rm(path.dirname(tmpFile), { recursive: true, force: true })
+}
+
+async function writeZip (zipFile, tmpFile, source) {
+  const output = fs.createWriteStream(tmpFile)
+  try {
+    await new Promise((resolve, reject) => {
+      // yazl does not pass on the errors of the streams it reads.
+      if (source) source.on('error', reject)
+      zipFile.outputStream.on('error', reject)
+      zipFile.outputStream.pipe(output).on('close', resolve).on('error', reject)
+    })
+  } catch (err) {
+    output.destroy()
+    await removeTempFile(tmpFile)
+    throw err
+  }
+  return tmpFile
+}
+
+/**
+ * Zip `data` as `name` into a new temporary file. Remove it with
+ * {@link removeTempFile}.
+ * @returns {Promise<string>} the path of the zip file
+ */
 async function compress (data, name) {
-  const tmpFile = path.join(os.tmpdir(), name)
+  const tmpFile = await tempPath(name)
   const zipFile = new yazl.ZipFile()
-  zipFile.addBuffer(data, name)
+  zipFile.addBuffer(data, name, { mtime: ZIP_ENTRY_MTIME })
   zipFile.end()
-  await new Promise((resolve, reject) => {
-    zipFile.outputStream
-      .pipe(fs.createWriteStream(tmpFile))
-      .on('close', resolve)
-      .on('error', reject)
-  })
-  return tmpFile
+  return await writeZip(zipFile, tmpFile)
+}
+
+/**
+ * Zip the file at `filePath` as `name` into a new temporary file, streaming
+ * it rather than reading it into memory. Remove it with
+ * {@link removeTempFile}.
+ * @returns {Promise<string>} the path of the zip file
+ */
+async function compressFile (filePath, name) {
+  const tmpFile = await tempPath(name)
+  const source = fs.createReadStream(filePath)
+  const zipFile = new yazl.ZipFile()
+  zipFile.addReadStream(source, name, { mtime: ZIP_ENTRY_MTIME })
+  zipFile.end()
+  return await writeZip(zipFile, tmpFile, source)
 }
 
-async function uploadFile (token, url, filePath, progress) {
+/**
+ * The SHA-256 of a file, as hex.
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function sha256File (filePath) {
+  const hash = crypto.createHash('sha256')
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk)
+  return hash.digest('hex')
+}
+
+/**
+ * The error of a failed chunk upload, from the response body the upload
+ * library gives: the API's error JSON, other text or nothing.
+ * @private
+ */
+function uploadError (message) {
+  let body = message || 'image upload failed'
+  try {
+    body = JSON.parse(message)
+  } catch (err) {
+    // Not JSON: the text is the message.
+  }
+  return new CorelliumError(body)
+}
+
+async function uploadFile (token, url, filePath, progress, transport) {
   return new Promise((resolve, reject) => {
     const r = new Resumable({
       target: url,
@@ -91,7 +177,8 @@ async function uploadFile (token, url, filePath, progress) {
       uploadMethod: 'PUT',
       chunkSize: 5 * 1024 * 1024,
       prioritizeFirstAndLastChunk: true,
-      method: 'octet'
+      method: 'octet',
+      nodejs: transport ? transport.xhrOptions() : null
     })
 
     r.on('fileAdded', _file => {
@@ -103,7 +190,9 @@ async function uploadFile (token, url, filePath, progress) {
     })
 
     r.on('fileError', (_file, message) => {
-      reject(message)
+      // Stop the chunks still in flight; a checkpoint lets a later upload resume.
+      r.cancel()
+      reject(uploadError(message))
     })
 
     r.on('fileSuccess', (_file, message) => {
@@ -124,9 +213,121 @@ async function uploadFile (token, url, filePath, progress) {
   })
 }
 
+function checkpointFileOf (checkpointDir, key) {
+  return path.join(checkpointDir, `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`)
+}
+
+async function readCheckpoint (checkpointFile) {
+  try {
+    const checkpoint = JSON.parse(await fs.promises.readFile(checkpointFile, 'utf8'))
+    return checkpoint.version === CHECKPOINT_VERSION ? checkpoint : null
+  } catch (err) {
+    return null
+  }
+}
+
+function hasChecksum (image) {
+  return /^[0-9a-f]{64}$/i.test(image.checksum || '')
+}
+
+/**
+ * Fetch an uploaded image until the server reports its checksum, which it
+ * may compute after the upload, for at most `timeout` milliseconds. The
+ * last info fetched is returned either way.
+ * @private
+ */
+async function fetchWithChecksum (project, imageId, timeout) {
+  const deadline = Date.now() + timeout
+  for (;;) {
+    const image = await fetchApi(project, `/images/${imageId}`)
+    if (hasChecksum(image) || Date.now() >= deadline) return image
+    await new Promise(resolve => setTimeout(resolve, Math.min(project.updater.updateInterval, deadline - Date.now())))
+  }
+}
+
+/**
+ * Upload a file as an image of a project or an instance, and check that the
+ * SHA-256 the server records for it is the one of the file. When the server
+ * records none within `verifyTimeout`, the upload is returned unverified.
+ *
+ * With a `checkpointDir`, the image ID given to the upload is saved there
+ * until the upload succeeds. Uploading the same, unchanged file again to
+ * the same owner, for instance after the process was interrupted, reuses it
+ * and only sends the chunks the server does not have yet.
+ *
+ * @param {Project} project - the project the upload is authenticated with
+ * @param {string} ownerPath - `/projects/<id>` or `/instances/<id>`
+ * @param {string} type - the image type, such as `kernel`
+ * @param {string} filePath
+ * @param {string} name
+ * @param {Project~progressCallback} [progress]
+ * @param {Object} [options]
+ * @param {string} [options.checkpointDir] - where to save the upload checkpoint
+ * @param {boolean} [options.reuse] - return the image of the project with the same type, name and checksum, if there
+ * is one, instead of uploading the file again
+ * @param {integer} [options.verifyTimeout=30000] - how long to wait for the server to record the checksum
+ * @returns {Promise<{ id: string, name: string, verified: boolean }>}
+ * @throws {ChecksumMismatchError} if the server recorded another checksum, after deleting the image
+ * @private
+ */
+async function uploadImageFile (project, ownerPath, type, filePath, name, progress, options = {}) {
+  const checkpointDir = options.checkpointDir || project.client.options.uploadCheckpointDir
+  const stat = await fs.promises.stat(filePath)
+  let checkpointFile = null
+  let checkpoint = null
+  if (checkpointDir) {
+    checkpointFile = checkpointFileOf(checkpointDir, [project.api, ownerPath, type, name, path.resolve(filePath)].join('\n'))
+    checkpoint = await readCheckpoint(checkpointFile)
+    if (checkpoint && (checkpoint.size !== stat.size || checkpoint.mtimeMs !== stat.mtimeMs)) checkpoint = null
+  }
+  if (!checkpoint) {
+    checkpoint = { version: CHECKPOINT_VERSION, imageId: uuidv4(), size: stat.size, mtimeMs: stat.mtimeMs, sha256: await sha256File(filePath) }
+    if (options.reuse) {
+      const existing = await project.images.findByChecksum(checkpoint.sha256, { type })
+      if (existing && existing.name === name) {
+        project.logger.debug(`${filePath} is already uploaded as image ${existing.id}`)
+        return { id: existing.id, name: existing.name, verified: true }
+      }
+    }
+    if (checkpointFile) {
+      await fs.promises.mkdir(checkpointDir, { recursive: true })
+      await fs.promises.writeFile(checkpointFile, JSON.stringify(checkpoint))
+    }
+  } else {
+    project.logger.debug(`resuming the upload of ${filePath} as image ${checkpoint.imageId}`)
+  }
+
+  const url = [project.api + ownerPath, 'image-upload', type, checkpoint.imageId, name].map((part, i) => i ? encodeURIComponent(part) : part).join('/')
+  await uploadFile(await project.getToken(), url, filePath, progress, project.transport)
+
+  const verifyTimeout = options.verifyTimeout === undefined ? VERIFY_TIMEOUT : options.verifyTimeout
+  const image = await fetchWithChecksum(project, checkpoint.imageId, verifyTimeout)
+  if (checkpointFile) await fs.promises.rm(checkpointFile, { force: true })
+  if (!hasChecksum(image)) {
+    project.logger.warn(`the server recorded no checksum of image ${checkpoint.imageId} within ${verifyTimeout}ms, the upload of ${filePath} is not verified`)
+    return { id: checkpoint.imageId, name, verified: false }
+  }
+  if (image.checksum.toLowerCase() !== checkpoint.sha256) {
+    // A corrupt image must not be left for instances to boot from.
+    await project.images.delete(checkpoint.imageId).catch(err => {
+      project.logger.warn(`could not delete the corrupt image ${checkpoint.imageId}: ${err.message}`)
+    })
+    throw new ChecksumMismatchError(`The upload of ${filePath} as image ${checkpoint.imageId} is corrupt: its SHA-256 is ${checkpoint.sha256}, the server has ${image.checksum}`, {
+      imageId: checkpoint.imageId,
+      expected: checkpoint.sha256,
+      actual: image.checksum
+    })
+  }
+  return { id: checkpoint.imageId, name, verified: true }
+}
+
 module.exports = {
   listImagesMetaData,
   isCompressed,
   compress,
-  uploadFile
+  compressFile,
+  removeTempFile,
+  sha256File,
+  uploadFile,
+  uploadImageFile
 }
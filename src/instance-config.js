@@ -0,0 +1,139 @@
+'use strict'
+
+// Export of how an instance is set up, and import of it as a new instance,
+// to reproduce an environment in another project or on another server.
+
+const fs = require('fs')
+
+const { InvalidStateError } = require('./errors')
+const { deadlineOf } = require('./util/wait')
+
+const FORMAT_VERSION = 1
+
+// The instance info that is needed to create an equivalent instance.
+const CREATE_FIELDS = ['name', 'flavor', 'os', 'osbuild', 'patches', 'bootOptions']
+
+/**
+ * @typedef {object} InstanceConfig
+ * @property {integer} version - The version of the format, 1
+ * @property {string} exportedAt - ISO datetime string
+ * @property {Object} instance - The {@link Project#createInstance} options: `name`, `flavor`, `os`, `osbuild`,
+ * `patches` and `bootOptions`
+ * @property {Object} peripherals - The peripherals of {@link Instance#getPeripherals}
+ * @property {Object[]} projectKeys - The `kind`, `label` and `key` of the keys of the project
+ * @property {Object[]} [apps] - The `bundleID` and `name` of the user apps installed
+ * @property {Object[]} [profiles] - The configuration profiles installed, with their `id` and base64 `data`
+ * @property {ProvisioningProfileInfo[]} [provisioningProfiles] - The provisioning profiles installed. The agent
+ * cannot read them back, so they are only replayed when `data` was added to them.
+ */
+
+/**
+ * Gather the configuration of an instance.
+ * @param {Instance} instance
+ * @param {Object} options
+ * @param {boolean} [options.agent=true] - include what is read through the agent
+ * @returns {Promise<InstanceConfig>}
+ * @private
+ */
+async function exportInstanceConfig (instance, { agent: useAgent = true } = {}) {
+  await instance.update()
+  if (useAgent && instance.state !== 'on') {
+    throw new InvalidStateError(
+      `Cannot export the agent configuration of instance ${instance.id}: it is ${instance.state}, pass { agent: false } to export the rest`,
+      { operation: 'exportConfig', state: instance.state, task: instance.lifecycle.task }
+    )
+  }
+
+  const config = {
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    instance: {},
+    peripherals: await instance.getPeripherals(),
+    projectKeys: (await instance.project.keys()).map(({ kind, label, key }) => ({ kind, label, key }))
+  }
+  for (const field of CREATE_FIELDS) {
+    if (instance.info[field] !== undefined && instance.info[field] !== null) config.instance[field] = instance.info[field]
+  }
+
+  if (useAgent) {
+    const agent = await instance.agent()
+    await agent.ready()
+    const apps = await agent.appList()
+    config.apps = apps.filter(app => app.applicationType === 'User').map(({ bundleID, name }) => ({ bundleID, name }))
+    if (instance.type === 'ios') {
+      config.profiles = []
+      for (const id of await agent.profileList()) {
+        const data = await agent.getProfile(id)
+        if (data) config.profiles.push({ id, data: data.toString('base64') })
+      }
+      config.provisioningProfiles = await agent.listProvisioningProfiles()
+    }
+  }
+  return config
+}
+
+/**
+ * Create an instance from an exported configuration and replay it.
+ * @param {Project} project
+ * @param {InstanceConfig} config
+ * @param {Object} options
+ * @returns {Promise<ImportResult>}
+ * @private
+ */
+async function importInstanceConfig (project, config, options = {}) {
+  if (!config || config.version !== FORMAT_VERSION || !config.instance || !config.instance.flavor) {
+    throw new TypeError(`Not an instance configuration of version ${FORMAT_VERSION}`)
+  }
+  const { name, apps: appFiles = {}, timeout, progress } = options
+  const remaining = deadlineOf(timeout)
+  const skipped = { apps: [], provisioningProfiles: [] }
+
+  // Keys are copied into new instances, so they must be in the project first.
+  const existing = new Set((await project.keys()).map(({ key }) => key))
+  for (const { key, kind, label } of config.projectKeys || []) {
+    if (!existing.has(key)) await project.addKey(key, kind, label)
+  }
+
+  const instance = await project.createInstance(Object.assign({}, config.instance, name ? { name } : {}))
+  await instance.finishRestore({ timeout: remaining() })
+  await instance.waitForState('on', { timeout: remaining() })
+  if (config.peripherals && Object.keys(config.peripherals).length) await instance.modifyPeripherals(config.peripherals)
+
+  const agentConfig = config.apps || config.profiles || config.provisioningProfiles
+  if (agentConfig) {
+    await instance.waitForAgentReady({ timeout: remaining() })
+    const agent = await instance.agent()
+    await agent.ready()
+
+    for (const { data } of config.profiles || []) {
+      await agent.installProfile(Buffer.from(data, 'base64'))
+    }
+    for (const profile of config.provisioningProfiles || []) {
+      if (profile.data) {
+        await agent.installProvisioningProfile(Buffer.from(profile.data, 'base64'), !!profile.trust)
+      } else {
+        skipped.provisioningProfiles.push(profile.uuid)
+      }
+    }
+    for (const { bundleID } of config.apps || []) {
+      const file = appFiles[bundleID]
+      if (!file) {
+        skipped.apps.push(bundleID)
+        continue
+      }
+      await agent.installFile(fs.createReadStream(file), progress && ((value, status) => progress(bundleID, value, status)))
+    }
+  }
+
+  const missing = [
+    ...skipped.apps.map(bundleID => `app ${bundleID}`),
+    ...skipped.provisioningProfiles.map(uuid => `provisioning profile ${uuid}`)
+  ]
+  if (missing.length) project.logger.warn(`instance ${instance.id} was imported without ${missing.join(', ')}, for lack of files`)
+  return { instance, skipped }
+}
+
+module.exports = {
+  exportInstanceConfig,
+  importInstanceConfig
+}
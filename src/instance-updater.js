@@ -1,13 +1,39 @@
 'use strict'
 
 const { fetchApi } = require('./util/fetch')
+const { mapLimit, chunk } = require('./util/concurrency')
 
+const MAX_IDS_PER_REQUEST = 100
+const DEFAULT_UPDATE_INTERVAL = 5000
+const DEFAULT_ACTIVE_UPDATE_INTERVAL = 1000
+
+// States an instance only passes through. While a watched instance is in one
+// of them, or runs a task, polling uses the active interval.
+const TRANSITIONAL_STATES = ['creating', 'booting', 'rebooting', 'restoring', 'updating', 'deleting']
+
+function isBusy (info) {
+  if (!info) return false
+  return !!info.userTask || (!!info.taskState && info.taskState !== 'none') || TRANSITIONAL_STATES.includes(info.state)
+}
+
+/**
+ * Keeps the info of the instances that have `change` listeners up to date.
+ *
+ * The watched instances are polled every `updateInterval` milliseconds, or
+ * every `activeUpdateInterval` milliseconds while one of them is busy with a
+ * task or a transition such as booting. Changes are delivered through
+ * {@link Instance#receiveUpdate}, which emits `change`, `panic` and the
+ * `deleted` state.
+ * @private
+ */
 class InstanceUpdater {
   constructor (project) {
+    const options = project.client.options || {}
     this.project = project
     this.instances = new Map()
     this.updating = false
-    this.updateInterval = 5000
+    this.updateInterval = options.updateInterval || DEFAULT_UPDATE_INTERVAL
+    this.activeUpdateInterval = options.activeUpdateInterval || DEFAULT_ACTIVE_UPDATE_INTERVAL
   }
 
   add (instance) {
@@ -19,37 +45,56 @@ class InstanceUpdater {
     this.instances.delete(instance.id)
   }
 
+  /**
+   * The delay until the next poll, shorter while a watched instance is busy.
+   */
+  pollInterval () {
+    for (const instance of this.instances.values()) {
+      if (isBusy(instance.info)) return Math.min(this.activeUpdateInterval, this.updateInterval)
+    }
+    return this.updateInterval
+  }
+
   async startUpdating () {
     if (this.updating) return
     this.updating = true
 
     while (this.instances.size !== 0) {
-      try {
-        const ids = [...this.instances.keys()]
-        let url
-        if (ids.length < 100) url = `/instances?id=${ids.join(',')}`
-        else url = '/instances'
-
-        const infos = await fetchApi(this.project, url)
-        for (const info of infos) {
-          if (this.instances.has(info.id)) { this.instances.get(info.id).receiveUpdate(info) }
-        }
-        for (const id of ids) {
-          if (this.instances.has(id) && !infos.find((info) => info.id === id)) {
-            // instance was deleted
-            this.instances.get(id).receiveUpdate({ state: 'deleted' })
-            this.instances.delete(id)
-          }
-        }
-      } catch (e) {
-        // this is a background task, so the only sane way to handle an exception is to log it
-        console.error('error asking for instance update', this.project.id, e.stack)
-      }
-      await new Promise((resolve) => setTimeout(resolve, this.updateInterval))
+      await this._poll()
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval()))
     }
 
     this.updating = false
   }
+
+  async _poll () {
+    try {
+      const ids = [...this.instances.keys()]
+      // Ask for the watched instances only, in batches that keep the URL short.
+      const batches = await mapLimit(chunk(ids, MAX_IDS_PER_REQUEST), this.project.client.concurrency, batch =>
+        fetchApi(this.project, `/instances?id=${batch.join(',')}`)
+      )
+      const infos = [].concat(...batches)
+      for (const info of infos) this._receive(info)
+      for (const id of ids) {
+        if (!infos.find((info) => info.id === id)) this._deleted(id)
+      }
+    } catch (e) {
+      // this is a background task, so the only sane way to handle an exception is to log it
+      this.project.logger.error('error asking for instance update', this.project.id, e.stack)
+    }
+  }
+
+  _receive (info) {
+    if (this.instances.has(info.id)) this.instances.get(info.id).receiveUpdate(info)
+  }
+
+  _deleted (id) {
+    const instance = this.instances.get(id)
+    if (!instance) return
+    this.instances.delete(id)
+    instance.receiveUpdate({ state: 'deleted' })
+  }
 }
 
 module.exports = InstanceUpdater
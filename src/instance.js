@@ -1,22 +1,30 @@
 'use strict'
 
 const { fetchApi } = require('./util/fetch')
+const { NotFoundError, ServerError, ConnectionClosedError, WaitTimeoutError, InstanceStateError } = require('./errors')
 const EventEmitter = require('events')
 const wsstream = require('websocket-stream')
 const Snapshot = require('./snapshot')
 const Agent = require('./agent')
 const WebPlayer = require('./webplayer')
-const Images = require('./images')
 const pTimeout = require('p-timeout')
 const NetworkMonitor = require('./netmon')
 const Netdump = require('./netdump')
-const { sleep } = require('./util/sleep')
-const util = require('util')
-const fs = require('fs')
-const { compress, uploadFile } = require('./images')
+const { compressFile, removeTempFile, uploadImageFile } = require('./images')
 const { Input } = require('./input')
-const { v4: uuidv4 } = require('uuid')
 const split = require('split')
+const { boundedWait, throwIfAborted, abortableSleep, deadlineOf } = require('./util/wait')
+const { InstanceLifecycle } = require('./lifecycle')
+const { exportInstanceConfig } = require('./instance-config')
+
+// Listening to these events keeps the instance info up to date.
+const WATCHED_EVENTS = ['change', 'panic', 'stateChange', 'taskStart', 'taskEnd', 'booted', 'deleted', 'error']
+
+// Wait methods take `(reporterFn, options)`, or the options alone.
+function waitArguments (reporterFn, options) {
+  if (reporterFn && typeof reporterFn === 'object') return [null, reporterFn]
+  return [reporterFn, options || {}]
+}
 
 /**
  * @typedef {object} ThreadInfo
@@ -100,13 +108,20 @@ class Instance extends EventEmitter {
     this.lastPanicLength = null
     this.volumeId = null
 
+    /**
+     * The lifecycle of the instance, which validates operations and emits
+     * lifecycle events.
+     * @type {InstanceLifecycle}
+     */
+    this.lifecycle = new InstanceLifecycle(this)
+
     this.on('newListener', event => {
-      if (event === 'change') {
+      if (WATCHED_EVENTS.includes(event)) {
         this.project.updater.add(this)
       }
     })
     this.on('removeListener', event => {
-      if (event === 'change' && this.listenerCount('change') === 0) {
+      if (WATCHED_EVENTS.includes(event) && WATCHED_EVENTS.every(watched => this.listenerCount(watched) === 0)) {
         this.project.updater.remove(this)
       }
     })
@@ -282,6 +297,27 @@ class Instance extends EventEmitter {
     return await this._fetch('/peripherals', { method: 'GET' })
   }
 
+  /**
+   * Export how this instance is set up, to create an equivalent instance
+   * with {@link Project#importConfig}, in another project or on another
+   * server: its flavor, firmware, patches and boot options, its peripherals,
+   * the keys of its project, and, read through the agent, its user apps and,
+   * on iOS, its configuration and provisioning profiles.
+   *
+   * The result is plain JSON. It names the apps but does not hold them, and
+   * lists the provisioning profiles, which the agent cannot read back.
+   * @param {Object} [options]
+   * @param {boolean} [options.agent=true] - include what is read through the agent, which needs the instance on
+   * @returns {Promise<InstanceConfig>}
+   * @throws {InvalidStateError} if the agent is used and the instance is not on
+   * @example
+   * const config = await instance.exportConfig();
+   * fs.writeFileSync('broken-device.json', JSON.stringify(config, null, 2));
+   */
+  async exportConfig (options) {
+    return await exportInstanceConfig(this, options)
+  }
+
   /**
    * Return an array of this instance's {@link Snapshot}s.
    * @returns {Snapshot[]} This instance's snapshots
@@ -299,12 +335,14 @@ class Instance extends EventEmitter {
    * Take a new snapshot of this instance.
    * @param {string} name - The name for the new snapshot.
    * @returns {Snapshot} The new snapshot
+   * @throws {InvalidStateError} if the instance cannot be snapshotted in its current state, see {@link InstanceLifecycle}
    * @example
    * const instances = await project.instances();
    * const instance = instances.find(instance => instance.name == 'foo');
    * await instance.takeSnapshot("TestSnapshot");
    */
   async takeSnapshot (name) {
+    this._assertCan('takeSnapshot')
     const snapshot = await this._fetch('/snapshots', {
       method: 'POST',
       json: { name }
@@ -372,9 +410,9 @@ class Instance extends EventEmitter {
     return this._agent
   }
 
-  async agentEndpoint () {
+  async agentEndpoint (options = {}) {
     // Extra while loop to avoid races where info.agent gets unset again before we wake back up.
-    while (!this.info.agent) await this._waitFor(() => !!this.info.agent)
+    while (!this.info.agent) await this._waitFor(() => !!this.info.agent, null, options, 'a running agent')
 
     // We want to avoid a situation where we were not listening for updates, and the info we have is stale (from last boot),
     // and the instance has started again but this time with no agent info yet or new agent info. Therefore, we can use
@@ -383,7 +421,7 @@ class Instance extends EventEmitter {
       try {
         await this.update()
       } catch (err) {
-        if (err.stack.includes('500 Internal Server Error')) {
+        if (err instanceof ServerError || err instanceof NotFoundError) {
           return undefined
         }
       }
@@ -392,12 +430,37 @@ class Instance extends EventEmitter {
     return this.project.api + '/agent/' + this.info.agent.info
   }
 
-  async waitForAgentReady () {
+  /**
+   * Wait until the agent of the instance answers.
+   * @param {WaitOptions} [options]
+   * @throws {WaitTimeoutError} if the agent is not ready within `options.timeout`
+   * @throws {InstanceStateError} if the instance is deleted or fails while waiting
+   * @example
+   * await instance.waitForAgentReady({ timeout: 10 * 60 * 1000 });
+   */
+  async waitForAgentReady (options = {}) {
+    const { timeout, signal } = options
+    const controller = new AbortController()
+    await boundedWait({
+      timeout,
+      signal,
+      timeoutError: () => new WaitTimeoutError(
+        `Timed out after ${timeout}ms waiting for the agent of instance ${this.id} to be ready, it is ${this.state}`,
+        { timeout, info: this.info }
+      )
+    }, (resolve, reject) => {
+      this._waitForAgentReady(controller.signal).then(resolve, reject)
+      // Stop the attempts however the wait ends.
+      return () => controller.abort()
+    })
+  }
+
+  async _waitForAgentReady (signal) {
     let agentObtained
     do {
       try {
-        const endpoint = await this.agentEndpoint()
-        if (!endpoint) throw new Error('Instance likely does not exist')
+        const endpoint = await this.agentEndpoint({ signal })
+        if (!endpoint) throw new NotFoundError('Instance likely does not exist')
 
         const agent = await this.agent()
 
@@ -409,7 +472,7 @@ class Instance extends EventEmitter {
             } catch (e) {
               // If the websocket threw an error, lets wait for the end of
               // the timeout to give it some breathing room
-              await sleep(2 * 1000)
+              await abortableSleep(2 * 1000, signal)
             } finally {
               agent.disconnect()
             }
@@ -417,13 +480,14 @@ class Instance extends EventEmitter {
           20 * 1000,
           async () => {
             // When this times out, it is likely that the instance isn't fully up yet
-            await sleep(5 * 1000)
+            await abortableSleep(5 * 1000, signal)
             return false
           }
         )
       } catch (e) {
-        console.log(`Caught error waiting for agent to be ready ${e}`)
-        if (e.stack.includes('Instance likely does not exist')) {
+        if (signal.aborted) throw e
+        this.project.logger.debug(`Caught error waiting for agent to be ready ${e}`)
+        if (e instanceof NotFoundError || e instanceof InstanceStateError) {
           throw e
         }
       }
@@ -434,6 +498,7 @@ class Instance extends EventEmitter {
    * Create a new {@link Agent} connection to this instance. This is
    * useful for agent tasks that don't finish and thus consume the
    * connection, such as {@link Agent#crashes}.
+   * @param {AgentOptions} [options]
    * @returns {Agent}
    * @example
    * let crashListener = await instance.newAgent();
@@ -444,9 +509,13 @@ class Instance extends EventEmitter {
    *     }
    *     console.log(crashReport);
    * });
+   * @example
+   * // keep listening for crashes when the connection drops
+   * const crashListener = await instance.newAgent({ autoReconnect: true });
+   * crashListener.on('disconnected', ({ reason }) => console.warn('agent disconnected:', reason));
    */
-  async newAgent () {
-    return new Agent(this)
+  async newAgent (options) {
+    return new Agent(this, options)
   }
 
   /**
@@ -470,7 +539,7 @@ class Instance extends EventEmitter {
       try {
         await this.update()
       } catch (err) {
-        if (err.stack.includes('500 Internal Server Error')) {
+        if (err instanceof ServerError || err instanceof NotFoundError) {
           return undefined
         }
       }
@@ -534,7 +603,7 @@ class Instance extends EventEmitter {
       try {
         await this.update()
       } catch (err) {
-        if (err.stack.includes('500 Internal Server Error')) {
+        if (err instanceof ServerError || err instanceof NotFoundError) {
           return undefined
         }
       }
@@ -571,26 +640,43 @@ class Instance extends EventEmitter {
    */
   async console (name) {
     const { url } = name ? await this._fetch(`/console?type=${name}`) : await this._fetch('/console')
-    return wsstream(url, ['binary'])
+    return wsstream(url, ['binary'], this.project.transport.webSocketOptions(url))
   }
 
   /**
    * Waits for a specified line on console.
+   * @param {string} line - the line to wait for
+   * @param {WaitOptions} [options]
+   * @throws {WaitTimeoutError} if the line does not appear within `options.timeout`
+   * @throws {ConnectionClosedError} if the console closes before the line appears
    * @example
    * await instance.waitForLineOnConsole(line)
+   * @example
+   * await instance.waitForLineOnConsole('login:', { timeout: 60 * 1000 })
    */
-  async waitForLineOnConsole (line) {
+  async waitForLineOnConsole (line, options = {}) {
+    const { timeout, signal } = options
+    throwIfAborted(signal)
+    const remaining = deadlineOf(timeout)
     const stream = await this.console()
-    await stream
-      .pipe(split())
-      .on('data', l => {
-        if (l === line) {
-          stream.destroy()
-        }
-      })
-      .on('end', () => {
 
-      })
+    await boundedWait({
+      timeout: remaining(),
+      signal,
+      timeoutError: () => new WaitTimeoutError(
+        `Timed out after ${timeout}ms waiting for "${line}" on the console of instance ${this.id}`,
+        { timeout, info: this.info }
+      )
+    }, (resolve, reject) => {
+      stream
+        .pipe(split())
+        .on('data', l => {
+          if (l === line) resolve()
+        })
+      stream.on('error', reject)
+      stream.on('close', () => reject(new ConnectionClosedError(`The console of instance ${this.id} closed before "${line}" appeared`)))
+      return () => stream.destroy()
+    })
   }
 
   /**
@@ -607,69 +693,111 @@ class Instance extends EventEmitter {
   }
 
   /**
-   * @typedef {object} StartOptions
+   * @typedef {object} LifecycleOptions
+   * @property {boolean} [wait=false] - Resolve once the operation is done, e.g. the instance is on after
+   * {@link Instance#start}, instead of as soon as the request is accepted
+   * @property {integer} [timeout] - With `wait`, give up after this many milliseconds, rejecting with a
+   * {@link WaitTimeoutError}
+   * @property {AbortSignal} [signal] - With `wait`, abort the wait
+   * @property {boolean} [waitForAgent=false] - Also wait until the agent is ready, see
+   * {@link Instance#waitForAgentReady}. Implies `wait`.
+   */
+
+  /**
+   * @typedef {LifecycleOptions} StartOptions
    * @property {boolean} sockcap - Start the sockcap add-on extension if loaded
    * @property {boolean} paused - Start the instance in a paused state
    */
 
   /**
    * Start this instance.
-   * @param {StartOptions} options
+   * @param {StartOptions} [options]
+   * @throws {InvalidStateError} if the instance cannot start in its current state, see {@link InstanceLifecycle}
    * @example
    * await instance.start({
    *  sockcap: true,
    *  paused: true
    * });
+   * @example <caption>Start and wait for the agent, for at most 5 minutes</caption>
+   * await instance.start({ waitForAgent: true, timeout: 5 * 60 * 1000 });
    */
-  async start (options) {
-    await this._fetch('/start', { method: 'POST' }, options)
+  async start (options = {}) {
+    const { wait, timeout, signal, waitForAgent, ...startOptions } = options
+    this._assertCan('start')
+    await this._fetch('/start', { method: 'POST', json: startOptions })
+    await this._finish(startOptions.paused ? 'paused' : 'on', options)
   }
 
   /**
    * Stop this instance.
+   * @param {LifecycleOptions} [options]
+   * @throws {InvalidStateError} if the instance cannot stop in its current state, see {@link InstanceLifecycle}
    * @example
    * await instance.stop();
+   * @example
+   * await instance.stop({ wait: true });
    */
-  async stop () {
+  async stop (options = {}) {
+    this._assertCan('stop')
     await this._fetch('/stop', { method: 'POST' })
+    await this._finish('off', options)
   }
 
   /**
    * Pause this instance
+   * @param {LifecycleOptions} [options]
+   * @throws {InvalidStateError} if the instance cannot pause in its current state, see {@link InstanceLifecycle}
    * @example
    * await instance.pause();
    */
-  async pause () {
+  async pause (options = {}) {
+    this._assertCan('pause')
     await this._fetch('/pause', { method: 'POST' })
+    await this._finish('paused', options)
   }
 
   /**
    * Unpause this instance
+   * @param {LifecycleOptions} [options]
+   * @throws {InvalidStateError} if the instance cannot unpause in its current state, see {@link InstanceLifecycle}
    * @example
    * await instance.unpause();
    */
-  async unpause () {
+  async unpause (options = {}) {
+    this._assertCan('unpause')
     await this._fetch('/unpause', { method: 'POST' })
+    await this._finish('on', options)
   }
 
   /**
-   * Reboot this instance.
+   * Reboot this instance. Unlike the other lifecycle calls, it waits for the
+   * reboot to finish unless `options.wait` is `false`.
+   * @param {LifecycleOptions} [options]
+   * @throws {InvalidStateError} if the instance cannot reboot in its current state, see {@link InstanceLifecycle}
    * @example
    * await instance.reboot();
    */
-  async reboot () {
+  async reboot (options = {}) {
+    const { wait = true, timeout, signal, waitForAgent } = options
+    this._assertCan('reboot')
     await this._fetch('/reboot', { method: 'POST' })
-    await this.waitForTaskState('rebooting')
-    await this.waitForTaskState('none')
+    if (!wait && !waitForAgent) return
+
+    const remaining = deadlineOf(timeout)
+    await this.waitForTaskState('rebooting', { timeout, signal })
+    await this.waitForTaskState('none', { timeout: remaining(), signal })
+    if (waitForAgent) await this.waitForAgentReady({ timeout: remaining(), signal })
   }
 
   /**
    * Restore instance from backup
    * @param {string} [password] - Password for encrypted backups
+   * @throws {InvalidStateError} if the instance cannot restore a backup in its current state, see {@link InstanceLifecycle}
    * @example
    * await instance.restoreBackup();
    */
   async restoreBackup (password) {
+    this._assertCan('restoreBackup')
     await this._fetch('/restoreBackup', {
       method: 'POST',
       json: { password }
@@ -686,6 +814,7 @@ class Instance extends EventEmitter {
   /**
    * Upgrade the iOS version of this instance.
    * @param {UpgradeOptions} options
+   * @throws {InvalidStateError} if the instance cannot upgrade in its current state, see {@link InstanceLifecycle}
    * @example
    * await instance.upgrade({
    *     os: '16.1',
@@ -693,6 +822,7 @@ class Instance extends EventEmitter {
    * });
    */
   async upgrade (options) {
+    this._assertCan('upgrade')
     await this._fetch('/upgrade', {
       method: 'POST',
       json: Object.assign({}, options)
@@ -702,14 +832,24 @@ class Instance extends EventEmitter {
 
   /**
    * Destroy this instance.
+   * @param {LifecycleOptions} [options] - `wait` waits until the instance is deleted
+   * @throws {InvalidStateError} if the instance cannot be destroyed in its current state, see {@link InstanceLifecycle}
    * @example <caption>delete all instances of the project</caption>
    * let instances = await project.instances();
    * instances.forEach(instance => {
    *     instance.destroy();
    * });
    */
-  async destroy () {
+  async destroy (options = {}) {
+    this._assertCan('destroy')
     await this._fetch('', { method: 'DELETE' })
+    if (!options.wait) return
+    try {
+      await this.waitForState('deleted', { timeout: options.timeout, signal: options.signal })
+    } catch (err) {
+      // Already gone by the time the wait asked for it.
+      if (!(err instanceof NotFoundError)) throw err
+    }
   }
 
   /**
@@ -853,7 +993,7 @@ class Instance extends EventEmitter {
    */
   async fridaConsole () {
     const { url } = await this._fetch('/console?type=frida')
-    const fridaConsole = wsstream(url, ['binary'])
+    const fridaConsole = wsstream(url, ['binary'], this.project.transport.webSocketOptions(url))
 
     await new Promise(resolve => {
       fridaConsole.socket.on('open', () => {
@@ -940,6 +1080,7 @@ class Instance extends EventEmitter {
     this.infoDate = new Date()
     // one way of checking object equality
     if (JSON.stringify(info) !== JSON.stringify(this.info)) {
+      const previous = this.info
       this.info = info
       /**
        * Fired when a property of an instance changes, such as its name or its state.
@@ -950,6 +1091,7 @@ class Instance extends EventEmitter {
        * });
        */
       this.emit('change')
+      this.lifecycle._changed(previous, info)
       if (info.panicked) {
       /**
          * Fired when an instance panics. The panic information can be retrieved with {@link Instance#panics}.
@@ -977,12 +1119,41 @@ class Instance extends EventEmitter {
   }
 
   /**
-   * Wait for ...
-   * @param {function} reporterFn - Called with instance information (optional)
+   * @typedef {object} WaitOptions
+   * @property {integer} [timeout] - Give up after this many milliseconds, rejecting with a {@link WaitTimeoutError}
+   * that holds the last instance info. By default waits have no timeout.
+   * @property {AbortSignal} [signal] - Abort the wait, rejecting with the signal's reason
    */
-  async _waitFor (callback, reporterFn = null) {
+
+  /**
+   * Wait until `callback` returns true, checking it whenever the instance
+   * info changes.
+   *
+   * The wait rejects with an {@link InstanceStateError} when the instance is
+   * deleted, or enters the `error` state, before the condition holds. An
+   * instance already in the `error` state when the wait starts is given the
+   * chance to leave it, since the wait may follow a request to restart it.
+   * @param {function} callback - the condition
+   * @param {function} reporterFn - Called with instance information (optional)
+   * @param {WaitOptions} [options]
+   * @param {string} [description] - what is waited for, for error messages
+   * @private
+   */
+  async _waitFor (callback, reporterFn = null, options = {}, description = 'the expected condition') {
+    const { timeout, signal } = options
+    throwIfAborted(signal)
+    const remaining = deadlineOf(timeout)
     await this.update()
-    return new Promise(resolve => {
+
+    await boundedWait({
+      timeout: remaining(),
+      signal,
+      timeoutError: () => new WaitTimeoutError(
+        `Timed out after ${timeout}ms waiting for instance ${this.id} to reach ${description}, it is ${this.state}`,
+        { timeout, info: this.info }
+      )
+    }, (resolve, reject) => {
+      let errorAtStart = this.state === 'error'
       const change = () => {
         let done
         try {
@@ -994,69 +1165,111 @@ class Instance extends EventEmitter {
           reporterFn(this.info)
         }
         if (done) {
-          this.removeListener('change', change)
           resolve()
+          return
+        }
+
+        const state = this.state
+        if (state !== 'error') errorAtStart = false
+        if (state === 'deleted' || (state === 'error' && !errorAtStart)) {
+          reject(new InstanceStateError(
+            `Instance ${this.id} is ${state} while waiting for it to reach ${description}`,
+            { state, info: this.info }
+          ))
         }
       }
 
       this.on('change', change)
       change()
+      return () => this.removeListener('change', change)
     })
   }
 
   /**
    * Wait for the instance to finish upgrading.
    * @param {function} reporterFn - Called with instance information (optional)
+   * @param {WaitOptions} [options]
    * @example <caption>Wait for VM to finish OS upgrade</caption>
    * instance.finishUpgrade();
    */
-  async finishUpgrade (reporterFn = null) {
-    await this._waitFor(() => this.state !== 'updating', reporterFn)
+  async finishUpgrade (reporterFn = null, options = {}) {
+    await this._waitFor(() => this.state !== 'updating', ...waitArguments(reporterFn, options), 'the end of the upgrade')
   }
 
   /**
    * Wait for the instance to finish restoring and start its first boot.
    * @param {function} reporterFn - Called with instance information (optional)
+   * @param {WaitOptions} [options]
    * @example <caption>Wait for VM to finish restore</caption>
    * instance.finishRestore();
    */
-  async finishRestore (reporterFn = null) {
-    await this._waitFor(() => this.state !== 'creating', reporterFn)
+  async finishRestore (reporterFn = null, options = {}) {
+    await this._waitFor(() => this.state !== 'creating', ...waitArguments(reporterFn, options), 'the end of the restore')
   }
 
   /**
    * Wait for the instance to enter the given state.
    * @param {string} state - state to wait
    * @param {function} reporterFn - Called with instance information (optional)
+   * @param {WaitOptions} [options]
+   * @throws {WaitTimeoutError} if the state is not reached within `options.timeout`
+   * @throws {InstanceStateError} if the instance is deleted or fails on the way
    * @example <caption>Wait for VM to be ON</caption>
    * instance.waitForState('on');
+   * @example <caption>Wait for at most 5 minutes</caption>
+   * await instance.waitForState('on', { timeout: 5 * 60 * 1000 });
    */
-  async waitForState (state, reporterFn = null) {
-    await this._waitFor(() => this.state === state, reporterFn)
+  async waitForState (state, reporterFn = null, options = {}) {
+    await this._waitFor(() => this.state === state, ...waitArguments(reporterFn, options), `state ${state}`)
   }
 
   /**
    * Wait for the instance task to enter the given state.
    * @param {function} reporterFn - Called with instance information (optional)
    * @param {string} taskName
+   * @param {WaitOptions} [options]
    */
-  async waitForTaskState (taskName, reporterFn = null) {
-    await this._waitFor(() => this.taskState === taskName, reporterFn)
+  async waitForTaskState (taskName, reporterFn = null, options = {}) {
+    await this._waitFor(() => this.taskState === taskName, ...waitArguments(reporterFn, options), `task state ${taskName}`)
   }
 
   /**
    * Wait for the instance user task name to be a given state.
    * @param {function} reporterFn - Called with instance information (optional)
    * @param {string} userTaskName
+   * @param {WaitOptions} [options]
    */
-  async waitForUserTask (userTaskName, reporterFn = null) {
+  async waitForUserTask (userTaskName, reporterFn = null, options = {}) {
     await this._waitFor(() => {
       if (!userTaskName) {
         return !this.userTask
       } else {
         return this.userTask.name === userTaskName
       }
-    }, reporterFn)
+    }, ...waitArguments(reporterFn, options), userTaskName ? `user task ${userTaskName}` : 'the end of its user task')
+  }
+
+  /**
+   * Wait for the end of a lifecycle operation as asked by `options`.
+   * @param {string} state - the state the operation ends in
+   * @param {LifecycleOptions} options
+   * @private
+   */
+  async _finish (state, { wait, timeout, signal, waitForAgent }) {
+    if (!wait && !waitForAgent) return
+    const remaining = deadlineOf(timeout)
+    await this.waitForState(state, { timeout, signal })
+    if (waitForAgent) await this.waitForAgentReady({ timeout: remaining(), signal })
+  }
+
+  /**
+   * Check that the lifecycle allows `operation` in the last known state, so
+   * that requests known to be invalid fail before reaching the server.
+   * @throws {InvalidStateError}
+   * @private
+   */
+  _assertCan (operation) {
+    this.lifecycle.assertCan(operation)
   }
 
   async _fetch (endpoint = '', options = {}) {
@@ -1084,21 +1297,17 @@ class Instance extends EventEmitter {
    * @param {Image | KernelImage | FirmwareImage} kernelImage
    */
   async deleteImage (image) {
-    return await fetchApi(this, `/images/${image.id}`, {
-      method: 'DELETE'
-    })
+    return await this.project.images.delete(image)
   }
 
   /**
-   * Get all images attached to this instance with optional type
+   * Get all images attached to this instance with optional type. They are
+   * the metadata of the API; `project.images.list({ instance, type })`
+   * returns them as {@link Image} objects.
    * @param {string} type - the type of image being uploaded ie. kernel, ramdisk, devicetree, or backup
    */
   async getImages (type) {
-    const images = (await Images.listImagesMetaData(this.project)).filter(
-      i => i.instance === this.id
-    )
-
-    return type ? images.filter(i => i.type === type) : images
+    return (await this.project.images.list({ instance: this, type })).map(image => image.info)
   }
 
   /**
@@ -1130,6 +1339,9 @@ class Instance extends EventEmitter {
   /**
    * compress an image and upload it to an instance
    *
+   * The file is compressed into a temporary file, which is removed once the
+   * upload ends, so these uploads do not resume after an interruption.
+   *
    * @param {string} type - the type of image being uploaded ie. kernel, ramdisk, or devicetree
    * @param {string} filePath - The path on the local file system to get the file.
    * @param {string} name - The name of the file to identify the file on the server. Usually the basename of the path.
@@ -1138,18 +1350,13 @@ class Instance extends EventEmitter {
    * @returns {Promise<{ id: string, name: string }>}
    */
   async compressAndUploadImage (type, filePath, name, progress) {
-    let tmpfile = null
-    const data = await util.promisify(fs.readFile)(filePath)
-
-    tmpfile = await compress(data, name)
-
-    const uploadedImage = await this.uploadImage(type, tmpfile, name, progress)
-
-    if (tmpfile) {
-      fs.unlinkSync(tmpfile)
+    const tmpfile = await compressFile(filePath, name)
+    try {
+      const uploadedImage = await this.uploadImage(type, tmpfile, name, progress)
+      return { id: uploadedImage.id, name: uploadedImage.name }
+    } finally {
+      await removeTempFile(tmpfile)
     }
-
-    return { id: uploadedImage.id, name: uploadedImage.name }
   }
 
   /**
@@ -1162,7 +1369,7 @@ class Instance extends EventEmitter {
    * @returns {Promise<KernelImage>}
    */
   async uploadKernel (filePath, name, progress) {
-    await this.compressAndUploadImage('kernel', filePath, name, progress)
+    return await this.compressAndUploadImage('kernel', filePath, name, progress)
   }
 
   /**
@@ -1175,7 +1382,7 @@ class Instance extends EventEmitter {
    * @returns {Promise<RamDiskImage>}
    */
   async uploadRamDisk (filePath, name, progress) {
-    await this.compressAndUploadImage('ramdisk', filePath, name, progress)
+    return await this.compressAndUploadImage('ramdisk', filePath, name, progress)
   }
 
   /**
@@ -1188,7 +1395,7 @@ class Instance extends EventEmitter {
    * @returns {Promise<DeviceTreeImage>}
    */
   async uploadDeviceTree (filePath, name, progress) {
-    await this.compressAndUploadImage('devicetree', filePath, name, progress)
+    return await this.compressAndUploadImage('devicetree', filePath, name, progress)
   }
 
   /**
@@ -1198,25 +1405,13 @@ class Instance extends EventEmitter {
    * @param {string} filePath - The path on the local file system to get the file.
    * @param {string} name - The name of the file to identify the file on the server. Usually the basename of the path.
    * @param {Project~progressCallback} [progress] - The callback for file upload progress information.
+   * @param {UploadOptions} [options] - See {@link Project#uploadImage}
    *
-   * @returns {Promise<{ id: string, name: string }>}
+   * @returns {Promise<{ id: string, name: string, verified: boolean }>}
+   * @throws {ChecksumMismatchError} if the upload was corrupted
    */
-  async uploadImage (type, filePath, name, progress) {
-    const imageId = uuidv4()
-    const token = await this.project.getToken()
-    const url =
-      this.project.api +
-      '/instances/' +
-      encodeURIComponent(this.id) +
-      '/image-upload/' +
-      encodeURIComponent(type) +
-      '/' +
-      encodeURIComponent(imageId) +
-      '/' +
-      encodeURIComponent(name)
-
-    await uploadFile(token, url, filePath, progress)
-    return { id: imageId, name }
+  async uploadImage (type, filePath, name, progress, options) {
+    return await uploadImageFile(this.project, `/instances/${encodeURIComponent(this.id)}`, type, filePath, name, progress, options)
   }
 
   /**
@@ -1235,7 +1430,7 @@ class Instance extends EventEmitter {
     if (this._webplayer === null) {
       this._webplayer = new WebPlayer(this.project, this.id, features, permissions)
       await this._webplayer._createSession(expiresIn, () => {
-        console.log('Instance destroy WebPlayer')
+        this.project.logger.debug('Instance destroy WebPlayer')
         this._webplayer = null
       })
     }
@@ -0,0 +1,197 @@
+'use strict'
+
+const { InvalidStateError, InstanceStateError } = require('./errors')
+
+/**
+ * The states an instance moves through and the states each can move to.
+ * Updates may skip intermediate states, for instance when polling misses a
+ * short `booting` phase, so observed changes are reported even when they
+ * are not listed here.
+ */
+const TRANSITIONS = {
+  creating: ['booting', 'on', 'off', 'error', 'deleting'],
+  booting: ['on', 'paused', 'off', 'rebooting', 'error', 'deleting'],
+  on: ['rebooting', 'paused', 'off', 'updating', 'error', 'deleting'],
+  rebooting: ['booting', 'on', 'off', 'error', 'deleting'],
+  paused: ['on', 'off', 'error', 'deleting'],
+  off: ['booting', 'on', 'paused', 'updating', 'error', 'deleting'],
+  updating: ['booting', 'on', 'off', 'error', 'deleting'],
+  error: ['booting', 'on', 'off', 'deleting'],
+  deleting: ['deleted', 'error'],
+  deleted: []
+}
+
+/**
+ * The operations that change the lifecycle of an instance, the states they
+ * are known to fail in, and whether they need the instance to be idle, with
+ * no task in flight. Other states, including ones added to the service
+ * later, are left for the server to judge.
+ */
+const OPERATIONS = {
+  start: { refused: ['on', 'booting', 'rebooting', 'paused', 'deleting', 'deleted'] },
+  stop: { refused: ['off', 'deleted'] },
+  pause: { refused: ['off', 'paused', 'deleting', 'deleted'] },
+  unpause: { refused: ['on', 'off', 'deleting', 'deleted'] },
+  reboot: { refused: ['off', 'paused', 'deleting', 'deleted'], idle: true },
+  takeSnapshot: { refused: ['deleting', 'deleted'], idle: true },
+  restoreSnapshot: { refused: ['deleting', 'deleted'], idle: true },
+  restoreBackup: { refused: ['off', 'deleting', 'deleted'], idle: true },
+  upgrade: { refused: ['deleting', 'deleted'], idle: true },
+  destroy: { refused: ['deleted'] }
+}
+
+/**
+ * The task an instance is busy with: the name of the pending user task
+ * (`start`, `snapshot`, ...) or else the task state (`rebooting`, ...), or
+ * `null` when it is idle.
+ * @private
+ */
+function taskOf (info) {
+  if (!info) return null
+  if (info.userTask) return info.userTask.name
+  if (info.taskState && info.taskState !== 'none') return info.taskState
+  return null
+}
+
+/**
+ * Whether an instance can move directly from one state to another.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function isValidTransition (from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * The lifecycle of an instance: its state, the task in flight and the
+ * operations that can be requested. Available as {@link Instance#lifecycle}.
+ *
+ * As instance updates arrive, the lifecycle emits these events on the
+ * {@link Instance}:
+ *
+ * Event|Payload|When
+ * -|-|-
+ * `stateChange`|`{ from, to, info }`|The state changed.
+ * `taskStart`|`{ task, info }`|A task, such as `snapshot` or `rebooting`, started.
+ * `taskEnd`|`{ task, info }`|The task finished.
+ * `booted`|`{ info }`|The instance finished booting, after a start, a reboot or a restore.
+ * `deleted`|`{ info }`|The instance was deleted.
+ * `error`|{@link InstanceStateError}|The instance entered the `error` state. Only emitted when there are `error` listeners.
+ *
+ * Listening to any of them keeps the instance info up to date, like `change`.
+ * @hideconstructor
+ * @example
+ * instance.on('stateChange', ({ from, to }) => console.log(`${instance.name}: ${from} -> ${to}`));
+ * instance.on('taskEnd', ({ task }) => console.log(`${task} done`));
+ * instance.on('booted', () => runTests(instance));
+ */
+class InstanceLifecycle {
+  constructor (instance) {
+    this.instance = instance
+  }
+
+  /**
+   * The state of the instance.
+   * @type {string}
+   */
+  get state () {
+    return this.instance.info.state
+  }
+
+  /**
+   * The task in flight, or `null` when the instance is idle.
+   * @type {string|null}
+   */
+  get task () {
+    return taskOf(this.instance.info)
+  }
+
+  /**
+   * Whether `operation` can be requested in the current state: `false` when
+   * the state or the task in flight is known to make it fail. The state is
+   * the last one the instance info was updated with.
+   * @param {string} operation - `start`, `stop`, `pause`, `unpause`, `reboot`, `takeSnapshot`, `restoreSnapshot`,
+   * `restoreBackup`, `upgrade` or `destroy`
+   * @returns {boolean}
+   */
+  can (operation) {
+    return !this._refusal(operation)
+  }
+
+  /**
+   * The operations that can be requested in the current state.
+   * @returns {string[]}
+   */
+  allowedOperations () {
+    return Object.keys(OPERATIONS).filter(operation => this.can(operation))
+  }
+
+  /**
+   * Throw an {@link InvalidStateError} unless `operation` can be requested
+   * in the current state.
+   * @param {string} operation
+   * @throws {InvalidStateError}
+   */
+  assertCan (operation) {
+    const refusal = this._refusal(operation)
+    if (refusal) {
+      throw new InvalidStateError(`Cannot ${operation} instance ${this.instance.id}: ${refusal}`, {
+        operation,
+        state: this.state,
+        task: this.task
+      })
+    }
+  }
+
+  _refusal (operation) {
+    const rule = OPERATIONS[operation]
+    if (!rule) throw new TypeError(`Unknown instance operation ${operation}`)
+    if (rule.refused.includes(this.state)) return `it is ${this.state}`
+    if (rule.idle && this.task) return `task ${this.task} is in progress`
+    return null
+  }
+
+  /**
+   * Emit the events for a change of the instance info.
+   * @private
+   */
+  _changed (previous, info) {
+    const instance = this.instance
+    const from = previous && previous.state
+    const to = info.state
+
+    if (from !== to) {
+      if (from && !isValidTransition(from, to)) {
+        instance.project.logger.debug(`instance ${instance.id} went from ${from} to ${to}`)
+      }
+      instance.emit('stateChange', { from, to, info })
+    }
+
+    const previousTask = taskOf(previous)
+    const task = taskOf(info)
+    if (previousTask !== task) {
+      if (previousTask) instance.emit('taskEnd', { task: previousTask, info })
+      if (task) instance.emit('taskStart', { task, info })
+    }
+
+    const rebooted = (previousTask === 'reboot' || previousTask === 'rebooting') && !task && to === 'on'
+    if ((from !== to && to === 'on' && from !== 'paused') || rebooted) {
+      instance.emit('booted', { info })
+    }
+    if (from !== to && to === 'deleted') {
+      instance.emit('deleted', { info })
+    }
+    if (from !== to && to === 'error' && instance.listenerCount('error') !== 0) {
+      const message = `Instance ${instance.id} entered the error state` + (info.error ? `: ${info.error}` : '')
+      instance.emit('error', new InstanceStateError(message, { state: to, info }))
+    }
+  }
+}
+
+module.exports = {
+  InstanceLifecycle,
+  isValidTransition,
+  TRANSITIONS,
+  OPERATIONS
+}
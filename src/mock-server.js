@@ -0,0 +1,1370 @@
+'use strict'
+
+const http = require('http')
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const WebSocket = require('ws')
+const { v4: uuidv4 } = require('uuid')
+
+/**
+ * @typedef {object} MockServerOptions
+ * @property {number} [transitionDelay=100] - Milliseconds each simulated step (creating, booting, stopping,
+ * snapshotting...) takes before the instance moves to the next state.
+ * @property {Object[]} [credentials] - Accepted logins, each either `{ username, password }` or
+ * `{ apiToken }`. When omitted, any non-empty credentials are accepted.
+ * @property {SupportedDevice[]} [supported] - The device list returned from `/supported`.
+ * @property {Object} [projects] - Projects to create on startup, keyed by name, with their `quotas`.
+ * @property {boolean} [speculative=false] - Also serve what this library can use but the Corellium API does
+ * not document: image downloads and the `app/spawn`, `app/spawnResize` and `app/spawnKill` agent
+ * commands. Without it, they fail like on a server lacking them.
+ */
+
+const DEFAULT_SUPPORTED = [
+  {
+    type: 'ios',
+    name: 'iphone6',
+    flavor: 'iphone6',
+    description: 'iPhone 6',
+    model: 'iPhone7,2',
+    firmwares: [
+      { version: '12.4.1', buildid: '16G102', filename: 'iPhone_4.7_P3_12.4.1_16G102_Restore.ipsw', size: 1 },
+      { version: '11.4.1', buildid: '15G77', filename: 'iPhone_4.7_P3_11.4.1_15G77_Restore.ipsw', size: 1 }
+    ],
+    quotas: { cores: 2, cpus: 2 }
+  },
+  {
+    type: 'android',
+    name: 'ranchu',
+    flavor: 'ranchu',
+    description: 'Generic Android',
+    model: 'ranchu',
+    firmwares: [
+      { version: '11.0.0', buildid: 'RQ1A', filename: 'android-11.0.0.zip', size: 1 },
+      { version: '7.1.2', buildid: 'N2G48H', filename: 'android-7.1.2.zip', size: 1 }
+    ],
+    quotas: { cores: 1, cpus: 1 }
+  }
+]
+
+// An empty pcap file: the global header only.
+const EMPTY_PCAP = Buffer.from('d4c3b2a1020004000000000000000000ffff000001000000', 'hex')
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex')
+
+const S_IFDIR = 0o040000
+const S_IFREG = 0o100000
+
+class MockHttpError extends Error {
+  constructor (status, error, field, extra) {
+    super(error)
+    this.status = status
+    this.field = field
+    this.extra = extra
+  }
+}
+
+class MockAgentError extends Error {
+  constructor (name, message) {
+    super(message)
+    this.name = name
+  }
+}
+
+function hashOf (value) {
+  return crypto.createHash('sha256').update(value).digest('hex')
+}
+
+function normalizePath (path) {
+  const parts = []
+  for (const part of String(path).split('/')) {
+    if (part === '' || part === '.') continue
+    if (part === '..') parts.pop()
+    else parts.push(part)
+  }
+  return '/' + parts.join('/')
+}
+
+/**
+ * An in-process fake of the Corellium REST API, the agent and the network
+ * monitor, for exercising code built on this library without a Corellium
+ * backend.
+ *
+ * The server keeps projects, instances, snapshots, images and an in-memory
+ * filesystem per instance between calls. Lifecycle operations move instances
+ * through the same states as the real service (`creating` → `booting` →
+ * `on`, `on` → `off`, ...) after `transitionDelay` milliseconds each, so code
+ * waiting with {@link Instance#waitForState} sees the changes through the
+ * regular {@link InstanceUpdater} polling.
+ *
+ * @example
+ * const { MockServer } = require('@corellium/corellium-api/src/mock-server');
+ * const server = new MockServer();
+ * const endpoint = await server.start();
+ * const corellium = new Corellium({ endpoint, username: 'user', password: 'pass' });
+ * const project = await corellium.projectNamed('Default Project');
+ * const instance = await project.createInstance({ flavor: 'iphone6', os: '12.4.1' });
+ * await instance.waitForState('on');
+ * await server.stop();
+ */
+class MockServer extends EventEmitter {
+  /**
+   * @param {MockServerOptions} [options]
+   */
+  constructor (options = {}) {
+    super()
+    this.options = options
+    this.transitionDelay = options.transitionDelay === undefined ? 100 : options.transitionDelay
+    this.supported = options.supported || DEFAULT_SUPPORTED
+    this.endpoint = null
+
+    this.tokens = new Map()
+    this.projects = new Map()
+    this.instances = new Map()
+    this.images = new Map()
+    this.webplayerSessions = new Map()
+    this.preauthed = new Map()
+    this.requests = []
+
+    this._timers = new Set()
+    this._sockets = new Set()
+    this._agentHandlers = new Map()
+    this._failures = []
+    this.firmwareAssets = new Map()
+    this._routes = this._buildRoutes()
+
+    const projects = options.projects || { 'Default Project': { quotas: { cores: 20 } } }
+    for (const [name, settings] of Object.entries(projects)) {
+      this.addProject(Object.assign({ name }, settings))
+    }
+  }
+
+  /**
+   * Start listening on a local port.
+   * @param {number} [port=0] - The port to listen on, by default a random free port.
+   * @returns {Promise<string>} The endpoint URL to pass to the {@link Corellium} constructor.
+   */
+  async start (port = 0) {
+    this.server = http.createServer((req, res) => this._handleRequest(req, res))
+    this.wss = new WebSocket.Server({ noServer: true })
+    this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head))
+    this.server.on('connection', socket => {
+      this._sockets.add(socket)
+      socket.on('close', () => this._sockets.delete(socket))
+    })
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, '127.0.0.1', resolve)
+    })
+
+    this.endpoint = `http://127.0.0.1:${this.server.address().port}`
+    return this.endpoint
+  }
+
+  /**
+   * Stop the server, cancel pending state transitions and drop all connections.
+   */
+  async stop () {
+    for (const timer of this._timers) clearTimeout(timer)
+    this._timers.clear()
+
+    if (this.wss) {
+      for (const client of this.wss.clients) client.terminate()
+      this.wss.close()
+    }
+    for (const socket of this._sockets) socket.destroy()
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()))
+      this.server = null
+    }
+  }
+
+  /**
+   * Add a project.
+   * @param {Object} project
+   * @param {string} project.name
+   * @param {ProjectQuotas} [project.quotas]
+   * @returns {Object} the stored project record
+   */
+  addProject ({ name, quotas = { cores: 20 }, settings = { 'internet-access': true }, color = 1, id = uuidv4() }) {
+    const project = { id, name, color, settings, quotas: Object.assign({}, quotas), keys: [] }
+    this.projects.set(id, project)
+    return project
+  }
+
+  /**
+   * Add an instance directly, bypassing creation. Useful to set up fixtures
+   * in a given state.
+   * @param {string} projectId
+   * @param {Object} info - instance properties, merged over the defaults
+   * @returns {Object} the instance info
+   */
+  addInstance (projectId, info = {}) {
+    const device = this.supported.find(device => device.flavor === (info.flavor || 'iphone6')) || this.supported[0]
+    const id = info.id || uuidv4()
+    const now = new Date().toISOString()
+    const record = {
+      info: Object.assign(
+        {
+          id,
+          name: `${device.description} ${id.slice(0, 4)}`,
+          key: id,
+          flavor: device.flavor,
+          type: device.type,
+          project: projectId,
+          state: 'on',
+          stateChanged: now,
+          created: now,
+          os: device.firmwares[0].version,
+          osbuild: device.firmwares[0].buildid,
+          patches: device.type === 'ios' ? ['jailbroken'] : ['rooted'],
+          bootOptions: {},
+          userTask: null,
+          taskState: 'none',
+          error: null,
+          panicked: false,
+          orientation: 1,
+          agent: null,
+          netmon: null,
+          netdump: null,
+          coreTrace: { enabled: false },
+          consoles: [{ id: 'uart-0' }]
+        },
+        info
+      ),
+      snapshots: [],
+      peripherals: {},
+      panics: [],
+      consoleLog: '',
+      files: new Map(),
+      directories: new Set(['/', '/tmp', '/var', '/var/tmp', '/data', '/data/local', '/data/local/tmp']),
+      apps: [],
+      profiles: new Map(),
+      provisioningProfiles: new Map(),
+      pcap: { netdump: EMPTY_PCAP, networkMonitor: EMPTY_PCAP },
+      agentSessions: new Set(),
+      netmonSessions: new Set(),
+      netdumpSessions: new Set(),
+      consoleSessions: new Set()
+    }
+    record.snapshots.push({
+      id: uuidv4(),
+      name: 'Initial snapshot',
+      date: now,
+      fresh: true,
+      status: { created: true, task: 'none' }
+    })
+    this.instances.set(id, record)
+    if (record.info.state === 'on') this._attachServices(record)
+    return record.info
+  }
+
+  /**
+   * Update an instance's info, as if the backend changed it.
+   * @param {string} instanceId
+   * @param {Object} patch - properties to merge into the instance info
+   */
+  updateInstance (instanceId, patch) {
+    const record = this._instance(instanceId)
+    if (patch.state && patch.state !== record.info.state) {
+      patch = Object.assign({ stateChanged: new Date().toISOString() }, patch)
+    }
+    Object.assign(record.info, patch)
+    if (patch.state === 'on') this._attachServices(record)
+    if (patch.state && patch.state !== 'on' && patch.state !== 'paused') this._detachServices(record)
+    this.emit('instanceUpdated', record.info)
+  }
+
+  /**
+   * Override or add the handler for an agent command.
+   *
+   * The handler is called with the command message and a context holding the
+   * instance `record` and a `send(message)` function for extra replies. It
+   * returns the properties of the reply or throws to answer with an agent
+   * error.
+   * @param {string} type
+   * @param {string} op
+   * @param {function} handler
+   * @example
+   * server.setAgentHandler('app', 'shellExec', ({ cmd }) => ({ output: 'Darwin\n', 'exit-status': 0 }));
+   */
+  setAgentHandler (type, op, handler) {
+    this._agentHandlers.set(`${type}/${op}`, handler)
+  }
+
+  /**
+   * Answer the next `count` requests matching `method` and `url` with an
+   * error, as if the backend failed, e.g. to interrupt an upload. WebSocket
+   * upgrades are `GET` requests.
+   * @param {Object} failure
+   * @param {string} failure.method
+   * @param {RegExp} failure.url - tested against the request path and query string
+   * @param {integer} [failure.status=500]
+   * @param {integer} [failure.count=1]
+   * @param {integer} [failure.delay=0] - milliseconds to wait before answering
+   * @example
+   * server.failRequests({ method: 'PUT', url: /image-upload.*resumableChunkNumber=2&/ });
+   */
+  failRequests ({ method, url, status = 500, count = 1, delay = 0 }) {
+    this._failures.push({ method, url, status, count, delay })
+  }
+
+  /**
+   * Serve a firmware asset, and require it to create instances of the given
+   * flavors: until an image of type `fwasset` named after its URL is uploaded
+   * to the project, creating one fails with a `firmware_asset` error listing
+   * the missing assets. Requests for the asset emit `firmwareAssetRequested`
+   * with its `url` and `range` header. Call after {@link MockServer#start}.
+   * @param {string} name - the file name of the asset
+   * @param {Buffer|string} data
+   * @param {string[]} [flavors] - the flavors that need it, all by default
+   * @returns {string} the URL of the asset
+   */
+  addFirmwareAsset (name, data, flavors) {
+    const url = `${this.endpoint}/assets/${encodeURIComponent(name)}`
+    this.firmwareAssets.set(url, { data: Buffer.from(data), flavors })
+    return url
+  }
+
+  /**
+   * Write a crash report to the instance filesystem and notify crash
+   * subscribers of the given app.
+   * @param {string} instanceId
+   * @param {string} bundleID
+   * @param {string|Buffer} report
+   * @param {string} [name] - file name of the report
+   * @returns {string} the path of the report on the instance
+   */
+  emitCrash (instanceId, bundleID, report, name = `${bundleID}-${Date.now()}.ips`) {
+    const record = this._instance(instanceId)
+    const path = `/var/mobile/Library/Logs/CrashReporter/${name}`
+    this._writeFile(record, path, Buffer.from(report))
+    for (const session of record.agentSessions) {
+      for (const [id, subscription] of session.crashSubscriptions) {
+        if (!subscription.bundleID || subscription.bundleID === bundleID) {
+          session.send({ id, file: path })
+        }
+      }
+    }
+    return path
+  }
+
+  /**
+   * Send a captured network monitor entry to connected {@link NetworkMonitor}s.
+   * @param {string} instanceId
+   * @param {NetmonEntry} entry
+   */
+  emitNetmonEntry (instanceId, entry) {
+    for (const ws of this._instance(instanceId).netmonSessions) ws.send(JSON.stringify(entry))
+  }
+
+  /**
+   * Send a captured packet to connected {@link Netdump}s.
+   * @param {string} instanceId
+   * @param {Object|Buffer} packet
+   */
+  emitNetdumpPacket (instanceId, packet) {
+    for (const ws of this._instance(instanceId).netdumpSessions) {
+      ws.send(Buffer.isBuffer(packet) ? Buffer.concat([Buffer.alloc(8), packet]) : JSON.stringify(packet))
+    }
+  }
+
+  /**
+   * Append text to the instance console log and connected console streams.
+   * @param {string} instanceId
+   * @param {string} text
+   */
+  writeConsole (instanceId, text) {
+    const record = this._instance(instanceId)
+    record.consoleLog += text
+    for (const ws of record.consoleSessions) ws.send(Buffer.from(text))
+  }
+
+  _instance (instanceId) {
+    const record = this.instances.get(instanceId)
+    if (!record) throw new MockHttpError(404, 'No such instance')
+    return record
+  }
+
+  _project (projectId) {
+    const project = this.projects.get(projectId)
+    if (!project) throw new MockHttpError(404, 'No such project')
+    return project
+  }
+
+  _device (flavor) {
+    return this.supported.find(device => device.flavor === flavor || device.name === flavor)
+  }
+
+  _quotasUsed (projectId) {
+    let cores = 0
+    for (const { info } of this.instances.values()) {
+      if (info.project !== projectId || info.state === 'deleting') continue
+      const device = this._device(info.flavor)
+      cores += device ? device.quotas.cores : 1
+    }
+    return { cores }
+  }
+
+  _projectInfo (project) {
+    return {
+      id: project.id,
+      name: project.name,
+      color: project.color,
+      settings: project.settings,
+      quotas: project.quotas,
+      quotasUsed: this._quotasUsed(project.id)
+    }
+  }
+
+  _attachServices (record) {
+    const { info } = record
+    if (!info.agent) info.agent = { hash: uuidv4(), info: `agent-${info.id}` }
+    if (!info.netmon) info.netmon = { hash: uuidv4(), info: `netmon-${info.id}`, enabled: false }
+    if (!info.netdump) info.netdump = { hash: uuidv4(), info: `netdump-${info.id}`, enabled: false }
+  }
+
+  _detachServices (record) {
+    record.info.agent = null
+    record.info.netmon = null
+    record.info.netdump = null
+    for (const ws of [...record.agentSessions].map(session => session.ws)) ws.close()
+  }
+
+  /**
+   * Run a series of `[patch]` steps against an instance, `transitionDelay`
+   * milliseconds apart. The first patch is applied immediately.
+   * @private
+   */
+  _transition (record, steps) {
+    const [first, ...rest] = steps
+    this.updateInstance(record.info.id, first)
+
+    let delay = 0
+    for (const step of rest) {
+      delay += this.transitionDelay
+      const timer = setTimeout(() => {
+        this._timers.delete(timer)
+        if (this.instances.get(record.info.id) !== record) return
+        if (typeof step === 'function') step()
+        else this.updateInstance(record.info.id, step)
+      }, delay)
+      this._timers.add(timer)
+    }
+  }
+
+  _writeFile (record, path, data, mode = 0o644) {
+    path = normalizePath(path)
+    const now = Math.floor(Date.now() / 1000)
+    record.files.set(path, { data, mode: S_IFREG | mode, mtime: now, atime: now, ctime: now, uid: 0, gid: 0 })
+    let dir = path
+    while ((dir = dir.slice(0, dir.lastIndexOf('/')) || '/') !== '/') record.directories.add(dir)
+  }
+
+  _stat (record, path) {
+    path = normalizePath(path)
+    const name = path.slice(path.lastIndexOf('/') + 1)
+    const file = record.files.get(path)
+    if (file) {
+      return { name, size: file.data.length, mode: file.mode, mtime: file.mtime, atime: file.atime, ctime: file.ctime, uid: file.uid, gid: file.gid }
+    }
+    if (!record.directories.has(path)) return null
+
+    const prefix = path === '/' ? '/' : path + '/'
+    const children = new Set()
+    for (const candidate of [...record.files.keys(), ...record.directories]) {
+      if (candidate !== path && candidate.startsWith(prefix)) children.add(candidate.slice(prefix.length).split('/')[0])
+    }
+    const now = Math.floor(Date.now() / 1000)
+    return {
+      name,
+      size: 0,
+      mode: S_IFDIR | 0o755,
+      mtime: now,
+      atime: now,
+      ctime: now,
+      uid: 0,
+      gid: 0,
+      entries: [...children].sort().map(child => this._stat(record, prefix + child))
+    }
+  }
+
+  _buildRoutes () {
+    const routes = []
+    const route = (method, pattern, handler) => {
+      const keys = []
+      const regex = new RegExp(
+        '^/api/v1' + pattern.replace(/:(\w+)/g, (_, key) => {
+          keys.push(key)
+          return '([^/]+)'
+        }) + '$'
+      )
+      routes.push({ method, regex, keys, handler, auth: pattern !== '/tokens' && !pattern.startsWith('/preauthed') })
+    }
+
+    route('POST', '/tokens', ({ body, headers }) => {
+      if (!this._validLogin(body, headers)) throw new MockHttpError(403, 'Invalid credentials')
+      const token = crypto.randomBytes(16).toString('hex')
+      const expiration = new Date(Date.now() + 60 * 60 * 1000)
+      this.tokens.set(token, expiration)
+      return { token, expiration: expiration.toISOString() }
+    })
+
+    route('POST', '/apitoken', () => ({ apiToken: crypto.randomBytes(16).toString('hex') }))
+    route('DELETE', '/apitoken', () => null)
+
+    route('GET', '/supported', () => this.supported)
+
+    route('GET', '/projects', ({ query }) => {
+      const projects = this._page([...this.projects.values()], query)
+      if (query.ids_only) return projects.map(({ id }) => ({ id }))
+      return projects.map(project => this._projectInfo(project))
+    })
+    route('POST', '/projects', ({ body }) => {
+      if (!body.name) throw new MockHttpError(400, 'Project name is required', 'name')
+      const project = this.addProject({ name: body.name, color: body.color, settings: body.settings })
+      return { id: project.id }
+    })
+    route('GET', '/projects/:project', ({ params }) => this._projectInfo(this._project(params.project)))
+    route('PATCH', '/projects/:project', ({ params, body }) => {
+      const project = this._project(params.project)
+      if (body.name) project.name = body.name
+      if (body.quotas) Object.assign(project.quotas, body.quotas)
+      if (body.settings) Object.assign(project.settings, body.settings)
+      return null
+    })
+    route('DELETE', '/projects/:project', ({ params }) => {
+      this._project(params.project)
+      this.projects.delete(params.project)
+      return null
+    })
+    route('GET', '/projects/:project/instances', ({ params, query }) => {
+      this._project(params.project)
+      return this._listInstances(Object.assign({}, query, { project: params.project }))
+    })
+    route('GET', '/projects/:project/keys', ({ params }) => this._project(params.project).keys)
+    route('POST', '/projects/:project/keys', ({ params, body }) => {
+      const project = this._project(params.project)
+      const now = new Date().toISOString()
+      const key = {
+        identifier: uuidv4(),
+        label: body.label || body.key.split(' ')[2] || null,
+        key: body.key,
+        kind: body.kind || 'ssh',
+        fingerprint: hashOf(body.key).slice(0, 47).replace(/(..)(?=.)/g, '$1:'),
+        createdAt: now,
+        updatedAt: now
+      }
+      project.keys.push(key)
+      return key
+    })
+    route('DELETE', '/projects/:project/keys/:key', ({ params }) => {
+      const project = this._project(params.project)
+      project.keys = project.keys.filter(key => key.identifier !== params.key)
+      return null
+    })
+    route('GET', '/projects/:project/vpn-configs/:file', ({ params }) => {
+      this._project(params.project)
+      return { raw: Buffer.from(`# mock vpn configuration ${params.file}\n`), type: 'text/plain' }
+    })
+
+    route('GET', '/instances', ({ query }) => this._listInstances(query))
+    route('POST', '/instances', ({ body }) => this._createInstance(body))
+    route('GET', '/instances/:id', ({ params }) => this._instance(params.id).info)
+    route('PATCH', '/instances/:id', ({ params, body }) => {
+      const record = this._instance(params.id)
+      const { peripherals, ...patch } = body
+      if (peripherals) Object.assign(record.peripherals, peripherals)
+      this.updateInstance(params.id, patch)
+      return null
+    })
+    route('DELETE', '/instances/:id', ({ params }) => {
+      const record = this._instance(params.id)
+      this._transition(record, [
+        { state: 'deleting', userTask: { name: 'delete', options: {} } },
+        () => {
+          this._detachServices(record)
+          this.instances.delete(params.id)
+          this.emit('instanceDeleted', record.info)
+        }
+      ])
+      return null
+    })
+
+    route('POST', '/instances/:id/start', ({ params, body }) => {
+      const record = this._instance(params.id)
+      if (!['off', 'error'].includes(record.info.state)) throw new MockHttpError(409, 'Instance is not off')
+      const options = body || {}
+      this._transition(record, [
+        { state: 'booting', userTask: { name: 'start', options }, taskState: 'none' },
+        { state: options.paused ? 'paused' : 'on', userTask: null }
+      ])
+      return null
+    })
+    route('POST', '/instances/:id/stop', ({ params }) => {
+      const record = this._instance(params.id)
+      this._transition(record, [
+        { userTask: { name: 'stop', options: {} } },
+        { state: 'off', userTask: null, taskState: 'none' }
+      ])
+      return null
+    })
+    route('POST', '/instances/:id/pause', ({ params }) => {
+      const record = this._instance(params.id)
+      if (record.info.state !== 'on') throw new MockHttpError(409, 'Instance is not on')
+      this._transition(record, [{ userTask: { name: 'pause', options: {} } }, { state: 'paused', userTask: null }])
+      return null
+    })
+    route('POST', '/instances/:id/unpause', ({ params }) => {
+      const record = this._instance(params.id)
+      if (record.info.state !== 'paused') throw new MockHttpError(409, 'Instance is not paused')
+      this._transition(record, [{ userTask: { name: 'unpause', options: {} } }, { state: 'on', userTask: null }])
+      return null
+    })
+    route('POST', '/instances/:id/reboot', ({ params }) => {
+      const record = this._instance(params.id)
+      this._transition(record, [
+        { taskState: 'rebooting', userTask: { name: 'reboot', options: {} } },
+        { taskState: 'none', userTask: null }
+      ])
+      return null
+    })
+    route('POST', '/instances/:id/upgrade', ({ params, body }) => {
+      const record = this._instance(params.id)
+      this._transition(record, [
+        { state: 'updating' },
+        { state: 'on', os: body.os, osbuild: body.osbuild || record.info.osbuild }
+      ])
+      return null
+    })
+    route('POST', '/instances/:id/restoreBackup', ({ params }) => {
+      const record = this._instance(params.id)
+      this._transition(record, [{ userTask: { name: 'restoreBackup', options: {} } }, { userTask: null }])
+      return null
+    })
+
+    route('GET', '/instances/:id/snapshots', ({ params }) => this._instance(params.id).snapshots)
+    route('POST', '/instances/:id/snapshots', ({ params, body }) => {
+      const record = this._instance(params.id)
+      const snapshot = {
+        id: uuidv4(),
+        name: body.name,
+        date: new Date().toISOString(),
+        fresh: false,
+        status: { created: false, task: 'creating' }
+      }
+      record.snapshots.push(snapshot)
+      this._transition(record, [
+        { userTask: { name: 'snapshot', options: { name: body.name } } },
+        () => {
+          snapshot.status = { created: true, task: 'none' }
+          this.updateInstance(params.id, { userTask: null })
+        }
+      ])
+      return snapshot
+    })
+    route('GET', '/instances/:id/snapshots/:snapshot', ({ params }) => this._snapshot(params))
+    route('PATCH', '/instances/:id/snapshots/:snapshot', ({ params, body }) => {
+      Object.assign(this._snapshot(params), { name: body.name })
+      return null
+    })
+    route('DELETE', '/instances/:id/snapshots/:snapshot', ({ params }) => {
+      const record = this._instance(params.id)
+      this._snapshot(params)
+      record.snapshots = record.snapshots.filter(snapshot => snapshot.id !== params.snapshot)
+      this._transition(record, [{ userTask: { name: 'delete-snapshot', options: {} } }, { userTask: null }])
+      return null
+    })
+    route('POST', '/instances/:id/snapshots/:snapshot/restore', ({ params }) => {
+      const record = this._instance(params.id)
+      this._snapshot(params)
+      this._transition(record, [
+        { taskState: 'reverting', userTask: { name: 'revert', options: {} } },
+        { taskState: 'none', userTask: null, state: 'on' }
+      ])
+      return null
+    })
+
+    route('GET', '/instances/:id/console', ({ params, query }) => {
+      this._instance(params.id)
+      const type = query.type ? `?type=${encodeURIComponent(query.type)}` : ''
+      return { url: `${this.endpoint.replace(/^http/, 'ws')}/console/${params.id}${type}` }
+    })
+    route('GET', '/instances/:id/consoleLog', ({ params }) => ({ raw: Buffer.from(this._instance(params.id).consoleLog), type: 'text/plain' }))
+    route('GET', '/instances/:id/peripherals', ({ params }) => this._instance(params.id).peripherals)
+    route('GET', '/instances/:id/panics', ({ params }) => this._instance(params.id).panics)
+    route('DELETE', '/instances/:id/panics', ({ params }) => {
+      const record = this._instance(params.id)
+      record.panics = []
+      this.updateInstance(params.id, { panicked: false })
+      return null
+    })
+    route('POST', '/instances/:id/input', ({ params }) => {
+      this._instance(params.id)
+      return null
+    })
+    route('POST', '/instances/:id/rotate', ({ params, body }) => {
+      this.updateInstance(params.id, { orientation: body.orientation })
+      return null
+    })
+    route('POST', '/instances/:id/message', ({ params }) => {
+      this._instance(params.id)
+      return null
+    })
+    for (const format of ['png', 'jpg']) {
+      route('GET', `/instances/:id/screenshot\\.${format}`, ({ params }) => {
+        this._instance(params.id)
+        return { raw: PNG_SIGNATURE, type: `image/${format === 'jpg' ? 'jpeg' : format}` }
+      })
+    }
+    route('POST', '/instances/:id/sslsplit/:action', ({ params }) => this._toggle(params, 'netmon'))
+    route('POST', '/instances/:id/netdump/:action', ({ params }) => this._toggle(params, 'netdump'))
+    route('POST', '/instances/:id/strace/:action', ({ params }) => this._toggle(params, 'coreTrace'))
+    route('POST', '/instances/:id/exposeport/:action', ({ params }) => {
+      this._instance(params.id)
+      return null
+    })
+    route('POST', '/instances/:id/networkMonitorPcap-authorize', ({ params }) => this._preauth(params.id, 'networkMonitor.pcap'))
+    route('POST', '/instances/:id/netdumpPcap-authorize', ({ params }) => this._preauth(params.id, 'netdump.pcap'))
+    route('GET', '/instances/:id/strace-authorize', ({ params }) => this._preauth(params.id, 'coretrace.log'))
+    route('GET', '/preauthed/:token/:file', ({ params }) => {
+      const grant = this.preauthed.get(params.token)
+      if (!grant || grant.file !== params.file) throw new MockHttpError(404, 'Not found')
+      const record = this._instance(grant.instance)
+      if (params.file === 'coretrace.log') return { raw: Buffer.alloc(0), type: 'text/plain' }
+      return { raw: record.pcap[params.file.replace(/\.pcap$/, '')], type: 'application/vnd.tcpdump.pcap' }
+    })
+
+    route('GET', '/images', () => [...this.images.values()].map(({ data, chunks, ...image }) => image))
+    route('GET', '/images/:image', ({ params }) => {
+      const image = this.images.get(params.image)
+      if (!image) throw new MockHttpError(404, 'No such image')
+      const { data, chunks, ...info } = image
+      return info
+    })
+    if (this.options.speculative) {
+      route('GET', '/images/:image/file', ({ params }) => {
+        const image = this.images.get(params.image)
+        if (!image || !image.data) throw new MockHttpError(404, 'No such image')
+        return { raw: image.data, type: 'application/octet-stream' }
+      })
+    }
+    route('DELETE', '/images/:image', ({ params }) => {
+      if (!this.images.delete(params.image)) throw new MockHttpError(404, 'No such image')
+      return null
+    })
+    for (const owner of ['projects', 'instances']) {
+      route('GET', `/${owner}/:owner/image-upload/:type/:image/:name`, ({ params, query }) => {
+        const image = this.images.get(params.image)
+        const uploaded = image && image.chunks && image.chunks.has(Number(query.resumableChunkNumber))
+        return uploaded ? { raw: Buffer.from(JSON.stringify(this._imageInfo(image))), type: 'application/json' } : null
+      })
+      route('PUT', `/${owner}/:owner/image-upload/:type/:image/:name`, ({ params, query, raw }) =>
+        this._uploadChunk(owner, params, query, raw)
+      )
+    }
+
+    route('GET', '/webplayer', () => [...this.webplayerSessions.values()])
+    route('POST', '/webplayer', ({ body }) => {
+      this._instance(body.instanceId)
+      const session = {
+        identifier: uuidv4(),
+        projectId: body.projectId,
+        instanceId: body.instanceId,
+        features: body.features,
+        permissions: body.permissions,
+        token: crypto.randomBytes(16).toString('hex'),
+        expiration: new Date(Date.now() + (body.expiresIn || 900) * 1000).toISOString()
+      }
+      this.webplayerSessions.set(session.identifier, session)
+      return session
+    })
+    route('GET', '/webplayer/:session', ({ params }) => {
+      const session = this.webplayerSessions.get(params.session)
+      return session ? [session] : []
+    })
+    route('DELETE', '/webplayer/:session', ({ params }) => {
+      this.webplayerSessions.delete(params.session)
+      return {}
+    })
+
+    return routes
+  }
+
+  // Apply the `limit` and `offset` query parameters of list endpoints.
+  _page (items, query) {
+    if (query.limit === undefined) return items
+    const offset = Number(query.offset) || 0
+    return items.slice(offset, offset + Number(query.limit))
+  }
+
+  // Instance infos filtered by the `id`, `project`, `state` and `flavor` query parameters, then paged.
+  _listInstances (query) {
+    const filters = {}
+    for (const key of ['id', 'project', 'state', 'flavor']) {
+      if (query[key]) filters[key] = query[key].split(',')
+    }
+    const infos = [...this.instances.values()]
+      .map(({ info }) => info)
+      .filter(info => Object.entries(filters).every(([key, values]) => values.includes(info[key])))
+    return this._page(infos, query)
+  }
+
+  _validLogin (body, headers) {
+    if (headers.authorization && this.tokens.has(headers.authorization)) return true
+    const credentials = this.options.credentials
+    if (!credentials) return !!(body.apiToken || (body.username && body.password))
+    return credentials.some(credential =>
+      credential.apiToken
+        ? credential.apiToken === body.apiToken
+        : credential.username === body.username && credential.password === body.password
+    )
+  }
+
+  _snapshot (params) {
+    const snapshot = this._instance(params.id).snapshots.find(snapshot => snapshot.id === params.snapshot)
+    if (!snapshot) throw new MockHttpError(404, 'No such snapshot')
+    return snapshot
+  }
+
+  _toggle (params, service) {
+    const record = this._instance(params.id)
+    const enabled = params.action === 'enable'
+    const current = record.info[service]
+    if (!current) throw new MockHttpError(409, 'Instance is not on')
+    this._transition(record, [{}, { [service]: Object.assign({}, current, { enabled }) }])
+    return null
+  }
+
+  _preauth (instanceId, file) {
+    this._instance(instanceId)
+    const token = crypto.randomBytes(16).toString('hex')
+    this.preauthed.set(token, { instance: instanceId, file })
+    return { token }
+  }
+
+  _createInstance (body) {
+    const project = this._project(body.project)
+    const device = this._device(body.flavor)
+    if (!device) throw new MockHttpError(400, `Unsupported flavor ${body.flavor}`, 'flavor')
+    const firmware = device.firmwares.find(firmware =>
+      body.osbuild ? firmware.buildid === body.osbuild : firmware.version === body.os
+    )
+    if (!firmware && !body.ipsw) throw new MockHttpError(400, `Unsupported firmware ${body.os}`, 'os')
+    if (this._quotasUsed(project.id).cores + device.quotas.cores > project.quotas.cores) {
+      throw new MockHttpError(403, 'Not enough cores available in the project quota', 'cores')
+    }
+    const missingFwAssets = [...this.firmwareAssets]
+      .filter(([url, asset]) => !asset.flavors || asset.flavors.includes(device.flavor))
+      .map(([url]) => url)
+      .filter(url => ![...this.images.values()].some(image =>
+        image.type === 'fwasset' && image.status === 'active' && image.project === project.id && image.name === url
+      ))
+    if (missingFwAssets.length) {
+      throw new MockHttpError(400, 'Firmware assets are missing', 'firmware_asset', { missingFwAssets })
+    }
+
+    const overrides = {
+      flavor: device.flavor,
+      name: body.name || device.description,
+      os: firmware ? firmware.version : body.os,
+      osbuild: firmware ? firmware.buildid : body.osbuild,
+      bootOptions: body.bootOptions || {},
+      state: 'creating'
+    }
+    if (body.patches) overrides.patches = [].concat(body.patches)
+    const info = this.addInstance(project.id, overrides)
+    const record = this.instances.get(info.id)
+    if (body.snapshot) record.snapshots.push({ id: body.snapshot, name: 'Cloned', date: info.created, fresh: false, status: { created: true, task: 'none' } })
+    this._transition(record, [{ state: 'creating' }, { state: 'booting' }, { state: 'on' }])
+    return { id: info.id }
+  }
+
+  _imageInfo ({ data, chunks, ...info }) {
+    return info
+  }
+
+  _uploadChunk (owner, params, query, raw) {
+    const now = new Date().toISOString()
+    let image = this.images.get(params.image)
+    if (!image) {
+      image = {
+        id: params.image,
+        name: decodeURIComponent(params.name),
+        type: params.type,
+        status: 'uploading',
+        self: `${this.endpoint}/api/v1/images/${params.image}`,
+        file: `${this.endpoint}/api/v1/images/${params.image}/file`,
+        size: Number(query.resumableTotalSize) || raw.length,
+        checksum: null,
+        encoding: 'plain',
+        project: owner === 'projects' ? params.owner : this._instance(params.owner).info.project,
+        instance: owner === 'instances' ? params.owner : null,
+        createdAt: now,
+        updatedAt: now,
+        chunks: new Map()
+      }
+      this.images.set(image.id, image)
+    }
+
+    image.chunks.set(Number(query.resumableChunkNumber) || 1, raw)
+    image.updatedAt = now
+    if (image.chunks.size >= (Number(query.resumableTotalChunks) || 1)) {
+      image.data = Buffer.concat([...image.chunks.keys()].sort((a, b) => a - b).map(key => image.chunks.get(key)))
+      image.checksum = hashOf(image.data)
+      image.size = image.data.length
+      image.status = 'active'
+    }
+    return this._imageInfo(image)
+  }
+
+  async _handleRequest (req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const query = Object.fromEntries(url.searchParams)
+    const chunks = []
+    for await (const chunk of req) chunks.push(chunk)
+    const raw = Buffer.concat(chunks)
+
+    this.requests.push({ method: req.method, path: url.pathname, query })
+
+    const asset = req.method === 'GET' && this.firmwareAssets.get(this.endpoint + url.pathname)
+    if (asset) {
+      this.emit('firmwareAssetRequested', { url: this.endpoint + url.pathname, range: req.headers.range })
+      const range = /^bytes=(\d+)-$/.exec(req.headers.range || '')
+      const start = range ? Number(range[1]) : 0
+      if (start >= asset.data.length && start > 0) {
+        res.writeHead(416, { 'Content-Range': `bytes */${asset.data.length}` })
+        res.end()
+      } else {
+        res.writeHead(range ? 206 : 200, Object.assign(
+          { 'Content-Type': 'application/octet-stream', 'Content-Length': asset.data.length - start },
+          range ? { 'Content-Range': `bytes ${start}-${asset.data.length - 1}/${asset.data.length}` } : {}
+        ))
+        res.end(asset.data.slice(start))
+      }
+      return
+    }
+
+    const send = (status, body, type = 'application/json') => {
+      const payload = body === null ? '' : Buffer.isBuffer(body) ? body : JSON.stringify(body)
+      res.writeHead(status, { 'Content-Type': type, 'X-Request-Id': uuidv4() })
+      res.end(payload)
+    }
+
+    try {
+      const failure = this._takeFailure(req.method, url)
+      if (failure) {
+        if (failure.delay) await new Promise(resolve => setTimeout(resolve, failure.delay))
+        throw new MockHttpError(failure.status, 'Injected failure')
+      }
+
+      const match = this._routes
+        .map(route => ({ route, match: req.method === route.method && route.regex.exec(url.pathname) }))
+        .find(({ match }) => match)
+      if (!match) throw new MockHttpError(404, `No route for ${req.method} ${url.pathname}`)
+
+      const { route } = match
+      if (route.auth && !this._authorized(req.headers.authorization)) {
+        throw new MockHttpError(401, 'Invalid or expired token')
+      }
+
+      let body = {}
+      if (raw.length && /json/.test(req.headers['content-type'] || '')) body = JSON.parse(raw.toString('utf8'))
+
+      const params = {}
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(match.match[i + 1])
+      })
+
+      const result = await route.handler({ params, query, body, raw, headers: req.headers })
+      if (result === null) send(204, null)
+      else if (result && result.raw) send(200, result.raw, result.type)
+      else send(200, result)
+    } catch (err) {
+      if (err instanceof MockHttpError) {
+        send(err.status, Object.assign({ error: err.message, field: err.field }, err.extra))
+      } else {
+        send(500, { error: err.message })
+      }
+    }
+  }
+
+  // The injected failure for a request, if any, counting it as used.
+  _takeFailure (method, url) {
+    const failure = this._failures.find(failure => failure.method === method && failure.url.test(url.pathname + url.search))
+    if (failure && --failure.count <= 0) this._failures.splice(this._failures.indexOf(failure), 1)
+    return failure
+  }
+
+  _authorized (token) {
+    const expiration = token && this.tokens.get(token)
+    return !!expiration && expiration > new Date()
+  }
+
+  _handleUpgrade (req, socket, head) {
+    const url = new URL(req.url, 'http://localhost')
+    let match
+    let connect
+
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), upgrade: true })
+    const failure = this._takeFailure(req.method, url)
+    if (failure) {
+      const timer = setTimeout(() => {
+        this._timers.delete(timer)
+        socket.end(`HTTP/1.1 ${failure.status} Injected failure\r\n\r\n`)
+      }, failure.delay)
+      this._timers.add(timer)
+      return
+    }
+
+    if ((match = /^\/api\/v1\/agent\/(agent|netmon|netdump)-(.+)$/.exec(url.pathname))) {
+      const [, kind, id] = match
+      const record = this.instances.get(id)
+      if (!record || !record.info[kind] || record.info.state !== 'on') {
+        socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n')
+        return
+      }
+      connect = ws => {
+        if (kind === 'agent') this._agentSession(record, ws)
+        else this._captureSession(record, ws, kind === 'netmon' ? record.netmonSessions : record.netdumpSessions)
+      }
+    } else if ((match = /^\/console\/(.+)$/.exec(url.pathname))) {
+      const record = this.instances.get(match[1])
+      if (!record) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n')
+        return
+      }
+      connect = ws => this._consoleSession(record, ws)
+    } else {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n')
+      return
+    }
+
+    this.wss.handleUpgrade(req, socket, head, connect)
+  }
+
+  _captureSession (record, ws, sessions) {
+    sessions.add(ws)
+    ws.on('message', data => {
+      try {
+        if (JSON.parse(data).type === 'clear') this.emit('captureCleared', record.info)
+      } catch (e) {
+        // Ignore anything that is not a command.
+      }
+    })
+    ws.on('close', () => sessions.delete(ws))
+  }
+
+  _consoleSession (record, ws) {
+    record.consoleSessions.add(ws)
+    if (record.consoleLog) ws.send(Buffer.from(record.consoleLog))
+    ws.on('message', data => this.emit('consoleInput', record.info, data))
+    ws.on('close', () => record.consoleSessions.delete(ws))
+  }
+
+  _agentSession (record, ws) {
+    const session = {
+      ws,
+      record,
+      uploads: new Map(),
+      processes: new Map(),
+      crashSubscriptions: new Map(),
+      send: message => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(Buffer.isBuffer(message) ? message : JSON.stringify(message))
+      }
+    }
+    record.agentSessions.add(session)
+    ws.on('close', () => record.agentSessions.delete(session))
+
+    ws.on('message', data => {
+      if (Buffer.isBuffer(data)) {
+        let message
+        try {
+          message = JSON.parse(data.toString('utf8'))
+        } catch (e) {
+          this._agentBinary(session, data)
+          return
+        }
+        this._agentCommand(session, message)
+        return
+      }
+      this._agentCommand(session, JSON.parse(data))
+    })
+  }
+
+  _agentBinary (session, data) {
+    if (data.length < 8) return
+    const id = data.readUInt32LE(0)
+    const payload = data.slice(8)
+    const child = session.processes.get(id)
+    if (child) {
+      if (payload.length) child.input(payload)
+      else child.close()
+      return
+    }
+
+    const upload = session.uploads.get(id)
+    if (!upload) return
+
+    if (payload.length) {
+      upload.chunks.push(payload)
+      return
+    }
+
+    session.uploads.delete(id)
+    this._writeFile(session.record, upload.path, Buffer.concat(upload.chunks))
+    session.send({ id, success: true })
+  }
+
+  async _agentCommand (session, message) {
+    const { id, type, op } = message
+    const builtin = this.options.speculative || !SPECULATIVE_AGENT_COMMANDS.has(`${type}/${op}`)
+    const handler = this._agentHandlers.get(`${type}/${op}`) || (builtin && AGENT_COMMANDS[`${type}/${op}`])
+    try {
+      if (!handler) throw new MockAgentError('UnknownCommand', `Unknown command ${type}/${op}`)
+      const reply = await handler.call(this, message, session)
+      if (reply !== undefined) session.send(Object.assign({ id, success: true }, reply))
+    } catch (err) {
+      session.send({ id, error: { name: err.name, message: err.message } })
+    }
+  }
+}
+
+// The agent commands only served with the `speculative` option.
+const SPECULATIVE_AGENT_COMMANDS = new Set(['app/spawn', 'app/spawnResize', 'app/spawnKill'])
+
+// Default agent command implementations, called with the server as `this`.
+// Returning undefined sends no reply, for commands that answer later.
+const AGENT_COMMANDS = {
+  'app/ready': () => ({}),
+  'app/list': (message, { record }) => ({ apps: record.apps }),
+  'app/install': function ({ id, path }, session) {
+    const file = session.record.files.get(normalizePath(path))
+    if (!file) throw new MockAgentError('InstallFailed', `Stat of file '${path}' failed`)
+    const bundleID = `com.mock.${path.slice(path.lastIndexOf('/') + 1).replace(/\W+/g, '').toLowerCase()}`
+    session.send({ id, progress: 0.5, status: 'Installing' })
+    session.record.apps = session.record.apps.filter(app => app.bundleID !== bundleID)
+    session.record.apps.push({
+      applicationType: 'User',
+      bundleID,
+      date: Date.now(),
+      diskUsage: file.data.length,
+      isLaunchable: true,
+      name: bundleID,
+      running: false
+    })
+    return {}
+  },
+  'app/uninstall': ({ bundleID }, { record }) => {
+    record.apps = record.apps.filter(app => app.bundleID !== bundleID)
+    return {}
+  },
+  'app/run': ({ bundleID }, { record }) => {
+    const app = record.apps.find(app => app.bundleID === bundleID)
+    if (!app) throw new MockAgentError('AppNotFound', `App ${bundleID} is not installed`)
+    app.running = true
+    return {}
+  },
+  'app/kill': ({ bundleID }, { record }) => {
+    const app = record.apps.find(app => app.bundleID === bundleID)
+    if (app) app.running = false
+    return {}
+  },
+  'app/shellExec': ({ cmd }, { record }) => {
+    const mkdir = /^mkdir (-p )?-- '((?:[^']|'\\'')*)'$/.exec(cmd)
+    if (mkdir) {
+      const path = normalizePath(mkdir[2].replace(/'\\''/g, "'"))
+      const parent = path.slice(0, path.lastIndexOf('/')) || '/'
+      if (record.files.has(path) || (!mkdir[1] && (record.directories.has(path) || !record.directories.has(parent)))) {
+        return { output: `mkdir: ${path}: cannot create directory\n`, 'exit-status': 1 }
+      }
+      for (let dir = path; dir !== '/'; dir = dir.slice(0, dir.lastIndexOf('/')) || '/') record.directories.add(dir)
+      return { output: '', 'exit-status': 0 }
+    }
+    const echo = /^echo (.*)$/.exec(cmd)
+    return { output: echo ? `${echo[1]}\n` : '', 'exit-status': 0 }
+  },
+  // A few commands to stream: `cat` copies its input until it is closed and
+  // `sh` runs the commands of its input lines; `echo text [>&2]`, `pwd`, `env`
+  // and `stty size` print and exit.
+  'app/spawn': ({ id, cmd, pty, cols, rows, env = {}, cwd = '/' }, session) => {
+    if (!session.record.directories.has(normalizePath(cwd))) {
+      throw new MockAgentError('FileNotFound', `Working directory '${cwd}' does not exist`)
+    }
+    const output = (channel, data) => {
+      const header = Buffer.alloc(8)
+      header.writeUInt32LE(id, 0)
+      header.writeUInt32LE(channel, 4)
+      session.send(Buffer.concat([header, Buffer.from(data)]))
+    }
+    // A terminal has a single output.
+    const print = (text, channel = 1) => output(pty ? 1 : channel, text)
+    const exit = (status, signal = null) => {
+      if (!session.processes.delete(id)) return
+      output(1, '')
+      output(2, '')
+      session.send({ id, success: true, exited: true, 'exit-status': status, signal })
+    }
+    const child = { pty, cols, rows, input: () => {}, close: () => exit(0), kill: signal => exit(null, signal) }
+    const run = line => {
+      const echo = /^echo (.*?)( >&2)?$/.exec(line)
+      if (echo) {
+        print(`${echo[1]}\n`, echo[2] ? 2 : 1)
+      } else if (line === 'pwd') {
+        print(`${cwd}\n`)
+      } else if (line === 'env') {
+        print(Object.entries(env).map(([key, value]) => `${key}=${value}\n`).join(''))
+      } else if (line === 'stty size') {
+        if (!pty) {
+          print('stty: standard input: Not a tty\n', 2)
+          return 1
+        }
+        print(`${child.rows} ${child.cols}\n`)
+      } else {
+        print(`sh: ${line.split(' ')[0]}: not found\n`, 2)
+        return 127
+      }
+      return 0
+    }
+
+    session.processes.set(id, child)
+    session.send({ id, started: true, pid: 1000 + id })
+    if (cmd === 'cat') {
+      child.input = data => print(data)
+    } else if (cmd === 'sh') {
+      let pending = ''
+      child.input = data => {
+        const lines = (pending + data.toString()).split('\n')
+        pending = lines.pop()
+        for (const line of lines) {
+          const exitCommand = /^exit( \d+)?$/.exec(line.trim())
+          if (exitCommand) return exit(Number(exitCommand[1] || 0))
+          run(line.trim())
+        }
+      }
+    } else {
+      exit(run(cmd))
+    }
+  },
+  'app/spawnResize': ({ spawnId, cols, rows }, { processes }) => {
+    const child = processes.get(spawnId)
+    if (!child) throw new MockAgentError('ProcessNotFound', `No process for command ${spawnId}`)
+    if (!child.pty) throw new MockAgentError('NotATerminal', 'The process has no terminal')
+    Object.assign(child, { cols, rows })
+    return {}
+  },
+  'app/spawnKill': ({ spawnId, signal }, { processes }) => {
+    const child = processes.get(spawnId)
+    if (!child) throw new MockAgentError('ProcessNotFound', `No process for command ${spawnId}`)
+    child.kill(signal)
+    return {}
+  },
+
+  'file/temp': () => ({ path: `/tmp/${uuidv4()}` }),
+  'file/stat': function ({ path }, { record }) {
+    const stat = this._stat(record, path)
+    if (!stat) throw new MockAgentError('FileNotFound', `Stat of file '${path}' failed`)
+    return { stat }
+  },
+  'file/upload': ({ id, path }, session) => {
+    session.uploads.set(id, { path, chunks: [] })
+  },
+  'file/download': ({ id, path }, session) => {
+    const file = session.record.files.get(normalizePath(path))
+    if (!file) throw new MockAgentError('FileNotFound', `Open of file '${path}' failed`)
+    const header = Buffer.alloc(8)
+    header.writeUInt32LE(id, 0)
+    for (let offset = 0; offset < file.data.length; offset += 64 * 1024) {
+      session.send(Buffer.concat([header, file.data.slice(offset, offset + 64 * 1024)]))
+    }
+    session.send(header)
+  },
+  'file/delete': ({ path }, { record }) => {
+    path = normalizePath(path)
+    if (!record.files.delete(path) && !record.directories.delete(path)) {
+      throw new MockAgentError('FileNotFound', `Delete of file '${path}' failed`)
+    }
+    return { path }
+  },
+  'file/modify': ({ path, attributes }, { record }) => {
+    path = normalizePath(path)
+    const file = record.files.get(path)
+    if (!file && !record.directories.has(path)) throw new MockAgentError('FileNotFound', `Modify of file '${path}' failed`)
+    if (file) {
+      if (attributes.mode !== undefined) file.mode = S_IFREG | (attributes.mode & 0o7777)
+      if (attributes.uid !== undefined) file.uid = attributes.uid
+      if (attributes.gid !== undefined) file.gid = attributes.gid
+    }
+    if (attributes.path !== undefined) {
+      // Move the file, or the directory with everything in it.
+      const target = normalizePath(attributes.path)
+      const moved = name => name === path ? target : name.startsWith(path + '/') ? target + name.slice(path.length) : name
+      record.files = new Map([...record.files].map(([name, entry]) => [moved(name), entry]))
+      record.directories = new Set([...record.directories].map(moved))
+    }
+    return {}
+  },
+
+  'profile/list': (message, { record }) => ({ profiles: [...record.profiles.keys()] }),
+  'profile/install': ({ profile }, { record }) => {
+    const data = Buffer.from(profile, 'base64')
+    const match = /<key>PayloadIdentifier<\/key>\s*<string>([^<]+)<\/string>/.exec(data.toString('utf8'))
+    record.profiles.set(match ? match[1] : hashOf(data).slice(0, 16), data)
+    return {}
+  },
+  'profile/remove': ({ profileID }, { record }) => {
+    if (!record.profiles.delete(profileID)) throw new MockAgentError('ProfileNotFound', `Profile ${profileID} not found`)
+    return {}
+  },
+  'profile/get': ({ profileID }, { record }) => {
+    const profile = record.profiles.get(profileID)
+    return { profile: profile ? profile.toString('base64') : null }
+  },
+
+  'provisioning/list': (message, { record }) => ({ profiles: [...record.provisioningProfiles.values()] }),
+  'provisioning/install': ({ profile }, { record }) => {
+    const uuid = uuidv4()
+    record.provisioningProfiles.set(uuid, { name: 'Mock Provisioning Profile', uuid, teamId: 'MOCKTEAM', certs: [] })
+    return {}
+  },
+  'provisioning/remove': ({ uuid }, { record }) => {
+    record.provisioningProfiles.delete(uuid)
+    return {}
+  },
+  'provisioning/preapprove': () => ({}),
+
+  'crash/subscribe': ({ id, bundleID }, session) => {
+    session.crashSubscriptions.set(id, { bundleID })
+  },
+
+  'system/lock': () => ({}),
+  'system/unlock': () => ({}),
+  'system/enableUIAutomation': () => ({}),
+  'system/disableUIAutomation': () => ({}),
+  'system/isSSLPinningEnabled': (message, { record }) => ({ enabled: !!record.sslPinning }),
+  'system/enableSSLPinning': (message, { record }) => {
+    record.sslPinning = true
+    return {}
+  },
+  'system/disableSSLPinning': (message, { record }) => {
+    record.sslPinning = false
+    return {}
+  },
+  'system/shutdown': function (message, { record }) {
+    this._transition(record, [{}, { state: 'off' }])
+    return {}
+  },
+  'system/acquireDisableAutolockAssertion': () => ({}),
+  'system/releaseDisableAutolockAssertion': () => ({}),
+  'system/getprop': ({ property }) => ({ property, value: '' }),
+  'wifi/connect': () => ({}),
+  'wifi/disconnect': () => ({}),
+
+  'frida/run-frida': () => ({}),
+  'frida/run-frida-ps': () => ({ output: ' PID  Name\n----  ----\n   1  launchd\n', 'exit-status': 0 }),
+  'frida/run-frida-kill': () => ({})
+}
+
+module.exports = {
+  MockServer
+}
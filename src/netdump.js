@@ -2,6 +2,7 @@
 
 const WebSocket = require('ws')
 const { fetchApi } = require('./util/fetch')
+const { ConnectionClosedError } = require('./errors')
 
 /**
  * @typedef {object} NetmonEntry
@@ -72,15 +73,14 @@ class Netdump {
     const endpoint = await this.instance.netdumpEndpoint()
 
     // Detect if a disconnection happened before we were able to get netdump endpoint.
-    if (!this.pendingConnect) throw new Error('connection cancelled')
-
-    const ws = new WebSocket(
-      /^https/.test(endpoint)
-        ? endpoint.replace(/^https/, 'wss')
-        : /^http/.test(endpoint)
-          ? endpoint.replace(/^http/, 'ws')
-          : endpoint
-    )
+    if (!this.pendingConnect) throw new ConnectionClosedError('connection cancelled')
+
+    const url = /^https/.test(endpoint)
+      ? endpoint.replace(/^https/, 'wss')
+      : /^http/.test(endpoint)
+        ? endpoint.replace(/^http/, 'ws')
+        : endpoint
+    const ws = new WebSocket(url, this.instance.project.transport.webSocketOptions(url))
 
     this.ws = ws
 
@@ -103,7 +103,7 @@ class Netdump {
           this.handler(message)
         }
       } catch (err) {
-        console.error('error in agent message handler', err)
+        this.instance.project.logger.error('error in agent message handler', err)
       }
     })
 
@@ -120,7 +120,7 @@ class Netdump {
             // Swallow ws.close() errors.
           }
 
-          reject(new Error('connection cancelled'))
+          reject(new ConnectionClosedError('connection cancelled'))
           return
         }
 
@@ -135,7 +135,7 @@ class Netdump {
             }
           }
 
-          console.error('error in netdump socket', err)
+          this.instance.project.logger.error('error in netdump socket', err)
         })
 
         resolve()
@@ -177,7 +177,7 @@ class Netdump {
         return
       }
 
-      console.error('Netdump did not get a response to pong in 10 seconds, disconnecting.')
+      this.instance.project.logger.error('Netdump did not get a response to pong in 10 seconds, disconnecting.')
 
       this._disconnect()
     }, 10000)
@@ -2,6 +2,7 @@
 
 const WebSocket = require('ws')
 const { fetchApi } = require('./util/fetch')
+const { ConnectionClosedError } = require('./errors')
 
 /**
  * @typedef {object} NetmonEntry
@@ -84,15 +85,14 @@ class NetworkMonitor {
     const endpoint = await this.instance.netmonEndpoint()
 
     // Detect if a disconnection happened before we were able to get the network monitor endpoint.
-    if (!this.pendingConnect) throw new Error('connection cancelled')
-
-    const ws = new WebSocket(
-      /^https/.test(endpoint)
-        ? endpoint.replace(/^https/, 'wss')
-        : /^http/.test(endpoint)
-          ? endpoint.replace(/^http/, 'ws')
-          : endpoint
-    )
+    if (!this.pendingConnect) throw new ConnectionClosedError('connection cancelled')
+
+    const url = /^https/.test(endpoint)
+      ? endpoint.replace(/^https/, 'wss')
+      : /^http/.test(endpoint)
+        ? endpoint.replace(/^http/, 'ws')
+        : endpoint
+    const ws = new WebSocket(url, this.instance.project.transport.webSocketOptions(url))
 
     this.ws = ws
 
@@ -115,7 +115,7 @@ class NetworkMonitor {
           this.handler(message)
         }
       } catch (err) {
-        console.error('error in agent message handler', err)
+        this.instance.project.logger.error('error in agent message handler', err)
       }
     })
 
@@ -132,7 +132,7 @@ class NetworkMonitor {
             // Swallow ws.close() errors.
           }
 
-          reject(new Error('connection cancelled'))
+          reject(new ConnectionClosedError('connection cancelled'))
           return
         }
 
@@ -147,7 +147,7 @@ class NetworkMonitor {
             }
           }
 
-          console.error('error in netmon socket', err)
+          this.instance.project.logger.error('error in netmon socket', err)
         })
 
         resolve()
@@ -189,7 +189,7 @@ class NetworkMonitor {
         return
       }
 
-      console.error('Netmon did not get a response to pong in 10 seconds, disconnecting.')
+      this.instance.project.logger.error('Netmon did not get a response to pong in 10 seconds, disconnecting.')
 
       this._disconnect()
     }, 10000)
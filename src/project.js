@@ -1,15 +1,19 @@
 'use strict'
 
 const { fetchApi } = require('./util/fetch')
+const { NotFoundError, QuotaExceededError, WaitTimeoutError, MissingFirmwareAssetsError } = require('./errors')
+const { boundedWait, deadlineOf } = require('./util/wait')
+const { isVersionRange } = require('./util/version')
 const Instance = require('./instance')
 const InstanceUpdater = require('./instance-updater')
+const Fleet = require('./fleet')
+const { ImageStore } = require('./image-store')
+const { loadTemplate } = require('./template')
+const { importInstanceConfig } = require('./instance-config')
+const { ensureFirmwareAssets } = require('./firmware-assets')
 const { v4: uuidv4 } = require('uuid')
-const util = require('util')
-const fs = require('fs')
-const { compress, uploadFile } = require('./images')
+const { compressFile, removeTempFile, uploadImageFile } = require('./images')
 const path = require('path')
-const os = require('os')
-const { fetch } = require('./util/fetch')
 
 /**
  * @typedef {object} ProjectKey
@@ -25,6 +29,16 @@ const { fetch } = require('./util/fetch')
 /**
  * @typedef {object} ProjectQuotas
  * @property {number} cores - Number of available CPU cores
+ * @property {number} [cpus] - Number of available CPUs
+ */
+
+/**
+ * @typedef {object} CapacityCheck
+ * @property {boolean} allowed - Whether the instances fit in the project quota now
+ * @property {ProjectQuotas} [required] - The quota the instances need, missing when the flavor has no known quota
+ * @property {ProjectQuotas} [available] - The quota left in the project
+ * @property {ProjectQuotas} [quotas] - The project quotas
+ * @property {string} [reason] - Why the instances do not fit
  */
 
 /**
@@ -37,9 +51,18 @@ class Project {
   constructor (client, id) {
     this.client = client
     this.api = this.client.api
+    this.transport = this.client.transport
+    this.logger = this.client.logger
     this.id = id
     this.token = null
     this.updater = new InstanceUpdater(this)
+    /**
+     * The images of the project.
+     * @type {ImageStore}
+     */
+    this.images = new ImageStore(client, { project: this })
+    // Callers of createInstance waiting for capacity, served in order.
+    this._capacityQueue = Promise.resolve()
   }
 
   /**
@@ -62,18 +85,52 @@ class Project {
     return await this.client.getToken()
   }
 
+  /**
+   * Forget a rejected authentication token, see {@link Corellium#invalidateToken}.
+   * @param {string} token
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async invalidateToken (token) {
+    return await this.client.invalidateToken(token)
+  }
+
   /**
    * Returns an array of the {@link Instance}s in this project.
+   * @param {Object} [filters] - only return matching instances, see {@link Project#iterateInstances}
    * @returns {Promise<Instance[]>} The instances in this project
    * @example <caption>Finding the first instance with a given name</caption>
    * const instances = await project.instances();
    * const instance = instances.find(instance => instance.name === 'Test Device');
    */
-  async instances () {
+  async instances (filters) {
+    if (filters) {
+      const instances = []
+      for await (const instance of this.iterateInstances(filters)) instances.push(instance)
+      return instances
+    }
     const instances = await fetchApi(this, `/projects/${this.id}/instances`)
     return await Promise.all(instances.map(info => new Instance(this, info)))
   }
 
+  /**
+   * Iterates over the {@link Instance}s in this project, fetching them a
+   * page at a time. See {@link Corellium#iterateInstances} for the filters.
+   * @param {Object} [filters]
+   * @param {string|string[]} [filters.state]
+   * @param {string|string[]} [filters.flavor]
+   * @param {string|RegExp} [filters.nameMatch]
+   * @param {integer} [filters.pageSize=100]
+   * @returns {AsyncIterable<Instance>}
+   * @example
+   * for await (const instance of project.iterateInstances({ flavor: 'ranchu', state: 'off' })) {
+   *     await instance.destroy();
+   * }
+   */
+  iterateInstances (filters = {}) {
+    return this.client.iterateInstances(Object.assign({}, filters, { project: this }))
+  }
+
   /**
    * Returns the {@link Instance} with the given ID.
    * @param {string} id
@@ -84,7 +141,7 @@ class Project {
   async getInstance (id) {
     const info = await fetchApi(this, `/instances/${id}`)
     if (info.project !== this.id) {
-      throw new Error('Instance does not belong to this project.');
+      throw new NotFoundError('Instance does not belong to this project.')
     }
     return new Instance(this, info)
   }
@@ -106,7 +163,8 @@ class Project {
    * the same as the JSON options passed to the instance creation API
    * endpoint. For a full list of possible options, see the API documentation.
    * @param {string} options.flavor - The device flavor, such as `iphone6`
-   * @param {string} options.os - The device operating system version
+   * @param {string} options.os - The device operating system version, `latest` for the newest firmware of the flavor,
+   * or a range of versions such as `>=15.0 <16` or `14.x` for the newest firmware in the range, see {@link FirmwareCatalog}
    * @param {string} options.ipsw - The ID of a previously uploaded image in the project to use as the firmware
    * @param {string} [options.osbuild] - The device operating system build
    * @param {string} [options.snapshot] - The ID of snapshot to clone this device off of
@@ -128,7 +186,22 @@ class Project {
    * `rom-jailbreak` : Patch BootROM to disable signature checks<br>
    * @param {KernelImage} [options.bootOptions.kernel] - Custom kernel to pass to the device on creation.
    * @param {vmmio[]} [vmmio] - VMMIO options for external MMIO support
+   * @param {Object} [createOptions]
+   * @param {boolean} [createOptions.waitForCapacity=false] - When the project quota has no room for the instance,
+   * wait until it has instead of failing with a {@link QuotaExceededError}. Waiting calls are served in order.
+   * @param {integer} [createOptions.timeout] - Give up waiting for capacity after this many milliseconds, rejecting
+   * with a {@link WaitTimeoutError}
+   * @param {AbortSignal} [createOptions.signal] - Abort waiting for capacity
+   * @param {integer} [createOptions.pollInterval] - How often to check the quota, the client's `updateInterval` by default
+   * @param {boolean|Object} [createOptions.firmwareAssets] - When the instance needs firmware assets the project does
+   * not have, fetch them with {@link Project#ensureFirmwareAssets}, with these options if an object, and create it
+   * again. The client's `firmwareAssets` option by default; the `FETCH_FIRMWARE_ASSETS=1` environment variable is
+   * still honoured.
    * @returns {Promise<Instance>}
+   * @throws {QuotaExceededError} if the project quota has no room for the instance, or could never have when
+   * waiting for capacity
+   * @throws {NotFoundError} if no firmware matches `latest` or the range of `options.os`
+   * @throws {MissingFirmwareAssetsError} if the instance needs firmware assets and `firmwareAssets` is not set
    *
    * @example <caption>Creating an instance and waiting for it to start its first boot</caption>
    * const instance = await project.createInstance({
@@ -142,46 +215,254 @@ class Project {
    *     },
    * });
    * await instance.finishRestore();
+   * @example <caption>Waiting for room in the project quota instead of failing</caption>
+   * const instance = await project.createInstance({ flavor: 'iphone6', os: '12.4.1' }, {
+   *     waitForCapacity: true,
+   *     timeout: 30 * 60 * 1000,
+   * });
    */
-  async createInstance (options) {
+  async createInstance (options, createOptions = {}) {
+    if (options.os === 'latest' || isVersionRange(options.os)) {
+      const { version, buildid } = await this.client.catalog.resolve(options.flavor, options.os)
+      options = Object.assign({}, options, { os: version, osbuild: buildid })
+    }
+    if (createOptions.waitForCapacity) return await this._createWhenCapacityIsFree(options, createOptions)
     try {
-      const { id } = await fetchApi(this, '/instances', {
-        method: 'POST',
-        json: Object.assign({}, options, { project: this.id })
-      })
-      return await this.getInstance(id)
+      return await this._postInstance(options)
     } catch (err) {
-      if (err.field === 'firmware_asset') {
-        if (process.env.FETCH_FIRMWARE_ASSETS !== '1') {
-          throw new Error('This instance requires additional firmware assets. To automatically download firmware assets and associate them with your domain, set the environment variable FETCH_FIRMWARE_ASSETS=1')
-        }
-        if (err.originalError.missingFwAssets && err.originalError.missingFwAssets.length > 0) {
-          for (const firmwareAssetUrl of err.originalError.missingFwAssets) {
-            const response = await fetch(firmwareAssetUrl, { response: 'raw' })
-            const fwAssetPath = path.join(os.tmpdir(), `${uuidv4()}.fwasset`)
-            if (response.ok) {
-              const stream = fs.createWriteStream(fwAssetPath)
-              response.body.pipe(stream)
-
-              await new Promise(resolve => response.body.on('finish', () => {
-                stream.end()
-                resolve()
-              }))
-
-              await new Promise(resolve => stream.on('finish', () => { resolve() }))
-
-              await this.uploadFirmwareAsset(fwAssetPath, encodeURIComponent(firmwareAssetUrl), () => {})
-            }
+      if (err.field !== 'firmware_asset') throw err
+      const assets = (err.originalError && err.originalError.missingFwAssets) || []
+      const fetchAssets = createOptions.firmwareAssets === undefined
+        ? this.client.options.firmwareAssets || process.env.FETCH_FIRMWARE_ASSETS === '1'
+        : createOptions.firmwareAssets
+      if (!fetchAssets || !assets.length) {
+        throw new MissingFirmwareAssetsError(
+          `A ${options.flavor} instance needs the firmware assets ${assets.join(', ')}. Upload them with project.ensureFirmwareAssets(), or pass { firmwareAssets: true } to createInstance`,
+          { assets, cause: err }
+        )
+      }
+      await this.ensureFirmwareAssets(Object.assign({}, typeof fetchAssets === 'object' ? fetchAssets : {}, { assets }))
+      return await this._postInstance(options)
+    }
+  }
+
+  async _postInstance (options) {
+    const { id } = await fetchApi(this, '/instances', {
+      method: 'POST',
+      json: Object.assign({}, options, { project: this.id })
+    })
+    return await this.getInstance(id)
+  }
+
+  /**
+   * Make sure the project has the firmware assets some firmwares need,
+   * listed by URL in the `assets` of a {@link MissingFirmwareAssetsError}.
+   * {@link Project#createInstance} calls it with the `firmwareAssets` option.
+   *
+   * Assets already uploaded to the project are skipped. The others are
+   * downloaded, in parallel, into a cache directory that later calls reuse,
+   * and uploaded. An interrupted download continues where it stopped on the
+   * next call. With a `mirror`, assets are taken from a local directory,
+   * e.g. for servers without internet access, or another web server, by
+   * the file name of their URL.
+   *
+   * @param {Object} options
+   * @param {string[]} options.assets - The URLs of the assets
+   * @param {string} [options.cacheDir] - Where to download assets, the client's `firmwareAssetCacheDir` option or
+   * `~/.corellium/firmware-assets` by default
+   * @param {string|function(string): string} [options.mirror] - A directory or base URL holding the assets, or a
+   * function returning the path or URL of an asset from its URL, the client's `firmwareAssetMirror` option by default
+   * @param {integer} [options.concurrency] - How many assets are fetched at the same time, the client's `concurrency`
+   * by default
+   * @param {function(string, number, string)} [options.progress] - Called with the URL of an asset, the progress
+   * between 0 and 1, and `download` or `upload`
+   * @param {AbortSignal} [options.signal] - Abort the downloads
+   * @returns {Promise<Object[]>} the `url`, image `id` and `name` of each asset
+   * @throws {NotFoundError} if an asset is not in the mirror directory
+   * @example
+   * // creating an instance on a server without internet access
+   * try {
+   *     instance = await project.createInstance({ flavor: 'iphone14p', os: '16.1' });
+   * } catch (err) {
+   *     if (!(err instanceof MissingFirmwareAssetsError)) throw err;
+   *     await project.ensureFirmwareAssets({ assets: err.assets, mirror: '/srv/firmware-assets' });
+   *     instance = await project.createInstance({ flavor: 'iphone14p', os: '16.1' });
+   * }
+   */
+  async ensureFirmwareAssets (options) {
+    return await ensureFirmwareAssets(this, options)
+  }
+
+  /**
+   * Create an instance from a template: the {@link Project#createInstance}
+   * options in a JSON or YAML file, or an object, which are validated before
+   * anything is sent.
+   *
+   * Besides those options, a template may hold `ramdisk` and `devicetree`
+   * paths, and `bootOptions.kernel` may be a path instead of an uploaded
+   * {@link KernelImage}. Paths are relative to the template file. The kernel
+   * is uploaded to the project before the instance is created; the ramdisk
+   * and device tree are uploaded to the instance once it is created, and are
+   * used from its next boot.
+   *
+   * The `name` and `bootOptions.udid` may use `${variables}`, whose values
+   * come from `options.variables` and else from the template's `variables`.
+   *
+   * @param {string|Object} template - the path of a `.json`, `.yaml` or `.yml` template file, or the template
+   * @param {Object} [options] - the `createOptions` of {@link Project#createInstance}, and:
+   * @param {Object} [options.variables] - values of the template variables
+   * @param {Project~progressCallback} [options.progress] - called with the upload progress of the local files
+   * @returns {Promise<Instance>}
+   * @throws {TemplateError} if the template is invalid, uses an undefined variable or a missing file
+   * @example
+   * // ci-device.yaml:
+   * //   name: ci-${job}
+   * //   flavor: iphone6
+   * //   os: latest
+   * //   bootOptions:
+   * //     udid: ${udid}
+   * //     kernel: ./build/kernelcache
+   * const instance = await project.createInstanceFromTemplate('ci-device.yaml', {
+   *     variables: { job: process.env.CI_JOB_ID, udid: 'a'.repeat(40) },
+   * });
+   * await instance.finishRestore();
+   */
+  async createInstanceFromTemplate (template, options = {}) {
+    const { variables, progress, ...createOptions } = options
+    const { options: instanceOptions, files } = await loadTemplate(template, variables)
+
+    if (files.kernel) {
+      instanceOptions.bootOptions.kernel = await this.uploadKernel(files.kernel, path.basename(files.kernel), progress)
+    }
+    const instance = await this.createInstance(instanceOptions, createOptions)
+    if (files.ramdisk) await instance.uploadRamDisk(files.ramdisk, path.basename(files.ramdisk), progress)
+    if (files.devicetree) await instance.uploadDeviceTree(files.devicetree, path.basename(files.devicetree), progress)
+    return instance
+  }
+
+  /**
+   * @typedef {object} ImportResult
+   * @property {Instance} instance - The new instance
+   * @property {Object} skipped - What could not be replayed for lack of files: the `apps` bundle IDs and the
+   * `provisioningProfiles` UUIDs
+   */
+
+  /**
+   * Create an instance from a configuration exported by
+   * {@link Instance#exportConfig} and replay it: the missing project keys are
+   * added before the instance is created, then its peripherals are set and
+   * the profiles installed once it is on, and the apps installed from the
+   * IPA or APK files given in `options.apps`.
+   * @param {InstanceConfig} config
+   * @param {Object} [options]
+   * @param {string} [options.name] - the name of the new instance, the exported name by default
+   * @param {Object<string, string>} [options.apps] - the local app file of each bundle ID to install
+   * @param {integer} [options.timeout] - how long the instance may take to boot, in milliseconds
+   * @param {function(string, number, string)} [options.progress] - called with the bundle ID and install progress of
+   * each app
+   * @returns {Promise<ImportResult>}
+   * @example
+   * const config = JSON.parse(fs.readFileSync('broken-device.json', 'utf8'));
+   * const { instance, skipped } = await project.importConfig(config, {
+   *     name: 'Broken device (copy)',
+   *     apps: { 'com.example.app': './build/app.ipa' },
+   * });
+   */
+  async importConfig (config, options) {
+    return await importInstanceConfig(this, config, options)
+  }
+
+  async _createWhenCapacityIsFree (options, createOptions) {
+    const { timeout, signal, pollInterval = this.updater.updateInterval } = createOptions
+    const remaining = deadlineOf(timeout)
+    const wait = executor => boundedWait({
+      timeout: remaining(),
+      signal,
+      timeoutError: () => new WaitTimeoutError(
+        `Timed out after ${timeout}ms waiting for capacity to create a ${options.flavor} instance in project ${this.id}`,
+        { timeout }
+      )
+    }, executor)
+
+    const previous = this._capacityQueue
+    let release
+    this._capacityQueue = new Promise(resolve => { release = resolve })
+    try {
+      await wait(resolve => { previous.then(resolve) })
+      for (;;) {
+        const check = await this.canCreate(options)
+        if (check.allowed) {
+          try {
+            return await this.createInstance(options, { firmwareAssets: createOptions.firmwareAssets })
+          } catch (err) {
+            // Someone else took the capacity first.
+            if (!(err instanceof QuotaExceededError)) throw err
           }
+        } else if (check.required.cores > check.quotas.cores) {
+          throw new QuotaExceededError(`A ${options.flavor} instance needs ${check.required.cores} cores, more than the ${check.quotas.cores} of project ${this.name}`)
+        } else {
+          this.logger.debug(`waiting for capacity in project ${this.name}: ${check.reason}`)
         }
-
-        return this.createInstance(options)
-      } else {
-        throw err
+        await wait(resolve => {
+          const timer = setTimeout(resolve, pollInterval)
+          return () => clearTimeout(timer)
+        })
       }
+    } finally {
+      // Whoever queued after us must still wait for those before us.
+      previous.then(release)
     }
   }
 
+  /**
+   * Check whether the project quota has room for instances created with
+   * `options`, from the quotas of their flavor in {@link Corellium#supported}
+   * and the refreshed project quotas. The server has the final say, since
+   * other clients may create instances in the meantime.
+   * @param {Object} options - the {@link Project#createInstance} options
+   * @param {Object} [checkOptions]
+   * @param {integer} [checkOptions.count=1] - how many instances
+   * @returns {Promise<CapacityCheck>}
+   * @example
+   * const check = await project.canCreate({ flavor: 'iphone6', os: '12.4.1' }, { count: 4 });
+   * if (!check.allowed) console.log(check.reason);
+   */
+  async canCreate (options, { count = 1 } = {}) {
+    const devices = await this.client.supported()
+    const device = devices.find(device => device.flavor === options.flavor || device.name === options.flavor)
+    await this.refresh()
+    if (!device || !device.quotas || !device.quotas.cores || !this.quotas || this.quotas.cores === undefined) {
+      return { allowed: true }
+    }
+
+    const required = { cores: device.quotas.cores * count }
+    if (device.quotas.cpus !== undefined) required.cpus = device.quotas.cpus * count
+    const used = (this.quotasUsed && this.quotasUsed.cores) || 0
+    const available = { cores: Math.max(this.quotas.cores - used, 0) }
+    const check = { allowed: required.cores <= available.cores, required, available, quotas: this.quotas }
+    if (!check.allowed) {
+      check.reason = `${required.cores} cores are needed, ${available.cores} of ${this.quotas.cores} are available in project ${this.name}`
+    }
+    return check
+  }
+
+  /**
+   * Create a {@link Fleet} of instances from a template and wait until they
+   * are ready. The project quota must fit the whole fleet.
+   * @param {FleetOptions} options
+   * @returns {Promise<Fleet>} the fleet, with the outcome for each instance in `fleet.results`
+   * @throws {QuotaExceededError} if the project quota cannot fit the fleet
+   * @example
+   * const fleet = await project.createFleet({ template: { flavor: 'ranchu', os: '11.0.0' }, count: 5 });
+   * const results = await fleet.run(instance => instance.takeScreenshot());
+   * await fleet.destroy();
+   */
+  async createFleet (options) {
+    const fleet = new Fleet(this, options)
+    await fleet.create()
+    return fleet
+  }
+
   /**
    * Get the VPN configuration to connect to the project network. This is only
    * available for cloud. At least one instance must be on in the project.
@@ -242,19 +523,18 @@ class Project {
   }
 
   /**
-   * Sets the project quotas. Only the cores property is currently respected.
+   * Sets the project quotas. Only the cores property is currently respected,
+   * `cpus` being accepted as an alias of it; other properties are not sent.
    *
    * @param {ProjectQuotas} quotas
    */
   async setQuotas (quotas) {
+    const cores = quotas.cores || quotas.cpus
+    quotas = cores === undefined ? {} : { cores }
     this.info.quotas = Object.assign({}, this.info.quotas, quotas)
     await fetchApi(this, `/projects/${this.id}`, {
       method: 'PATCH',
-      json: {
-        quotas: {
-          cores: quotas.cores || quotas.cpus
-        }
-      }
+      json: { quotas }
     })
   }
 
@@ -364,9 +644,7 @@ class Project {
    * @param {Image} image
    */
   async deleteImage (image) {
-    return await fetchApi(this, `/images/${image.id}`, {
-      method: 'DELETE'
-    })
+    return await this.images.delete(image)
   }
 
   /**
@@ -385,25 +663,26 @@ class Project {
   /**
    * Add a kernel image to a project for use in creating new instances.
    *
+   * The kernel is compressed into a temporary file, which is removed once the
+   * upload ends, so this upload does not resume after an interruption. A
+   * kernel of the project with the same name and data is reused rather than
+   * uploaded again, unless `options.reuse` is false.
+   *
    * @param {string} filePath - The path on the local file system to get the kernel file.
    * @param {string} name - The name of the file to identify the file on the server. Usually the basename of the path.
    * @param {Project~progressCallback} [progress] - The callback for file upload progress information.
+   * @param {UploadOptions} [options]
    *
    * @returns {Promise<KernelImage>}
    */
-  async uploadKernel (filePath, name, progress) {
-    let tmpfile = null
-    const data = await util.promisify(fs.readFile)(filePath)
-
-    tmpfile = await compress(data, name)
-
-    const image = await this.uploadImage('kernel', tmpfile, name, progress)
-
-    if (tmpfile) {
-      fs.unlinkSync(tmpfile)
+  async uploadKernel (filePath, name, progress, options) {
+    const tmpfile = await compressFile(filePath, name)
+    try {
+      const image = await this.uploadImage('kernel', tmpfile, name, progress, options)
+      return { id: image.id, name: image.name }
+    } finally {
+      await removeTempFile(tmpfile)
     }
-
-    return { id: image.id, name: image.name }
   }
 
   /**
@@ -411,78 +690,63 @@ class Project {
    * @param {string} filePath - The path on the local file system to get the vmfile file
    * @param {string} name - The name of the file to identify the file on the server, usually the basename of the path.
    * @param {Project~progressCallback} [progress] - The callback for the file upload progress information.
+   * @param {UploadOptions} [options]
    *
    * @returns {Promise<string>}
    */
-  async uploadVmfile (filePath, name, progress) {
-    const imageId = uuidv4()
-    const token = await this.getToken()
-    const url =
-      this.api +
-      '/projects/' +
-      encodeURIComponent(this.id) +
-      '/image-upload/' +
-      encodeURIComponent('vmfile') +
-      '/' +
-      encodeURIComponent(imageId) +
-      '/' +
-      encodeURIComponent(name)
-
-    await uploadFile(token, url, filePath, progress)
-    return { id: imageId, name }
+  async uploadVmfile (filePath, name, progress, options) {
+    return await this.uploadImage('vmfile', filePath, name, progress, options)
   }
 
   /**
    * Add a firmware asset image to a proejct for use in creating new instances.
+   * A firmware asset of the project with the same name and data is reused
+   * rather than uploaded again, unless `options.reuse` is false.
    * @param filePath - The path on the local file system to get the firmware asset file
    * @param name - The name of the file to identify the file on the server, usually the full url
    * @param progress
+   * @param {UploadOptions} [options]
    * @returns {Promise<{name, id: *}>}
    */
-  async uploadFirmwareAsset (filePath, name, progress) {
-    const imageId = uuidv4()
-    const token = await this.getToken()
-    const url =
-      this.api +
-      '/projects/' +
-      encodeURIComponent(this.id) +
-      '/image-upload/' +
-      encodeURIComponent('fwasset') +
-      '/' +
-      encodeURIComponent(imageId) +
-      '/' +
-      encodeURIComponent(name)
-
-    await uploadFile(token, url, filePath, progress)
-    return { id: imageId, name }
+  async uploadFirmwareAsset (filePath, name, progress, options) {
+    return await this.uploadImage('fwasset', filePath, name, progress, Object.assign({ reuse: true }, options))
   }
 
+  /**
+   * @typedef {object} UploadOptions
+   * @property {string} [checkpointDir] - Where to save a checkpoint of the upload, to resume it when the same file is
+   * uploaded again after an interruption. Defaults to the `uploadCheckpointDir` option of the client; without either,
+   * uploads do not resume.
+   * @property {boolean} [reuse] - Return the image of the project with the same type, name and SHA-256, if there is one,
+   * instead of uploading the file
+   * @property {integer} [verifyTimeout=30000] - How long to wait, in milliseconds, for the server to record the SHA-256
+   * of the upload. When it records none in time, the upload is returned with `verified: false`.
+   */
+
   /**
    * Add an image to the project. These images may be removed at any time and are meant to facilitate creating a new Instance with images.
    *
+   * The file is streamed in chunks. Once uploaded, the SHA-256 the server
+   * recorded for the image is compared with the one of the file, and
+   * `verified` is set. When the server records none within
+   * `options.verifyTimeout`, `verified` is false and a warning is logged.
+   *
    * @param {string} type - E.g. fw for the main firmware image.
    * @param {string} filePath - The path on the local file system to get the file.
    * @param {string} name - The name of the file to identify the file on the server. Usually the basename of the path.
    * @param {Project~progressCallback} [progress] - The callback for file upload progress information.
+   * @param {UploadOptions} [options]
    *
    * @returns {Promise<Image>}
+   * @throws {ChecksumMismatchError} if the upload was corrupted
+   * @example
+   * // an interrupted upload continues where it stopped when run again
+   * const image = await project.uploadImage('fw', 'firmware.zip', 'firmware.zip', undefined, {
+   *     checkpointDir: path.join(os.homedir(), '.corellium', 'uploads'),
+   * });
    */
-  async uploadImage (type, filePath, name, progress) {
-    const imageId = uuidv4()
-    const token = await this.getToken()
-    const url =
-      this.api +
-      '/projects/' +
-      encodeURIComponent(this.id) +
-      '/image-upload/' +
-      encodeURIComponent(type) +
-      '/' +
-      encodeURIComponent(imageId) +
-      '/' +
-      encodeURIComponent(name)
-
-    await uploadFile(token, url, filePath, progress)
-    return { id: imageId, name }
+  async uploadImage (type, filePath, name, progress, options) {
+    return await uploadImageFile(this, `/projects/${encodeURIComponent(this.id)}`, type, filePath, name, progress, options)
   }
 }
 
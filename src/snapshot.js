@@ -49,6 +49,7 @@ class Snapshot {
      * }
      */
   async restore () {
+    this.instance._assertCan('restoreSnapshot')
     await this._fetch('/restore', { method: 'POST' })
     await this.instance._waitFor(() => this.instance.taskState !== 'none')
     await this.instance.waitForTaskState('none')
@@ -0,0 +1,156 @@
+'use strict'
+
+// Instance templates: the options of Project#createInstance kept in a JSON
+// or YAML file, validated before anything is sent, with local kernel,
+// ramdisk and device tree files and variables for the name and UDID.
+//
+//   name: ci-${job}
+//   flavor: iphone6
+//   os: latest
+//   patches: corelliumd
+//   bootOptions:
+//     udid: ${udid}
+//     kernel: ./build/kernelcache
+//   ramdisk: ./build/ramdisk.img
+//   variables:
+//     job: local
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+
+const { TemplateError } = require('./errors')
+
+const PATCHES = ['jailbroken', 'nonjailbroken', 'corelliumd']
+const ADDITIONAL_TAGS = ['kalloc', 'gpu', 'no-keyboard', 'nodevmode', 'sep-cons-ext', 'iboot-jailbreak', 'llb-jailbreak', 'rom-jailbreak']
+const UDID = /^([0-9a-f]{40}|[0-9a-f]{8}-[0-9a-f]{16})$/i
+const SCREEN = /^\d+x\d+(:\d+)?$/
+// A `${name}` variable, allowed in the name and the UDID.
+const VARIABLE = /\$\{(\w+)\}/g
+const HAS_VARIABLE = /\$\{\w+\}/
+
+const isString = value => typeof value === 'string'
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * The fields of a template, with a check returning an error message for
+ * invalid values.
+ * @private
+ */
+const SCHEMA = {
+  name: value => !isString(value) && 'must be a string',
+  flavor: value => !isString(value) && 'must be a string',
+  os: value => !isString(value) && 'must be a string',
+  osbuild: value => !isString(value) && 'must be a string',
+  ipsw: value => !isString(value) && 'must be a string',
+  snapshot: value => !isString(value) && 'must be a string',
+  patches: value => ![].concat(value).every(patch => PATCHES.includes(patch)) && `must be one of ${PATCHES.join(', ')}`,
+  ramdisk: value => !isString(value) && 'must be the path of a ramdisk file',
+  devicetree: value => !isString(value) && 'must be the path of a device tree file',
+  variables: value => (!isObject(value) || !Object.values(value).every(variable => isString(variable) || typeof variable === 'number')) &&
+    'must map names to strings',
+  vmmio: value => (!Array.isArray(value) || !value.every(range => isObject(range) && ['start', 'size', 'irq', 'port'].every(key => key in range))) &&
+    'must be a list of { start, size, irq, port }',
+  bootOptions: {
+    kernelSlide: value => !isString(value) && typeof value !== 'number' && 'must be a string or a number',
+    udid: value => (!isString(value) || (!HAS_VARIABLE.test(value) && !UDID.test(value))) && 'must be a UDID',
+    screen: value => (!isString(value) || !SCREEN.test(value)) && 'must look like 720x1280 or 720x1280:280',
+    additionalTags: value => (!Array.isArray(value) || !value.every(tag => ADDITIONAL_TAGS.includes(tag))) &&
+      `must be a list of ${ADDITIONAL_TAGS.join(', ')}`,
+    kernel: value => !isString(value) && !(isObject(value) && value.id) && 'must be the path of a kernel file or an uploaded kernel image'
+  }
+}
+
+/**
+ * Throw a {@link TemplateError} for the first invalid or unknown field.
+ * @private
+ */
+function validate (template, schema, file, prefix = '') {
+  if (!isObject(template)) throw new TemplateError(`${prefix ? `Template field ${prefix}` : 'A template'} must be an object`, { file, field: prefix || undefined })
+  for (const [key, value] of Object.entries(template)) {
+    const field = prefix + key
+    const check = schema[key]
+    if (!check) throw new TemplateError(`Unknown template field ${field}`, { file, field })
+    if (value === undefined || value === null) continue
+    if (typeof check === 'object') {
+      validate(value, check, file, `${field}.`)
+      continue
+    }
+    const problem = check(value)
+    if (problem) throw new TemplateError(`Template field ${field} ${problem}`, { file, field })
+  }
+}
+
+/**
+ * Read a template file, JSON or YAML.
+ * @private
+ */
+async function readTemplate (file) {
+  let text
+  try {
+    text = await fs.promises.readFile(file, 'utf8')
+  } catch (err) {
+    throw new TemplateError(`Cannot read template ${file}: ${err.message}`, { file, cause: err })
+  }
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text)
+  } catch (err) {
+    throw new TemplateError(`Cannot parse template ${file}: ${err.message}`, { file, cause: err })
+  }
+}
+
+/**
+ * Replace the `${name}` variables of `value`.
+ * @private
+ */
+function expand (value, variables, file, field) {
+  return value.replace(VARIABLE, (match, name) => {
+    if (!(name in variables)) throw new TemplateError(`Template field ${field} uses the undefined variable ${name}`, { file, field })
+    return String(variables[name])
+  })
+}
+
+/**
+ * Load and validate a template, expand its variables and resolve its file
+ * paths against the template's directory.
+ *
+ * @param {string|Object} source - the path of a JSON or YAML template file, or the template
+ * @param {Object} [variables] - values for the `${variables}` of the name and UDID, over the template's `variables`
+ * @returns {Promise<{ options: Object, files: { kernel?: string, ramdisk?: string, devicetree?: string }, file?: string }>}
+ * the {@link Project#createInstance} options and the local files to upload
+ * @throws {TemplateError}
+ * @private
+ */
+async function loadTemplate (source, variables = {}) {
+  const file = isString(source) ? path.resolve(source) : undefined
+  const template = file ? await readTemplate(file) : source
+  validate(template, SCHEMA, file)
+  if (!template.flavor) throw new TemplateError('A template needs a flavor', { file, field: 'flavor' })
+
+  const { ramdisk, devicetree, variables: defaults, ...options } = template
+  const values = Object.assign({}, defaults, variables)
+  options.bootOptions = Object.assign({}, options.bootOptions)
+  if (options.name !== undefined) options.name = expand(options.name, values, file, 'name')
+  if (options.bootOptions.udid !== undefined) {
+    const udid = expand(options.bootOptions.udid, values, file, 'bootOptions.udid')
+    if (!UDID.test(udid)) throw new TemplateError(`Template field bootOptions.udid must be a UDID, not ${udid}`, { file, field: 'bootOptions.udid' })
+    options.bootOptions.udid = udid
+  }
+
+  const base = file ? path.dirname(file) : process.cwd()
+  const files = {}
+  if (isString(options.bootOptions.kernel)) {
+    files.kernel = path.resolve(base, options.bootOptions.kernel)
+    delete options.bootOptions.kernel
+  }
+  if (ramdisk) files.ramdisk = path.resolve(base, ramdisk)
+  if (devicetree) files.devicetree = path.resolve(base, devicetree)
+  for (const [kind, filePath] of Object.entries(files)) {
+    if (!fs.existsSync(filePath)) throw new TemplateError(`The ${kind} file ${filePath} of the template does not exist`, { file, field: kind === 'kernel' ? 'bootOptions.kernel' : kind })
+  }
+  return { options, files, file }
+}
+
+module.exports = {
+  loadTemplate
+}
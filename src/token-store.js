@@ -0,0 +1,276 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { sleep } = require('./util/sleep')
+const { TimeoutError } = require('./errors')
+
+/**
+ * Interface of the token stores that persist authentication tokens between
+ * {@link Corellium} clients and processes, set with the `tokenStore` client
+ * option. Implement it to keep tokens in a keychain, a vault or a shared
+ * cache.
+ *
+ * Tokens are stored by key. The key identifies the endpoint and the account
+ * the token belongs to, so one store can hold the tokens of several
+ * endpoints and users.
+ *
+ * @interface TokenStore
+ * @example
+ * class VaultTokenStore {
+ *     async get(key) {
+ *         const secret = await vault.read(`secret/corellium/${key}`);
+ *         return secret ? secret.data : null;
+ *     }
+ *     async set(key, token) {
+ *         await vault.write(`secret/corellium/${key}`, token);
+ *     }
+ *     async delete(key) {
+ *         await vault.delete(`secret/corellium/${key}`);
+ *     }
+ * }
+ *
+ * const corellium = new Corellium({ endpoint, username, password, tokenStore: new VaultTokenStore() });
+ */
+
+/**
+ * Return the stored token, or null if there is none.
+ * @function
+ * @name TokenStore#get
+ * @param {string} key
+ * @returns {Promise<Token|null>}
+ */
+
+/**
+ * Store a token, replacing the previous one.
+ * @function
+ * @name TokenStore#set
+ * @param {string} key
+ * @param {Token} token
+ * @returns {Promise}
+ */
+
+/**
+ * Remove the stored token.
+ * @function
+ * @name TokenStore#delete
+ * @param {string} key
+ * @returns {Promise}
+ */
+
+/**
+ * Optional. Run `fn` while holding a lock on `key` that other processes
+ * sharing the store respect, and return its result. The client refreshes
+ * tokens under this lock, so that concurrent processes log in only once.
+ * @function
+ * @name TokenStore#lock
+ * @param {string} key
+ * @param {function} fn - async function
+ * @returns {Promise<*>}
+ */
+
+function parseToken (token) {
+  if (!token || typeof token.token !== 'string') return null
+  return { token: token.token, expiration: new Date(token.expiration) }
+}
+
+/**
+ * Keeps tokens in memory. Clients sharing a MemoryTokenStore share their
+ * tokens.
+ * @implements {TokenStore}
+ * @example
+ * const tokenStore = new MemoryTokenStore();
+ * const first = new Corellium({ endpoint, apiToken, tokenStore });
+ * const second = new Corellium({ endpoint, apiToken, tokenStore });
+ */
+class MemoryTokenStore {
+  constructor () {
+    this.tokens = new Map()
+  }
+
+  async get (key) {
+    return this.tokens.get(key) || null
+  }
+
+  async set (key, token) {
+    this.tokens.set(key, parseToken(token))
+  }
+
+  async delete (key) {
+    this.tokens.delete(key)
+  }
+}
+
+/**
+ * Reads the token from an environment variable, `CORELLIUM_TOKEN` by
+ * default. The variable holds either a JWT or the JSON of a {@link Token}.
+ * New tokens are written back to the variable, so child processes inherit
+ * them. The key is ignored, the variable holds a single token.
+ * @implements {TokenStore}
+ * @example
+ * // export CORELLIUM_TOKEN=eyJhbGciOiJSUzM4NCIsInR5cCI6IkpXVCJ9...
+ * const corellium = new Corellium({ endpoint, tokenStore: new EnvTokenStore() });
+ */
+class EnvTokenStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.variable=CORELLIUM_TOKEN] - name of the environment variable
+   * @param {Object} [options.env=process.env] - the environment
+   */
+  constructor ({ variable = 'CORELLIUM_TOKEN', env = process.env } = {}) {
+    this.variable = variable
+    this.env = env
+  }
+
+  async get (_key) {
+    const value = this.env[this.variable]
+    if (!value) return null
+    if (value.trim().startsWith('{')) {
+      try {
+        return parseToken(JSON.parse(value))
+      } catch (e) {
+        return null
+      }
+    }
+    return { token: value, expiration: jwtExpiration(value) }
+  }
+
+  async set (_key, token) {
+    this.env[this.variable] = JSON.stringify(token)
+  }
+
+  async delete (_key) {
+    delete this.env[this.variable]
+  }
+}
+
+/**
+ * The expiration of a JWT, or the epoch if it cannot be read, which makes
+ * the client renew the token before using it.
+ * @private
+ */
+function jwtExpiration (jwt) {
+  try {
+    const payload = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64').toString('utf8'))
+    if (typeof payload.exp === 'number') return new Date(payload.exp * 1000)
+  } catch (e) {
+    // not a JWT
+  }
+  return new Date(0)
+}
+
+/**
+ * Keeps tokens in `tokens.json` under `~/.config/corellium` (or
+ * `$XDG_CONFIG_HOME/corellium`), readable by the current user only. Token
+ * refreshes are serialized across processes with a lock file, so CI jobs
+ * running side by side log in once and share the token.
+ * @implements {TokenStore}
+ * @example
+ * const corellium = new Corellium({
+ *     endpoint: 'https://app.corellium.com',
+ *     username: 'username',
+ *     password: 'password',
+ *     tokenStore: new FileTokenStore(),
+ * });
+ */
+class FileTokenStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - directory of the token file, `~/.config/corellium` by default
+   * @param {integer} [options.lockTimeout=30000] - how long to wait for the lock, in milliseconds
+   * @param {integer} [options.staleLockAge=60000] - age after which a lock file left by a crashed process is removed, in milliseconds
+   */
+  constructor ({ directory, lockTimeout = 30 * 1000, staleLockAge = 60 * 1000 } = {}) {
+    this.directory = directory || path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'corellium')
+    this.file = path.join(this.directory, 'tokens.json')
+    this.lockTimeout = lockTimeout
+    this.staleLockAge = staleLockAge
+  }
+
+  async get (key) {
+    return parseToken((await this._read())[key])
+  }
+
+  async set (key, token) {
+    const tokens = await this._read()
+    tokens[key] = { token: token.token, expiration: new Date(token.expiration).toISOString() }
+    await this._write(tokens)
+  }
+
+  async delete (key) {
+    const tokens = await this._read()
+    if (!(key in tokens)) return
+    delete tokens[key]
+    await this._write(tokens)
+  }
+
+  async lock (key, fn) {
+    const lockFile = `${this.file}.lock`
+    await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 })
+
+    const deadline = Date.now() + this.lockTimeout
+    for (;;) {
+      try {
+        await fs.promises.writeFile(lockFile, String(process.pid), { flag: 'wx', mode: 0o600 })
+        break
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err
+        const stat = await fs.promises.stat(lockFile).catch(() => null)
+        if (stat && Date.now() - stat.mtimeMs > this.staleLockAge) {
+          await fs.promises.unlink(lockFile).catch(() => {})
+          continue
+        }
+        if (Date.now() > deadline) {
+          throw new TimeoutError(`Timed out waiting for the token store lock ${lockFile}`, { timeout: this.lockTimeout })
+        }
+        await sleep(100)
+      }
+    }
+
+    try {
+      return await fn()
+    } finally {
+      await fs.promises.unlink(lockFile).catch(() => {})
+    }
+  }
+
+  async _read () {
+    try {
+      const tokens = JSON.parse(await fs.promises.readFile(this.file, 'utf8'))
+      return tokens && typeof tokens === 'object' ? tokens : {}
+    } catch (err) {
+      // A missing or corrupt file holds no tokens.
+      return {}
+    }
+  }
+
+  async _write (tokens) {
+    await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 })
+    const tmpFile = `${this.file}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmpFile, JSON.stringify(tokens, null, 2), { mode: 0o600 })
+    await fs.promises.rename(tmpFile, this.file)
+  }
+}
+
+/**
+ * Turn the `tokenStore` client option into a store: `'file'`, `'env'` and
+ * `'memory'` select the built-in stores, anything else is used as is.
+ * @private
+ */
+function createTokenStore (option) {
+  if (!option) return null
+  if (option === 'file') return new FileTokenStore()
+  if (option === 'env') return new EnvTokenStore()
+  if (option === 'memory') return new MemoryTokenStore()
+  if (typeof option === 'string') throw new TypeError(`Unknown token store ${option}`)
+  return option
+}
+
+module.exports = {
+  MemoryTokenStore,
+  EnvTokenStore,
+  FileTokenStore,
+  createTokenStore
+}
@@ -0,0 +1,48 @@
+'use strict'
+
+// Default number of requests that listing helpers run at the same time.
+const DEFAULT_CONCURRENCY = 8
+
+/**
+ * Like `Promise.all(items.map(fn))`, but runs at most `limit` calls of `fn`
+ * at a time. Results are in the order of `items`. The first rejection
+ * rejects the whole call; calls already started are not cancelled.
+ *
+ * @param {Array} items
+ * @param {integer} limit
+ * @param {function} fn - async function called with each item and its index
+ * @returns {Promise<Array>}
+ * @private
+ */
+async function mapLimit (items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function worker () {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = []
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) workers.push(worker())
+  await Promise.all(workers)
+  return results
+}
+
+/**
+ * Split `items` into arrays of at most `size` items.
+ * @private
+ */
+function chunk (items, size) {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size))
+  return chunks
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  mapLimit,
+  chunk
+}
@@ -3,22 +3,29 @@
 // Wrapper around fetch that adds a few goodies:
 //  - token option that sets Authorization header
 //  - json option that automatically does JSON.stringify and sets Content-Type: application/json
-//  - throws CorelliumErrors for API errors
+//  - transport option that applies the timeout, retry policy and agent of a
+//    client (see ./transport.js)
+//  - throws CorelliumErrors (see ../errors.js) for API errors
+//  - fetchApi logs in again once when the API rejects the token
 //  - returns the parsed JSON response
-const realFetch = require('cross-fetch')
-const pRetry = require('p-retry')
-
-class CorelliumError extends Error {
-  constructor (error, code) {
-    super(error.error)
-    this.name = this.constructor.name
-    this.field = error.field
-    this.code = code
-    this.originalError = error
+const { Transport, parseRetryAfter } = require('./transport')
+const { redactUrl } = require('./logger')
+const { CorelliumError, errorFromResponse } = require('../errors')
+
+const defaultTransport = new Transport()
+
+async function readErrorBody (res) {
+  const text = await res.text()
+  try {
+    const body = JSON.parse(text)
+    if (body && typeof body === 'object') return body
+  } catch (e) {
+    // Not JSON, e.g. an HTML error page from a proxy.
   }
+  return { error: text || res.statusText }
 }
 
-async function fetch (url, options) {
+async function fetch (url, options = {}) {
   if (options && options.headers === undefined) options.headers = {}
 
   if (options && options.json !== undefined) {
@@ -30,30 +37,43 @@ async function fetch (url, options) {
     options.headers.Authorization = options.token
   }
 
-  let res = await pRetry(() => realFetch(url, options), { retries: 3 })
-  while (res.status === 429) {
-    const retryAfter = res.headers.get('retry-after')
-    await new Promise((resolve) => setTimeout(resolve, parseInt(retryAfter) * 1000))
-    res = await pRetry(() => realFetch(url, options), { retries: 3 })
-  }
+  const transport = options.transport || defaultTransport
+  delete options.transport
 
-  if (res.status === 204) return null
-  if (res.status >= 400 && res.status < 500) {
-    const body = await res.json()
-    throw new CorelliumError(body, res.status)
-  } else if (res.status >= 500) {
-    console.warn(`[fetch] ${options.method || 'GET'} ${url}, status: ${res.status}`)
-    if (options.body) console.warn('request body', options.body)
+  return await transport.request(url, options, async res => {
+    if (res.status === 204) return null
+    if (res.status >= 400) {
+      const method = options.method || 'GET'
+      const details = { method, url, requestId: res.headers.get('x-request-id') || undefined }
+      if (res.status === 429) details.retryAfter = parseRetryAfter(res.headers.get('retry-after'))
+      let body = await readErrorBody(res)
 
-    throw new Error(`${options.method || 'GET'} ${url} -- ${res.status} ${res.statusText}`)
-  }
-  if (options && options.response === 'raw') return res
-  return await res.json()
+      if (res.status >= 500) {
+        transport.logger.warn(`[fetch] ${method} ${redactUrl(url)}, status: ${res.status}`)
+        if (options.body) transport.logger.warn('request body', options.body)
+        body = Object.assign({}, body, { error: `${method} ${url} -- ${res.status} ${res.statusText}` })
+      }
+
+      throw errorFromResponse(res.status, body, details)
+    }
+    if (options && options.response === 'raw') return res
+    return await res.json()
+  })
 }
 
 async function fetchApi (client, endpoint, options = {}) {
-  options.token = await client.getToken()
-  return fetch(`${client.api}${endpoint}`, options)
+  const transport = options.transport === undefined ? client.transport : options.transport
+  const token = await client.getToken()
+  try {
+    return await fetch(`${client.api}${endpoint}`, Object.assign({}, options, { token, transport }))
+  } catch (err) {
+    // A rejected token, such as a revoked one from a token store, is dropped
+    // and the request sent once more after logging in again. A stream body
+    // was consumed by the first attempt and cannot be sent again.
+    if (err.status !== 401 || (options.body && typeof options.body.pipe === 'function')) throw err
+    if (!(await client.invalidateToken(token))) throw err
+    return await fetch(`${client.api}${endpoint}`, Object.assign({}, options, { token: await client.getToken(), transport }))
+  }
 }
 
 module.exports = {
@@ -0,0 +1,87 @@
+'use strict'
+
+/**
+ * Turn a `nameMatch` filter into a predicate. A RegExp is tested against
+ * the name; a string is a glob pattern where `*` matches any run of
+ * characters and `?` a single character.
+ *
+ * @param {string|RegExp} [pattern]
+ * @returns {function(string): boolean}
+ * @private
+ */
+function nameMatcher (pattern) {
+  if (pattern === undefined || pattern === null) return () => true
+  if (pattern instanceof RegExp) return name => pattern.test(name || '')
+
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  const regexp = new RegExp(`^${source}$`)
+  return name => regexp.test(name || '')
+}
+
+/**
+ * Turn glob patterns into a predicate on `/`-separated relative paths, for
+ * the `match` and `exclude` options of the agent filesystem methods. `**`
+ * matches any number of directories, `*` any run of characters but `/` and
+ * `?` a single one. A pattern without `/` is matched against the last part
+ * of the path, so that `*.plist` matches at any depth.
+ *
+ * @param {string|string[]|RegExp} [patterns]
+ * @returns {function(string): boolean}
+ * @private
+ */
+function pathMatcher (patterns) {
+  if (patterns === undefined || patterns === null) return () => true
+  if (patterns instanceof RegExp) return relativePath => patterns.test(relativePath)
+
+  const regexps = [].concat(patterns).map(pattern => {
+    const source = String(pattern)
+      .replace(/^\/+/, '')
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\/|\*\*|\*|\?/g, token => ({ '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*', '?': '[^/]' })[token])
+    return new RegExp(String(pattern).includes('/') ? `^${source}$` : `(?:^|/)${source}$`)
+  })
+  return relativePath => regexps.some(regexp => regexp.test(relativePath))
+}
+
+/**
+ * Turn a single value or an array of values into a predicate.
+ * @private
+ */
+function oneOf (values) {
+  if (values === undefined || values === null) return () => true
+  const allowed = Array.isArray(values) ? values : [values]
+  return value => allowed.includes(value)
+}
+
+/**
+ * Build the predicate for the instance filters of
+ * {@link Corellium#iterateInstances}. It is applied to every instance even
+ * when the filters were sent to the server, since servers may ignore them.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.projectId]
+ * @param {string|string[]} [filters.state]
+ * @param {string|string[]} [filters.flavor]
+ * @param {string|RegExp} [filters.nameMatch]
+ * @returns {function(Object): boolean} predicate on instance info
+ * @private
+ */
+function instanceFilter ({ projectId, state, flavor, nameMatch }) {
+  const matchState = oneOf(state)
+  const matchFlavor = oneOf(flavor)
+  const matchName = nameMatcher(nameMatch)
+  return info =>
+    (!projectId || info.project === projectId) &&
+    matchState(info.state) &&
+    matchFlavor(info.flavor) &&
+    matchName(info.name)
+}
+
+module.exports = {
+  nameMatcher,
+  pathMatcher,
+  instanceFilter
+}
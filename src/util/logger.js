@@ -0,0 +1,73 @@
+'use strict'
+
+// Loggers used for the library's own diagnostics. A logger is any object
+// with debug, info, warn and error methods taking a message followed by
+// optional details, which `console`, winston and pino loggers all provide.
+
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+const noop = () => {}
+
+/**
+ * Logs to the console, except for debug messages.
+ * @private
+ */
+const consoleLogger = {
+  debug: noop,
+  info: (...args) => console.info(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+}
+
+/**
+ * Drops all messages.
+ * @private
+ */
+const silentLogger = {
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop
+}
+
+/**
+ * Turn the `logger` client option into a logger with all four methods.
+ * `undefined` selects the console logger and `false` or `null` silence the
+ * library. Levels missing from a custom logger are dropped.
+ *
+ * @param {Object|boolean|null} [logger]
+ * @returns {Object}
+ * @private
+ */
+function createLogger (logger) {
+  if (logger === undefined) return consoleLogger
+  if (!logger) return silentLogger
+
+  const wrapped = {}
+  for (const level of LEVELS) {
+    wrapped[level] = typeof logger[level] === 'function' ? logger[level].bind(logger) : noop
+  }
+  return wrapped
+}
+
+/**
+ * Hide credentials that are part of a URL, such as the tokens of preauthorized
+ * downloads, so the URL can be logged.
+ *
+ * @param {string} url
+ * @returns {string}
+ * @private
+ */
+function redactUrl (url) {
+  return url
+    .replace(/\/preauthed\/[^/?#]+/, '/preauthed/REDACTED')
+    .replace(/\/\/[^/@]+@/, '//REDACTED@')
+    .replace(/([?&](?:token|apiToken|access_token|password)=)[^&#]*/gi, '$1REDACTED')
+}
+
+module.exports = {
+  consoleLogger,
+  silentLogger,
+  createLogger,
+  redactUrl
+}
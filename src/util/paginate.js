@@ -0,0 +1,43 @@
+'use strict'
+
+const { fetchApi } = require('./fetch')
+
+// Default number of items requested per page.
+const DEFAULT_PAGE_SIZE = 100
+
+/**
+ * Page through a list endpoint with `limit` and `offset` query parameters,
+ * yielding one array of items per page.
+ *
+ * Servers that do not page return everything at once, and are detected by
+ * returning more items than asked for, or a page of items that were already
+ * seen; paging stops there so that items are not listed twice.
+ *
+ * @param {Object} client - {@link Corellium} or {@link Project}
+ * @param {string} endpoint - API path without query string
+ * @param {Object} [options]
+ * @param {Object} [options.query] - other query parameters; undefined values are left out
+ * @param {integer} [options.pageSize=100]
+ * @private
+ */
+async function * paginate (client, endpoint, { query = {}, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const seen = new Set()
+  for (let offset = 0; ; offset += pageSize) {
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) params.set(key, Array.isArray(value) ? value.join(',') : value)
+    }
+    params.set('limit', pageSize)
+    params.set('offset', offset)
+
+    const page = (await fetchApi(client, `${endpoint}?${params}`)).filter(item => !seen.has(item.id))
+    page.forEach(item => seen.add(item.id))
+    if (page.length > 0) yield page
+    if (page.length < pageSize || page.length > pageSize) return
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  paginate
+}
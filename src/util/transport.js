@@ -0,0 +1,283 @@
+'use strict'
+
+// HTTP transport shared by the REST layer and the WebSocket clients of a
+// Corellium client:
+//  - retries failed requests with exponential backoff, but only when the
+//    request is safe to repeat
+//  - honours Retry-After on 429 responses, up to a configurable limit
+//  - aborts requests that take longer than the configured timeout
+//  - sends every connection through the configured agent, proxy and CA
+//  - reports every request attempt to the logger, the onRequest/onResponse
+//    hooks and the tracer
+const https = require('https')
+const realFetch = require('cross-fetch')
+const { HttpsProxyAgent } = require('https-proxy-agent')
+const { TimeoutError } = require('../errors')
+const { sleep } = require('./sleep')
+const { createLogger, redactUrl } = require('./logger')
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']
+
+const DEFAULT_RETRY = {
+  retries: 3,
+  minTimeout: 1000,
+  maxTimeout: 30 * 1000,
+  maxRetryAfter: 60 * 1000,
+  retryNonIdempotent: false
+}
+
+const DEFAULT_TIMEOUT = 60 * 1000
+
+// Values of the OpenTelemetry SpanKind.CLIENT and SpanStatusCode.ERROR enums.
+const SPAN_KIND_CLIENT = 2
+const SPAN_STATUS_ERROR = 2
+
+/**
+ * Parse a Retry-After header, which holds either a number of seconds or an
+ * HTTP date.
+ *
+ * @param {string} value - the header value
+ * @param {number} [now] - the current time, in milliseconds since the epoch
+ * @returns {number|undefined} the delay in milliseconds
+ * @private
+ */
+function parseRetryAfter (value, now = Date.now()) {
+  if (!value) return undefined
+  if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(parseFloat(value) * 1000)
+  const date = Date.parse(value)
+  if (isNaN(date)) return undefined
+  return Math.max(0, date - now)
+}
+
+/**
+ * @typedef {object} RetryOptions
+ * @property {integer} [retries=3] - how many times a failed request is retried
+ * @property {integer} [minTimeout=1000] - delay before the first retry, in milliseconds; doubles with every retry
+ * @property {integer} [maxTimeout=30000] - upper bound of the backoff delay, in milliseconds
+ * @property {integer} [maxRetryAfter=60000] - longest Retry-After delay that is waited out, in milliseconds; a 429 response asking for more fails with a RateLimitedError
+ * @property {boolean} [retryNonIdempotent=false] - also retry POST and PATCH requests after network errors and timeouts
+ */
+
+/**
+ * @typedef {object} TransportOptions
+ * @property {RetryOptions} [retry] - retry policy of REST requests
+ * @property {integer} [timeout=60000] - timeout of a single REST request attempt, in milliseconds; `0` disables it
+ * @property {http.Agent|function} [httpAgent] - agent used for all HTTP and WebSocket connections, or a function that receives the URL and returns the agent
+ * @property {string} [proxy] - URL of an HTTP(S) proxy that all connections are tunnelled through
+ * @property {string|Buffer|Array} [ca] - PEM-encoded certificate authorities to trust in addition to the system ones
+ * @property {Object|boolean} [logger] - logger for the library's diagnostics, `false` to silence them
+ * @property {Transport~requestHook} [onRequest] - called before every request attempt
+ * @property {Transport~responseHook} [onResponse] - called after every request attempt
+ * @property {Object} [tracer] - an OpenTelemetry `Tracer`; every request attempt is recorded as a client span
+ */
+
+/**
+ * @callback Transport~requestHook
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - URL, with credentials redacted
+ * @param {integer} request.retries - how many times the request was retried before this attempt
+ */
+
+/**
+ * @callback Transport~responseHook
+ * @param {Object} response
+ * @param {string} response.method - HTTP method
+ * @param {string} response.url - URL, with credentials redacted
+ * @param {integer} response.retries - how many times the request was retried before this attempt
+ * @param {integer} [response.status] - HTTP status, missing if no response was received
+ * @param {integer} response.duration - duration of the attempt in milliseconds, including reading the body
+ * @param {Error} [response.error] - the error the attempt failed with, if any
+ */
+
+/**
+ * Carries the network settings of a {@link Corellium} client to every
+ * connection it makes.
+ * @hideconstructor
+ * @private
+ */
+class Transport {
+  /**
+   * @param {TransportOptions} [options]
+   */
+  constructor (options = {}) {
+    this.retry = Object.assign({}, DEFAULT_RETRY, options.retry)
+    this.timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout
+    this.ca = options.ca
+    this.logger = createLogger(options.logger)
+    this.onRequest = options.onRequest
+    this.onResponse = options.onResponse
+    this.tracer = options.tracer
+
+    if (options.httpAgent) {
+      this._agent = options.httpAgent
+    } else if (options.proxy) {
+      const proxyAgent = new HttpsProxyAgent(options.proxy, options.ca ? { ca: options.ca } : {})
+      this._agent = () => proxyAgent
+    } else if (options.ca) {
+      const httpsAgent = new https.Agent({ ca: options.ca })
+      this._agent = url => (url.protocol === 'https:' || url.protocol === 'wss:' ? httpsAgent : undefined)
+    }
+  }
+
+  /**
+   * The agent to use for a connection to `url`, if any.
+   *
+   * @param {string|URL} url
+   * @returns {http.Agent|undefined}
+   */
+  agentFor (url) {
+    if (typeof this._agent !== 'function') return this._agent
+    return this._agent(typeof url === 'string' ? new URL(url) : url)
+  }
+
+  /**
+   * Options to pass to the `ws` WebSocket constructor for a connection to `url`.
+   *
+   * @param {string} url
+   * @returns {Object}
+   */
+  webSocketOptions (url) {
+    const options = {}
+    const agent = this.agentFor(url)
+    if (agent) options.agent = agent
+    if (this.ca) options.ca = this.ca
+    return options
+  }
+
+  /**
+   * Options to pass to `XMLHttpRequest#nodejsSet` of `xhr2`, used by image uploads.
+   *
+   * @returns {Object}
+   */
+  xhrOptions () {
+    const options = {}
+    const httpAgent = this.agentFor('http://localhost/')
+    const httpsAgent = this.agentFor('https://localhost/')
+    if (httpAgent) options.httpAgent = httpAgent
+    if (httpsAgent) options.httpsAgent = httpsAgent
+    return options
+  }
+
+  /**
+   * Send a request, retrying it according to the retry policy.
+   *
+   * `read` is called with the final response and its result is returned.
+   * It runs within the request timeout, so reading the body counts
+   * towards it.
+   *
+   * @param {string} url
+   * @param {Object} options - options for fetch
+   * @param {function} read - async function receiving the Response
+   * @returns {Promise<*>} the result of `read`
+   */
+  async request (url, options, read) {
+    const method = (options.method || 'GET').toUpperCase()
+    const replayable = !(options.body && typeof options.body.pipe === 'function')
+    const retryErrors = replayable && (IDEMPOTENT_METHODS.includes(method) || this.retry.retryNonIdempotent)
+    const agent = options.agent || this._agent
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController()
+      const callerSignal = options.signal
+      const abort = () => controller.abort()
+      if (callerSignal) {
+        if (callerSignal.aborted) abort()
+        callerSignal.addEventListener('abort', abort)
+      }
+      let timedOut = false
+      const onTimeout = () => {
+        timedOut = true
+        abort()
+      }
+      const timer = this.timeout ? setTimeout(onTimeout, this.timeout) : null
+
+      const attemptInfo = { method, url: redactUrl(url), retries: attempt }
+      const span = this._startAttempt(attemptInfo)
+      let status
+      let failure
+
+      let delay
+      try {
+        const res = await realFetch(url, Object.assign({}, options, { agent, signal: controller.signal }))
+        status = res.status
+        if (res.status === 429 && attempt < this.retry.retries) {
+          delay = parseRetryAfter(res.headers.get('retry-after'))
+          if (delay === undefined) delay = this._backoff(attempt)
+          if (delay > this.retry.maxRetryAfter) return await read(res)
+          res.body.resume()
+        } else {
+          return await read(res)
+        }
+      } catch (err) {
+        if (callerSignal && callerSignal.aborted) throw err
+        const error = timedOut
+          ? new TimeoutError(`${method} ${url} timed out after ${this.timeout}ms`, { method, url, timeout: this.timeout })
+          : err
+        failure = error
+        // Errors from `read`, such as error responses, are final.
+        if (!timedOut && !(err.name === 'FetchError' && err.type === 'system')) throw error
+        if (!retryErrors || attempt >= this.retry.retries) throw error
+        delay = this._backoff(attempt)
+      } finally {
+        clearTimeout(timer)
+        if (callerSignal) callerSignal.removeEventListener('abort', abort)
+        this._endAttempt(attemptInfo, span, status, failure)
+      }
+
+      await sleep(delay)
+    }
+  }
+
+  _startAttempt (info) {
+    info.started = Date.now()
+    this._callHook('onRequest', { method: info.method, url: info.url, retries: info.retries })
+    if (!this.tracer) return null
+    return this.tracer.startSpan(info.method, {
+      kind: SPAN_KIND_CLIENT,
+      attributes: {
+        'http.request.method': info.method,
+        'url.full': info.url,
+        'http.request.resend_count': info.retries
+      }
+    })
+  }
+
+  _endAttempt (info, span, status, error) {
+    const duration = Date.now() - info.started
+    const retry = info.retries ? ` (retry ${info.retries})` : ''
+    if (error) {
+      this.logger.debug(`${info.method} ${info.url} failed after ${duration}ms${retry}: ${error.message}`)
+    } else {
+      this.logger.debug(`${info.method} ${info.url} ${status} ${duration}ms${retry}`)
+    }
+    this._callHook('onResponse', { method: info.method, url: info.url, retries: info.retries, status, duration, error })
+
+    if (!span) return
+    if (status !== undefined) span.setAttribute('http.response.status_code', status)
+    if (error) {
+      if (span.recordException) span.recordException(error)
+      span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message })
+    }
+    span.end()
+  }
+
+  _callHook (name, info) {
+    if (!this[name]) return
+    try {
+      this[name](info)
+    } catch (err) {
+      this.logger.warn(`${name} hook failed`, err)
+    }
+  }
+
+  _backoff (attempt) {
+    return Math.min(this.retry.minTimeout * Math.pow(2, attempt), this.retry.maxTimeout)
+  }
+}
+
+module.exports = {
+  Transport,
+  parseRetryAfter,
+  IDEMPOTENT_METHODS
+}
@@ -0,0 +1,129 @@
+'use strict'
+
+// Parsing, sorting and matching of firmware versions (`14.3`, `11.0.0`) and
+// build IDs (`18C66`, `20A5303i`).
+
+const WILDCARD = /^[xX*]$/
+
+/**
+ * The numeric components of a version, `[15, 0, 1]` for `15.0.1`.
+ * Components that are not numbers count as 0.
+ * @param {string} version
+ * @returns {number[]}
+ */
+function parseVersion (version) {
+  return String(version).split('.').map(part => parseInt(part, 10) || 0)
+}
+
+/**
+ * Compare two versions, for `Array#sort`: negative when `a` is older,
+ * positive when it is newer. Missing components count as 0, so `15` equals
+ * `15.0.0`.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareVersions (a, b) {
+  const left = parseVersion(a)
+  const right = parseVersion(b)
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0)
+    if (difference) return difference
+  }
+  return 0
+}
+
+const BUILD_ID = /^(\d+)([A-Z])(\d+)([a-z]?)$/
+
+/**
+ * Compare two Apple build IDs, such as `18C66`, by major number and train
+ * letter, then by build number. Builds with a lowercase suffix, such as the
+ * beta `20A5303i`, sort before the releases of their train. Other build
+ * IDs, such as Android's, are compared as strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareBuildIds (a, b) {
+  const left = BUILD_ID.exec(a || '')
+  const right = BUILD_ID.exec(b || '')
+  if (!left || !right) return String(a || '').localeCompare(String(b || ''))
+  return (left[1] - right[1]) ||
+    left[2].localeCompare(right[2]) ||
+    (!left[4] - !right[4]) ||
+    (left[3] - right[3]) ||
+    left[4].localeCompare(right[4])
+}
+
+/**
+ * Whether `version` starts with the components of `partial`, e.g. `15.1.2`
+ * with `15.1`.
+ * @private
+ */
+function hasPrefix (version, partial) {
+  const components = parseVersion(version)
+  return partial.every((component, i) => (components[i] || 0) === component)
+}
+
+/**
+ * Parse one comparator of a range, such as `>=15.0`, `^14.2`, `15.x` or `*`.
+ * @private
+ */
+function comparator (text) {
+  const [, operator, version] = /^(>=|<=|>|<|=|\^|~)?(.*)$/.exec(text)
+  const parts = version.split('.')
+  const wildcard = parts.findIndex(part => WILDCARD.test(part))
+  const partial = (wildcard === -1 ? parts : parts.slice(0, wildcard)).filter(part => part !== '').map(part => parseInt(part, 10) || 0)
+  const base = partial.join('.')
+
+  if (!partial.length) return () => true
+  switch (operator) {
+    case '>=': return v => compareVersions(v, base) >= 0
+    case '>': return v => compareVersions(v, base) > 0 && !hasPrefix(v, partial)
+    case '<': return v => compareVersions(v, base) < 0
+    case '<=': return v => compareVersions(v, base) <= 0 || hasPrefix(v, partial)
+    case '=': return wildcard === -1 ? v => compareVersions(v, base) === 0 : v => hasPrefix(v, partial)
+    case '^': return v => compareVersions(v, base) >= 0 && hasPrefix(v, partial.slice(0, 1))
+    case '~': return v => compareVersions(v, base) >= 0 && hasPrefix(v, partial.slice(0, Math.min(partial.length, 2)))
+    default: return v => hasPrefix(v, partial)
+  }
+}
+
+/**
+ * Whether `version` is in `range`. A range is made of comparators separated
+ * by spaces, which must all match, and alternatives separated by `||`.
+ * Comparators are `>=`, `>`, `<`, `<=` and `=` a version, `^15.1` (15.1 or
+ * later, before 16), `~15.1` (15.1 or later, before 15.2), and partial
+ * versions or wildcards such as `15`, `15.x` or `*`, which match every
+ * version starting with them.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ * @example
+ * satisfies('15.2', '>=15.0 <16') // true
+ * satisfies('14.8.1', '^15.0 || 14.8') // true
+ */
+function satisfies (version, range) {
+  return String(range).split('||').some(alternative => {
+    const comparators = alternative.trim().replace(/([<>=^~])\s+/g, '$1').split(/\s+/).filter(Boolean)
+    return comparators.every(text => comparator(text)(version))
+  })
+}
+
+/**
+ * Whether `os` is a range for {@link satisfies} rather than a plain
+ * version, which is passed to the API as it is.
+ * @param {string} os
+ * @returns {boolean}
+ */
+function isVersionRange (os) {
+  return typeof os === 'string' && /[<>=^~*xX|\s]/.test(os.trim())
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  compareBuildIds,
+  satisfies,
+  isVersionRange
+}
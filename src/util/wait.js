@@ -0,0 +1,89 @@
+'use strict'
+
+// Helpers for waits that take `{ timeout, signal }` options.
+
+/**
+ * The error an aborted wait rejects with: the reason given to
+ * `AbortController#abort`, or an `AbortError`.
+ */
+function abortReason (signal) {
+  if (signal.reason !== undefined) return signal.reason
+  const err = new Error('The operation was aborted')
+  err.name = 'AbortError'
+  return err
+}
+
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) throw abortReason(signal)
+}
+
+/**
+ * Like `new Promise(executor)`, but rejects with `timeoutError()` after
+ * `timeout` milliseconds and with the abort reason when `signal` is aborted.
+ * The executor may return a cleanup function, which runs once however the
+ * wait ends, to remove its listeners.
+ *
+ * @param {Object} options
+ * @param {number} [options.timeout] - milliseconds, no timeout when missing or 0
+ * @param {AbortSignal} [options.signal]
+ * @param {function(): Error} options.timeoutError - creates the timeout error
+ * @param {function(function, function): (function|undefined)} executor
+ * @returns {Promise}
+ */
+function boundedWait ({ timeout, signal, timeoutError }, executor) {
+  return new Promise((resolve, reject) => {
+    let settled = false
+    let cleanup = null
+    let timer = null
+
+    const settle = (fn, value) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', onAbort)
+      if (cleanup) cleanup()
+      fn(value)
+    }
+    const onAbort = () => settle(reject, abortReason(signal))
+
+    if (signal && signal.aborted) {
+      onAbort()
+      return
+    }
+    if (signal) signal.addEventListener('abort', onAbort)
+    if (timeout) timer = setTimeout(() => settle(reject, timeoutError()), timeout)
+
+    const result = executor(value => settle(resolve, value), err => settle(reject, err))
+    cleanup = typeof result === 'function' ? result : () => {}
+    // The executor may have settled the wait before returning its cleanup.
+    if (settled) cleanup()
+  })
+}
+
+/**
+ * Sleep for `milliseconds`, or until `signal` is aborted, which rejects.
+ */
+function abortableSleep (milliseconds, signal) {
+  return boundedWait({ signal }, resolve => {
+    const timer = setTimeout(resolve, milliseconds)
+    return () => clearTimeout(timer)
+  })
+}
+
+/**
+ * Returns a function giving the time left until `timeout` milliseconds from
+ * now, for waits made of several steps. Without a timeout it returns 0,
+ * which means no timeout to the steps either.
+ */
+function deadlineOf (timeout) {
+  const deadline = timeout ? Date.now() + timeout : 0
+  return () => deadline && Math.max(deadline - Date.now(), 1)
+}
+
+module.exports = {
+  deadlineOf,
+  abortReason,
+  throwIfAborted,
+  boundedWait,
+  abortableSleep
+}
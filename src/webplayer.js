@@ -105,7 +105,7 @@ class WebPlayer {
         // Update local data
         this._session = Object.assign(this._session, result[0])
       } else {
-        console.warn(`WebPlayer session ${sessionId} not found`)
+        this._project.logger.warn(`WebPlayer session ${sessionId} not found`)
       }
     }
     return this._session
@@ -0,0 +1,80 @@
+'use strict'
+
+const { describe, it, before, after, afterEach } = require('mocha')
+const assert = require('assert')
+
+const { ConnectionClosedError, TimeoutError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('agent commands', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let agent = null
+  let instanceId = null
+  // The install commands the agent got, which it never answers by itself.
+  const installs = []
+
+  before(async function () {
+    server = await startMockServer()
+    const corellium = mockClient(server)
+    const project = await corellium.projectNamed('Default Project')
+    instanceId = server.addInstance(project.id, { flavor: 'ranchu' }).id
+    agent = await (await project.getInstance(instanceId)).agent()
+    // Never answers, like an agent stuck installing an app.
+    server.setAgentHandler('app', 'install', (message, session) => { installs.push({ message, session }) })
+  })
+
+  afterEach(function () {
+    installs.length = 0
+  })
+
+  after(async function () {
+    if (agent) agent.disconnect()
+    await server.stop()
+  })
+
+  it('times out a command and ignores its late answer', async function () {
+    await assert.rejects(agent.install('/data/local/tmp/app.apk', undefined, { timeout: 100 }), err =>
+      err instanceof TimeoutError && err.timeout === 100 && err.type === 'app' && err.op === 'install' &&
+      /app\/install/.test(err.message)
+    )
+    assert.deepStrictEqual(agent.pendingCommands(), [])
+
+    // The agent finishes the command anyway.
+    const [{ message, session }] = installs
+    session.send({ id: message.id, success: true })
+    assert.strictEqual((await agent.shellExec('echo ok', { timeout: 1000 })).output, 'ok\n')
+    assert.deepStrictEqual(agent.pendingCommands(), [])
+  })
+
+  it('aborts a command', async function () {
+    const controller = new AbortController()
+    const install = agent.install('/data/local/tmp/app.apk', undefined, { signal: controller.signal })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    controller.abort()
+    await assert.rejects(install, { name: 'AbortError' })
+    assert.deepStrictEqual(agent.pendingCommands(), [])
+    assert.strictEqual(installs.length, 1)
+    await assert.rejects(agent.ready({ signal: controller.signal }), { name: 'AbortError' })
+  })
+
+  it('lists the pending commands', async function () {
+    const install = agent.install('/data/local/tmp/app.apk')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    const pending = agent.pendingCommands()
+    assert.strictEqual(pending.length, 1)
+    assert.strictEqual(pending[0].type, 'app')
+    assert.strictEqual(pending[0].op, 'install')
+    assert(pending[0].age >= 40)
+
+    // Commands pending when the connection drops name the command.
+    for (const { ws } of server.instances.get(instanceId).agentSessions) ws.close()
+    await assert.rejects(install, err =>
+      err instanceof ConnectionClosedError && err.type === 'app' && err.op === 'install' &&
+      /^Agent command app\/install \(id \d+\) failed: disconnected/.test(err.message)
+    )
+    assert.deepStrictEqual(agent.pendingCommands(), [])
+  })
+})
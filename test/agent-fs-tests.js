@@ -0,0 +1,111 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { AgentCommandError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('agent filesystem', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let agent = null
+  let directory = null
+
+  // The files of a local tree, relative and `/`-separated.
+  const localFiles = (root, relative = '') => fs.readdirSync(path.join(root, relative), { withFileTypes: true })
+    .flatMap(entry => {
+      const name = relative ? `${relative}/${entry.name}` : entry.name
+      return entry.isDirectory() ? localFiles(root, name) : [name]
+    })
+    .sort()
+
+  before(async function () {
+    server = await startMockServer()
+    const corellium = mockClient(server)
+    const project = await corellium.projectNamed('Default Project')
+    const instance = await project.getInstance(server.addInstance(project.id, { flavor: 'ranchu' }).id)
+    agent = await instance.agent()
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corellium-agent-fs-'))
+  })
+
+  after(async function () {
+    if (agent) agent.disconnect()
+    await server.stop()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('creates, reads, renames and lists files', async function () {
+    await agent.mkdir('/data/local/tmp/app/it\'s')
+    assert(await agent.exists('/data/local/tmp/app/it\'s'))
+    await assert.rejects(agent.mkdir('/data/local/tmp/missing/dir', { recursive: false }), AgentCommandError)
+    await agent.mkdir('/data/local/tmp/-rf $(reboot)')
+    assert(await agent.exists('/data/local/tmp/-rf $(reboot)'))
+
+    await agent.writeFile('/data/local/tmp/app/config.json', '{"debug":true}', { mode: 0o600 })
+    assert.strictEqual(await agent.readFile('/data/local/tmp/app/config.json', 'utf8'), '{"debug":true}')
+    assert.strictEqual((await agent.stat('/data/local/tmp/app/config.json')).mode & 0o7777, 0o600)
+    await assert.rejects(agent.readdir('/data/local/tmp/app/config.json'), err => err.details.name === 'NotADirectory')
+
+    await agent.rename('/data/local/tmp/app', '/data/local/tmp/renamed')
+    assert(!(await agent.exists('/data/local/tmp/app')))
+    assert.deepStrictEqual((await agent.readdir('/data/local/tmp/renamed')).map(entry => entry.name), ['config.json', 'it\'s'])
+    assert(Buffer.isBuffer(await agent.readFile('/data/local/tmp/renamed/config.json')))
+  })
+
+  it('walks a directory tree with filters', async function () {
+    for (const file of ['a.txt', 'logs/1.log', 'logs/old/2.log', 'cache/c.bin']) {
+      await agent.writeFile(`/data/local/tmp/walk/${file}`, file)
+    }
+    const walked = async options => {
+      const paths = []
+      for await (const entry of agent.walk('/data/local/tmp/walk/', options)) paths.push(entry.relativePath)
+      return paths
+    }
+    assert.deepStrictEqual(await walked(), ['a.txt', 'cache', 'cache/c.bin', 'logs', 'logs/1.log', 'logs/old', 'logs/old/2.log'])
+    assert.deepStrictEqual(await walked({ match: '*.log', exclude: 'old' }), ['logs/1.log'])
+    assert.deepStrictEqual(await walked({ match: 'logs/**' }), ['logs/1.log', 'logs/old', 'logs/old/2.log'])
+
+    const { value: entry } = await agent.walk('/data/local/tmp/walk').next()
+    assert.strictEqual(entry.path, '/data/local/tmp/walk/a.txt')
+    assert.strictEqual(entry.stat.size, 5)
+  })
+
+  it('pushes and pulls directory trees', async function () {
+    const source = path.join(directory, 'source')
+    fs.mkdirSync(path.join(source, 'bin'), { recursive: true })
+    fs.mkdirSync(path.join(source, 'empty'))
+    fs.writeFileSync(path.join(source, 'bin', 'run.sh'), '#!/bin/sh\n')
+    fs.chmodSync(path.join(source, 'bin', 'run.sh'), 0o755)
+    fs.writeFileSync(path.join(source, 'notes.txt'), 'notes')
+    fs.writeFileSync(path.join(source, 'scratch.tmp'), 'scratch')
+
+    const pushed = []
+    assert.deepStrictEqual(
+      await agent.push(source, '/data/local/tmp/tree', { exclude: '*.tmp', progress: name => pushed.push(name) }),
+      ['bin/run.sh', 'notes.txt']
+    )
+    assert.deepStrictEqual(pushed, ['bin/run.sh', 'notes.txt'])
+    assert(await agent.exists('/data/local/tmp/tree/empty'))
+    assert(!(await agent.exists('/data/local/tmp/tree/scratch.tmp')))
+    const stat = await agent.stat('/data/local/tmp/tree/bin/run.sh')
+    assert.strictEqual(stat.mode & 0o7777, 0o755)
+
+    const target = path.join(directory, 'target')
+    assert.deepStrictEqual(await agent.pull('/data/local/tmp/tree', target), ['bin/run.sh', 'notes.txt'])
+    assert.deepStrictEqual(localFiles(target), ['bin/run.sh', 'notes.txt'])
+    assert(fs.statSync(path.join(target, 'empty')).isDirectory())
+    assert.strictEqual(fs.readFileSync(path.join(target, 'bin', 'run.sh'), 'utf8'), '#!/bin/sh\n')
+    assert.strictEqual(fs.statSync(path.join(target, 'bin', 'run.sh')).mode & 0o777, 0o755)
+    assert.strictEqual(Math.floor(fs.statSync(path.join(target, 'bin', 'run.sh')).mtimeMs / 1000), stat.mtime)
+
+    const only = path.join(directory, 'only')
+    assert.deepStrictEqual(await agent.pull('/data/local/tmp/tree', only, { match: 'notes.txt' }), ['notes.txt'])
+    assert.deepStrictEqual(localFiles(only), ['notes.txt'])
+  })
+})
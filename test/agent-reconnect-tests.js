@@ -0,0 +1,114 @@
+'use strict'
+
+const { describe, it, before, after, afterEach } = require('mocha')
+const assert = require('assert')
+const { once } = require('events')
+
+const { ConnectionClosedError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('agent reconnect', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let project = null
+  let agents = []
+  let installs = 0
+
+  const newInstance = async () => await project.getInstance(server.addInstance(project.id, { flavor: 'iphone6' }).id)
+  const newAgent = async (instance, options) => {
+    const agent = await instance.newAgent(options)
+    agents.push(agent)
+    return agent
+  }
+  const drop = instance => {
+    for (const { ws } of server.instances.get(instance.id).agentSessions) ws.terminate()
+  }
+  const until = async condition => {
+    while (!condition()) await new Promise(resolve => setTimeout(resolve, 10))
+  }
+
+  before(async function () {
+    server = await startMockServer()
+    // Never answers, like an agent stuck installing an app.
+    server.setAgentHandler('app', 'install', () => { installs++ })
+    const corellium = mockClient(server)
+    project = await corellium.projectNamed('Default Project')
+  })
+
+  afterEach(function () {
+    for (const agent of agents) agent.disconnect()
+    agents = []
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  it('shares the connection between concurrent commands', async function () {
+    const instance = await newInstance()
+    const agent = await newAgent(instance)
+    const results = await Promise.all([agent.shellExec('echo 1'), agent.shellExec('echo 2')])
+    assert.deepStrictEqual(results.map(result => result.output), ['1\n', '2\n'])
+    assert.strictEqual(server.instances.get(instance.id).agentSessions.size, 1)
+  })
+
+  it('subscribes again to crashes after reconnecting', async function () {
+    const instance = await newInstance()
+    const agent = await newAgent(instance, { autoReconnect: { minTimeout: 20 } })
+    const events = []
+    agent.on('disconnected', event => events.push(['disconnected', event]))
+    agent.on('reconnected', event => events.push(['reconnected', event]))
+    const reports = []
+    agent.crashes('com.example.app', (err, report) => reports.push(err || report))
+    const install = agent.install('/var/tmp/app.ipa')
+    await until(() => agent.pendingCommands().length === 2)
+
+    drop(instance)
+    await assert.rejects(install, err => err instanceof ConnectionClosedError && err.op === 'install')
+    await until(() => events.length === 2)
+    assert.deepStrictEqual(events.map(([name]) => name), ['disconnected', 'reconnected'])
+    assert.strictEqual(events[0][1].closeCode, 1006)
+    assert.strictEqual(events[1][1].resubscribed, 1)
+    assert.deepStrictEqual(agent.pendingCommands().map(({ type, op }) => `${type}/${op}`), ['crash/subscribe'])
+    assert.strictEqual(installs, 1)
+
+    server.emitCrash(instance.id, 'com.example.app', 'crash report')
+    await until(() => reports.length)
+    assert.deepStrictEqual(reports, ['crash report'])
+  })
+
+  it('stops reconnecting when disconnected', async function () {
+    const instance = await newInstance()
+    const agent = await newAgent(instance, { autoReconnect: { minTimeout: 1000 } })
+    const subscription = agent.crashes('com.example.app', () => {})
+    await until(() => agent.pendingCommands().length === 1)
+
+    drop(instance)
+    await once(agent, 'disconnected')
+    agent.disconnect()
+    await assert.rejects(subscription, err => err instanceof ConnectionClosedError && /disconnected$/.test(err.message))
+  })
+
+  it('does not reconnect without autoReconnect', async function () {
+    const instance = await newInstance()
+    const agent = await newAgent(instance)
+    const subscription = agent.crashes('com.example.app', () => {})
+    await until(() => agent.pendingCommands().length === 1)
+    agent.on('disconnected', () => assert.fail('unexpected disconnected event'))
+
+    drop(instance)
+    await assert.rejects(subscription, err => err instanceof ConnectionClosedError && err.closeCode === 1006)
+  })
+
+  it('gives up when the instance is gone', async function () {
+    const instance = await newInstance()
+    const agent = await newAgent(instance, { autoReconnect: { minTimeout: 20 } })
+    const subscription = agent.crashes('com.example.app', () => {})
+    await until(() => agent.pendingCommands().length === 1)
+
+    await instance.destroy({ wait: true })
+    await assert.rejects(subscription, err => err instanceof ConnectionClosedError && /reconnecting failed/.test(err.message))
+  })
+})
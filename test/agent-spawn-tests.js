@@ -0,0 +1,126 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+
+const { AgentCommandError, AgentProcess } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+// Everything a stream gives until it ends.
+const readAll = async stream => {
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return Buffer.concat(chunks).toString()
+}
+
+describe('agent spawn', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let agent = null
+  let instanceId = null
+
+  before(async function () {
+    server = await startMockServer({ speculative: true })
+    const corellium = mockClient(server)
+    const project = await corellium.projectNamed('Default Project')
+    instanceId = server.addInstance(project.id, { flavor: 'ranchu' }).id
+    const instance = await project.getInstance(instanceId)
+    agent = await instance.agent()
+  })
+
+  after(async function () {
+    if (agent) agent.disconnect()
+    await server.stop()
+  })
+
+  it('streams the input and outputs of a process', async function () {
+    const child = await agent.spawn('cat')
+    assert(child instanceof AgentProcess)
+    assert(Number.isInteger(child.pid))
+    const output = readAll(child.stdout)
+    child.stdin.write('line 1\n')
+    child.stdin.end(Buffer.from('line 2\n'))
+    assert.strictEqual(await output, 'line 1\nline 2\n')
+    assert.deepStrictEqual(await child.exited, { code: 0, signal: null })
+    assert.strictEqual(child.exitCode, 0)
+
+    const failing = await agent.spawn('echo failed >&2')
+    const [stdout, stderr] = await Promise.all([readAll(failing.stdout), readAll(failing.stderr)])
+    assert.deepStrictEqual([stdout, stderr], ['', 'failed\n'])
+
+    const missing = await agent.spawn('frobnicate --now')
+    assert.strictEqual(await readAll(missing.stderr), 'sh: frobnicate: not found\n')
+    assert.strictEqual((await missing.exited).code, 127)
+  })
+
+  it('passes the environment and working directory', async function () {
+    const env = await agent.spawn('env', { env: { ANDROID_LOG_TAGS: '*:s', LANG: 'C' } })
+    assert.strictEqual(await readAll(env.stdout), 'ANDROID_LOG_TAGS=*:s\nLANG=C\n')
+    const pwd = await agent.spawn('pwd', { cwd: '/data/local/tmp' })
+    assert.strictEqual(await readAll(pwd.stdout), '/data/local/tmp\n')
+    await assert.rejects(agent.spawn('pwd', { cwd: '/missing' }), err =>
+      err instanceof AgentCommandError && err.details.name === 'FileNotFound'
+    )
+  })
+
+  it('runs an interactive shell in a terminal', async function () {
+    const shell = await agent.spawn('sh', { pty: true, cols: 100, rows: 30 })
+    const output = readAll(shell.stdout)
+    shell.stdin.write('stty size\n')
+    await shell.resize(132, 43)
+    shell.stdin.write('stty size\necho oops >&2\nexit 3\n')
+    assert.deepStrictEqual(await shell.exited, { code: 3, signal: null })
+    assert.strictEqual(await output, '30 100\n43 132\noops\n')
+    assert.strictEqual(await readAll(shell.stderr), '')
+
+    const plain = await agent.spawn('cat')
+    await assert.rejects(plain.resize(100, 30), err => err.details.name === 'NotATerminal')
+    plain.stdin.end()
+    await plain.exited
+  })
+
+  it('signals a process', async function () {
+    const child = await agent.spawn('cat')
+    await child.kill('SIGINT')
+    assert.deepStrictEqual(await child.exited, { code: null, signal: 'SIGINT' })
+    assert.strictEqual(child.signalCode, 'SIGINT')
+    assert.strictEqual(await readAll(child.stdout), '')
+    // Writing after the exit is harmless.
+    child.stdin.end('ignored')
+  })
+
+  it('rejects the exit when the connection closes', async function () {
+    const child = await agent.spawn('cat')
+    for (const { ws } of server.instances.get(instanceId).agentSessions) ws.close()
+    await assert.rejects(child.exited, { name: 'ConnectionClosedError' })
+  })
+
+  it('reports the commands the agent does not know as unsupported', async function () {
+    const child = await agent.spawn('cat')
+    server.setAgentHandler('app', 'spawnResize', () => { throw new Error('Unknown command app/spawnResize') })
+    server.setAgentHandler('app', 'spawnKill', () => { throw new Error('Unknown command app/spawnKill') })
+    await assert.rejects(child.resize(100, 40), { name: 'UnsupportedOperationError', operation: 'agentProcess.resize' })
+    await assert.rejects(child.kill(), { name: 'UnsupportedOperationError', operation: 'agentProcess.kill' })
+    server.setAgentHandler('app', 'spawnKill', () => { throw new Error('No such process') })
+    await assert.rejects(child.kill(), error => error instanceof AgentCommandError && /No such process/.test(error.message))
+  })
+
+  it('resolves when the process exits before it is reported started', async function () {
+    // Replaces the spawn command of the mock for the rest of these tests.
+    server.setAgentHandler('app', 'spawn', () => ({ exited: true, 'exit-status': 2, signal: null, pid: 1234 }))
+    const child = await agent.spawn('false')
+    assert.deepStrictEqual(await child.exited, { code: 2, signal: null })
+    assert.strictEqual(child.pid, 1234)
+    assert.strictEqual(await readAll(child.stdout), '')
+  })
+
+  it('gives up on an agent that does not answer the spawn command', async function () {
+    server.setAgentHandler('app', 'spawn', () => undefined)
+    await assert.rejects(agent.spawn('cat', { startTimeout: 50 }), {
+      name: 'UnsupportedOperationError',
+      operation: 'agent.spawn'
+    })
+  })
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+const { describe, it, before, after, afterEach } = require('mocha')
+const assert = require('assert')
+
+const { QuotaExceededError, WaitTimeoutError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('capacity', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let project = null
+
+  before(async function () {
+    server = await startMockServer({ projects: { Small: { quotas: { cores: 3 } } } })
+    const corellium = mockClient(server)
+    project = await corellium.projectNamed('Small')
+  })
+
+  afterEach(async function () {
+    for (const instance of await project.instances()) await instance.destroy({ wait: true })
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  it('checks the quota before creating', async function () {
+    assert.deepStrictEqual(await project.canCreate({ flavor: 'iphone6', os: '12.4.1' }), {
+      allowed: true,
+      required: { cores: 2, cpus: 2 },
+      available: { cores: 3 },
+      quotas: { cores: 3 }
+    })
+
+    const check = await project.canCreate({ flavor: 'iphone6', os: '12.4.1' }, { count: 2 })
+    assert.strictEqual(check.allowed, false)
+    assert.match(check.reason, /4 cores are needed, 3 of 3 are available/)
+
+    await project.createInstance({ flavor: 'iphone6', os: '12.4.1' })
+    assert.strictEqual((await project.canCreate({ flavor: 'iphone6', os: '12.4.1' })).allowed, false)
+    assert.strictEqual((await project.canCreate({ flavor: 'ranchu', os: '11.0.0' })).allowed, true)
+  })
+
+  it('waits for capacity in order', async function () {
+    const first = await project.createInstance({ flavor: 'iphone6', os: '12.4.1' })
+    const created = []
+    const second = project.createInstance({ flavor: 'iphone6', os: '12.4.1', name: 'second' }, { waitForCapacity: true, pollInterval: 10 })
+      .then(instance => created.push(instance.name))
+    const third = project.createInstance({ flavor: 'ranchu', os: '11.0.0', name: 'third' }, { waitForCapacity: true, pollInterval: 10 })
+      .then(instance => created.push(instance.name))
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.deepStrictEqual(created, [])
+
+    await first.destroy({ wait: true })
+    await Promise.all([second, third])
+    assert.deepStrictEqual(created, ['second', 'third'])
+  })
+
+  it('gives up waiting for capacity', async function () {
+    await project.createInstance({ flavor: 'iphone6', os: '12.4.1' })
+    await assert.rejects(
+      project.createInstance({ flavor: 'iphone6', os: '12.4.1' }, { waitForCapacity: true, pollInterval: 10, timeout: 50 }),
+      err => err instanceof WaitTimeoutError
+    )
+
+    const controller = new AbortController()
+    const waiting = project.createInstance({ flavor: 'iphone6', os: '12.4.1' }, { waitForCapacity: true, pollInterval: 10, signal: controller.signal })
+    controller.abort()
+    await assert.rejects(waiting, { name: 'AbortError' })
+  })
+
+  it('does not wait for more than the whole quota', async function () {
+    await project.setQuotas({ cores: 1 })
+    try {
+      await assert.rejects(
+        project.createInstance({ flavor: 'iphone6', os: '12.4.1' }, { waitForCapacity: true }),
+        err => err instanceof QuotaExceededError && /needs 2 cores, more than the 1/.test(err.message)
+      )
+    } finally {
+      await project.setQuotas({ cores: 3 })
+    }
+  })
+
+  it('only sets the cores quota', async function () {
+    try {
+      await project.setQuotas({ cores: 4, cpus: 6, memory: 8192 })
+      await project.refresh()
+      assert.deepStrictEqual(project.quotas, { cores: 4 })
+      await project.setQuotas({ cpus: 5 })
+      await project.refresh()
+      assert.deepStrictEqual(project.quotas, { cores: 5 })
+    } finally {
+      await project.setQuotas({ cores: 3 })
+    }
+  })
+})
@@ -0,0 +1,168 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+
+const { NotFoundError } = require('../src/corellium')
+const { compareVersions, compareBuildIds, satisfies, isVersionRange } = require('../src/util/version')
+const { startMockServer, mockClient } = require('./testUtils')
+
+const SUPPORTED = [
+  {
+    type: 'ios',
+    name: 'iphone13',
+    flavor: 'iphone13',
+    description: 'iPhone 13',
+    model: 'iPhone14,5',
+    firmwares: [
+      { version: '15.1', buildid: '19B74' },
+      { version: '16.0', buildid: '20A5303i' },
+      { version: '16.0', buildid: '20A362' },
+      { version: '15.10', buildid: '19H12' }
+    ],
+    quotas: { cores: 6, cpus: 6 }
+  },
+  {
+    type: 'ios',
+    name: 'iphone14',
+    flavor: 'iphone14',
+    description: 'iPhone 14',
+    model: 'iPhone14,7',
+    firmwares: [{ version: '16.1', buildid: '20B82' }],
+    quotas: { cores: 6, cpus: 6 }
+  },
+  {
+    type: 'ios',
+    name: 'iphone6',
+    flavor: 'iphone6',
+    description: 'iPhone 6',
+    model: 'iPhone7,2',
+    firmwares: [{ version: '12.4.1', buildid: '16G102' }],
+    quotas: { cores: 2, cpus: 2 }
+  },
+  {
+    type: 'android',
+    name: 'ranchu',
+    flavor: 'ranchu',
+    description: 'Generic Android',
+    model: 'ranchu',
+    firmwares: [{ version: '11.0.0', buildid: 'RQ1A' }, { version: '7.1.2', buildid: 'N2G48H' }],
+    quotas: { cores: 1, cpus: 1 }
+  }
+]
+
+describe('versions', function () {
+  it('compares versions', function () {
+    assert(compareVersions('15.10', '15.2') > 0)
+    assert(compareVersions('15', '15.0.0') === 0)
+    assert(compareVersions('9.3.5', '10.0') < 0)
+    assert.deepStrictEqual(['15.2', '15.10', '14.8.1', '15'].sort(compareVersions), ['14.8.1', '15', '15.2', '15.10'])
+  })
+
+  it('compares build IDs', function () {
+    assert(compareBuildIds('20A362', '19H12') > 0)
+    assert(compareBuildIds('16G102', '16G77') > 0)
+    assert(compareBuildIds('20A362', '20A5303i') > 0)
+    assert(compareBuildIds('20B5045d', '20A362') > 0)
+    assert(compareBuildIds('20A5328h', '20A5303i') > 0)
+  })
+
+  it('matches ranges', function () {
+    assert(satisfies('15.2', '>=15.0 <16'))
+    assert(!satisfies('16.0', '>=15.0 <16'))
+    assert(satisfies('15.1.1', '15.1'))
+    assert(satisfies('15.7', '15.x'))
+    assert(satisfies('14.8.1', '^15.0 || 14.8'))
+    assert(!satisfies('15.2', '~15.1'))
+    assert(satisfies('15.1.3', '~15.1'))
+    assert(!satisfies('15.1', '>15'))
+    assert(satisfies('15.9', '<= 15'))
+    assert(satisfies('11.0.0', '*'))
+  })
+
+  it('tells ranges from versions', function () {
+    assert(isVersionRange('>=15'))
+    assert(isVersionRange('15.x'))
+    assert(!isVersionRange('14.3'))
+    assert(!isVersionRange(undefined))
+  })
+})
+
+describe('catalog', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let corellium = null
+  let project = null
+
+  const supportedRequests = () => server.requests.filter(request => request.path.endsWith('/supported')).length
+
+  before(async function () {
+    server = await startMockServer({ supported: SUPPORTED })
+    corellium = mockClient(server)
+    project = await corellium.projectNamed('Default Project')
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  it('finds firmwares, newest first', async function () {
+    const entries = await corellium.catalog.find({ type: 'ios', minVersion: '15.0', flavor: /iphone1[34]/ })
+    assert.deepStrictEqual(entries.map(({ flavor, buildid }) => `${flavor} ${buildid}`), [
+      'iphone14 20B82',
+      'iphone13 20A362',
+      'iphone13 20A5303i',
+      'iphone13 19H12',
+      'iphone13 19B74'
+    ])
+    assert.strictEqual(entries[0].device.model, 'iPhone14,7')
+
+    assert.deepStrictEqual((await corellium.catalog.find({ type: 'android', version: '<8' })).map(entry => entry.version), ['7.1.2'])
+    assert.deepStrictEqual((await corellium.catalog.find({ flavor: 'iphone13', maxVersion: '15.9' })).map(entry => entry.version), ['15.1'])
+  })
+
+  it('finds the latest firmware', async function () {
+    assert.strictEqual((await corellium.catalog.latestFirmware('iphone13')).buildid, '20A362')
+    assert.strictEqual((await corellium.catalog.latestFirmware('iphone13', '15.x')).version, '15.10')
+    assert.strictEqual(await corellium.catalog.latestFirmware('iphone13', '17'), null)
+  })
+
+  it('caches the device list until invalidated', async function () {
+    await corellium.supported()
+    const requests = supportedRequests()
+    await Promise.all([corellium.catalog.find(), corellium.supported(), corellium.catalog.latestFirmware('ranchu')])
+    assert.strictEqual(supportedRequests(), requests)
+
+    corellium.catalog.invalidate()
+    await Promise.all([corellium.supported(), corellium.supported()])
+    assert.strictEqual(supportedRequests(), requests + 1)
+
+    assert.strictEqual(corellium.supportedDevices, await corellium.supported())
+    corellium.supportedDevices = null
+    assert.strictEqual(corellium.supportedDevices, null)
+    await corellium.supported()
+    assert.strictEqual(supportedRequests(), requests + 2)
+
+    const client = mockClient(server, { catalogMaxAge: 10 })
+    await client.supported()
+    await new Promise(resolve => setTimeout(resolve, 20))
+    await client.supported()
+    assert.strictEqual(supportedRequests(), requests + 4)
+  })
+
+  it('creates instances from the latest firmware or a range', async function () {
+    const latest = await project.createInstance({ flavor: 'ranchu', os: 'latest' })
+    assert.strictEqual(latest.info.os, '11.0.0')
+
+    const ranged = await project.createInstance({ flavor: 'iphone6', os: '>=12 <13' })
+    assert.strictEqual(ranged.info.osbuild, '16G102')
+
+    await assert.rejects(project.createInstance({ flavor: 'iphone6', os: '^13' }), err =>
+      err instanceof NotFoundError && /No iphone6 firmware matches \^13/.test(err.message)
+    )
+    await latest.destroy({ wait: true })
+    await ranged.destroy({ wait: true })
+  })
+})
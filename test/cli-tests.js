@@ -0,0 +1,130 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const childProcess = require('child_process')
+const path = require('path')
+const stream = require('stream')
+
+const { main, parseArgs } = require('../src/cli')
+const { startMockServer } = require('./testUtils')
+
+// A writable stream that keeps what is written to it.
+const output = () => {
+  const chunks = []
+  const writable = new stream.Writable({
+    write (chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+  writable.text = () => Buffer.concat(chunks).toString()
+  return writable
+}
+
+describe('command line tool', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let env = null
+  let project = null
+
+  // Run the tool, returning its exit code and output.
+  const run = async (...argv) => {
+    const stdout = output()
+    const stderr = output()
+    const code = await main(argv, { stdout, stderr, env })
+    return { code, stdout: stdout.text(), stderr: stderr.text() }
+  }
+
+  before(async function () {
+    server = await startMockServer()
+    project = [...server.projects.values()][0]
+    env = {
+      CORELLIUM_ENDPOINT: server.endpoint,
+      CORELLIUM_USERNAME: 'user',
+      CORELLIUM_PASSWORD: 'password',
+      CORELLIUM_CONFIG_FILE: path.join(__dirname, 'missing-config')
+    }
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  it('parses arguments and options', function () {
+    assert.deepStrictEqual(
+      parseArgs(['instances', 'list', '--project', 'Default', '--state=on,off', '--json', '--api-token', 't', '--', '--wait']),
+      { positional: ['instances', 'list', '--wait'], flags: { project: 'Default', state: 'on,off', json: true, apiToken: 't' } }
+    )
+    assert.throws(() => parseArgs(['instances', 'list', '--project']), /option --project requires a value/)
+  })
+
+  it('prints the usage with exit code 2 on bad invocations', async function () {
+    assert.deepStrictEqual(await run('--help'), { code: 0, stdout: (await run()).stdout, stderr: '' })
+    assert.strictEqual((await run()).code, 2)
+    assert.match((await run('--help')).stdout, /^Usage: corellium-api/)
+
+    const unknown = await run('instances', 'explode')
+    assert.strictEqual(unknown.code, 2)
+    assert.match(unknown.stderr, /^unknown command: instances explode\n\nUsage:/)
+
+    const missing = await run('instances', 'start')
+    assert.strictEqual(missing.code, 2)
+    assert.match(missing.stderr, /^missing argument <instanceId>/)
+
+    assert.match((await run('projects', 'list', '--endpoint')).stderr, /^option --endpoint requires a value/)
+    const noCredentials = await main(['projects', 'list'], { stdout: output(), stderr: output(), env: { CORELLIUM_ENDPOINT: server.endpoint, CORELLIUM_CONFIG_FILE: env.CORELLIUM_CONFIG_FILE } })
+    assert.strictEqual(noCredentials, 2)
+  })
+
+  it('runs commands against the API', async function () {
+    const projects = await run('projects', 'list')
+    assert.strictEqual(projects.code, 0)
+    assert.deepStrictEqual(projects.stdout.split('\n').map(line => line.split(/\s{2,}/)), [
+      ['ID', 'NAME', 'CORES', 'USED'],
+      [project.id, 'Default Project', '20', '0'],
+      ['']
+    ])
+
+    const created = await run('instances', 'create', '--project', 'Default Project', '--flavor', 'ranchu', '--os', '11.0.0', '--name', 'cli', '--wait', '--json')
+    assert.strictEqual(created.code, 0)
+    const instance = JSON.parse(created.stdout)
+    assert.strictEqual(instance.name, 'cli')
+    assert.strictEqual(instance.state, 'on')
+
+    const listed = JSON.parse((await run('instances', 'list', '--state', 'on', '--json')).stdout)
+    assert.deepStrictEqual(listed.map(instance => instance.id), [instance.id])
+
+    server.setAgentHandler('app', 'shellExec', ({ cmd }) => ({ output: `${cmd}\n`, 'exit-status': 3 }))
+    assert.deepStrictEqual(await run('agent', 'shell', instance.id, 'false', '--', '-x'), { code: 3, stdout: 'false -x\n', stderr: '' })
+  })
+
+  it('reports API errors with exit code 1', async function () {
+    const text = await run('instances', 'stop', '00000000-0000-0000-0000-000000000000')
+    assert.strictEqual(text.code, 1)
+    assert.match(text.stderr, /^error: /)
+
+    const json = await run('instances', 'stop', '00000000-0000-0000-0000-000000000000', '--json')
+    assert.strictEqual(json.code, 1)
+    assert.strictEqual(JSON.parse(json.stderr).name, 'NotFoundError')
+  })
+
+  it('exits with code 130 when interrupted', async function () {
+    const { id } = server.addInstance(project.id, { flavor: 'ranchu', state: 'off' })
+    server.transitionDelay = 60000
+    try {
+      const child = childProcess.spawn(process.execPath, [path.join(__dirname, '..', 'src', 'corellium.js'), 'instances', 'start', id, '--wait'], {
+        env: Object.assign({}, process.env, env),
+        stdio: 'ignore'
+      })
+      const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve({ code, signal })))
+      while (server.instances.get(id).info.state === 'off') await new Promise(resolve => setTimeout(resolve, 10))
+      child.kill('SIGINT')
+      assert.deepStrictEqual(await exited, { code: 130, signal: null })
+    } finally {
+      server.transitionDelay = 20
+    }
+  })
+})
@@ -0,0 +1,137 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { Corellium, ConfigurationError } = require('../src/corellium')
+const { loadConfig, listProfiles } = require('../src/config')
+const { main } = require('../src/cli')
+const { startMockServer } = require('./testUtils')
+
+describe('config', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let directory = null
+  let file = null
+  const savedEnv = {}
+
+  before(async function () {
+    server = await startMockServer({ projects: { 'Default Project': {}, 'CI Project': {} } })
+
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'corellium-config-'))
+    file = path.join(directory, 'config')
+    await fs.promises.writeFile(path.join(directory, 'ca.pem'), '-----BEGIN CERTIFICATE-----\n')
+    await fs.promises.writeFile(file, [
+      '# Corellium profiles',
+      '[default]',
+      `endpoint = ${server.endpoint}/`,
+      'username = user',
+      'password = "password"',
+      'project = CI Project',
+      '',
+      '[onprem]',
+      'endpoint = https://corellium.example.com',
+      'api_token = secret',
+      `ca = ${path.join(directory, 'ca.pem')}`,
+      'timeout = 5000',
+      '',
+      '[broken]',
+      'endpoint = corellium.example.com',
+      'api_token = secret',
+      '',
+      '[nocredentials]',
+      'endpoint = https://corellium.example.com',
+      '',
+      '[typo]',
+      'endpoint = https://corellium.example.com',
+      'apitoken = secret'
+    ].join('\n'))
+
+    for (const variable of ['CORELLIUM_CONFIG_FILE', 'CORELLIUM_PROFILE']) savedEnv[variable] = process.env[variable]
+    process.env.CORELLIUM_CONFIG_FILE = file
+    delete process.env.CORELLIUM_PROFILE
+  })
+
+  after(async function () {
+    for (const [variable, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[variable]
+      else process.env[variable] = value
+    }
+    await fs.promises.rm(directory, { recursive: true, force: true })
+    await server.stop()
+  })
+
+  it('lists profiles', function () {
+    assert.deepStrictEqual(listProfiles({ file }), ['default', 'onprem', 'broken', 'nocredentials', 'typo'])
+  })
+
+  it('loads a named profile', function () {
+    const options = loadConfig('onprem', { file, env: {} })
+    assert.strictEqual(options.endpoint, 'https://corellium.example.com')
+    assert.strictEqual(options.apiToken, 'secret')
+    assert.strictEqual(options.timeout, 5000)
+    assert(Buffer.isBuffer(options.ca))
+  })
+
+  it('selects the profile from CORELLIUM_PROFILE and lets the environment override it', function () {
+    const options = loadConfig(undefined, { file, env: { CORELLIUM_PROFILE: 'onprem', CORELLIUM_API_TOKEN: 'from-env' } })
+    assert.strictEqual(options.endpoint, 'https://corellium.example.com')
+    assert.strictEqual(options.apiToken, 'from-env')
+  })
+
+  it('applies overrides over the environment and settings in place of a profile', function () {
+    const env = { CORELLIUM_PROFILE: 'onprem', CORELLIUM_API_TOKEN: 'from-env', CORELLIUM_TIMEOUT: '100' }
+    const options = loadConfig(undefined, { file, env, overrides: { apiToken: 'from-flag', timeout: undefined } })
+    assert.strictEqual(options.apiToken, 'from-flag')
+    assert.strictEqual(options.timeout, 100)
+
+    const settings = { endpoint: 'https://json.example.com', username: 'ci' }
+    assert.throws(() => loadConfig(undefined, { file: 'config.json', env: {}, settings }), {
+      setting: 'password',
+      file: 'config.json',
+      message: 'No password configured for user ci'
+    })
+    assert.strictEqual(loadConfig(undefined, { file, env, settings: { endpoint: 'https://json.example.com' } }).apiToken, 'from-env')
+  })
+
+  it('uses the environment alone without a config file', function () {
+    const env = { CORELLIUM_ENDPOINT: 'https://app.corellium.com', CORELLIUM_API_TOKEN: 'token' }
+    const options = loadConfig(undefined, { file: path.join(directory, 'missing'), env })
+    assert.deepStrictEqual(options, { endpoint: 'https://app.corellium.com', apiToken: 'token' })
+  })
+
+  it('rejects invalid profiles with clear errors', function () {
+    const load = profile => () => loadConfig(profile, { file, env: {} })
+    assert.throws(load('staging'), err =>
+      err instanceof ConfigurationError && /Profile "staging" not found .*available profiles: default, onprem/.test(err.message)
+    )
+    assert.throws(load('broken'), { name: 'ConfigurationError', setting: 'endpoint', profile: 'broken' })
+    assert.throws(load('nocredentials'), { setting: 'api_token', message: /No credentials configured/ })
+    assert.throws(load('typo'), { setting: 'apitoken', message: /Unknown setting "apitoken"/ })
+  })
+
+  it('creates clients that use the default project of the profile', async function () {
+    const corellium = Corellium.fromConfig()
+    assert.strictEqual(corellium.options.endpoint, server.endpoint)
+    const project = await corellium.getDefaultProject()
+    assert.strictEqual(project.name, 'CI Project')
+  })
+
+  it('requires a default project when there are several', async function () {
+    const corellium = Corellium.fromConfig('default', { project: undefined })
+    await assert.rejects(corellium.getDefaultProject(), { name: 'ConfigurationError', setting: 'project' })
+  })
+
+  it('reads profiles in the command line tool', async function () {
+    let output = ''
+    const stdout = { write: text => { output += text } }
+    const code = await main(['projects', 'list', '--json', '--profile', 'default'], { stdout, stderr: stdout, env: { CORELLIUM_CONFIG_FILE: file } })
+    assert.strictEqual(code, 0)
+    assert.deepStrictEqual(JSON.parse(output).map(project => project.name).sort(), ['CI Project', 'Default Project'])
+  })
+})
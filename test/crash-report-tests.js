@@ -0,0 +1,250 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { parseCrashReport, CrashReportStream } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+const IPS = [
+  JSON.stringify({ app_name: 'Demo', timestamp: '2021-10-01 12:00:00.00 +0000', app_version: '1.2.0', bundleID: 'com.corellium.demoapp', bug_type: '309', os_version: 'iPhone OS 15.0 (19A346)' }),
+  JSON.stringify({
+    procName: 'Demo',
+    pid: 321,
+    bundleInfo: { CFBundleShortVersionString: '1.2.0', CFBundleVersion: '7', CFBundleIdentifier: 'com.corellium.demoapp' },
+    exception: { type: 'EXC_BAD_ACCESS', signal: 'SIGSEGV', codes: '0x0000000000000001, 0x0000000000000000', subtype: 'KERN_INVALID_ADDRESS at 0x0000000000000000' },
+    faultingThread: 1,
+    threads: [
+      { id: 100, queue: 'com.apple.main-thread', frames: [{ imageOffset: 4096, symbol: 'mach_msg_trap', symbolLocation: 8, imageIndex: 1 }] },
+      { id: 101, name: 'worker', triggered: true, frames: [{ imageOffset: 16, symbol: '-[Worker crash]', symbolLocation: 16, imageIndex: 0, sourceFile: 'Worker.m', sourceLine: 42 }, { imageOffset: 8192, imageIndex: 1 }] }
+    ],
+    usedImages: [
+      { source: 'P', arch: 'arm64', base: 4341481472, size: 16384, uuid: '6b0d0a3c-1111-2222-3333-444455556666', path: '/private/var/containers/Bundle/Application/X/Demo.app/Demo', name: 'Demo' },
+      { source: 'P', arch: 'arm64e', base: 7000000000, size: 32768, uuid: '0c2b7b2a-aaaa-bbbb-cccc-ddddeeeeffff', path: '/usr/lib/system/libsystem_kernel.dylib', name: 'libsystem_kernel.dylib' }
+    ]
+  }, null, 2)
+].join('\n')
+
+const TOMBSTONE = `*** *** *** *** *** *** *** *** *** *** *** *** *** *** *** ***
+Build fingerprint: 'google/sdk_gphone_arm64/emulator_arm64:11/RSR1.201013.001/6903271:userdebug/dev-keys'
+Revision: '0'
+ABI: 'arm64'
+Timestamp: 2021-10-01 12:00:00+0000
+pid: 4321, tid: 4350, name: RenderThread  >>> com.example.app <<<
+uid: 10123
+signal 11 (SIGSEGV), code 1 (SEGV_MAPERR), fault addr 0x0
+Cause: null pointer dereference
+    x0  0000000000000000  x1  0000007fc3a1b2c0
+backtrace:
+      #00 pc 000000000001a2b4  /data/app/~~abc==/com.example.app-xyz==/lib/arm64/libnative.so (Java_com_example_Native_crash(_JNIEnv*, _jobject*)+20) (BuildId: 1234abcd)
+      #01 pc 0000000000123456  /apex/com.android.art/lib64/libart.so (art_quick_generic_jni_trampoline+40) (BuildId: 5678ef00)
+      #02 pc 00000000000a0000  /system/framework/arm64/boot.oat
+
+stack:
+         0000007fc3a1b000  0000000000000000
+
+memory map (3 entries):
+    00000070'c0000000-00000070'c0001fff r--         0      2000  /data/app/~~abc==/com.example.app-xyz==/lib/arm64/libnative.so (BuildId: 1234abcd)
+--->00000070'c0002000-00000070'c0005fff r-x      2000      4000  /data/app/~~abc==/com.example.app-xyz==/lib/arm64/libnative.so (BuildId: 1234abcd)
+    00000071'00000000-00000071'000fffff r-x         0    100000  /apex/com.android.art/lib64/libart.so (BuildId: 5678ef00)
+`
+
+const LOGCAT = `--------- beginning of crash
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: FATAL EXCEPTION: main
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: Process: com.example.app, PID: 4321
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: java.lang.RuntimeException: Unable to start activity
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: \tat android.app.ActivityThread.performLaunchActivity(ActivityThread.java:3449)
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: \tat android.os.Looper.loop(Native Method)
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: Caused by: java.lang.NullPointerException: Attempt to invoke virtual method on a null object reference
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: \tat com.example.app.MainActivity.onCreate(MainActivity.java:42)
+10-01 12:00:00.000  4321  4321 E AndroidRuntime: \t... 11 more
+`
+
+const DROPBOX = `Process: com.example.app
+PID: 4321
+Flags: 0x38c83e44
+Package: com.example.app v12 (1.2.0)
+Foreground: Yes
+Build: google/sdk_gphone_arm64/emulator_arm64:11/RSR1.201013.001/6903271:userdebug/dev-keys
+
+java.lang.IllegalStateException
+\tat com.example.app.Worker.run(Unknown Source:4)
+\tat java.lang.Thread.run(Thread.java:923)
+`
+
+describe('crash reports', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  it('parses iOS .ips reports', function () {
+    const report = parseCrashReport(Buffer.from(IPS))
+    assert.strictEqual(report.format, 'ips')
+    assert.strictEqual(report.platform, 'ios')
+    assert.strictEqual(report.bundleID, 'com.corellium.demoapp')
+    assert.strictEqual(report.appVersion, '1.2.0')
+    assert.strictEqual(report.pid, 321)
+    assert.deepStrictEqual(report.exception, {
+      type: 'EXC_BAD_ACCESS',
+      signal: 'SIGSEGV',
+      codes: '0x0000000000000001, 0x0000000000000000',
+      message: 'KERN_INVALID_ADDRESS at 0x0000000000000000',
+      causes: []
+    })
+    assert.strictEqual(report.crashingThread.id, 101)
+    assert.strictEqual(report.crashingThread.name, 'worker')
+    assert.deepStrictEqual(report.crashingThread.frames, [
+      { index: 0, image: 'Demo', address: '0x102c5c010', symbol: '-[Worker crash]', offset: 16, file: 'Worker.m', line: 42 },
+      { index: 1, image: 'libsystem_kernel.dylib', address: '0x1a13ba600', symbol: null, offset: null, file: null, line: null }
+    ])
+    assert.deepStrictEqual(report.binaryImages[0], {
+      name: 'Demo',
+      path: '/private/var/containers/Bundle/Application/X/Demo.app/Demo',
+      uuid: '6b0d0a3c-1111-2222-3333-444455556666',
+      base: '0x102c5c000',
+      size: 16384,
+      arch: 'arm64'
+    })
+  })
+
+  it('parses Android tombstones', function () {
+    const report = parseCrashReport(TOMBSTONE)
+    assert.strictEqual(report.format, 'tombstone')
+    assert.strictEqual(report.bundleID, 'com.example.app')
+    assert.strictEqual(report.appVersion, null)
+    assert.strictEqual(report.timestamp, '2021-10-01 12:00:00+0000')
+    assert.deepStrictEqual(report.exception, { type: 'SIGSEGV', signal: 'SIGSEGV', codes: '1 (SEGV_MAPERR)', message: 'null pointer dereference', causes: [] })
+    assert.deepStrictEqual([report.crashingThread.id, report.crashingThread.name], [4350, 'RenderThread'])
+    assert.deepStrictEqual(report.crashingThread.frames.map(frame => [frame.image, frame.symbol, frame.offset]), [
+      ['libnative.so', 'Java_com_example_Native_crash(_JNIEnv*, _jobject*)', 20],
+      ['libart.so', 'art_quick_generic_jni_trampoline', 40],
+      ['boot.oat', null, null]
+    ])
+    assert.strictEqual(report.crashingThread.frames[0].address, '0x000000000001a2b4')
+    assert.deepStrictEqual(report.binaryImages.map(image => [image.name, image.uuid, image.base, image.size, image.arch]), [
+      ['libnative.so', '1234abcd', '0x00000070c0002000', 0x4000, 'arm64'],
+      ['libart.so', '5678ef00', '0x0000007100000000', 0x100000, 'arm64']
+    ])
+  })
+
+  it('parses Java exceptions', function () {
+    const report = parseCrashReport(LOGCAT)
+    assert.strictEqual(report.format, 'java')
+    assert.deepStrictEqual([report.process, report.pid, report.bundleID], ['com.example.app', 4321, 'com.example.app'])
+    assert.strictEqual(report.crashingThread.name, 'main')
+    assert.deepStrictEqual(report.exception, {
+      type: 'java.lang.RuntimeException',
+      signal: null,
+      codes: null,
+      message: 'Unable to start activity',
+      causes: [{ type: 'java.lang.NullPointerException', message: 'Attempt to invoke virtual method on a null object reference' }]
+    })
+    assert.deepStrictEqual(report.crashingThread.frames, [
+      { index: 0, image: null, address: null, symbol: 'android.app.ActivityThread.performLaunchActivity', offset: null, file: 'ActivityThread.java', line: 3449 },
+      { index: 1, image: null, address: null, symbol: 'android.os.Looper.loop', offset: null, file: null, line: null }
+    ])
+
+    const dropbox = parseCrashReport(DROPBOX)
+    assert.deepStrictEqual([dropbox.bundleID, dropbox.appVersion, dropbox.pid], ['com.example.app', '1.2.0', 4321])
+    assert.deepStrictEqual([dropbox.exception.type, dropbox.exception.message], ['java.lang.IllegalStateException', null])
+    assert.deepStrictEqual(dropbox.crashingThread.frames.map(frame => [frame.file, frame.line]), [['Unknown Source', 4], ['Thread.java', 923]])
+  })
+
+  it('keeps reports it cannot parse', function () {
+    const report = parseCrashReport('Incident Identifier: 1234\nCrashReporter Key: abc\n')
+    assert.strictEqual(report.format, 'unknown')
+    assert.strictEqual(report.raw, 'Incident Identifier: 1234\nCrashReporter Key: abc\n')
+    assert.deepStrictEqual(report.crashingThread.frames, [])
+  })
+
+  describe('stream', function () {
+    let server = null
+    let instance = null
+    let agent = null
+    let directory = null
+
+    const until = async condition => {
+      while (!condition()) await new Promise(resolve => setTimeout(resolve, 10))
+    }
+    // Subscriptions the mock server has seen, so reports are not emitted before them.
+    const subscriptions = () => [...server.instances.get(instance.id).agentSessions]
+      .reduce((count, session) => count + session.crashSubscriptions.size, 0)
+
+    before(async function () {
+      server = await startMockServer()
+      const corellium = mockClient(server)
+      const project = await corellium.projectNamed('Default Project')
+      instance = await project.getInstance(server.addInstance(project.id, { flavor: 'iphone6' }).id)
+      agent = await instance.newAgent()
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corellium-crashes-'))
+    })
+
+    after(async function () {
+      if (agent) agent.disconnect()
+      await server.stop()
+      fs.rmSync(directory, { recursive: true, force: true })
+    })
+
+    it('emits parsed reports and archives them', async function () {
+      const crashes = agent.crashReports('com.corellium.demoapp', { archiveDir: directory })
+      assert(crashes instanceof CrashReportStream)
+      const received = []
+      crashes.on('crash', crash => received.push(crash))
+      await until(() => subscriptions() === 1)
+
+      const file = server.emitCrash(instance.id, 'com.corellium.demoapp', IPS, 'Demo-2021-10-01-120000.ips')
+      await until(() => received.length)
+      assert.strictEqual(received[0].exception.type, 'EXC_BAD_ACCESS')
+      assert.strictEqual(received[0].path, file)
+      assert.strictEqual(received[0].archivePath, path.join(directory, 'Demo-2021-10-01-120000.ips'))
+      assert.strictEqual(fs.readFileSync(received[0].archivePath, 'utf8'), IPS)
+      assert(!(await agent.exists(file)))
+
+      crashes.close()
+      assert(crashes.closed)
+      assert.deepStrictEqual(agent.pendingCommands(), [])
+      // The agent keeps the subscription, and the reports it sends are left alone.
+      const ignored = server.emitCrash(instance.id, 'com.corellium.demoapp', IPS, 'Demo-2021-10-01-130000.ips')
+      await new Promise(resolve => setTimeout(resolve, 50))
+      assert.strictEqual(received.length, 1)
+      assert(await agent.exists(ignored))
+    })
+
+    it('subscribes once listened to and leaves undelivered reports on the device', async function () {
+      const subscribed = subscriptions()
+      const crashes = agent.crashReports('com.example.lazy')
+      crashes.on('error', () => {})
+      await new Promise(resolve => setTimeout(resolve, 50))
+      assert.strictEqual(subscriptions(), subscribed)
+
+      const listener = () => assert.fail('no report should be emitted')
+      crashes.on('crash', listener)
+      await until(() => subscriptions() === subscribed + 1)
+      crashes.removeListener('crash', listener)
+      const file = server.emitCrash(instance.id, 'com.example.lazy', TOMBSTONE, 'tombstone_01')
+      await new Promise(resolve => setTimeout(resolve, 50))
+      assert.strictEqual(await agent.readFile(file, 'utf8'), TOMBSTONE)
+      crashes.close()
+    })
+
+    it('is an async iterator and can keep the reports on the device', async function () {
+      const subscribed = subscriptions()
+      const crashes = agent.crashReports('com.example.app', { keepOnDevice: true })
+      const iterator = crashes[Symbol.asyncIterator]()
+      const next = iterator.next()
+      await until(() => subscriptions() === subscribed + 1)
+      const file = server.emitCrash(instance.id, 'com.example.app', TOMBSTONE, 'tombstone_00')
+      const { value: crash } = await next
+      assert.strictEqual(crash.format, 'tombstone')
+      assert.strictEqual(crash.archivePath, undefined)
+
+      // Leaving a for await loop returns the iterator, which closes the stream.
+      await iterator.return()
+      assert(crashes.closed)
+      assert.deepStrictEqual(agent.pendingCommands(), [])
+      assert.strictEqual(await agent.readFile(file, 'utf8'), TOMBSTONE)
+    })
+  })
+})
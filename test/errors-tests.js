@@ -0,0 +1,123 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const http = require('http')
+
+const {
+  Corellium,
+  CorelliumError,
+  AuthenticationError,
+  NotFoundError,
+  QuotaExceededError,
+  ServerError,
+  AgentCommandError
+} = require('../src/corellium')
+const { errorFromResponse } = require('../src/errors')
+const { fetch } = require('../src/util/fetch')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('errors', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let corellium = null
+  let project = null
+
+  before(async function () {
+    server = await startMockServer({ transitionDelay: 10, projects: { Small: { quotas: { cores: 1 } } } })
+    corellium = mockClient(server)
+    project = await corellium.projectNamed('Small')
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  it('throws NotFoundError with request details for 404 responses', async function () {
+    const err = await project.getInstance('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa').catch(err => err)
+    assert(err instanceof NotFoundError)
+    assert(err instanceof CorelliumError)
+    assert.strictEqual(err.status, 404)
+    assert.strictEqual(err.code, 404)
+    assert.strictEqual(err.method, 'GET')
+    assert(err.url.endsWith('/instances/aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa'))
+    assert(err.requestId)
+    assert.strictEqual(err.retryable, false)
+  })
+
+  it('throws AuthenticationError for rejected tokens', async function () {
+    const client = new Corellium({
+      endpoint: server.endpoint,
+      token: { token: 'bogus', expiration: new Date(Date.now() + 60 * 60 * 1000) }
+    })
+    await assert.rejects(client.projects(), err => err instanceof AuthenticationError && err.status === 401)
+  })
+
+  it('throws QuotaExceededError when the project is out of cores', async function () {
+    await assert.rejects(
+      project.createInstance({ flavor: 'iphone6', os: '12.4.1' }),
+      err => err instanceof QuotaExceededError && err.field === 'cores'
+    )
+  })
+
+  it('tells quota errors apart by status and field, not by message', function () {
+    assert(errorFromResponse(402, { error: 'Payment required' }) instanceof QuotaExceededError)
+    assert(errorFromResponse(403, { error: 'Too many', field: 'cpus' }) instanceof QuotaExceededError)
+    assert(errorFromResponse(403, { error: 'Not allowed to change the project quota' }) instanceof AuthenticationError)
+  })
+
+  it('throws a TypeError for an invalid role grantee', async function () {
+    await assert.rejects(corellium.createRole(project.id, {}), TypeError)
+  })
+
+  it('throws AgentCommandError for agent errors', async function () {
+    const instance = await project.getInstance(server.addInstance(project.id, { flavor: 'ranchu' }).id)
+    const agent = await instance.newAgent()
+    try {
+      const err = await agent.stat('/does/not/exist').catch(err => err)
+      assert(err instanceof AgentCommandError)
+      assert.strictEqual(err.type, 'file')
+      assert.strictEqual(err.op, 'stat')
+      assert.strictEqual(err.name, 'AgentCommandError')
+      assert.strictEqual(err.details.name, 'FileNotFound')
+      assert.match(err.message, /Stat of file/)
+    } finally {
+      agent.disconnect()
+    }
+  })
+
+  describe('server errors', function () {
+    let failing = null
+    let url = null
+
+    before(async function () {
+      failing = http.createServer((req, res) => {
+        res.writeHead(503, { 'Content-Type': 'text/html', 'X-Request-Id': 'req-1' })
+        res.end('<html>Service Unavailable</html>')
+      })
+      await new Promise(resolve => failing.listen(0, '127.0.0.1', resolve))
+      url = `http://127.0.0.1:${failing.address().port}/api/v1/projects`
+    })
+
+    after(function (done) {
+      failing.close(done)
+    })
+
+    it('throws a retryable ServerError for 5xx responses without a JSON body', async function () {
+      const warn = console.warn
+      console.warn = () => {}
+      try {
+        const err = await fetch(url, { method: 'GET' }).catch(err => err)
+        assert(err instanceof ServerError)
+        assert.strictEqual(err.status, 503)
+        assert.strictEqual(err.requestId, 'req-1')
+        assert.strictEqual(err.retryable, true)
+        assert.match(err.message, /GET .* -- 503 Service Unavailable/)
+      } finally {
+        console.warn = warn
+      }
+    })
+  })
+})
@@ -0,0 +1,156 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const assert = require('assert')
+const childProcess = require('child_process')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { MissingFirmwareAssetsError, NotFoundError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('firmware assets', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let corellium = null
+  let project = null
+  let directory = null
+  let cacheDir = null
+  let assets = []
+  const data = [crypto.randomBytes(512 * 1024), crypto.randomBytes(1024)]
+
+  const requested = []
+  const uploaded = () => [...server.images.values()].filter(image => image.type === 'fwasset').map(image => image.name).sort()
+
+  before(async function () {
+    server = await startMockServer()
+    server.on('firmwareAssetRequested', request => requested.push(request))
+    assets = [
+      server.addFirmwareAsset('sep-firmware.im4p', data[0], ['iphone6']),
+      server.addFirmwareAsset('baseband.bbfw', data[1], ['iphone6'])
+    ]
+    corellium = mockClient(server)
+    project = await corellium.projectNamed('Default Project')
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corellium-assets-'))
+  })
+
+  beforeEach(async function () {
+    for (const image of await project.images.list({ type: 'fwasset' })) await image.delete()
+    requested.length = 0
+    cacheDir = fs.mkdtempSync(path.join(directory, 'cache-'))
+  })
+
+  after(async function () {
+    await server.stop()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('asks for the missing assets without the firmwareAssets option', async function () {
+    await assert.rejects(project.createInstance({ flavor: 'iphone6', os: '12.4.1' }), err =>
+      err instanceof MissingFirmwareAssetsError && err.field === 'firmware_asset' &&
+      err.assets.length === 2 && err.assets.every(url => assets.includes(url))
+    )
+    const instance = await project.createInstance({ flavor: 'ranchu', os: '11.0.0' })
+    await instance.destroy({ wait: true })
+  })
+
+  it('fetches the assets when creating an instance', async function () {
+    const progress = []
+    const instance = await project.createInstance({ flavor: 'iphone6', os: '12.4.1' }, {
+      firmwareAssets: { cacheDir, progress: (url, value, phase) => progress.push({ url, value, phase }) }
+    })
+    assert.deepStrictEqual(uploaded(), [...assets].sort())
+    assert(progress.some(({ url, value, phase }) => url === assets[0] && value === 1 && phase === 'download'))
+    assert(progress.some(({ url, value, phase }) => url === assets[1] && value === 1 && phase === 'upload'))
+    await instance.destroy({ wait: true })
+
+    // Uploaded assets are not fetched again, cached ones not downloaded again.
+    requested.length = 0
+    await project.ensureFirmwareAssets({ assets, cacheDir })
+    assert.strictEqual(requested.length, 0)
+    for (const image of await project.images.list({ type: 'fwasset' })) await image.delete()
+    await project.ensureFirmwareAssets({ assets, cacheDir })
+    assert.strictEqual(requested.length, 0)
+    assert.deepStrictEqual(uploaded(), [...assets].sort())
+  })
+
+  it('continues interrupted downloads', async function () {
+    const controller = new AbortController()
+    await assert.rejects(project.ensureFirmwareAssets({
+      assets: [assets[0]],
+      cacheDir,
+      progress: (url, value) => { if (value > 0.5) controller.abort() },
+      signal: controller.signal
+    }), { name: 'AbortError' })
+    assert.deepStrictEqual(uploaded(), [])
+
+    const [asset] = await project.ensureFirmwareAssets({ assets: [assets[0]], cacheDir })
+    assert.match(requested[requested.length - 1].range, /^bytes=[1-9]\d*-$/)
+    assert(server.images.get(asset.id).data.equals(data[0]))
+  })
+
+  it('downloads an asset once when asked for it concurrently', async function () {
+    const downloaded = await Promise.all([1, 2, 3].map(() => project.ensureFirmwareAssets({ assets: [assets[0]], cacheDir })))
+    assert.strictEqual(requested.length, 1)
+    assert.strictEqual(new Set(downloaded.map(([asset]) => asset.file)).size, 1)
+    assert(fs.readFileSync(downloaded[0][0].file).equals(data[0]))
+    assert.deepStrictEqual(fs.readdirSync(cacheDir), [path.basename(downloaded[0][0].file)])
+  })
+
+  it('takes over the lock of a download whose process is gone', async function () {
+    const [asset] = await project.ensureFirmwareAssets({ assets: [assets[0]], cacheDir })
+    fs.renameSync(asset.file, `${asset.file}.partial`)
+    const gone = childProcess.spawnSync(process.execPath, ['-e', '']).pid
+    fs.writeFileSync(`${asset.file}.partial.lock`, JSON.stringify({ hostname: os.hostname(), pid: gone }))
+    for (const image of await project.images.list({ type: 'fwasset' })) await image.delete()
+
+    await project.ensureFirmwareAssets({ assets: [assets[0]], cacheDir })
+    assert(fs.readFileSync(asset.file).equals(data[0]))
+    assert(!fs.existsSync(`${asset.file}.partial.lock`))
+  })
+
+  it('waits for the lock of another host until it is stale', async function () {
+    const [asset] = await project.ensureFirmwareAssets({ assets: [assets[0]], cacheDir })
+    fs.renameSync(asset.file, `${asset.file}.partial`)
+    const lockFile = `${asset.file}.partial.lock`
+    // The PID of a process that is gone here may be running on the other host.
+    const gone = childProcess.spawnSync(process.execPath, ['-e', '']).pid
+    fs.writeFileSync(lockFile, JSON.stringify({ hostname: `not-${os.hostname()}`, pid: gone }))
+    for (const image of await project.images.list({ type: 'fwasset' })) await image.delete()
+
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 300)
+    await assert.rejects(project.ensureFirmwareAssets({ assets: [assets[0]], cacheDir, signal: controller.signal }), { name: 'AbortError' })
+    assert(fs.existsSync(lockFile))
+
+    const lastRefresh = new Date(Date.now() - 2 * 60 * 1000)
+    fs.utimesSync(lockFile, lastRefresh, lastRefresh)
+    await project.ensureFirmwareAssets({ assets: [assets[0]], cacheDir })
+    assert(fs.readFileSync(asset.file).equals(data[0]))
+    assert(!fs.existsSync(lockFile))
+  })
+
+  it('takes the assets from a mirror', async function () {
+    const mirror = path.join(directory, 'mirror')
+    fs.mkdirSync(mirror)
+    fs.writeFileSync(path.join(mirror, 'sep-firmware.im4p'), data[0])
+    await assert.rejects(project.ensureFirmwareAssets({ assets, cacheDir, mirror }), err =>
+      err instanceof NotFoundError && /baseband.bbfw does not exist/.test(err.message)
+    )
+
+    fs.writeFileSync(path.join(mirror, 'baseband.bbfw'), data[1])
+    const client = mockClient(server, {
+      firmwareAssets: true,
+      firmwareAssetMirror: mirror,
+      firmwareAssetCacheDir: cacheDir
+    })
+    const instance = await (await client.projectNamed('Default Project')).createInstance({ flavor: 'iphone6', os: '12.4.1' })
+    assert.strictEqual(requested.length, 0)
+    assert.deepStrictEqual(uploaded(), [...assets].sort())
+    await instance.destroy({ wait: true })
+  })
+})
@@ -0,0 +1,153 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+
+const { QuotaExceededError } = require('../src/corellium')
+const Fleet = require('../src/fleet')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('fleets', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let project = null
+  let creates = 0
+  // Called when the first instance of a test is about to be created.
+  let onCreate = null
+
+  before(async function () {
+    server = await startMockServer()
+    const corellium = mockClient(server, {
+      onRequest: ({ method, url }) => {
+        if (method === 'POST' && url.endsWith('/instances') && creates++ === 0 && onCreate) onCreate()
+      }
+    })
+    project = await corellium.projectNamed('Default Project')
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  it('creates, runs on and destroys a fleet', async function () {
+    const fleet = await project.createFleet({
+      template: { flavor: 'iphone6', os: '12.4.1', name: 'ci', bootOptions: { udid: 'a'.repeat(40) } },
+      count: 3,
+      concurrency: 2,
+      timeout: 5000
+    })
+    assert.strictEqual(process.listenerCount('SIGINT') > 0, true)
+
+    assert.deepStrictEqual(fleet.instances.map(instance => instance.name).sort(), ['ci-1', 'ci-2', 'ci-3'])
+    assert(fleet.instances.every(instance => instance.state === 'on' && instance.info.bootOptions.udid === 'a'.repeat(40)))
+
+    let running = 0
+    let maxRunning = 0
+    const results = await fleet.run(async (instance, index) => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      running--
+      if (index === 1) throw new Error('test failed')
+      return instance.name
+    }, { concurrency: 2 })
+    assert.strictEqual(maxRunning, 2)
+    assert.deepStrictEqual(results.map(result => result.value), ['ci-1', undefined, 'ci-3'])
+    assert.strictEqual(results[1].error.message, 'test failed')
+
+    await fleet.destroy({ wait: true })
+    assert(fleet.instances.every(instance => instance.state === 'deleted'))
+    assert.strictEqual(server.instances.size, 0)
+  })
+
+  it('reports instances that fail to boot', async function () {
+    const failed = []
+    const fleet = new Fleet(project, { template: { flavor: 'ranchu', os: '11.0.0' }, count: 2, waitForAgent: false })
+    fleet.on('failed', (err, index) => failed.push(err))
+
+    // Keep the first created instance in the error state until it is deleted.
+    let broken = null
+    const breakInstance = info => {
+      if (!broken) broken = info.id
+      if (info.id === broken && !['error', 'deleting'].includes(info.state)) server.updateInstance(broken, { state: 'error' })
+    }
+    server.on('instanceUpdated', breakInstance)
+    try {
+      const results = await fleet.create()
+      assert.strictEqual(failed.length, 1)
+      assert.strictEqual(results.find(result => result.error).instance.id, broken)
+      assert.strictEqual(failed[0].name, 'InstanceStateError')
+      assert.strictEqual(fleet.instances.length, 1)
+      await fleet.destroy()
+    } finally {
+      server.removeListener('instanceUpdated', breakInstance)
+    }
+  })
+
+  it('checks the quota before creating anything', async function () {
+    creates = 0
+    const listeners = process.listenerCount('SIGINT')
+    await assert.rejects(project.createFleet({ template: { flavor: 'iphone6', os: '12.4.1' }, count: 11 }), err =>
+      err instanceof QuotaExceededError && /needs 22 cores, 20 of 20 are available/.test(err.message)
+    )
+    assert.strictEqual(creates, 0)
+    assert.strictEqual(process.listenerCount('SIGINT'), listeners)
+  })
+
+  it('waits for quota that was used up after the check', async function () {
+    creates = 0
+    const others = []
+    const fleet = new Fleet(project, { template: { flavor: 'iphone6', os: '12.4.1' }, count: 2, concurrency: 2, timeout: 300 })
+    // Someone else takes all but the quota of the first instance.
+    onCreate = () => {
+      for (let i = 0; i < 9; i++) others.push(server.addInstance(project.id, { flavor: 'iphone6' }).id)
+    }
+    try {
+      const results = await fleet.create()
+      assert.strictEqual(creates, 1)
+      assert.strictEqual(results.filter(result => result.error).length, 1)
+      assert.strictEqual(results.find(result => result.error).error.name, 'WaitTimeoutError')
+      await fleet.destroy({ wait: true })
+    } finally {
+      onCreate = null
+      for (const id of others) server.instances.delete(id)
+    }
+    assert.strictEqual(server.instances.size, 0)
+  })
+
+  it('destroys the instances still being created', async function () {
+    creates = 0
+    const fleet = new Fleet(project, { template: { flavor: 'ranchu', os: '11.0.0' }, count: 3, waitForAgent: false })
+    let destroyed = null
+    onCreate = () => {
+      destroyed = fleet.destroy({ wait: true })
+    }
+    try {
+      const results = await fleet.create()
+      await destroyed
+      assert(results.every(result => result.error))
+    } finally {
+      onCreate = null
+    }
+    assert.strictEqual(creates, 1)
+    assert.strictEqual(server.instances.size, 0)
+  })
+
+  it('destroys the instances when interrupted', async function () {
+    const fleet = await project.createFleet({ template: { flavor: 'ranchu', os: '11.0.0' }, count: 2, waitForAgent: false })
+    const kill = process.kill
+    const killed = new Promise(resolve => {
+      process.kill = (pid, signal) => resolve(signal)
+    })
+    try {
+      fleet._onInterrupt('SIGTERM')
+      assert.strictEqual(await killed, 'SIGTERM')
+    } finally {
+      process.kill = kill
+    }
+    assert.strictEqual(fleet._onInterrupt, null)
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.strictEqual(server.instances.size, 0)
+  })
+})
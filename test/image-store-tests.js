@@ -0,0 +1,128 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { Image, NotFoundError, UnsupportedOperationError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('image store', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let corellium = null
+  let project = null
+  let other = null
+  let directory = null
+
+  const file = (name, data) => {
+    fs.writeFileSync(path.join(directory, name), data)
+    return path.join(directory, name)
+  }
+
+  before(async function () {
+    server = await startMockServer({ speculative: true, projects: { Default: {}, Other: {} } })
+    corellium = mockClient(server)
+    project = await corellium.projectNamed('Default')
+    other = await corellium.projectNamed('Other')
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corellium-images-'))
+  })
+
+  after(async function () {
+    await server.stop()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('lists, downloads and deletes images', async function () {
+    const vmfile = await project.uploadVmfile(file('vmfile', 'vmfile data'), 'vmfile')
+    await other.uploadImage('fw', file('firmware', 'firmware data'), 'firmware')
+    const instance = await project.getInstance(server.addInstance(project.id, { flavor: 'ranchu' }).id)
+    const ramdisk = await instance.uploadRamDisk(file('ramdisk', 'ramdisk data'), 'ramdisk')
+
+    const images = await project.images.list()
+    assert.deepStrictEqual(images.map(image => image.name).sort(), ['ramdisk', 'vmfile'])
+    assert(images.every(image => image instanceof Image && image.project === project.id))
+    assert.deepStrictEqual((await corellium.images.list({ type: 'fw' })).map(image => image.name), ['firmware'])
+    assert.deepStrictEqual((await project.images.list({ instance, type: 'ramdisk' })).map(image => image.id), [ramdisk.id])
+    const [metadata] = await instance.getImages('ramdisk')
+    assert(!(metadata instanceof Image))
+    assert.deepStrictEqual(metadata, (await project.images.get(ramdisk.id)).info)
+    assert.deepStrictEqual(await corellium.images.list({ project, type: 'fw' }), [])
+
+    const image = await project.images.get(vmfile.id)
+    assert.strictEqual(image.status, 'active')
+    assert.strictEqual((await image.download()).toString(), 'vmfile data')
+    const downloaded = path.join(directory, 'downloaded')
+    assert.strictEqual(await corellium.images.download(vmfile.id, downloaded), downloaded)
+    assert.strictEqual(fs.readFileSync(downloaded, 'utf8'), 'vmfile data')
+
+    await instance.deleteImage(ramdisk)
+    await image.delete()
+    await assert.rejects(project.images.get(vmfile.id), NotFoundError)
+    assert.deepStrictEqual(await project.images.list(), [])
+  })
+
+  it('reuses images with the same checksum', async function () {
+    const kernel = file('kernel', 'kernel data')
+    const first = await project.uploadKernel(kernel, 'kernel')
+    const image = await project.images.get(first.id)
+    assert.strictEqual((await project.images.findByChecksum(image.checksum)).id, first.id)
+    assert.strictEqual(await project.images.findByChecksum(image.checksum, { type: 'fw' }), null)
+    assert.strictEqual(await other.images.findByChecksum(image.checksum), null)
+
+    const uploads = server.requests.filter(request => request.method === 'PUT').length
+    const second = await project.uploadKernel(file('copy', 'kernel data'), 'kernel', undefined, { reuse: true })
+    assert.strictEqual(second.id, first.id)
+    assert.strictEqual(server.requests.filter(request => request.method === 'PUT').length, uploads)
+
+    const separate = await project.uploadKernel(kernel, 'kernel')
+    assert.notStrictEqual(separate.id, first.id)
+    await other.uploadKernel(kernel, 'kernel')
+    assert.strictEqual((await other.images.list({ type: 'kernel' })).length, 1)
+  })
+
+  it('prunes images no instance or snapshot references', async function () {
+    for (const image of await corellium.images.list()) await image.delete()
+
+    const kernel = await project.uploadKernel(file('booted', 'booted kernel'), 'kernel')
+    const booted = server.addInstance(project.id, { flavor: 'iphone6', bootOptions: { kernel } })
+    const snapped = await project.uploadKernel(file('snapped', 'snapped kernel'), 'snapped')
+    server.instances.get(booted.id).snapshots[0].bootOptions = { kernel: snapped }
+    const asset = await project.uploadFirmwareAsset(file('asset', 'firmware asset'), 'asset')
+    const gone = await project.getInstance(server.addInstance(project.id, { flavor: 'ranchu' }).id)
+    const orphan = await gone.uploadRamDisk(file('orphan', 'orphan ramdisk'), 'ramdisk')
+    await gone.destroy({ wait: true })
+    const unused = await project.uploadVmfile(file('unused', 'unused vmfile'), 'vmfile')
+    const elsewhere = await other.uploadVmfile(file('elsewhere', 'other vmfile'), 'vmfile')
+
+    assert.deepStrictEqual(await project.images.prune({ olderThan: new Date(Date.now() - 60 * 1000) }), [])
+
+    const planned = await project.images.prune({ dryRun: true })
+    assert.deepStrictEqual(planned.map(image => image.id).sort(), [orphan.id, unused.id].sort())
+    assert.strictEqual((await project.images.list()).length, 5)
+    assert.deepStrictEqual((await project.images.prune({ type: 'fwasset', dryRun: true })).map(image => image.id), [asset.id])
+
+    const deleted = await project.images.prune()
+    assert.deepStrictEqual(deleted.map(image => image.id).sort(), [orphan.id, unused.id].sort())
+    assert.deepStrictEqual((await corellium.images.list()).map(image => image.id).sort(), [kernel.id, snapped.id, asset.id, elsewhere.id].sort())
+  })
+
+  it('reports servers without image downloads', async function () {
+    const plain = await startMockServer()
+    try {
+      const client = mockClient(plain)
+      const [project] = await client.projects()
+      const image = await project.uploadVmfile(file('plain', 'plain vmfile'), 'vmfile')
+      await assert.rejects(client.images.download(image.id), err =>
+        err instanceof UnsupportedOperationError && err.operation === 'images.download' && err.cause instanceof NotFoundError
+      )
+      await assert.rejects(client.images.download('00000000-0000-0000-0000-000000000000'), NotFoundError)
+    } finally {
+      await plain.stop()
+    }
+  })
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const stream = require('stream')
+
+const { InvalidStateError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+const PROFILE = Buffer.from('<plist><dict><key>PayloadIdentifier</key><string>com.example.wifi</string></dict></plist>')
+const SSH_KEY = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIA+eDLGqe+nefGQ2LjvXDlTXDuF33ZHD9wHk/oEICKYd team@example.com'
+
+describe('instance configuration', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let source = null
+  let target = null
+  let instance = null
+  let appFile = null
+  const agents = []
+
+  before(async function () {
+    server = await startMockServer({ projects: { Source: {}, Target: {} } })
+    const corellium = mockClient(server)
+    source = await corellium.projectNamed('Source')
+    target = await corellium.projectNamed('Target')
+    await source.addKey(SSH_KEY, 'ssh', 'Team key')
+
+    instance = await source.getInstance(server.addInstance(source.id, { flavor: 'iphone6', bootOptions: { udid: 'c'.repeat(40) } }).id)
+    await instance.modifyPeripherals({ batteryCapacity: '42' })
+    const agent = await instance.agent()
+    agents.push(agent)
+    await agent.installFile(stream.Readable.from([Buffer.from('app')]))
+    await agent.installProfile(PROFILE)
+    await agent.installProvisioningProfile(Buffer.from('provisioning'))
+
+    appFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'corellium-config-')), 'app.ipa')
+    fs.writeFileSync(appFile, 'app')
+  })
+
+  after(async function () {
+    for (const agent of agents) agent.disconnect()
+    await server.stop()
+    fs.rmSync(path.dirname(appFile), { recursive: true, force: true })
+  })
+
+  it('exports and imports an instance', async function () {
+    const config = JSON.parse(JSON.stringify(await instance.exportConfig()))
+    assert.strictEqual(config.version, 1)
+    assert.deepStrictEqual(config.instance, {
+      name: instance.name,
+      flavor: 'iphone6',
+      os: '12.4.1',
+      osbuild: '16G102',
+      patches: ['jailbroken'],
+      bootOptions: { udid: 'c'.repeat(40) }
+    })
+    assert.deepStrictEqual(config.peripherals, { batteryCapacity: '42' })
+    assert.deepStrictEqual(config.projectKeys, [{ kind: 'ssh', label: 'Team key', key: SSH_KEY }])
+    assert.strictEqual(config.apps.length, 1)
+    assert.deepStrictEqual(config.profiles, [{ id: 'com.example.wifi', data: PROFILE.toString('base64') }])
+    assert.strictEqual(config.provisioningProfiles.length, 1)
+
+    const bundleID = config.apps[0].bundleID
+    const { instance: copy, skipped } = await target.importConfig(config, { name: 'Copy', apps: { [bundleID]: appFile } })
+    const agent = await copy.agent()
+    agents.push(agent)
+
+    assert.strictEqual(copy.name, 'Copy')
+    assert.strictEqual(copy.project.id, target.id)
+    assert.deepStrictEqual(copy.info.bootOptions, { udid: 'c'.repeat(40) })
+    assert.deepStrictEqual(await copy.getPeripherals(), { batteryCapacity: '42' })
+    assert.deepStrictEqual((await target.keys()).map(key => key.key), [SSH_KEY])
+    assert.deepStrictEqual(await agent.profileList(), ['com.example.wifi'])
+    assert.strictEqual((await agent.appList()).length, 1)
+    assert.deepStrictEqual(skipped, { apps: [], provisioningProfiles: [config.provisioningProfiles[0].uuid] })
+  })
+
+  it('exports without the agent', async function () {
+    const off = await source.getInstance(server.addInstance(source.id, { flavor: 'ranchu', state: 'off' }).id)
+    await assert.rejects(off.exportConfig(), err => err instanceof InvalidStateError && err.state === 'off')
+
+    const config = await off.exportConfig({ agent: false })
+    assert.strictEqual(config.instance.flavor, 'ranchu')
+    assert.strictEqual(config.apps, undefined)
+  })
+
+  it('rejects what is not a configuration', async function () {
+    await assert.rejects(target.importConfig({ flavor: 'iphone6' }), TypeError)
+  })
+})
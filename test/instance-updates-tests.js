@@ -0,0 +1,114 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('instance updates', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  const waitUntil = async condition => {
+    while (!condition()) await new Promise(resolve => setTimeout(resolve, 5))
+  }
+
+  // Run `fn` with a change listener on the instance, and wait for the updater to stop afterwards.
+  const watching = async (instance, fn) => {
+    const listener = () => {}
+    instance.on('change', listener)
+    try {
+      await fn()
+    } finally {
+      instance.removeListener('change', listener)
+      await waitUntil(() => !instance.project.updater.updating)
+    }
+  }
+
+  describe('polling', function () {
+    let server = null
+    let project = null
+    let polls = 0
+
+    before(async function () {
+      server = await startMockServer()
+      const corellium = mockClient(server, {
+        onRequest: ({ url }) => {
+          if (url.includes('/instances?id=')) polls++
+        }
+      })
+      project = await corellium.projectNamed('Default Project')
+    })
+
+    after(async function () {
+      await server.stop()
+    })
+
+    async function newInstance (info) {
+      const { id } = server.addInstance(project.id, info)
+      return await project.getInstance(id)
+    }
+
+    it('follows state changes', async function () {
+      const instance = await newInstance({ state: 'off' })
+      polls = 0
+      await instance.start()
+      await instance.waitForState('on')
+      await waitUntil(() => !project.updater.updating)
+      assert(polls > 0)
+    })
+
+    it('emits panic', async function () {
+      const instance = await newInstance()
+      await watching(instance, async () => {
+        const panicked = new Promise(resolve => instance.once('panic', resolve))
+        server.updateInstance(instance.id, { panicked: true })
+        await panicked
+      })
+    })
+
+    it('reports deleted instances', async function () {
+      const instance = await newInstance()
+      const states = []
+      const listener = () => states.push(instance.state)
+      instance.on('change', listener)
+      await instance.destroy()
+      await waitUntil(() => instance.state === 'deleted')
+      instance.removeListener('change', listener)
+      assert.strictEqual(states[states.length - 1], 'deleted')
+      assert.strictEqual(states.filter(state => state === 'deleted').length, 1)
+      assert(!project.updater.instances.has(instance.id))
+      await waitUntil(() => !project.updater.updating)
+    })
+  })
+
+  describe('polling interval', function () {
+    let server = null
+    let project = null
+
+    before(async function () {
+      server = await startMockServer()
+      const corellium = mockClient(server, {
+        updateInterval: 3000,
+        activeUpdateInterval: 500
+      })
+      project = await corellium.projectNamed('Default Project')
+    })
+
+    after(async function () {
+      await server.stop()
+    })
+
+    it('polls faster while an instance is busy', async function () {
+      const { id } = server.addInstance(project.id, { state: 'on' })
+      const instance = await project.getInstance(id)
+      project.updater.instances.set(instance.id, instance)
+      assert.strictEqual(project.updater.pollInterval(), 3000)
+      instance.info = Object.assign({}, instance.info, { state: 'booting' })
+      assert.strictEqual(project.updater.pollInterval(), 500)
+      instance.info = Object.assign({}, instance.info, { state: 'on', taskState: 'snapshot' })
+      assert.strictEqual(project.updater.pollInterval(), 500)
+      project.updater.instances.delete(instance.id)
+    })
+  })
+})
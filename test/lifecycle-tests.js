@@ -0,0 +1,176 @@
+'use strict'
+
+const { describe, it, before, after, afterEach } = require('mocha')
+const assert = require('assert')
+
+const { InvalidStateError, InstanceStateError, WaitTimeoutError } = require('../src/corellium')
+const { isValidTransition } = require('../src/lifecycle')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('lifecycle', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let project = null
+  let instance = null
+  let posts = 0
+  let gets = 0
+
+  before(async function () {
+    // Polling must see every state an instance passes through.
+    server = await startMockServer({ transitionDelay: 100 })
+    const corellium = mockClient(server, {
+      updateInterval: 10,
+      onRequest: ({ method, url }) => {
+        if (method === 'POST') posts++
+        if (method === 'GET' && url.endsWith(`/instances/${instance && instance.id}`)) gets++
+      }
+    })
+    project = await corellium.projectNamed('Default Project')
+  })
+
+  afterEach(async function () {
+    if (instance) instance.removeAllListeners()
+    while (project.updater.updating) await new Promise(resolve => setTimeout(resolve, 5))
+    instance = null
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  async function newInstance (info) {
+    const { id } = server.addInstance(project.id, info)
+    instance = await project.getInstance(id)
+    return instance
+  }
+
+  // Record the lifecycle events of the instance.
+  function record () {
+    const events = []
+    instance.on('stateChange', ({ from, to }) => events.push(`${from}->${to}`))
+    instance.on('taskStart', ({ task }) => events.push(`start ${task}`))
+    instance.on('taskEnd', ({ task }) => events.push(`end ${task}`))
+    instance.on('booted', () => events.push('booted'))
+    instance.on('deleted', () => events.push('deleted'))
+    return events
+  }
+
+  it('knows the valid transitions', function () {
+    assert(isValidTransition('creating', 'booting'))
+    assert(isValidTransition('on', 'paused'))
+    assert(isValidTransition('deleting', 'deleted'))
+    assert(!isValidTransition('off', 'deleted'))
+    assert(!isValidTransition('deleted', 'on'))
+  })
+
+  it('emits events while booting', async function () {
+    await newInstance({ state: 'off' })
+    const events = record()
+    const booted = new Promise(resolve => instance.once('booted', resolve))
+    await instance.start()
+    await booted
+    assert.deepStrictEqual(events, ['off->booting', 'start start', 'booting->on', 'end start', 'booted'])
+  })
+
+  it('emits booted after a reboot', async function () {
+    await newInstance({ state: 'on' })
+    const events = record()
+    await instance.reboot()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.deepStrictEqual(events, ['start reboot', 'end reboot', 'booted'])
+  })
+
+  it('emits deleted', async function () {
+    await newInstance({ state: 'off' })
+    const events = record()
+    const deleted = new Promise(resolve => instance.once('deleted', resolve))
+    await instance.destroy()
+    await deleted
+    assert.deepStrictEqual(events, ['off->deleting', 'start delete', 'deleting->deleted', 'end delete', 'deleted'])
+  })
+
+  it('emits error to error listeners', async function () {
+    await newInstance({ state: 'on' })
+    const failed = new Promise(resolve => instance.once('error', resolve))
+    server.updateInstance(instance.id, { state: 'error', error: 'kernel panic' })
+    const err = await failed
+    assert(err instanceof InstanceStateError)
+    assert.match(err.message, /kernel panic/)
+  })
+
+  it('rejects invalid calls before sending them', async function () {
+    await newInstance({ state: 'off' })
+    posts = 0
+    await assert.rejects(instance.pause(), { name: 'InvalidStateError', operation: 'pause', state: 'off' })
+    assert.deepStrictEqual(instance.lifecycle.allowedOperations(), ['start', 'takeSnapshot', 'restoreSnapshot', 'upgrade', 'destroy'])
+
+    server.updateInstance(instance.id, { userTask: { name: 'snapshot', options: {} } })
+    await instance.update()
+    await assert.rejects(instance.takeSnapshot('second'), err =>
+      err instanceof InvalidStateError && err.task === 'snapshot' && /task snapshot is in progress/.test(err.message)
+    )
+    assert.strictEqual(posts, 0)
+  })
+
+  it('leaves other states to the server without asking for them', async function () {
+    await newInstance({ state: 'creating' })
+    gets = 0
+    posts = 0
+    await instance.stop()
+    assert.strictEqual(posts, 1)
+
+    server.updateInstance(instance.id, { state: 'maintenance' })
+    await instance.update()
+    assert(instance.lifecycle.can('start') && instance.lifecycle.can('destroy'))
+    server.updateInstance(instance.id, { state: 'deleting' })
+    await instance.update()
+    assert.deepStrictEqual(instance.lifecycle.allowedOperations(), ['stop', 'destroy'])
+    await instance.destroy()
+    assert.strictEqual(gets, 2)
+  })
+
+  describe('operations', function () {
+    it('sends start options to the server', async function () {
+      await newInstance({ state: 'off' })
+      await instance.start({ sockcap: true, timeout: 1000 })
+      await instance.update()
+      assert.deepStrictEqual(instance.userTask, { name: 'start', options: { sockcap: true } })
+    })
+
+    it('waits until operations are done', async function () {
+      await newInstance({ state: 'off' })
+      await instance.start({ paused: true, wait: true })
+      assert.strictEqual(instance.state, 'paused')
+      await instance.unpause({ wait: true, timeout: 5000 })
+      assert.strictEqual(instance.state, 'on')
+      await instance.pause({ wait: true })
+      assert.strictEqual(instance.state, 'paused')
+      await instance.stop({ wait: true })
+      assert.strictEqual(instance.state, 'off')
+      await instance.destroy({ wait: true })
+      assert.strictEqual(instance.state, 'deleted')
+      assert.strictEqual(instance.listenerCount('change'), 0)
+    })
+
+    it('waits for the agent', async function () {
+      await newInstance({ state: 'off' })
+      await instance.start({ waitForAgent: true, timeout: 5000 })
+      assert.strictEqual(instance.state, 'on')
+      assert(instance.info.agent)
+    })
+
+    it('times out waiting', async function () {
+      await newInstance({ state: 'off' })
+      server.transitionDelay = 1000
+      try {
+        await assert.rejects(instance.start({ wait: true, timeout: 50 }), err =>
+          err instanceof WaitTimeoutError && err.info.state === 'booting'
+        )
+      } finally {
+        server.transitionDelay = 100
+      }
+    })
+  })
+})
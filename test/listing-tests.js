@@ -0,0 +1,158 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const assert = require('assert')
+
+const { NotFoundError } = require('../src/corellium')
+const { mapLimit, chunk } = require('../src/util/concurrency')
+const { nameMatcher } = require('../src/util/filters')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('listing', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let corellium = null
+  let requests = []
+  let inFlight = 0
+  let maxInFlight = 0
+
+  before(async function () {
+    server = await startMockServer({ projects: { 'CI One': {}, 'CI Two': {}, Lab: {} } })
+
+    const projects = [...server.projects.values()]
+    for (let i = 0; i < 230; i++) {
+      server.addInstance(projects[i % 3].id, {
+        name: `${i % 2 ? 'ci' : 'dev'}-${i}`,
+        flavor: i % 5 ? 'ranchu' : 'iphone6',
+        state: i % 4 ? 'on' : 'off'
+      })
+    }
+
+    corellium = mockClient(server, {
+      concurrency: 2,
+      onRequest: ({ url }) => {
+        requests.push(url.slice(url.indexOf('/api/v1') + 7))
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+      },
+      onResponse: () => inFlight--
+    })
+    await corellium.login()
+  })
+
+  beforeEach(function () {
+    requests = []
+    maxInFlight = 0
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  async function collect (iterable) {
+    const items = []
+    for await (const item of iterable) items.push(item)
+    return items
+  }
+
+  it('maps with limited concurrency, keeping the order', async function () {
+    let running = 0
+    let maxRunning = 0
+    const results = await mapLimit([5, 1, 4, 2, 3], 2, async (n, index) => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await new Promise(resolve => setTimeout(resolve, n))
+      running--
+      return n * 10 + index
+    })
+    assert.deepStrictEqual(results, [50, 11, 42, 23, 34])
+    assert.strictEqual(maxRunning, 2)
+    assert.deepStrictEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]])
+  })
+
+  it('matches names with globs and regular expressions', function () {
+    assert(nameMatcher('ci-*')('ci-12'))
+    assert(!nameMatcher('ci-*')('dev-ci-12'))
+    assert(nameMatcher('ci-?')('ci-1'))
+    assert(nameMatcher('a.b')('a.b') && !nameMatcher('a.b')('axb'))
+    assert(nameMatcher(/^dev-1\d$/)('dev-12'))
+  })
+
+  it('fetches projects with limited concurrency', async function () {
+    const projects = await corellium.projects()
+    assert.strictEqual(projects.length, 3)
+    assert.strictEqual(maxInFlight, 2)
+  })
+
+  it('iterates over projects', async function () {
+    const projects = await collect(corellium.iterateProjects({ nameMatch: 'CI *', pageSize: 2 }))
+    assert.deepStrictEqual(projects.map(project => project.name), ['CI One', 'CI Two'])
+    assert(requests.includes('/projects?ids_only=1&limit=2&offset=0'))
+    assert(requests.includes('/projects?ids_only=1&limit=2&offset=2'))
+  })
+
+  it('pages through instances', async function () {
+    const instances = await collect(corellium.iterateInstances())
+    assert.strictEqual(instances.length, 230)
+    assert.strictEqual(new Set(instances.map(instance => instance.id)).size, 230)
+    assert.deepStrictEqual(requests.filter(url => url.startsWith('/instances')), [
+      '/instances?limit=100&offset=0',
+      '/instances?limit=100&offset=100',
+      '/instances?limit=100&offset=200'
+    ])
+    // Each project is fetched once.
+    assert.strictEqual(requests.filter(url => /^\/projects\/[^/?]+$/.test(url)).length, 3)
+    assert(instances.every(instance => instance.project.id === instance.info.project))
+  })
+
+  it('filters instances on the server and client', async function () {
+    const instances = await collect(corellium.iterateInstances({ state: 'on', flavor: 'iphone6', nameMatch: 'ci-*' }))
+    const expected = [...server.instances.values()]
+      .map(({ info }) => info)
+      .filter(info => info.state === 'on' && info.flavor === 'iphone6' && info.name.startsWith('ci-'))
+    assert(expected.length > 0)
+    assert.deepStrictEqual(instances.map(instance => instance.id).sort(), expected.map(info => info.id).sort())
+    assert(requests.includes('/instances?state=on&flavor=iphone6&limit=100&offset=0'))
+  })
+
+  it('filters instances by project name', async function () {
+    const lab = [...server.projects.values()].find(project => project.name === 'Lab')
+    const instances = await collect(corellium.iterateInstances({ project: 'Lab', state: ['on', 'off'] }))
+    assert.strictEqual(instances.length, 76)
+    assert(instances.every(instance => instance.project.id === lab.id))
+    assert(requests.includes(`/projects/${lab.id}/instances?state=on%2Coff&limit=100&offset=0`))
+
+    await assert.rejects(collect(corellium.iterateInstances({ project: 'Missing' })), NotFoundError)
+  })
+
+  it('lists project instances with filters', async function () {
+    const project = await corellium.projectNamed('CI One')
+    const instances = await project.instances({ state: 'off' })
+    assert(instances.length > 0)
+    assert(instances.every(instance => instance.state === 'off' && instance.project === project))
+  })
+
+  it('asks for watched instances in batches', async function () {
+    const project = await corellium.projectNamed('CI One')
+    project.updater.updateInterval = 10
+    const instances = await project.instances()
+    assert(instances.length > 70)
+
+    // Watch more instances than fit in one request.
+    const more = await (await corellium.projectNamed('CI Two')).instances()
+    const watched = instances.concat(more.map(instance => Object.assign(instance, { project })))
+    const listener = () => {}
+    watched.forEach(instance => instance.on('change', listener))
+    // The first poll starts with the first watched instance; wait for one covering all of them.
+    const polled = () => requests.filter(url => url.startsWith('/instances?id=')).length >= 3
+    while (!polled()) await new Promise(resolve => setTimeout(resolve, 5))
+    watched.forEach(instance => instance.removeListener('change', listener))
+    while (project.updater.updating) await new Promise(resolve => setTimeout(resolve, 5))
+
+    const polls = requests.filter(url => url.startsWith('/instances'))
+    assert(polls.every(url => url.startsWith('/instances?id=')))
+    assert(polls.every(url => url.split(',').length <= 100))
+    assert(polls.some(url => url.split(',').length === 100))
+  })
+})
@@ -0,0 +1,200 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const assert = require('assert')
+const stream = require('stream')
+
+const Corellium = require('../src/corellium').Corellium
+const { MockServer } = require('../src/mock-server')
+const { startMockServer, mockClient } = require('./testUtils')
+
+process.title = 'mock-server-tests'
+
+describe('MockServer', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let corellium = null
+  let project = null
+
+  before(async function () {
+    server = await startMockServer()
+    corellium = mockClient(server)
+  })
+
+  beforeEach(async function () {
+    project = await corellium.projectNamed('Default Project')
+    project.updater.updateInterval = 10
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  it('logs in and lists projects', async function () {
+    await corellium.login()
+    const projects = await corellium.projects()
+    assert.deepStrictEqual(projects.map(project => project.name), ['Default Project'])
+    assert.strictEqual(project.quotas.cores, 20)
+  })
+
+  it('rejects unknown credentials when credentials are configured', async function () {
+    const strict = new MockServer({ credentials: [{ apiToken: 'secret' }] })
+    const endpoint = await strict.start()
+    try {
+      await assert.rejects(new Corellium({ endpoint, apiToken: 'wrong' }).login(), { code: 403 })
+      await new Corellium({ endpoint, apiToken: 'secret' }).login()
+    } finally {
+      await strict.stop()
+    }
+  })
+
+  it('lists supported devices', async function () {
+    const supported = await corellium.supported()
+    assert(supported.find(device => device.flavor === 'iphone6'))
+  })
+
+  describe('instances', function () {
+    let instance = null
+
+    it('creates an instance that boots', async function () {
+      instance = await project.createInstance({ flavor: 'iphone6', os: '12.4.1', name: 'Mock Device' })
+      assert.strictEqual(instance.state, 'creating')
+      await instance.waitForState('on')
+      assert.strictEqual(instance.name, 'Mock Device')
+      assert((await project.instances()).find(other => other.id === instance.id))
+    })
+
+    it('counts instances against the project quota', async function () {
+      await project.refresh()
+      assert.strictEqual(project.quotasUsed.cores, 2)
+    })
+
+    it('rejects unsupported firmware', async function () {
+      await assert.rejects(project.createInstance({ flavor: 'iphone6', os: '1.0' }), { field: 'os' })
+    })
+
+    it('stops, starts and reboots', async function () {
+      await instance.stop()
+      await instance.waitForState('off')
+      await instance.start()
+      await instance.waitForState('on')
+      await instance.reboot()
+      assert.strictEqual(instance.taskState, 'none')
+    })
+
+    it('takes and restores snapshots', async function () {
+      const snapshot = await instance.takeSnapshot('Mock Snapshot')
+      const snapshots = await instance.snapshots()
+      assert(snapshots.find(other => other.id === snapshot.id && other.name === 'Mock Snapshot'))
+      await snapshot.restore()
+      await snapshot.delete()
+      assert(!(await instance.snapshots()).find(other => other.id === snapshot.id))
+    })
+
+    it('picks up backend changes through the updater', async function () {
+      const changed = new Promise(resolve => instance.once('change', resolve))
+      server.updateInstance(instance.id, { name: 'Renamed by backend' })
+      await changed
+      assert.strictEqual(instance.name, 'Renamed by backend')
+    })
+
+    it('creates web player sessions', async function () {
+      const webplayer = await instance.webplayer({ apps: true }, {})
+      assert(webplayer.info.token)
+      await webplayer.destroy()
+    })
+
+    it('downloads a pcap', async function () {
+      const pcap = await instance.downloadPcap()
+      assert.strictEqual(pcap.readUInt32LE(0), 0xa1b2c3d4)
+    })
+
+    it('emits deleted when the instance is destroyed', async function () {
+      await instance.destroy()
+      await instance.waitForState('deleted')
+      assert(!server.instances.has(instance.id))
+    })
+  })
+
+  describe('agent', function () {
+    let instance = null
+    let agent = null
+
+    before(async function () {
+      project = await corellium.projectNamed('Default Project')
+      project.updater.updateInterval = 10
+      instance = await project.getInstance(server.addInstance(project.id, { flavor: 'ranchu' }).id)
+      agent = await instance.newAgent()
+    })
+
+    after(function () {
+      agent.disconnect()
+    })
+
+    it('answers ready and shell commands', async function () {
+      await agent.ready()
+      const result = await agent.shellExec('echo hello')
+      assert.strictEqual(result.output, 'hello\n')
+      assert.strictEqual(result['exit-status'], 0)
+    })
+
+    it('round-trips uploads and downloads', async function () {
+      const path = await agent.tempFile()
+      await agent.upload(path, stream.Readable.from([Buffer.from('hello '), Buffer.from('world')]))
+      const stat = await agent.stat(path)
+      assert.strictEqual(stat.size, 11)
+
+      const chunks = []
+      await new Promise((resolve, reject) => {
+        agent.download(path).on('data', chunk => chunks.push(chunk)).on('end', resolve).on('error', reject)
+      })
+      assert.strictEqual(Buffer.concat(chunks).toString(), 'hello world')
+
+      await agent.deleteFile(path)
+      await assert.rejects(agent.stat(path), /Stat of file/)
+    })
+
+    it('answers undocumented commands only with the speculative option', async function () {
+      await assert.rejects(agent.spawn('cat'), {
+        name: 'UnsupportedOperationError',
+        operation: 'agent.spawn',
+        message: /Unknown command app\/spawn/
+      })
+    })
+
+    it('supports custom agent handlers', async function () {
+      server.setAgentHandler('app', 'shellExec', ({ cmd }) => ({ output: `custom ${cmd}`, 'exit-status': 1 }))
+      const result = await agent.shellExec('id')
+      assert.strictEqual(result.output, 'custom id')
+    })
+
+    it('delivers crash reports to subscribers', async function () {
+      const crashAgent = await instance.newAgent()
+      try {
+        await crashAgent.connect()
+        const crash = new Promise((resolve, reject) => {
+          crashAgent.crashes('com.example.app', (err, report) => (err ? reject(err) : resolve(report))).catch(reject)
+        })
+        await crashAgent.ready()
+        server.emitCrash(instance.id, 'com.example.app', 'crash report body')
+        assert.strictEqual(await crash, 'crash report body')
+      } finally {
+        crashAgent.disconnect()
+      }
+    })
+
+    it('streams network monitor entries', async function () {
+      const netmon = await instance.newNetworkMonitor()
+      try {
+        await netmon.start()
+        const entry = new Promise(resolve => netmon.handleMessage(resolve))
+        server.emitNetmonEntry(instance.id, { request: { method: 'GET' }, response: { status: 200 } })
+        assert.strictEqual((await entry).response.status, 200)
+      } finally {
+        netmon.disconnect()
+      }
+    })
+  })
+})
@@ -0,0 +1,111 @@
+'use strict'
+/* eslint-disable no-template-curly-in-string */
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { TemplateError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+const UDID = 'b'.repeat(40)
+
+describe('instance templates', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let project = null
+  let directory = null
+  let posts = 0
+
+  before(async function () {
+    server = await startMockServer()
+    const corellium = mockClient(server, {
+      onRequest: ({ method, url }) => {
+        if (method === 'POST' && url.endsWith('/instances')) posts++
+      }
+    })
+    project = await corellium.projectNamed('Default Project')
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corellium-template-'))
+    fs.mkdirSync(path.join(directory, 'build'))
+    fs.writeFileSync(path.join(directory, 'build', 'kernelcache'), 'kernel')
+    fs.writeFileSync(path.join(directory, 'build', 'ramdisk.img'), 'ramdisk')
+    fs.writeFileSync(path.join(directory, 'device.yaml'), [
+      'name: ci-${job}',
+      'flavor: iphone6',
+      'os: latest',
+      'patches: corelliumd',
+      'bootOptions:',
+      '  udid: ${udid}',
+      '  kernelSlide: 0',
+      '  additionalTags: [nodevmode]',
+      '  kernel: build/kernelcache',
+      'ramdisk: build/ramdisk.img',
+      'variables:',
+      '  job: local'
+    ].join('\n'))
+  })
+
+  after(async function () {
+    await server.stop()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('creates an instance from a YAML file', async function () {
+    const instance = await project.createInstanceFromTemplate(path.join(directory, 'device.yaml'), {
+      variables: { job: 42, udid: UDID }
+    })
+    assert.strictEqual(instance.name, 'ci-42')
+    assert.strictEqual(instance.info.os, '12.4.1')
+    assert.strictEqual(instance.info.bootOptions.udid, UDID)
+    assert.deepStrictEqual(instance.info.bootOptions.additionalTags, ['nodevmode'])
+
+    const kernel = server.images.get(instance.info.bootOptions.kernel.id)
+    assert.strictEqual(kernel.name, 'kernelcache')
+    assert.strictEqual(kernel.type, 'kernel')
+    const ramdisks = await instance.getImages('ramdisk')
+    assert.deepStrictEqual(ramdisks.map(image => image.name), ['ramdisk.img'])
+
+    await instance.destroy({ wait: true })
+  })
+
+  it('creates an instance from an object', async function () {
+    const instance = await project.createInstanceFromTemplate({
+      name: 'android-${n}',
+      flavor: 'ranchu',
+      os: '11.0.0',
+      bootOptions: { screen: '720x1280:280' },
+      variables: { n: '1' }
+    })
+    assert.strictEqual(instance.name, 'android-1')
+    assert.strictEqual(instance.info.bootOptions.screen, '720x1280:280')
+    await instance.destroy({ wait: true })
+  })
+
+  it('rejects invalid templates before creating anything', async function () {
+    posts = 0
+    const invalid = async (template, field, message) => {
+      await assert.rejects(project.createInstanceFromTemplate(template, { variables: { udid: UDID } }), err =>
+        err instanceof TemplateError && err.field === field && message.test(err.message)
+      )
+    }
+    await invalid({ flavor: 'ranchu', os: '11.0.0', bootOption: {} }, 'bootOption', /Unknown template field bootOption/)
+    await invalid({ flavor: 'ranchu', bootOptions: { screen: '720:1280' } }, 'bootOptions.screen', /must look like 720x1280/)
+    await invalid({ flavor: 'ranchu', bootOptions: { additionalTags: ['gpus'] } }, 'bootOptions.additionalTags', /must be a list of kalloc, gpu/)
+    await invalid({ flavor: 'iphone6', patches: 'rooted' }, 'patches', /must be one of jailbroken/)
+    await invalid({ os: '12.4.1' }, 'flavor', /needs a flavor/)
+    await invalid({ flavor: 'iphone6', name: '${job}' }, 'name', /undefined variable job/)
+    await invalid({ flavor: 'iphone6', bootOptions: { udid: '${udid}-1' } }, 'bootOptions.udid', /must be a UDID/)
+    await invalid({ flavor: 'iphone6', ramdisk: 'missing.img' }, 'ramdisk', /ramdisk file .*missing.img of the template does not exist/)
+
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{ "flavor": ')
+    await assert.rejects(project.createInstanceFromTemplate(path.join(directory, 'broken.json')), err =>
+      err instanceof TemplateError && err.file === path.join(directory, 'broken.json') && /Cannot parse template/.test(err.message)
+    )
+    assert.strictEqual(posts, 0)
+  })
+})
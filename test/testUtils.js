@@ -1,3 +1,7 @@
+const { Corellium } = require('../src/corellium')
+const { validateConfig: validateClientConfig } = require('../src/config')
+const { MockServer } = require('../src/mock-server')
+
 function setFlagIfHookFailedDecorator (fn) {
   return function () {
     return Promise.resolve(fn.apply(this, arguments)).catch(error => {
@@ -8,15 +12,9 @@ function setFlagIfHookFailedDecorator (fn) {
 }
 
 function validateConfig (config) {
-  if (
-    !config.endpoint ||
-    !config.project ||
-    !config.testFlavor ||
-    (!(config.username && config.password) && !config.apiToken)
-  ) {
-    throw new Error(
-      'The configuration must include endpoint, project and testFlavor as well as username and password or apiToken properties.'
-    )
+  validateClientConfig(config)
+  if (!config.project || !config.testFlavor) {
+    throw new Error('The configuration must include project and testFlavor in addition to the client options.')
   }
 }
 
@@ -38,8 +36,32 @@ async function destroyInstance (instanceMap, instanceVersion) {
   await instance.waitForState('deleted')
 }
 
+/**
+ * Start a mock server whose instances change state quickly.
+ * @param {MockServerOptions} [options] - server options, on top of the defaults
+ * @returns {Promise<MockServer>}
+ */
+async function startMockServer (options = {}) {
+  const server = new MockServer(Object.assign({ transitionDelay: 20 }, options))
+  await server.start()
+  return server
+}
+
+/**
+ * Create a client of a mock server, logged in with any credentials and
+ * polling for instance updates often.
+ * @param {MockServer} server
+ * @param {Object} [options] - client options, on top of the defaults
+ * @returns {Corellium}
+ */
+function mockClient (server, options = {}) {
+  return new Corellium(Object.assign({ endpoint: server.endpoint, username: 'user', password: 'password', updateInterval: 20 }, options))
+}
+
 module.exports = {
   setFlagIfHookFailedDecorator,
   validateConfig,
-  destroyInstance
+  destroyInstance,
+  startMockServer,
+  mockClient
 }
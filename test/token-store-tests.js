@@ -0,0 +1,179 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { Corellium, AuthenticationError, EnvTokenStore, FileTokenStore, MemoryTokenStore, TimeoutError } = require('../src/corellium')
+const { MockServer } = require('../src/mock-server')
+const { startMockServer } = require('./testUtils')
+
+describe('token stores', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let directory = null
+  let logins = 0
+
+  before(async function () {
+    server = await startMockServer()
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  beforeEach(async function () {
+    logins = 0
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'corellium-tokens-'))
+  })
+
+  afterEach(async function () {
+    await fs.promises.rm(directory, { recursive: true, force: true })
+  })
+
+  function client (options = {}) {
+    return new Corellium(Object.assign({
+      endpoint: server.endpoint,
+      username: 'user',
+      password: 'password',
+      onRequest: ({ url }) => {
+        if (url.endsWith('/tokens')) logins++
+      }
+    }, options))
+  }
+
+  it('shares one refresh between concurrent calls', async function () {
+    const corellium = client()
+    const tokens = await Promise.all([corellium.getToken(), corellium.getToken(), corellium.projects().then(() => corellium.getToken())])
+    assert.strictEqual(logins, 1)
+    assert.strictEqual(new Set(tokens).size, 1)
+  })
+
+  it('emits tokenRotated with the new token', async function () {
+    const corellium = client()
+    const rotated = new Promise(resolve => corellium.once('tokenRotated', resolve))
+    const token = await corellium.getToken()
+    const event = await rotated
+    assert.strictEqual(event.token, token)
+    assert(event.expiration > new Date())
+  })
+
+  it('retries the login after a failed refresh', async function () {
+    const strict = new MockServer({ credentials: [{ apiToken: 'secret' }] })
+    const endpoint = await strict.start()
+    try {
+      const corellium = client({ endpoint, username: undefined, password: undefined, apiToken: 'wrong' })
+      await assert.rejects(corellium.getToken(), AuthenticationError)
+      await assert.rejects(corellium.getToken(), AuthenticationError)
+      assert.strictEqual(logins, 2)
+    } finally {
+      await strict.stop()
+    }
+  })
+
+  it('shares tokens between clients of a memory store', async function () {
+    const tokenStore = new MemoryTokenStore()
+    const first = await client({ tokenStore }).getToken()
+    const second = await client({ tokenStore }).getToken()
+    assert.strictEqual(first, second)
+    assert.strictEqual(logins, 1)
+  })
+
+  it('logs in again when the API rejects a stored token', async function () {
+    const tokenStore = new MemoryTokenStore()
+    const corellium = client({ tokenStore })
+    const expiration = new Date(Date.now() + 60 * 60 * 1000)
+    await tokenStore.set(corellium.tokenKey, { token: 'revoked', expiration })
+
+    assert.strictEqual((await corellium.projects()).length, 1)
+    assert.strictEqual(logins, 1)
+    const stored = await tokenStore.get(corellium.tokenKey)
+    assert.notStrictEqual(stored.token, 'revoked')
+    assert.strictEqual(await corellium.getToken(), stored.token)
+
+    // A request that keeps being rejected is only retried once.
+    server.failRequests({ method: 'GET', url: /^\/api\/v1\/projects/, status: 401, count: 2 })
+    await assert.rejects(corellium.projects(), err => err instanceof AuthenticationError && err.status === 401)
+    assert.strictEqual(logins, 2)
+  })
+
+  it('keys tokens by endpoint and account', function () {
+    assert.notStrictEqual(client().tokenKey, client({ username: 'other' }).tokenKey)
+    assert.notStrictEqual(client().tokenKey, client({ endpoint: 'https://other.example.com' }).tokenKey)
+    assert(!client({ username: undefined, apiToken: 'secret-api-token' }).tokenKey.includes('secret-api-token'))
+  })
+
+  describe('FileTokenStore', function () {
+    it('persists tokens in a private file', async function () {
+      const token = await client({ tokenStore: new FileTokenStore({ directory }) }).getToken()
+
+      const file = path.join(directory, 'tokens.json')
+      assert.strictEqual((await fs.promises.stat(file)).mode & 0o777, 0o600)
+      const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+      assert.strictEqual(Object.values(stored)[0].token, token)
+
+      // A later run, with a TOTP code that can no longer be used, reuses the token.
+      const later = client({ tokenStore: new FileTokenStore({ directory }), totpToken: '000000' })
+      assert.strictEqual(await later.getToken(), token)
+      assert.strictEqual(logins, 1)
+    })
+
+    it('logs in once when processes refresh at the same time', async function () {
+      const clients = [1, 2, 3].map(() => client({ tokenStore: new FileTokenStore({ directory }) }))
+      const tokens = await Promise.all(clients.map(corellium => corellium.getToken()))
+      assert.strictEqual(logins, 1)
+      assert.strictEqual(new Set(tokens).size, 1)
+    })
+
+    it('removes stale lock files', async function () {
+      const tokenStore = new FileTokenStore({ directory, staleLockAge: 100 })
+      const lockFile = path.join(directory, 'tokens.json.lock')
+      await fs.promises.writeFile(lockFile, '12345')
+      const old = new Date(Date.now() - 1000)
+      await fs.promises.utimes(lockFile, old, old)
+
+      assert.strictEqual(await tokenStore.lock('key', async () => 'locked'), 'locked')
+      assert(!fs.existsSync(lockFile))
+
+      // A lock held by a live process is waited for, until the lock timeout.
+      await fs.promises.writeFile(lockFile, '12345')
+      try {
+        await assert.rejects(new FileTokenStore({ directory, lockTimeout: 50 }).lock('key', async () => 'locked'), err =>
+          err instanceof TimeoutError && err.timeout === 50
+        )
+      } finally {
+        await fs.promises.unlink(lockFile)
+      }
+    })
+
+    it('deletes tokens', async function () {
+      const tokenStore = new FileTokenStore({ directory })
+      await tokenStore.set('key', { token: 'abc', expiration: new Date() })
+      await tokenStore.delete('key')
+      assert.strictEqual(await tokenStore.get('key'), null)
+    })
+  })
+
+  describe('EnvTokenStore', function () {
+    it('reads the expiration of a JWT', async function () {
+      const exp = Math.floor(Date.now() / 1000) + 3600
+      const jwt = ['{"alg":"none"}', JSON.stringify({ exp }), ''].map(part => Buffer.from(part).toString('base64url')).join('.')
+      const env = { CORELLIUM_TOKEN: jwt }
+
+      const corellium = client({ tokenStore: new EnvTokenStore({ env }) })
+      assert.strictEqual(await corellium.getToken(), jwt)
+      assert.strictEqual(logins, 0)
+    })
+
+    it('writes renewed tokens back to the environment', async function () {
+      const env = { CORELLIUM_TOKEN: JSON.stringify({ token: 'old', expiration: new Date(0) }) }
+      const token = await client({ tokenStore: new EnvTokenStore({ env }) }).getToken()
+      assert.strictEqual(JSON.parse(env.CORELLIUM_TOKEN).token, token)
+      assert.strictEqual(logins, 1)
+    })
+  })
+})
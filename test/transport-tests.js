@@ -0,0 +1,182 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const assert = require('assert')
+const http = require('http')
+const net = require('net')
+
+const { RateLimitedError, TimeoutError } = require('../src/corellium')
+const { fetch } = require('../src/util/fetch')
+const { Transport, parseRetryAfter } = require('../src/util/transport')
+const { MockServer } = require('../src/mock-server')
+const { mockClient } = require('./testUtils')
+
+describe('transport', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  describe('parseRetryAfter', function () {
+    it('parses delays in seconds', function () {
+      assert.strictEqual(parseRetryAfter('120'), 120 * 1000)
+      assert.strictEqual(parseRetryAfter('0.5'), 500)
+    })
+
+    it('parses HTTP dates', function () {
+      const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')
+      assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now), 30 * 1000)
+      assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT', now), 0)
+    })
+
+    it('ignores missing and invalid values', function () {
+      assert.strictEqual(parseRetryAfter(null), undefined)
+      assert.strictEqual(parseRetryAfter('soon'), undefined)
+    })
+  })
+
+  describe('retries', function () {
+    let server = null
+    let url = null
+    let requests = []
+    let handler = null
+
+    before(async function () {
+      server = http.createServer((req, res) => {
+        requests.push(req.method)
+        handler(req, res, requests.length)
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      url = `http://127.0.0.1:${server.address().port}/api/v1/projects`
+    })
+
+    beforeEach(function () {
+      requests = []
+    })
+
+    after(function (done) {
+      server.close(done)
+    })
+
+    const transport = options => new Transport(Object.assign({ retry: { minTimeout: 1, maxTimeout: 1 } }, options))
+    const reply = (res, status, body, headers = {}) => {
+      res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers))
+      res.end(JSON.stringify(body))
+    }
+
+    it('waits out Retry-After on 429 responses', async function () {
+      handler = (req, res, count) => {
+        if (count === 1) return reply(res, 429, { error: 'Too many requests' }, { 'Retry-After': new Date(0).toUTCString() })
+        reply(res, 200, { ok: true })
+      }
+      assert.deepStrictEqual(await fetch(url, { method: 'POST', json: {}, transport: transport() }), { ok: true })
+      assert.deepStrictEqual(requests, ['POST', 'POST'])
+    })
+
+    it('gives up with a RateLimitedError when Retry-After is too long', async function () {
+      handler = (req, res) => reply(res, 429, { error: 'Too many requests' }, { 'Retry-After': '120' })
+      const err = await fetch(url, { transport: transport() }).catch(err => err)
+      assert(err instanceof RateLimitedError)
+      assert.strictEqual(err.retryAfter, 120 * 1000)
+      assert.strictEqual(err.retryable, true)
+      assert.strictEqual(requests.length, 1)
+    })
+
+    it('retries idempotent requests after network errors', async function () {
+      handler = (req, res, count) => (count < 3 ? req.socket.destroy() : reply(res, 200, []))
+      const attempts = []
+      const onResponse = ({ retries, status, error }) => attempts.push({ retries, status, failed: !!error })
+      assert.deepStrictEqual(await fetch(url, { transport: transport({ onResponse }) }), [])
+      assert.deepStrictEqual(requests, ['GET', 'GET', 'GET'])
+      assert.deepStrictEqual(attempts, [
+        { retries: 0, status: undefined, failed: true },
+        { retries: 1, status: undefined, failed: true },
+        { retries: 2, status: 200, failed: false }
+      ])
+    })
+
+    it('does not retry POST requests after network errors', async function () {
+      handler = req => req.socket.destroy()
+      await assert.rejects(fetch(url, { method: 'POST', json: {}, transport: transport() }), { name: 'FetchError' })
+      assert.deepStrictEqual(requests, ['POST'])
+    })
+
+    it('retries POST requests when retryNonIdempotent is set', async function () {
+      handler = (req, res, count) => (count < 2 ? req.socket.destroy() : reply(res, 200, {}))
+      await fetch(url, { method: 'POST', json: {}, transport: transport({ retry: { minTimeout: 1, retryNonIdempotent: true } }) })
+      assert.deepStrictEqual(requests, ['POST', 'POST'])
+    })
+
+    it('times out slow requests', async function () {
+      handler = (req, res) => setTimeout(() => reply(res, 200, {}), 500)
+      const err = await fetch(url, { transport: transport({ timeout: 50, retry: { retries: 0 } }) }).catch(err => err)
+      assert(err instanceof TimeoutError)
+      assert.strictEqual(err.timeout, 50)
+      assert.strictEqual(err.method, 'GET')
+    })
+  })
+
+  describe('proxy', function () {
+    let mock = null
+    let proxy = null
+    const sockets = []
+    const tunnels = []
+
+    before(async function () {
+      mock = new MockServer({ transitionDelay: 10 })
+      await mock.start()
+
+      // A minimal CONNECT proxy.
+      proxy = http.createServer((req, res) => {
+        res.writeHead(405)
+        res.end()
+      })
+      proxy.on('connection', socket => sockets.push(socket))
+      proxy.on('connect', (req, client, head) => {
+        tunnels.push(req.url)
+        const [host, port] = req.url.split(':')
+        const upstream = net.connect(Number(port), host, () => {
+          client.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+          upstream.write(head)
+          upstream.pipe(client)
+          client.pipe(upstream)
+        })
+        sockets.push(upstream)
+        upstream.on('error', () => client.destroy())
+        client.on('error', () => upstream.destroy())
+      })
+      await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve))
+    })
+
+    after(async function () {
+      sockets.forEach(socket => socket.destroy())
+      await new Promise(resolve => proxy.close(resolve))
+      await mock.stop()
+    })
+
+    it('sends API requests and agent connections through the proxy', async function () {
+      const corellium = mockClient(mock, {
+        proxy: `http://127.0.0.1:${proxy.address().port}`
+      })
+      const project = await corellium.projectNamed('Default Project')
+      const instance = await project.getInstance(mock.addInstance(project.id, { flavor: 'ranchu' }).id)
+      const requests = tunnels.length
+      assert(requests > 0)
+
+      const agent = await instance.newAgent()
+      try {
+        const result = await agent.shellExec('echo proxied')
+        assert.strictEqual(result.output, 'proxied\n')
+        assert(tunnels.length > requests)
+        assert(tunnels.every(target => target === new URL(mock.endpoint).host))
+      } finally {
+        agent.disconnect()
+      }
+    })
+
+    it('passes the CA to WebSocket connections', function () {
+      const transport = new Transport({ ca: 'PEM' })
+      assert.strictEqual(transport.webSocketOptions('wss://example.com/agent').ca, 'PEM')
+      assert(transport.webSocketOptions('wss://example.com/agent').agent)
+      assert.strictEqual(transport.webSocketOptions('ws://example.com/agent').agent, undefined)
+    })
+  })
+})
@@ -0,0 +1,140 @@
+'use strict'
+
+const { describe, it, before, after } = require('mocha')
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+
+const { ChecksumMismatchError, CorelliumError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+// The content of the first entry of a zip file made by yazl, which deflates it.
+const unzipFirst = zip => zlib.inflateRawSync(zip.slice(30 + zip.readUInt16LE(26) + zip.readUInt16LE(28))).toString()
+
+const tempDirectories = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('corellium-image-')).sort()
+
+describe('image uploads', function () {
+  this.slow(4000)
+  this.timeout(20000)
+
+  let server = null
+  let project = null
+  let directory = null
+  let corrupt = false
+  let unchecked = 0
+  const checksums = new Map()
+  const warnings = []
+
+  before(async function () {
+    server = await startMockServer()
+    const corellium = mockClient(server, {
+      logger: { warn: message => warnings.push(message) },
+      onRequest: ({ method, url }) => {
+        const match = /\/images\/([^/]+)$/.exec(url)
+        if (corrupt && method === 'GET' && match) server.images.get(match[1]).checksum = 'f'.repeat(64)
+        // The server records the checksum once `unchecked` fetches of the image are answered without it.
+        if (method === 'GET' && match && server.images.has(match[1])) {
+          const image = server.images.get(match[1])
+          if (unchecked > 0) {
+            unchecked--
+            checksums.set(image.id, image.checksum || checksums.get(image.id))
+            image.checksum = null
+          } else if (checksums.has(image.id)) {
+            image.checksum = checksums.get(image.id)
+          }
+        }
+      }
+    })
+    project = await corellium.projectNamed('Default Project')
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corellium-upload-'))
+  })
+
+  after(async function () {
+    await server.stop()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('compresses into separate temporary files and removes them', async function () {
+    const before = tempDirectories()
+    fs.mkdirSync(path.join(directory, 'a'))
+    fs.mkdirSync(path.join(directory, 'b'))
+    fs.writeFileSync(path.join(directory, 'a', 'kernel'), 'first kernel')
+    fs.writeFileSync(path.join(directory, 'b', 'kernel'), 'second kernel')
+
+    const [first, second] = await Promise.all([
+      project.uploadKernel(path.join(directory, 'a', 'kernel'), 'kernel'),
+      project.uploadKernel(path.join(directory, 'b', 'kernel'), 'kernel')
+    ])
+    assert.strictEqual(unzipFirst(server.images.get(first.id).data), 'first kernel')
+    assert.strictEqual(unzipFirst(server.images.get(second.id).data), 'second kernel')
+    assert.deepStrictEqual(tempDirectories(), before)
+
+    fs.writeFileSync(path.join(directory, 'a', 'kernel'), 'third kernel')
+    server.failRequests({ method: 'PUT', url: /image-upload/ })
+    await assert.rejects(project.uploadKernel(path.join(directory, 'a', 'kernel'), 'kernel'), CorelliumError)
+    assert.deepStrictEqual(tempDirectories(), before)
+  })
+
+  it('resumes an interrupted upload', async function () {
+    const file = path.join(directory, 'firmware.bin')
+    const data = crypto.randomBytes(11 * 1024 * 1024)
+    fs.writeFileSync(file, data)
+    const checkpointDir = path.join(directory, 'checkpoints')
+
+    // The second chunk fails once the first one is stored.
+    server.failRequests({ method: 'PUT', url: /image-upload.*resumableChunkNumber=2&/, delay: 200 })
+    await assert.rejects(project.uploadImage('fw', file, 'firmware.bin', undefined, { checkpointDir }))
+    assert.strictEqual(fs.readdirSync(checkpointDir).length, 1)
+    const [pending] = [...server.images.values()].filter(image => image.name === 'firmware.bin')
+    assert.strictEqual(pending.status, 'uploading')
+
+    const puts = () => server.requests.filter(request => request.method === 'PUT' && request.path.includes(pending.id)).length
+    const sent = puts()
+    const image = await project.uploadImage('fw', file, 'firmware.bin', undefined, { checkpointDir })
+    assert.strictEqual(image.id, pending.id)
+    assert.strictEqual(puts(), sent + 1)
+    assert(server.images.get(image.id).data.equals(data))
+    assert.deepStrictEqual(fs.readdirSync(checkpointDir), [])
+  })
+
+  it('waits for the server to record the checksum', async function () {
+    const file = path.join(directory, 'late')
+    fs.writeFileSync(file, 'late')
+    unchecked = 2
+    const image = await project.uploadVmfile(file, 'late')
+    assert.strictEqual(image.verified, true)
+    assert.strictEqual(unchecked, 0)
+  })
+
+  it('returns uploads unverified when the server records no checksum in time', async function () {
+    const file = path.join(directory, 'unchecked')
+    fs.writeFileSync(file, 'unchecked')
+    unchecked = Infinity
+    try {
+      const image = await project.uploadVmfile(file, 'unchecked', undefined, { verifyTimeout: 100 })
+      assert.strictEqual(image.verified, false)
+      assert(server.images.has(image.id))
+      assert.match(warnings.pop(), new RegExp(`no checksum of image ${image.id} within 100ms`))
+    } finally {
+      unchecked = 0
+    }
+  })
+
+  it('deletes and rejects uploads whose checksum does not match', async function () {
+    const file = path.join(directory, 'vmfile')
+    fs.writeFileSync(file, 'vmfile')
+    corrupt = true
+    try {
+      await assert.rejects(project.uploadVmfile(file, 'vmfile'), err =>
+        err instanceof ChecksumMismatchError && err.retryable &&
+        err.expected === crypto.createHash('sha256').update('vmfile').digest('hex') &&
+        err.actual === 'f'.repeat(64) && !server.images.has(err.imageId)
+      )
+    } finally {
+      corrupt = false
+    }
+  })
+})
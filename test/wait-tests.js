@@ -0,0 +1,93 @@
+'use strict'
+
+const { describe, it, before, after, afterEach } = require('mocha')
+const assert = require('assert')
+
+const { WaitTimeoutError, InstanceStateError, TimeoutError } = require('../src/corellium')
+const { startMockServer, mockClient } = require('./testUtils')
+
+describe('waits', function () {
+  this.slow(2000)
+  this.timeout(10000)
+
+  let server = null
+  let project = null
+  let instance = null
+
+  before(async function () {
+    server = await startMockServer()
+    const corellium = mockClient(server)
+    project = await corellium.projectNamed('Default Project')
+  })
+
+  afterEach(async function () {
+    // Every wait leaves the instance without listeners, so that the updater stops.
+    if (instance) assert.strictEqual(instance.listenerCount('change'), 0)
+    while (project.updater.updating) await new Promise(resolve => setTimeout(resolve, 5))
+    instance = null
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  async function newInstance (info) {
+    const { id } = server.addInstance(project.id, info)
+    instance = await project.getInstance(id)
+    return instance
+  }
+
+  it('times out with the last instance info', async function () {
+    await newInstance({ state: 'off' })
+    await assert.rejects(instance.waitForState('on', { timeout: 50 }), err => {
+      assert(err instanceof WaitTimeoutError && err instanceof TimeoutError)
+      assert.strictEqual(err.timeout, 50)
+      assert.strictEqual(err.info.state, 'off')
+      assert.match(err.message, /state on, it is off/)
+      return true
+    })
+  })
+
+  it('stops waiting when aborted', async function () {
+    await newInstance({ state: 'off' })
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(new Error('cancelled')), 20)
+    await assert.rejects(instance.waitForState('on', { signal: controller.signal }), /cancelled/)
+    await assert.rejects(instance.waitForTaskState('none', { signal: controller.signal }), /cancelled/)
+  })
+
+  it('fails when the instance fails on the way', async function () {
+    await newInstance({ state: 'off' })
+    const reported = []
+    const wait = instance.waitForState('on', info => reported.push(info.state), { timeout: 5000 })
+    server.updateInstance(instance.id, { state: 'booting' })
+    setTimeout(() => server.updateInstance(instance.id, { state: 'error', error: 'boot failed' }), 20)
+    await assert.rejects(wait, { name: 'InstanceStateError', state: 'error' })
+    assert.strictEqual(reported[reported.length - 1], 'error')
+  })
+
+  it('fails when the instance is deleted', async function () {
+    await newInstance({ state: 'on' })
+    const wait = instance.waitForUserTask('snapshot')
+    await instance.destroy()
+    await assert.rejects(wait, err => err instanceof InstanceStateError && err.state === 'deleted')
+  })
+
+  it('lets an instance leave the error state', async function () {
+    await newInstance({ state: 'error' })
+    await instance.start()
+    await instance.waitForState('on', { timeout: 5000 })
+  })
+
+  it('waits for a line on the console', async function () {
+    await newInstance({ state: 'on' })
+    setTimeout(() => server.writeConsole(instance.id, 'booting\nlogin: ready\n'), 20)
+    await instance.waitForLineOnConsole('login: ready', { timeout: 5000 })
+    await assert.rejects(instance.waitForLineOnConsole('never', { timeout: 50 }), WaitTimeoutError)
+  })
+
+  it('times out waiting for the agent', async function () {
+    await newInstance({ state: 'off' })
+    await assert.rejects(instance.waitForAgentReady({ timeout: 50 }), { name: 'WaitTimeoutError', timeout: 50 })
+  })
+})